@@ -0,0 +1,33 @@
+-- Migration: Create saved searches table
+-- Description: Stores chat users' saved search filters for new-listing alerts
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(20) NOT NULL DEFAULT 'telegram',
+  chat_id VARCHAR(64) NOT NULL,
+  user_id VARCHAR(64),
+  query_text VARCHAR(500) NOT NULL,
+  language VARCHAR(2) NOT NULL DEFAULT 'ar',
+  filters JSONB NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (channel, chat_id, query_text)
+);
+
+-- Create index for the alert worker (active subscriptions, oldest run first)
+CREATE INDEX IF NOT EXISTS idx_saved_searches_active
+ON saved_searches (last_run_at)
+WHERE is_active = true;
+
+-- Create index for listing a chat's subscriptions
+CREATE INDEX IF NOT EXISTS idx_saved_searches_chat
+ON saved_searches (channel, chat_id);
+
+-- Add comment to table
+COMMENT ON TABLE saved_searches IS 'Saved search filters used to push new-listing alerts to chat users';
+COMMENT ON COLUMN saved_searches.filters IS 'Applied search filters (categoryId, cityId, neighborhoodId, transactionTypeSlug, attributes) as JSON';
+COMMENT ON COLUMN saved_searches.last_run_at IS 'Listings created after this timestamp are considered new on the next run';
@@ -0,0 +1,34 @@
+-- Migration: Create favorites table
+-- Description: Listings saved by chat users, with the price/status last seen for change notifications
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS favorites (
+  id SERIAL PRIMARY KEY,
+  channel VARCHAR(20) NOT NULL DEFAULT 'telegram',
+  chat_id VARCHAR(64) NOT NULL,
+  user_id VARCHAR(64),
+  listing_id UUID NOT NULL,
+  language VARCHAR(2) NOT NULL DEFAULT 'ar',
+  last_price NUMERIC,
+  last_currency VARCHAR(10),
+  last_status VARCHAR(20),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (channel, chat_id, listing_id)
+);
+
+-- Create index for the watch job (active favorites grouped by listing)
+CREATE INDEX IF NOT EXISTS idx_favorites_active_listing
+ON favorites (listing_id)
+WHERE is_active = true;
+
+-- Create index for listing a chat's favorites
+CREATE INDEX IF NOT EXISTS idx_favorites_chat
+ON favorites (channel, chat_id);
+
+-- Add comment to table
+COMMENT ON TABLE favorites IS 'Listings saved by chat users; price drops and deactivation are pushed as notifications';
+COMMENT ON COLUMN favorites.last_price IS 'Price attribute value when last checked; a lower current price triggers a notification';
+COMMENT ON COLUMN favorites.last_status IS 'Listing status when last checked; leaving "active" triggers a notification';
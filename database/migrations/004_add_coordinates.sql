@@ -0,0 +1,46 @@
+-- Migration: Add coordinates for radius search
+-- Description: Latitude/longitude on listings, neighborhoods and cities. A listing without its own
+--              coordinates is placed at its neighborhood, then at its city.
+--              offices.location is not used as a fallback: the offices table belongs to the
+--              marketplace app and its location has no coordinate format this service can rely on,
+--              and an office's own position says nothing about where the listings it manages are
+-- Date: 2026-10-19
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+ALTER TABLE neighborhoods ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE neighborhoods ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+ALTER TABLE cities ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+-- Create index for the bounding-box prefilter of radius searches (GeoDistance.boundingBoxSql)
+-- on listings with their own coordinates
+CREATE INDEX IF NOT EXISTS idx_listings_coordinates
+ON listings (latitude, longitude)
+WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- Seed governorate capitals (only where no coordinates were set yet)
+UPDATE cities c SET latitude = v.latitude, longitude = v.longitude
+FROM (VALUES
+  ('دمشق', 33.5138, 36.2765),
+  ('حلب', 36.2021, 37.1343),
+  ('حمص', 34.7324, 36.7137),
+  ('حماة', 35.1318, 36.7578),
+  ('اللاذقية', 35.5317, 35.7901),
+  ('طرطوس', 34.8890, 35.8866),
+  ('إدلب', 35.9306, 36.6339),
+  ('دير الزور', 35.3359, 40.1408),
+  ('الرقة', 35.9594, 39.0079),
+  ('الحسكة', 36.5024, 40.7477),
+  ('درعا', 32.6189, 36.1021),
+  ('السويداء', 32.7090, 36.5695),
+  ('القنيطرة', 33.1259, 35.8244)
+) AS v(name_ar, latitude, longitude)
+WHERE c.name_ar = v.name_ar AND c.latitude IS NULL;
+
+-- Add comments
+COMMENT ON COLUMN listings.latitude IS 'Listing position; NULL falls back to the neighborhood, then the city';
+COMMENT ON COLUMN neighborhoods.latitude IS 'Neighborhood center, used for listings without coordinates';
+COMMENT ON COLUMN cities.latitude IS 'City center, used for listings without neighborhood coordinates';
@@ -0,0 +1,47 @@
+-- Migration: Create search analytics table
+-- Description: One row per SearchService.search call (query, parse tier, matches, results, latency, AI tokens)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS search_analytics (
+  id BIGSERIAL PRIMARY KEY,
+  query_text VARCHAR(500) NOT NULL,
+  normalized_text VARCHAR(500) NOT NULL,
+  source VARCHAR(30) NOT NULL DEFAULT 'api',
+  language VARCHAR(2) NOT NULL DEFAULT 'ar',
+  user_id VARCHAR(64),
+  page INTEGER NOT NULL DEFAULT 1,
+  parse_tier SMALLINT,
+  parse_method VARCHAR(30),
+  confidence NUMERIC(4, 3),
+  category_id UUID,
+  category_slug VARCHAR(255),
+  location_id UUID,
+  location_type VARCHAR(20),
+  location_name VARCHAR(255),
+  search_method VARCHAR(30),
+  result_count INTEGER NOT NULL DEFAULT 0,
+  from_cache BOOLEAN NOT NULL DEFAULT false,
+  response_time_ms INTEGER,
+  ai_tokens INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create index for time-window reports
+CREATE INDEX IF NOT EXISTS idx_search_analytics_created
+ON search_analytics (created_at);
+
+-- Create index for grouping by query
+CREATE INDEX IF NOT EXISTS idx_search_analytics_normalized
+ON search_analytics (normalized_text, created_at);
+
+-- Create index for the zero-result report
+CREATE INDEX IF NOT EXISTS idx_search_analytics_zero_results
+ON search_analytics (created_at)
+WHERE result_count = 0;
+
+-- Add comment to table
+COMMENT ON TABLE search_analytics IS 'Search log for admin reports: top and zero-result queries, parse tiers, volume per source';
+COMMENT ON COLUMN search_analytics.normalized_text IS 'Query normalized (ArabicNormalizer.normalizeAndLower) so spelling variants group together';
+COMMENT ON COLUMN search_analytics.page IS 'Requested page; reports count page 1 only so paging does not inflate query counts';
+COMMENT ON COLUMN search_analytics.parse_tier IS 'SmartQueryParser tier (0 = parse cache, 4 = full AI); NULL when the whole response came from the search cache';
+COMMENT ON COLUMN search_analytics.ai_tokens IS 'OpenAI tokens spent parsing this query (0 for cached parses)';
@@ -0,0 +1,356 @@
+-- Fixture database for evaluation/golden/v1.json
+-- Description: The part of the marketplace schema the search pipeline reads (categories, places,
+--              transaction types, attributes, listings) with a small, fixed catalogue.
+--              Listing IDs are stable: golden/v1.json grades them in "relevant".
+-- Usage: createdb kasioon_fixture && psql -d kasioon_fixture -f evaluation/fixtures/v1.sql
+--
+-- There is no listing_embeddings table, so vector search is unavailable and results are
+-- ranked by text search alone; runs are repeatable without OpenAI embeddings.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ============================================================================
+-- SCHEMA
+-- ============================================================================
+
+CREATE TABLE categories (
+  id UUID PRIMARY KEY,
+  parent_id UUID REFERENCES categories(id),
+  slug VARCHAR(255) NOT NULL UNIQUE,
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) NOT NULL,
+  description_ar TEXT,
+  meta_keywords_ar TEXT,
+  meta_keywords_en TEXT,
+  level INTEGER NOT NULL DEFAULT 1,
+  path TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true
+);
+
+CREATE TABLE category_embeddings (
+  category_id UUID PRIMARY KEY REFERENCES categories(id),
+  keywords_ar TEXT[] NOT NULL DEFAULT '{}',
+  keywords_en TEXT[] NOT NULL DEFAULT '{}'
+);
+
+CREATE TABLE cities (
+  id UUID PRIMARY KEY,
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) NOT NULL,
+  province_ar VARCHAR(255),
+  province_en VARCHAR(255),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION
+);
+
+CREATE TABLE neighborhoods (
+  id UUID PRIMARY KEY,
+  city_id UUID NOT NULL REFERENCES cities(id),
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) NOT NULL,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION
+);
+
+CREATE TABLE transaction_types (
+  id UUID PRIMARY KEY,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE listing_attributes (
+  id UUID PRIMARY KEY,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  type VARCHAR(20) NOT NULL,
+  name_ar VARCHAR(255) NOT NULL,
+  name_en VARCHAR(255) NOT NULL,
+  unit_ar VARCHAR(50),
+  unit_en VARCHAR(50),
+  options JSONB,
+  min_value NUMERIC,
+  max_value NUMERIC,
+  is_active BOOLEAN NOT NULL DEFAULT true
+);
+
+CREATE TABLE category_attributes (
+  category_id UUID NOT NULL REFERENCES categories(id),
+  attribute_id UUID NOT NULL REFERENCES listing_attributes(id),
+  is_required BOOLEAN NOT NULL DEFAULT false,
+  is_filterable BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (category_id, attribute_id)
+);
+
+CREATE TABLE listings (
+  id UUID PRIMARY KEY,
+  title VARCHAR(500) NOT NULL,
+  description TEXT,
+  category_id UUID NOT NULL REFERENCES categories(id),
+  city_id UUID NOT NULL REFERENCES cities(id),
+  neighborhood_id UUID REFERENCES neighborhoods(id),
+  transaction_type_id UUID REFERENCES transaction_types(id),
+  office_id UUID,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  views INTEGER NOT NULL DEFAULT 0,
+  is_boosted BOOLEAN NOT NULL DEFAULT false,
+  priority INTEGER NOT NULL DEFAULT 0,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  created_at TIMESTAMP NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('arabic', title || ' ' || COALESCE(description, ''))
+  ) STORED
+);
+
+CREATE INDEX idx_listings_search_vector ON listings USING gin(search_vector);
+
+CREATE TABLE listing_attribute_values (
+  listing_id UUID NOT NULL REFERENCES listings(id),
+  attribute_id UUID NOT NULL REFERENCES listing_attributes(id),
+  value_number NUMERIC,
+  value_text TEXT,
+  value_boolean BOOLEAN,
+  unit_ar VARCHAR(50),
+  PRIMARY KEY (listing_id, attribute_id)
+);
+
+CREATE TABLE listing_images (
+  id SERIAL PRIMARY KEY,
+  listing_id UUID NOT NULL REFERENCES listings(id),
+  url TEXT NOT NULL,
+  is_main BOOLEAN NOT NULL DEFAULT false
+);
+
+-- ============================================================================
+-- CATEGORIES
+-- ============================================================================
+
+INSERT INTO categories (id, parent_id, slug, name_ar, name_en, level, path, sort_order) VALUES
+  ('10000000-0000-0000-0000-000000000001', NULL, 'vehicles', 'مركبات', 'Vehicles', 1, 'vehicles', 1),
+  ('10000000-0000-0000-0000-000000000002', '10000000-0000-0000-0000-000000000001', 'cars', 'سيارات', 'Cars', 2, 'vehicles/cars', 1),
+  ('10000000-0000-0000-0000-000000000003', '10000000-0000-0000-0000-000000000001', 'motorcycles', 'دراجات نارية', 'Motorcycles', 2, 'vehicles/motorcycles', 2),
+  ('10000000-0000-0000-0000-000000000004', NULL, 'real-estate', 'عقارات', 'Real Estate', 1, 'real-estate', 2),
+  ('10000000-0000-0000-0000-000000000005', '10000000-0000-0000-0000-000000000004', 'apartments', 'شقق', 'Apartments', 2, 'real-estate/apartments', 1),
+  ('10000000-0000-0000-0000-000000000006', '10000000-0000-0000-0000-000000000004', 'houses', 'بيوت', 'Houses', 2, 'real-estate/houses', 2),
+  ('10000000-0000-0000-0000-000000000007', '10000000-0000-0000-0000-000000000004', 'land', 'أراضي', 'Land', 2, 'real-estate/land', 3),
+  ('10000000-0000-0000-0000-000000000008', NULL, 'electronics', 'إلكترونيات', 'Electronics', 1, 'electronics', 3),
+  ('10000000-0000-0000-0000-000000000009', '10000000-0000-0000-0000-000000000008', 'mobile-phones', 'موبايلات', 'Mobile Phones', 2, 'electronics/mobile-phones', 1),
+  ('10000000-0000-0000-0000-000000000010', '10000000-0000-0000-0000-000000000008', 'laptops', 'لابتوبات', 'Laptops', 2, 'electronics/laptops', 2),
+  ('10000000-0000-0000-0000-000000000011', NULL, 'furniture', 'أثاث', 'Furniture', 1, 'furniture', 4),
+  ('10000000-0000-0000-0000-000000000012', '10000000-0000-0000-0000-000000000011', 'tables', 'طاولات', 'Tables', 2, 'furniture/tables', 1),
+  ('10000000-0000-0000-0000-000000000013', '10000000-0000-0000-0000-000000000011', 'sofas', 'كنبايات', 'Sofas', 2, 'furniture/sofas', 2),
+  ('10000000-0000-0000-0000-000000000014', NULL, 'services', 'خدمات', 'Services', 1, 'services', 5),
+  ('10000000-0000-0000-0000-000000000015', '10000000-0000-0000-0000-000000000014', 'software-development', 'برمجة وتطوير', 'Software Development', 2, 'services/software-development', 1),
+  ('10000000-0000-0000-0000-000000000016', NULL, 'jobs', 'وظائف', 'Jobs', 1, 'jobs', 6),
+  ('10000000-0000-0000-0000-000000000017', '10000000-0000-0000-0000-000000000016', 'it-jobs', 'وظائف تقنية', 'IT Jobs', 2, 'jobs/it-jobs', 1);
+
+INSERT INTO category_embeddings (category_id, keywords_ar, keywords_en) VALUES
+  ('10000000-0000-0000-0000-000000000002',
+    ARRAY['سيارة', 'سيارات', 'عربية', 'تويوتا', 'هيونداي', 'كيا', 'مرسيدس', 'بيجو'],
+    ARRAY['car', 'cars', 'toyota', 'hyundai', 'kia', 'mercedes']),
+  ('10000000-0000-0000-0000-000000000003',
+    ARRAY['موتور', 'موتورات', 'دراجة نارية'],
+    ARRAY['motorcycle', 'motorbike']),
+  ('10000000-0000-0000-0000-000000000005',
+    ARRAY['شقة', 'شقق', 'شقه', 'استديو'],
+    ARRAY['apartment', 'apartments', 'flat', 'studio']),
+  ('10000000-0000-0000-0000-000000000006',
+    ARRAY['بيت', 'بيوت', 'منزل', 'منازل', 'بيت عربي'],
+    ARRAY['house', 'houses', 'home']),
+  ('10000000-0000-0000-0000-000000000007',
+    ARRAY['ارض', 'أرض', 'اراضي', 'أراضي', 'دونم'],
+    ARRAY['land', 'plot']),
+  ('10000000-0000-0000-0000-000000000009',
+    ARRAY['موبايل', 'موبايلات', 'جوال', 'هاتف', 'ايفون', 'آيفون', 'سامسونج'],
+    ARRAY['mobile', 'phone', 'iphone', 'samsung']),
+  ('10000000-0000-0000-0000-000000000010',
+    ARRAY['لابتوب', 'لابتوبات', 'حاسوب محمول'],
+    ARRAY['laptop', 'notebook']),
+  ('10000000-0000-0000-0000-000000000012',
+    ARRAY['طاولة', 'طاولات', 'طربيزة', 'طربيزات', 'سفرة'],
+    ARRAY['table', 'tables', 'dining table']),
+  ('10000000-0000-0000-0000-000000000013',
+    ARRAY['كنبة', 'كنبايات', 'صوفا'],
+    ARRAY['sofa', 'couch']),
+  ('10000000-0000-0000-0000-000000000015',
+    ARRAY['برمجة', 'شركة برمجة', 'تطوير مواقع', 'تطبيقات'],
+    ARRAY['programming', 'software', 'web development']),
+  ('10000000-0000-0000-0000-000000000017',
+    ARRAY['مبرمج', 'مطور', 'مطور ويب'],
+    ARRAY['programmer', 'developer']);
+
+-- ============================================================================
+-- PLACES
+-- ============================================================================
+
+INSERT INTO cities (id, name_ar, name_en, province_ar, province_en, latitude, longitude) VALUES
+  ('20000000-0000-0000-0000-000000000001', 'دمشق', 'Damascus', 'دمشق', 'Damascus', 33.5138, 36.2765),
+  ('20000000-0000-0000-0000-000000000002', 'حلب', 'Aleppo', 'حلب', 'Aleppo', 36.2021, 37.1343),
+  ('20000000-0000-0000-0000-000000000003', 'حمص', 'Homs', 'حمص', 'Homs', 34.7324, 36.7137),
+  ('20000000-0000-0000-0000-000000000004', 'إدلب', 'Idlib', 'إدلب', 'Idlib', 35.9306, 36.6339),
+  ('20000000-0000-0000-0000-000000000005', 'اللاذقية', 'Latakia', 'اللاذقية', 'Latakia', 35.5317, 35.7901),
+  ('20000000-0000-0000-0000-000000000006', 'جرمانا', 'Jaramana', 'ريف دمشق', 'Rif Dimashq', 33.4862, 36.3468);
+
+INSERT INTO neighborhoods (id, city_id, name_ar, name_en) VALUES
+  ('30000000-0000-0000-0000-000000000001', '20000000-0000-0000-0000-000000000001', 'المزة', 'Mazzeh'),
+  ('30000000-0000-0000-0000-000000000002', '20000000-0000-0000-0000-000000000001', 'كفرسوسة', 'Kafr Sousa'),
+  ('30000000-0000-0000-0000-000000000003', '20000000-0000-0000-0000-000000000001', 'الشعلان', 'Shaalan'),
+  ('30000000-0000-0000-0000-000000000004', '20000000-0000-0000-0000-000000000002', 'الحمدانية', 'Hamdaniyeh'),
+  ('30000000-0000-0000-0000-000000000005', '20000000-0000-0000-0000-000000000002', 'الفرقان', 'Furqan'),
+  ('30000000-0000-0000-0000-000000000006', '20000000-0000-0000-0000-000000000003', 'الوعر', 'Waer'),
+  ('30000000-0000-0000-0000-000000000007', '20000000-0000-0000-0000-000000000003', 'الإنشاءات', 'Inshaat');
+
+INSERT INTO transaction_types (id, slug, name_ar, name_en) VALUES
+  ('40000000-0000-0000-0000-000000000001', 'for-sale', 'للبيع', 'For Sale'),
+  ('40000000-0000-0000-0000-000000000002', 'for-rent-monthly', 'للإيجار الشهري', 'Monthly Rent'),
+  ('40000000-0000-0000-0000-000000000003', 'for-rent-daily', 'للإيجار اليومي', 'Daily Rent'),
+  ('40000000-0000-0000-0000-000000000004', 'for-rent-yearly', 'للإيجار السنوي', 'Yearly Rent'),
+  ('40000000-0000-0000-0000-000000000005', 'for-exchange', 'للتبادل', 'For Exchange'),
+  ('40000000-0000-0000-0000-000000000006', 'service-requested', 'مطلوب', 'Wanted'),
+  ('40000000-0000-0000-0000-000000000007', 'service-offered', 'خدمة متاحة', 'Service Offered'),
+  ('40000000-0000-0000-0000-000000000008', 'job-posting', 'إعلان وظيفة', 'Job Posting'),
+  ('40000000-0000-0000-0000-000000000009', 'job-seeking', 'باحث عن عمل', 'Job Seeking');
+
+-- ============================================================================
+-- ATTRIBUTES
+-- ============================================================================
+
+INSERT INTO listing_attributes (id, slug, type, name_ar, name_en, unit_ar, unit_en, options, min_value, max_value) VALUES
+  ('50000000-0000-0000-0000-000000000001', 'price', 'number', 'السعر', 'Price', NULL, NULL, NULL, 0, NULL),
+  ('50000000-0000-0000-0000-000000000002', 'year', 'number', 'سنة الصنع', 'Year', NULL, NULL, NULL, 1970, 2030),
+  ('50000000-0000-0000-0000-000000000003', 'rooms', 'number', 'عدد الغرف', 'Rooms', 'غرف', 'rooms', NULL, 1, 20),
+  ('50000000-0000-0000-0000-000000000004', 'area', 'number', 'المساحة', 'Area', 'متر', 'sqm', NULL, 1, NULL),
+  ('50000000-0000-0000-0000-000000000005', 'mileage', 'number', 'المسافة المقطوعة', 'Mileage', 'كم', 'km', NULL, 0, NULL),
+  ('50000000-0000-0000-0000-000000000006', 'condition', 'select', 'الحالة', 'Condition', NULL, NULL,
+    '[{"value": "new", "label_ar": "جديد", "label_en": "New"}, {"value": "used", "label_ar": "مستعمل", "label_en": "Used"}]', NULL, NULL),
+  ('50000000-0000-0000-0000-000000000007', 'brand', 'select', 'الماركة', 'Brand', NULL, NULL,
+    '[{"value": "Toyota", "label_ar": "تويوتا"}, {"value": "Hyundai", "label_ar": "هيونداي"}, {"value": "Kia", "label_ar": "كيا"}, {"value": "Mercedes", "label_ar": "مرسيدس"}, {"value": "Peugeot", "label_ar": "بيجو"}, {"value": "Samsung", "label_ar": "سامسونج"}, {"value": "Apple", "label_ar": "ابل", "aliases": ["ايفون", "iphone"]}]', NULL, NULL),
+  ('50000000-0000-0000-0000-000000000008', 'furnished', 'boolean', 'مفروشة', 'Furnished', NULL, NULL, NULL, NULL, NULL);
+
+INSERT INTO category_attributes (category_id, attribute_id, sort_order)
+SELECT c.id::uuid, a.id::uuid, a.sort_order
+FROM (VALUES
+  ('10000000-0000-0000-0000-000000000002', ARRAY['price', 'year', 'mileage', 'condition', 'brand']),
+  ('10000000-0000-0000-0000-000000000005', ARRAY['price', 'rooms', 'area', 'furnished']),
+  ('10000000-0000-0000-0000-000000000006', ARRAY['price', 'rooms', 'area']),
+  ('10000000-0000-0000-0000-000000000007', ARRAY['price', 'area']),
+  ('10000000-0000-0000-0000-000000000009', ARRAY['price', 'condition', 'brand']),
+  ('10000000-0000-0000-0000-000000000010', ARRAY['price', 'condition'])
+) AS c(id, slugs)
+CROSS JOIN LATERAL (
+  SELECT la.id, s.position AS sort_order
+  FROM unnest(c.slugs) WITH ORDINALITY AS s(slug, position)
+  JOIN listing_attributes la ON la.slug = s.slug
+) a;
+
+-- ============================================================================
+-- LISTINGS
+-- ============================================================================
+
+INSERT INTO listings (id, title, description, category_id, city_id, neighborhood_id, transaction_type_id, views, created_at)
+SELECT
+  ('60000000-0000-0000-0000-0000000000' || v.n)::uuid,
+  v.title,
+  v.description,
+  ('10000000-0000-0000-0000-0000000000' || v.category)::uuid,
+  ('20000000-0000-0000-0000-0000000000' || v.city)::uuid,
+  CASE WHEN v.neighborhood IS NULL THEN NULL ELSE ('30000000-0000-0000-0000-0000000000' || v.neighborhood)::uuid END,
+  ('40000000-0000-0000-0000-0000000000' || v.transaction)::uuid,
+  v.views,
+  TIMESTAMP '2026-09-01 10:00' + (v.n::int * INTERVAL '1 hour')
+FROM (VALUES
+  -- Cars
+  ('01', 'تويوتا كامري 2016 للبيع', 'سيارة تويوتا كامري موديل 2016 فحص كامل، صيانة وكالة', '02', '01', NULL, '01', 320),
+  ('02', 'تويوتا كورولا 2012 بحالة ممتازة', 'سيارة تويوتا كورولا أوتوماتيك، لون أبيض، بالمزة', '02', '01', '01', '01', 210),
+  ('03', 'سيارة تويوتا راف فور 2010', 'راف فور دفع رباعي، مستعملة نظيفة', '02', '02', '04', '01', 150),
+  ('04', 'هيونداي توسان 2015', 'سيارة هيونداي توسان موديل 2015 ماشية 90 الف كم', '02', '01', NULL, '01', 280),
+  ('05', 'هيونداي النترا 2015 للبيع', 'سيارة هيونداي النترا موديل 2015 بحالة جيدة', '02', '03', '06', '01', 190),
+  ('06', 'هيونداي اكسنت 2011 بسعر مغري', 'سيارة هيونداي اكسنت، أرخص سعر بحلب', '02', '02', '05', '01', 175),
+  ('07', 'كيا سيراتو 2015', 'سيارة كيا سيراتو موديل 2015 فل أوبشن', '02', '01', '02', '01', 160),
+  ('08', 'سيارة كيا ريو 2013', 'كيا ريو اقتصادية بإدلب', '02', '04', NULL, '01', 90),
+  ('09', 'بيجو 405 موديل 2008', 'سيارة بيجو 405 بحالة مقبولة، إدلب', '02', '04', NULL, '01', 70),
+  ('10', 'سيارة مرسيدس بنز 2005', 'مرسيدس E200 موديل 2005 بحلب', '02', '02', '04', '01', 240),
+  ('37', 'Kia Sportage 2018 used', 'كيا سبورتاج 2018 مستعملة، Aleppo, clean used car', '02', '02', '04', '01', 130),
+  ('38', 'تويوتا يارس 2018 مستعملة', 'سيارة تويوتا يارس 2018 بحلب', '02', '02', '05', '01', 120),
+  ('41', 'دراجة نارية هوندا 2019', 'موتور هوندا 150 سي سي بدمشق', '03', '01', NULL, '01', 60),
+  -- Apartments
+  ('11', 'شقة 3 غرف للإيجار في المزة', 'شقة ثلاث غرف نوم وصالون للإيجار الشهري، طابق ثالث', '05', '01', '01', '02', 400),
+  ('12', 'شقة للإيجار بكفرسوسة غرفتين', 'شقة غرفتين وصالون للإيجار، إكساء جديد', '05', '01', '02', '02', 260),
+  ('13', 'شقة 3 غرف للبيع في الشعلان', 'شقة ثلاث غرف للبيع، طابق أول', '05', '01', '03', '01', 300),
+  ('15', 'شقة غرفتين بالوعر', 'شقة غرفتين للبيع بحمص، حي الوعر', '05', '03', '06', '01', 140),
+  ('16', 'شقة غرفتين وصالون للإيجار', 'شقة غرفتين بحمص الإنشاءات للإيجار الشهري', '05', '03', '07', '02', 110),
+  ('17', 'شقة 4 غرف بالإنشاءات', 'شقة أربع غرف واسعة بحمص', '05', '03', '07', '01', 95),
+  ('39', 'Furnished apartment for rent in Mazzeh', 'شقة مفروشة للإيجار بالمزة، apartment for rent, Damascus', '05', '01', '01', '02', 180),
+  -- Houses
+  ('18', 'بيت عربي للبيع بحمص', 'بيت عربي بحمص القديمة، ثلاث غرف وأرض ديار', '06', '03', NULL, '01', 150),
+  ('19', 'بيت مستقل مع حديقة', 'بيت مستقل طابقين مع حديقة بحمص', '06', '03', '06', '01', 130),
+  ('20', 'منزل طابقين بحمص القديمة', 'منزل طابقين بحمص، مناسب لعائلتين', '06', '03', NULL, '01', 120),
+  -- Land
+  ('21', 'ارض 500 متر للبيع بريف دمشق', 'أرض سكنية مساحة 500 متر مربع بجرمانا', '07', '06', NULL, '01', 200),
+  ('22', 'ارض زراعية 2 دونم', 'أرض زراعية مع بئر ماء باللاذقية', '07', '05', NULL, '01', 80),
+  ('23', 'ارض سكنية 450 متر', 'أرض سكنية مفرزة للبيع بحمص', '07', '03', NULL, '01', 100),
+  -- Phones
+  ('24', 'موبايل سامسونج جالاكسي S21 مستعمل', 'سامسونج S21 مستعمل نظيف مع الشاحن', '09', '01', NULL, '01', 350),
+  ('25', 'سامسونج A52 نظيف', 'موبايل سامسونج A52 مستعمل سنة، بدون خدوش', '09', '02', NULL, '01', 210),
+  ('26', 'ايفون 12 مستعمل', 'ايفون 12 ذاكرة 128 مستعمل، بطارية 88%', '09', '01', NULL, '01', 500),
+  ('27', 'سامسونج S23 جديد بالكرتونة', 'موبايل سامسونج S23 جديد غير مستعمل', '09', '01', NULL, '01', 260),
+  ('28', 'ايفون 11 مستعمل بسعر مناسب', 'ايفون 11 مستعمل بحالة جيدة وسعر معقول', '09', '03', NULL, '01', 300),
+  ('29', 'ايفون 15 برو ماكس جديد', 'ايفون 15 برو ماكس جديد مسكر', '09', '01', NULL, '01', 450),
+  ('40', 'لابتوب ديل مستعمل', 'لابتوب ديل i5 مستعمل بحالة ممتازة', '10', '01', NULL, '01', 140),
+  -- Furniture
+  ('30', 'طربيزة سفرة خشب مع 6 كراسي', 'طربيزة سفرة خشب زان مع ستة كراسي', '12', '01', NULL, '01', 90),
+  ('31', 'طاولة قهوة زجاج', 'طاولة وسط زجاج وخشب', '12', '02', NULL, '01', 60),
+  ('42', 'كنبة زاوية مستعملة', 'كنبة زاوية قماش مع طربيزة صغيرة هدية', '13', '01', NULL, '01', 75),
+  -- Services and jobs
+  ('32', 'شركة برمجة وتطوير مواقع وتطبيقات', 'شركة برمجة تقدم تصميم مواقع وتطبيقات موبايل وأنظمة إدارة', '15', '01', NULL, '07', 120),
+  ('33', 'برمجة تطبيقات موبايل', 'مبرمج مستقل لبرمجة تطبيقات أندرويد وايفون', '15', '02', NULL, '07', 85),
+  ('34', 'مطلوب مبرمج PHP في دمشق', 'شركة برمجيات بدمشق تطلب مبرمج PHP خبرة سنتين', '17', '01', NULL, '08', 220),
+  ('35', 'وظيفة مطور ويب - دوام كامل', 'فرصة عمل مطور ويب ومبرمج واجهات بدمشق', '17', '01', '03', '08', 190),
+  ('36', 'مبرمج React يبحث عن عمل', 'مبرمج React خبرة ثلاث سنوات يبحث عن وظيفة بحلب', '17', '02', NULL, '09', 40)
+) AS v(n, title, description, category, city, neighborhood, transaction, views);
+
+INSERT INTO listing_attribute_values (listing_id, attribute_id, value_number, value_text, value_boolean, unit_ar)
+SELECT
+  ('60000000-0000-0000-0000-0000000000' || v.n)::uuid,
+  la.id,
+  v.value_number,
+  v.value_text,
+  v.value_boolean,
+  v.unit_ar
+FROM (VALUES
+  ('01', 'price', 120000000, NULL, NULL, 'SYP'), ('01', 'year', 2016, NULL, NULL, NULL), ('01', 'brand', NULL, 'Toyota', NULL, NULL), ('01', 'condition', NULL, 'used', NULL, NULL),
+  ('02', 'price', 95000000, NULL, NULL, 'SYP'), ('02', 'year', 2012, NULL, NULL, NULL), ('02', 'brand', NULL, 'Toyota', NULL, NULL), ('02', 'condition', NULL, 'used', NULL, NULL),
+  ('03', 'price', 110000000, NULL, NULL, 'SYP'), ('03', 'year', 2010, NULL, NULL, NULL), ('03', 'brand', NULL, 'Toyota', NULL, NULL), ('03', 'condition', NULL, 'used', NULL, NULL),
+  ('04', 'price', 85000000, NULL, NULL, 'SYP'), ('04', 'year', 2015, NULL, NULL, NULL), ('04', 'brand', NULL, 'Hyundai', NULL, NULL), ('04', 'mileage', 90000, NULL, NULL, NULL),
+  ('05', 'price', 70000000, NULL, NULL, 'SYP'), ('05', 'year', 2015, NULL, NULL, NULL), ('05', 'brand', NULL, 'Hyundai', NULL, NULL),
+  ('06', 'price', 45000000, NULL, NULL, 'SYP'), ('06', 'year', 2011, NULL, NULL, NULL), ('06', 'brand', NULL, 'Hyundai', NULL, NULL),
+  ('07', 'price', 80000000, NULL, NULL, 'SYP'), ('07', 'year', 2015, NULL, NULL, NULL), ('07', 'brand', NULL, 'Kia', NULL, NULL),
+  ('08', 'price', 55000000, NULL, NULL, 'SYP'), ('08', 'year', 2013, NULL, NULL, NULL), ('08', 'brand', NULL, 'Kia', NULL, NULL),
+  ('09', 'price', 30000000, NULL, NULL, 'SYP'), ('09', 'year', 2008, NULL, NULL, NULL), ('09', 'brand', NULL, 'Peugeot', NULL, NULL),
+  ('10', 'price', 60000000, NULL, NULL, 'SYP'), ('10', 'year', 2005, NULL, NULL, NULL), ('10', 'brand', NULL, 'Mercedes', NULL, NULL),
+  ('37', 'price', 14000, NULL, NULL, 'USD'), ('37', 'year', 2018, NULL, NULL, NULL), ('37', 'brand', NULL, 'Kia', NULL, NULL), ('37', 'condition', NULL, 'used', NULL, NULL),
+  ('38', 'price', 130000000, NULL, NULL, 'SYP'), ('38', 'year', 2018, NULL, NULL, NULL), ('38', 'brand', NULL, 'Toyota', NULL, NULL), ('38', 'condition', NULL, 'used', NULL, NULL),
+  ('11', 'price', 1500000, NULL, NULL, 'SYP'), ('11', 'rooms', 3, NULL, NULL, NULL), ('11', 'area', 120, NULL, NULL, NULL),
+  ('12', 'price', 1100000, NULL, NULL, 'SYP'), ('12', 'rooms', 2, NULL, NULL, NULL), ('12', 'area', 90, NULL, NULL, NULL),
+  ('13', 'price', 450000000, NULL, NULL, 'SYP'), ('13', 'rooms', 3, NULL, NULL, NULL), ('13', 'area', 130, NULL, NULL, NULL),
+  ('15', 'price', 90000000, NULL, NULL, 'SYP'), ('15', 'rooms', 2, NULL, NULL, NULL),
+  ('16', 'price', 600000, NULL, NULL, 'SYP'), ('16', 'rooms', 2, NULL, NULL, NULL),
+  ('17', 'price', 140000000, NULL, NULL, 'SYP'), ('17', 'rooms', 4, NULL, NULL, NULL),
+  ('39', 'price', 300, NULL, NULL, 'USD'), ('39', 'rooms', 2, NULL, NULL, NULL), ('39', 'furnished', NULL, NULL, true, NULL),
+  ('18', 'price', 150000000, NULL, NULL, 'SYP'), ('18', 'rooms', 3, NULL, NULL, NULL),
+  ('19', 'price', 350000000, NULL, NULL, 'SYP'), ('19', 'rooms', 5, NULL, NULL, NULL),
+  ('20', 'price', 180000000, NULL, NULL, 'SYP'), ('20', 'rooms', 4, NULL, NULL, NULL),
+  ('21', 'price', 250000000, NULL, NULL, 'SYP'), ('21', 'area', 500, NULL, NULL, NULL),
+  ('22', 'price', 100000000, NULL, NULL, 'SYP'), ('22', 'area', 2000, NULL, NULL, NULL),
+  ('23', 'price', 200000000, NULL, NULL, 'SYP'), ('23', 'area', 450, NULL, NULL, NULL),
+  ('24', 'price', 3500000, NULL, NULL, 'SYP'), ('24', 'condition', NULL, 'used', NULL, NULL), ('24', 'brand', NULL, 'Samsung', NULL, NULL),
+  ('25', 'price', 2000000, NULL, NULL, 'SYP'), ('25', 'condition', NULL, 'used', NULL, NULL), ('25', 'brand', NULL, 'Samsung', NULL, NULL),
+  ('26', 'price', 4500000, NULL, NULL, 'SYP'), ('26', 'condition', NULL, 'used', NULL, NULL), ('26', 'brand', NULL, 'Apple', NULL, NULL),
+  ('27', 'price', 9000000, NULL, NULL, 'SYP'), ('27', 'condition', NULL, 'new', NULL, NULL), ('27', 'brand', NULL, 'Samsung', NULL, NULL),
+  ('28', 'price', 3000000, NULL, NULL, 'SYP'), ('28', 'condition', NULL, 'used', NULL, NULL), ('28', 'brand', NULL, 'Apple', NULL, NULL),
+  ('29', 'price', 16000000, NULL, NULL, 'SYP'), ('29', 'condition', NULL, 'new', NULL, NULL), ('29', 'brand', NULL, 'Apple', NULL, NULL),
+  ('40', 'price', 3000000, NULL, NULL, 'SYP'), ('40', 'condition', NULL, 'used', NULL, NULL)
+) AS v(n, slug, value_number, value_text, value_boolean, unit_ar)
+JOIN listing_attributes la ON la.slug = v.slug;
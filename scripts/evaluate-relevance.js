@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Search relevance evaluation against a golden query set
+ * Run: npm run eval:relevance -- [--golden=path] [--baseline=path] [--k=10] [--update-baseline]
+ *
+ * Requires EVAL_DATABASE_URL pointing at the fixture database (evaluation/fixtures) —
+ * it never falls back to MCP_DATABASE_URL, so a run can't touch production data.
+ * Caches and search analytics are disabled so every run measures the current code
+ * and leaves no rows behind.
+ */
+
+require('dotenv').config();
+
+if (!process.env.EVAL_DATABASE_URL) {
+  console.error('❌ EVAL_DATABASE_URL is not set — point it at the fixture database (see evaluation/README.md)');
+  process.exit(1);
+}
+
+process.env.MCP_DATABASE_URL = process.env.EVAL_DATABASE_URL;
+process.env.DISABLE_CACHE = 'true';
+process.env.SEARCH_ANALYTICS_ENABLED = 'false';
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../src/config/database');
+const openAIConfig = require('../src/config/openai');
+const mcpAgent = require('../src/services/mcp/MCPAgent');
+const relevanceEvaluator = require('../src/services/evaluation/RelevanceEvaluator');
+
+const EVAL_DIR = path.join(__dirname, '..', 'evaluation');
+
+function parseArgs(argv) {
+  const args = {
+    golden: path.join(EVAL_DIR, 'golden', 'v1.json'),
+    baseline: null,
+    k: null,
+    updateBaseline: false,
+    tolerance: 0.01
+  };
+
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'golden') args.golden = path.resolve(value);
+    if (key === 'baseline') args.baseline = path.resolve(value);
+    if (key === 'k') args.k = parseInt(value);
+    if (key === 'tolerance') args.tolerance = parseFloat(value);
+    if (key === 'update-baseline') args.updateBaseline = true;
+  });
+
+  // Baselines are stored per golden set file: golden/v1.json → baselines/v1.json
+  if (!args.baseline) {
+    args.baseline = path.join(EVAL_DIR, 'baselines', path.basename(args.golden));
+  }
+
+  return args;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '   n/a' : value.toFixed(3).padStart(6);
+}
+
+function printSummary(report) {
+  const { summary } = report;
+
+  console.log(`\n📊 Golden set v${report.goldenSet.version} — ${summary.queries} queries (${summary.judgedQueries} judged, ${summary.errors} errors), k=${report.k}`);
+  console.log('='.repeat(70));
+  console.log(`Parse accuracy (overall)   ${formatValue(summary.parseAccuracy.overall)}`);
+  console.log(`  category                 ${formatValue(summary.parseAccuracy.category)}`);
+  console.log(`  location                 ${formatValue(summary.parseAccuracy.location)}`);
+  console.log(`  transactionType          ${formatValue(summary.parseAccuracy.transactionType)}`);
+  console.log(`  attributes               ${formatValue(summary.parseAccuracy.attributes)}`);
+  console.log(`Precision@${report.k}`.padEnd(27) + formatValue(summary.precisionAtK));
+  console.log(`MRR                        ${formatValue(summary.mrr)}`);
+  console.log(`nDCG@${report.k}`.padEnd(27) + formatValue(summary.ndcg));
+
+  const wrong = report.queries.filter(q => q.error || (q.parse && q.parse.correct < q.parse.total));
+  if (wrong.length > 0) {
+    console.log('\n❌ Queries with parse errors:');
+    wrong.forEach(q => {
+      if (q.error) {
+        console.log(`  ${q.id} "${q.query}" — ${q.error}`);
+        return;
+      }
+      Object.entries(q.parse.fields)
+        .filter(([, field]) => !field.correct)
+        .forEach(([name, field]) => {
+          console.log(`  ${q.id} "${q.query}" — ${name}: expected ${JSON.stringify(field.expected)}, got ${JSON.stringify(field.actual)}`);
+        });
+    });
+  }
+}
+
+function printDiff(diff) {
+  console.log('\n🔁 Compared to baseline');
+  console.log('='.repeat(70));
+  diff.metrics.forEach(metric => {
+    const delta = metric.delta === null ? '' : `${metric.delta >= 0 ? '+' : ''}${metric.delta.toFixed(3)}`;
+    console.log(`${metric.name.padEnd(27)}${formatValue(metric.baseline)} → ${formatValue(metric.current)}  ${delta}`);
+  });
+
+  diff.queries.forEach(q => {
+    console.log(`  ${q.id}: ${q.change}${q.details ? ' — ' + q.details.join('; ') : ''}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let exitCode = 0;
+
+  try {
+    await database.connect();
+    openAIConfig.initialize();
+    await mcpAgent.initialize();
+
+    const goldenSet = relevanceEvaluator.loadGoldenSet(args.golden);
+    const report = await relevanceEvaluator.run(goldenSet, { k: args.k });
+
+    printSummary(report);
+
+    // Keep every run for later inspection
+    const reportsDir = path.join(EVAL_DIR, 'reports');
+    fs.mkdirSync(reportsDir, { recursive: true });
+    const reportPath = path.join(reportsDir, `${path.basename(args.golden, '.json')}-${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Report saved: ${path.relative(process.cwd(), reportPath)}`);
+
+    if (args.updateBaseline) {
+      fs.mkdirSync(path.dirname(args.baseline), { recursive: true });
+      fs.writeFileSync(args.baseline, JSON.stringify(report, null, 2));
+      console.log(`✅ Baseline updated: ${path.relative(process.cwd(), args.baseline)}`);
+    } else if (fs.existsSync(args.baseline)) {
+      const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+      const diff = relevanceEvaluator.compareToBaseline(report, baseline, args.tolerance);
+      printDiff(diff);
+
+      if (diff.regressions.length > 0) {
+        console.log(`\n❌ ${diff.regressions.length} metric(s) regressed by more than ${args.tolerance}`);
+        exitCode = 1;
+      } else {
+        console.log('\n✅ No regressions against baseline');
+      }
+    } else {
+      console.log(`\nℹ️  No baseline at ${path.relative(process.cwd(), args.baseline)} — run with --update-baseline to create one`);
+    }
+  } catch (error) {
+    console.error('\n❌ Evaluation failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await database.close();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
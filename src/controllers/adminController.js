@@ -0,0 +1,63 @@
+const searchAnalytics = require('../services/analytics/SearchAnalyticsService');
+const responseFormatter = require('../utils/responseFormatter');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Read report options from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} Report options
+ */
+function getReportOptions(query) {
+  return {
+    days: parseInt(query.days || 7),
+    limit: parseInt(query.limit || 50),
+    interval: query.interval || 'day',
+    source: query.source || null
+  };
+}
+
+/**
+ * Most searched queries
+ * GET /api/admin/analytics/top-queries
+ */
+exports.topQueries = asyncHandler(async (req, res) => {
+  const options = getReportOptions(req.query);
+  const queries = await searchAnalytics.getTopQueries(options);
+
+  res.json(responseFormatter.success({ queries }, { days: options.days, source: options.source }));
+});
+
+/**
+ * Queries that returned no results
+ * GET /api/admin/analytics/zero-results
+ */
+exports.zeroResultQueries = asyncHandler(async (req, res) => {
+  const options = getReportOptions(req.query);
+  const queries = await searchAnalytics.getZeroResultQueries(options);
+
+  res.json(responseFormatter.success({ queries }, { days: options.days, source: options.source }));
+});
+
+/**
+ * Parse tier distribution over time
+ * GET /api/admin/analytics/tiers
+ */
+exports.tierDistribution = asyncHandler(async (req, res) => {
+  const options = getReportOptions(req.query);
+  const buckets = await searchAnalytics.getTierDistribution(options);
+
+  res.json(responseFormatter.success({ buckets }, { days: options.days, interval: options.interval }));
+});
+
+/**
+ * Search volume per source over time
+ * GET /api/admin/analytics/sources
+ */
+exports.sourceVolume = asyncHandler(async (req, res) => {
+  const options = getReportOptions(req.query);
+  const buckets = await searchAnalytics.getSourceVolume(options);
+
+  res.json(responseFormatter.success({ buckets }, { days: options.days, interval: options.interval }));
+});
+
+module.exports = exports;
@@ -1,7 +1,7 @@
 const searchService = require('../services/search/SearchService');
 const mcpAgent = require('../services/mcp/MCPAgent');
-const openAIService = require('../services/ai/OpenAIService');
-const intentService = require('../services/intent/IntentService');
+const intentRouter = require('../services/intent/IntentRouter');
+const autocompleteService = require('../services/search/AutocompleteService');
 const responseFormatter = require('../utils/responseFormatter');
 const { asyncHandler } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
@@ -18,7 +18,12 @@ exports.search = asyncHandler(async (req, res) => {
     source = 'api',
     userId,
     page = 1,
+    cursor,
     limit = 10,
+    sort,
+    near,
+    facets = false,
+    debug = false,
     filters = {}
   } = req.body;
 
@@ -42,112 +47,31 @@ exports.search = asyncHandler(async (req, res) => {
     );
   }
 
-  // Detect user intent
-  const intent = await openAIService.detectIntent(query, language);
-
-  logger.info('Intent detected', {
-    original: query.substring(0, 50),
-    intent: intent.intent
+  const response = await intentRouter.route(query, {
+    language,
+    source,
+    userId,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    search: { cursor, sort, near, facets, debug, filters }
   });
 
-  // Route based on intent
-  let results;
-
-  switch (intent.intent) {
-    case 'search':
-      // Perform listing search
-      if (!intent.query) {
-        return res.status(400).json(
-          responseFormatter.error('No search query found in the request', 400)
-        );
-      }
-
-      results = await searchService.search({
-        query: intent.query,
-        language,
-        source,
-        userId,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        filters
-      });
-      break;
-
-    case 'most_viewed':
-      results = await intentService.getMostViewedListings(
-        intent.limit || parseInt(limit),
-        language
-      );
-      break;
-
-    case 'most_impressioned':
-      results = await intentService.getMostImpressionedListings(
-        intent.limit || parseInt(limit),
-        language
-      );
-      break;
-
-    case 'get_offices':
-      results = await intentService.getOffices(
-        intent.limit || parseInt(limit),
-        language
-      );
-      break;
-
-    case 'get_office_details':
-      if (!intent.officeId) {
-        return res.status(400).json(
-          responseFormatter.error(
-            language === 'ar'
-              ? 'يرجى تحديد رقم أو اسم المكتب'
-              : 'Please specify office ID or name',
-            400
-          )
-        );
-      }
-      results = await intentService.getOfficeDetails(intent.officeId, language);
-      if (!results.success) {
-        return res.status(404).json(responseFormatter.error(results.error, 404));
-      }
-      break;
-
-    case 'get_office_listings':
-      if (!intent.officeId) {
-        return res.status(400).json(
-          responseFormatter.error(
-            language === 'ar'
-              ? 'يرجى تحديد رقم أو اسم المكتب'
-              : 'Please specify office ID or name',
-            400
-          )
-        );
-      }
-      results = await intentService.getOfficeListings(
-        intent.officeId,
-        intent.limit || parseInt(limit),
-        language
-      );
-      if (!results.success) {
-        return res.status(404).json(responseFormatter.error(results.error, 404));
-      }
-      break;
-
-    case 'greeting':
-      results = intentService.getGreetingMessage(language);
-      break;
-
-    case 'help':
-      results = intentService.getHelpMessage(language);
-      break;
-
-    default:
-      return res.status(400).json(
-        responseFormatter.error('Unknown intent type', 400)
-      );
+  res.status(response.type === 'error' ? response.status : 200).json(renderIntentResponse(response));
+});
+
+/**
+ * Render an intent router response as the REST payload
+ * Search returns the search response as is; other intents return their IntentService response
+ * @param {Object} response - IntentRouter response
+ * @returns {Object} JSON body
+ */
+function renderIntentResponse(response) {
+  if (response.type === 'error') {
+    return responseFormatter.intentError(response);
   }
 
-  res.json(results);
-});
+  return response.results;
+}
 
 /**
  * Analyze query endpoint (without performing search)
@@ -178,16 +102,34 @@ exports.analyze = asyncHandler(async (req, res) => {
  */
 exports.searchByCategory = asyncHandler(async (req, res) => {
   const { categoryId } = req.params;
-  const { page = 1, limit = 10, ...filters } = req.query;
+  const { page = 1, limit = 10, sort = 'relevance', ...filters } = req.query;
 
   const results = await searchService.searchByCategory(
     categoryId,
     filters,
     parseInt(page),
-    parseInt(limit)
+    parseInt(limit),
+    sort
   );
 
   res.json(responseFormatter.success({ listings: results }));
 });
 
+/**
+ * Autocomplete the search box
+ * GET /api/search/autocomplete?q=&language=&limit=
+ */
+exports.autocomplete = asyncHandler(async (req, res) => {
+  const { q, language = 'ar', limit = 8 } = req.query;
+
+  const suggestions = await autocompleteService.suggest(q, {
+    language,
+    limit: parseInt(limit)
+  });
+
+  // Short browser cache: the same prefix is typed again while editing
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json(responseFormatter.success({ query: q, suggestions }));
+});
+
 module.exports = exports;
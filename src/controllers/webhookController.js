@@ -1,6 +1,8 @@
 const { asyncHandler } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const telegramBot = require('../services/messaging/TelegramBot');
+const whatsAppBot = require('../services/messaging/WhatsAppBot');
+const crypto = require('crypto');
 
 /**
  * Webhook Controller
@@ -33,15 +35,53 @@ exports.telegram = asyncHandler(async (req, res) => {
  * POST /api/webhooks/whatsapp
  */
 exports.whatsapp = asyncHandler(async (req, res) => {
-  logger.info('WhatsApp webhook received', { body: req.body });
+  logger.info('WhatsApp webhook received', {
+    object: req.body.object,
+    entries: req.body.entry?.length || 0
+  });
+
+  // Verify Meta signature when an app secret is configured
+  if (process.env.WHATSAPP_APP_SECRET && !isValidWhatsAppSignature(req)) {
+    logger.warn('Invalid WhatsApp webhook signature', { ip: req.ip });
+    return res.sendStatus(403);
+  }
 
-  // TODO: Implement WhatsApp webhook handling
+  // Acknowledge immediately - Meta retries if we take too long to answer
   res.status(200).json({
     success: true,
-    message: 'WhatsApp webhook endpoint ready for implementation'
+    message: 'WhatsApp webhook received'
+  });
+
+  // Process messages in the background
+  whatsAppBot.handleWebhook(req.body).catch(error => {
+    logger.error('WhatsApp webhook processing error:', error);
   });
 });
 
+/**
+ * Validate X-Hub-Signature-256 header against the raw request body
+ * @param {Object} req - Express request
+ * @returns {boolean} True if signature matches
+ */
+function isValidWhatsAppSignature(req) {
+  const signature = req.get('x-hub-signature-256');
+
+  if (!signature || !req.rawBody) {
+    return false;
+  }
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', process.env.WHATSAPP_APP_SECRET)
+    .update(req.rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
 /**
  * WhatsApp verification (for Meta webhook setup)
  * GET /api/webhooks/whatsapp
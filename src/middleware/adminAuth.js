@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Admin authentication middleware
+ * Requires the X-Admin-Key header to match ADMIN_API_KEY.
+ * Admin endpoints are disabled while ADMIN_API_KEY is not set.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    throw new AppError('Admin API is disabled', 503);
+  }
+
+  const expectedBuffer = Buffer.from(adminKey);
+  const keyBuffer = Buffer.from(req.get('x-admin-key') || '');
+
+  const valid = expectedBuffer.length === keyBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, keyBuffer);
+
+  if (!valid) {
+    logger.warn('Rejected admin request', { ip: req.ip, path: req.originalUrl });
+    throw new AppError('Unauthorized', 401);
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
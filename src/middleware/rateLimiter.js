@@ -25,8 +25,8 @@ const apiLimiter = rateLimit({
     });
   },
   skip: (req) => {
-    // Skip rate limiting for health check
-    return req.path === '/api/health';
+    // Skip rate limiting for health check; autocomplete has its own limiter
+    return req.path === '/api/health' || req.originalUrl.startsWith('/api/search/autocomplete');
   }
 });
 
@@ -54,7 +54,31 @@ const strictLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for autocomplete (one request per keystroke)
+ */
+const autocompleteLimiter = rateLimit({
+  windowMs: 60000, // 1 minute
+  max: parseInt(process.env.AUTOCOMPLETE_RATE_LIMIT_MAX || '120'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Autocomplete rate limit exceeded', {
+      ip: req.ip
+    });
+
+    res.status(429).json({
+      success: false,
+      error: {
+        message: 'Too many requests, please slow down',
+        statusCode: 429
+      }
+    });
+  }
+});
+
 module.exports = {
   apiLimiter,
-  strictLimiter
+  strictLimiter,
+  autocompleteLimiter
 };
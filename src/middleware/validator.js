@@ -1,5 +1,7 @@
 const { body, query, param, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errorHandler');
+const SortBuilder = require('../services/search/SortBuilder');
+const GeoDistance = require('../utils/geoDistance');
 
 /**
  * Validation middleware
@@ -45,10 +47,43 @@ const validateSearch = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Page must be between 1 and 100'),
+  body('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Invalid cursor'),
   body('limit')
     .optional()
     .isInt({ min: 1, max: 50 })
     .withMessage('Limit must be between 1 and 50'),
+  body('sort')
+    .optional()
+    .isIn(SortBuilder.OPTIONS)
+    .withMessage(`Sort must be one of: ${SortBuilder.OPTIONS.join(', ')}`),
+  body('near')
+    .optional()
+    .isObject()
+    .withMessage('Near must be an object with lat, lng and radiusKm'),
+  body('near.lat')
+    .if(body('near').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('near.lat must be between -90 and 90'),
+  body('near.lng')
+    .if(body('near').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('near.lng must be between -180 and 180'),
+  body('near.radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: GeoDistance.MAX_RADIUS_KM })
+    .withMessage(`near.radiusKm must be greater than 0 and at most ${GeoDistance.MAX_RADIUS_KM}`),
+  body('facets')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Facets must be a boolean'),
+  body('debug')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Debug must be a boolean'),
   validate
 ];
 
@@ -99,6 +134,55 @@ const validateCategorySearch = [
     .optional()
     .isInt({ min: 1, max: 50 })
     .withMessage('Limit must be between 1 and 50'),
+  query('sort')
+    .optional()
+    .isIn(SortBuilder.OPTIONS)
+    .withMessage(`Sort must be one of: ${SortBuilder.OPTIONS.join(', ')}`),
+  validate
+];
+
+/**
+ * Validate autocomplete request
+ */
+const validateAutocomplete = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Query is required')
+    .isLength({ max: 100 })
+    .withMessage('Query must be at most 100 characters'),
+  query('language')
+    .optional()
+    .isIn(['ar', 'en'])
+    .withMessage('Language must be ar or en'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  validate
+];
+
+/**
+ * Validate admin analytics report request
+ */
+const validateAnalyticsReport = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('interval')
+    .optional()
+    .isIn(['hour', 'day', 'week'])
+    .withMessage('Interval must be hour, day or week'),
+  // Any recorded source (telegram-voice, evaluation...), not only the ones the search API accepts
+  query('source')
+    .optional()
+    .matches(/^[a-z][a-z0-9-]{0,29}$/)
+    .withMessage('Invalid source'),
   validate
 ];
 
@@ -106,5 +190,7 @@ module.exports = {
   validateSearch,
   validateAnalyze,
   validateWebhook,
-  validateCategorySearch
+  validateCategorySearch,
+  validateAutocomplete,
+  validateAnalyticsReport
 };
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { validateAnalyticsReport } = require('../middleware/validator');
+
+// Every admin route requires the X-Admin-Key header
+router.use(requireAdmin);
+
+/**
+ * @route   GET /api/admin/analytics/top-queries
+ * @desc    Most searched queries (?days, ?limit, ?source)
+ * @access  Admin
+ */
+router.get('/analytics/top-queries', validateAnalyticsReport, adminController.topQueries);
+
+/**
+ * @route   GET /api/admin/analytics/zero-results
+ * @desc    Queries that returned no results (?days, ?limit, ?source)
+ * @access  Admin
+ */
+router.get('/analytics/zero-results', validateAnalyticsReport, adminController.zeroResultQueries);
+
+/**
+ * @route   GET /api/admin/analytics/tiers
+ * @desc    Parse tier distribution and AI tokens over time (?days, ?interval)
+ * @access  Admin
+ */
+router.get('/analytics/tiers', validateAnalyticsReport, adminController.tierDistribution);
+
+/**
+ * @route   GET /api/admin/analytics/sources
+ * @desc    Search volume per source over time (?days, ?interval)
+ * @access  Admin
+ */
+router.get('/analytics/sources', validateAnalyticsReport, adminController.sourceVolume);
+
+module.exports = router;
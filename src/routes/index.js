@@ -4,11 +4,13 @@ const router = express.Router();
 const searchRoutes = require('./searchRoutes');
 const webhookRoutes = require('./webhookRoutes');
 const healthRoutes = require('./healthRoutes');
+const adminRoutes = require('./adminRoutes');
 
 // Mount routes
 router.use('/search', searchRoutes);
 router.use('/analyze', searchRoutes); // /api/analyze endpoint
 router.use('/webhooks', webhookRoutes);
 router.use('/health', healthRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
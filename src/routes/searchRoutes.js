@@ -2,8 +2,8 @@ const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
 const voiceController = require('../controllers/voiceController');
-const { validateSearch, validateAnalyze, validateCategorySearch } = require('../middleware/validator');
-const { strictLimiter } = require('../middleware/rateLimiter');
+const { validateSearch, validateAnalyze, validateCategorySearch, validateAutocomplete } = require('../middleware/validator');
+const { strictLimiter, autocompleteLimiter } = require('../middleware/rateLimiter');
 const multer = require('multer');
 const path = require('path');
 
@@ -57,6 +57,13 @@ router.post('/analyze', validateAnalyze, searchController.analyze);
  */
 router.post('/voice', strictLimiter, upload.single('audio'), voiceController.voiceSearch);
 
+/**
+ * @route   GET /api/search/autocomplete
+ * @desc    Type-ahead suggestions (categories, locations, popular queries)
+ * @access  Public (own rate limit, one request per keystroke)
+ */
+router.get('/autocomplete', autocompleteLimiter, validateAutocomplete, searchController.autocomplete);
+
 /**
  * @route   GET /api/search/category/:categoryId
  * @desc    Search by category
@@ -17,7 +17,7 @@ const { validateWebhook } = require('../middleware/validator');
 /**
  * @route   POST /api/webhooks/whatsapp
  * @desc    WhatsApp webhook from n8n or Meta
- * @access  Public (should be secured in production)
+ * @access  Public (signed by Meta when WHATSAPP_APP_SECRET is set)
  */
 router.post('/whatsapp', validateWebhook, webhookController.whatsapp);
 
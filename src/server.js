@@ -59,8 +59,13 @@ app.use(helmet({
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (raw body kept for webhook signature verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // HTTP logging
@@ -150,6 +155,11 @@ async function startServer() {
 
       logger.info('Telegram Bot initialized successfully');
       logger.info('Telegram webhook handler registered at /api/webhooks/telegram');
+
+      // Start saved-search alerts
+      if (process.env.ALERTS_ENABLED !== 'false') {
+        require('./services/alerts/AlertWorker').start();
+      }
     } else {
       logger.warn('Telegram Bot Token not found, skipping Telegram integration');
     }
@@ -198,6 +208,10 @@ async function startServer() {
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
 
+      if (process.env.TELEGRAM_BOT_TOKEN) {
+        require('./services/alerts/AlertWorker').stop();
+      }
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
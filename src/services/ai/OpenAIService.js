@@ -58,6 +58,9 @@ Detect the user's intent from their message and classify it into ONE of these ty
 8. "help" - User asking for help or capabilities
    Examples: "شو بتقدر تعمل", "ساعدني", "what can you do"
 
+9. "start_over" - User wants to drop the current search and start a new one
+   Examples: "من جديد", "بحث جديد", "انسى اللي قبل", "start over"
+
 Return JSON with this structure:
 {
   "intent": "intent_type",
@@ -68,6 +71,7 @@ Return JSON with this structure:
 
 For greetings/help, return intent type only.
 For search, extract clean query without greetings/fillers.
+Follow-up refinements of a previous search are "search" too ("بس بحلب", "أرخص من 50 مليون") - keep the refinement words as the query.
 For office operations, extract office ID if mentioned.`;
 
       const completion = await this.client.chat.completions.create({
@@ -268,7 +272,7 @@ Return ONLY the clean search query as plain text, nothing else. If the entire me
    * @param {string} categorySlug - Category slug
    * @param {Array} availableAttributes - Available attributes for this category
    * @param {string} language - Language
-   * @returns {Promise<Object>} Extracted attributes
+   * @returns {Promise<Object>} { attributes, tokens } - extracted attributes and tokens spent
    */
   async extractAttributes(query, categorySlug, availableAttributes, language = 'ar') {
     try {
@@ -291,11 +295,11 @@ Return ONLY the clean search query as plain text, nothing else. If the entire me
 
       logger.debug('Attributes extracted', { categorySlug, attributes });
 
-      return attributes;
+      return { attributes, tokens: completion.usage?.total_tokens || 0 };
     } catch (error) {
       logger.error('OpenAI attribute extraction error:', error);
       // Return empty attributes on error, don't fail the whole search
-      return {};
+      return { attributes: {}, tokens: 0 };
     }
   }
 
@@ -348,21 +352,28 @@ Output JSON only with this structure:
   /**
    * Build attribute extraction system prompt
    * @param {string} categorySlug - Category slug
-   * @param {Array} attributes - Available attributes
+   * @param {Array} attributes - Available attributes (category_attributes rows, optionValues for selects)
    * @param {string} language - Language
    * @returns {string} System prompt
    */
   buildAttributeExtractionPrompt(categorySlug, attributes, language) {
-    const attrList = attributes.map(attr =>
-      `- ${attr.slug}: ${language === 'ar' ? attr.name_ar : attr.name_en} (${attr.type})`
-    ).join('\n');
+    const attrList = attributes.map(attr => {
+      const details = [attr.type];
+      const unit = language === 'ar' ? attr.unit_ar : attr.unit_en;
+      if (unit) details.push(`unit: ${unit}`);
+      if (attr.min_value !== null && attr.min_value !== undefined) details.push(`min: ${attr.min_value}`);
+      if (attr.max_value !== null && attr.max_value !== undefined) details.push(`max: ${attr.max_value}`);
+      if (attr.optionValues && attr.optionValues.length > 0) details.push(`one of: ${attr.optionValues.join(', ')}`);
+
+      return `- ${attr.slug}: ${language === 'ar' ? attr.name_ar : attr.name_en} (${details.join('; ')})`;
+    }).join('\n');
 
     return `Extract specific attributes from a search query for category: ${categorySlug}
 
 Available attributes for this category:
 ${attrList}
 
-Extract values mentioned in the query. For numeric values, extract just the number. For text values, extract the exact term mentioned.
+Extract values mentioned in the query. For numeric values, extract just the number, or {"min": x, "max": y} for a bound ("أكثر من 150 حصان" = {"min": 150}). For attributes with a list of values, answer with one of the listed values. For yes/no attributes, answer true or false. For text values, extract the exact term mentioned.
 
 Common patterns:
 - "غرفتين" or "2 غرفة" = rooms: 2
@@ -0,0 +1,242 @@
+const savedSearchService = require('./SavedSearchService');
+const favoriteService = require('./FavoriteService');
+const telegramBot = require('../messaging/TelegramBot');
+const TelegramFormatter = require('../messaging/TelegramFormatter');
+const responseFormatter = require('../../utils/responseFormatter');
+const logger = require('../../utils/logger');
+
+/**
+ * Alert Worker
+ * Periodically runs saved searches and pushes new listings to Telegram users,
+ * and notifies users when a favorite listing drops in price or is deactivated
+ */
+class AlertWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.ALERTS_INTERVAL_MINUTES || '30') * 60 * 1000;
+    this.maxListingsPerAlert = 5;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.timer) {
+      logger.warn('Alert worker already started');
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Don't keep the process alive just for alerts
+    this.timer.unref();
+
+    logger.info('Alert worker started', { intervalMinutes: this.intervalMs / 60000 });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Alert worker stopped');
+    }
+  }
+
+  /**
+   * Run all due saved searches once
+   * @returns {Promise<Object>} Run statistics
+   */
+  async runOnce() {
+    if (this.running) {
+      logger.debug('Alert worker run skipped, previous run still in progress');
+      return null;
+    }
+
+    this.running = true;
+    const runAt = new Date();
+    const stats = { checked: 0, notified: 0, failed: 0, favoritesNotified: 0 };
+
+    try {
+      const savedSearches = await savedSearchService.getDueSearches('telegram');
+
+      for (const savedSearch of savedSearches) {
+        stats.checked++;
+
+        try {
+          const notified = await this.processSavedSearch(savedSearch, runAt);
+          if (notified) stats.notified++;
+        } catch (error) {
+          stats.failed++;
+          logger.error('Saved search alert failed', {
+            id: savedSearch.id,
+            error: error.message
+          });
+        }
+      }
+
+      await this.runFavorites(stats);
+
+      logger.info('Alert worker run completed', stats);
+      return stats;
+    } catch (error) {
+      logger.error('Alert worker run error:', error);
+      return stats;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run one saved search and notify its chat if there are new listings
+   * @param {Object} savedSearch - Saved search row
+   * @param {Date} runAt - Start of this run
+   * @returns {Promise<boolean>} True if a notification was sent
+   */
+  async processSavedSearch(savedSearch, runAt) {
+    const listings = await savedSearchService.findNewListings(
+      savedSearch,
+      runAt,
+      this.maxListingsPerAlert
+    );
+
+    if (listings.length === 0) {
+      await savedSearchService.markRun(savedSearch.id, runAt, false);
+      return false;
+    }
+
+    const language = savedSearch.language || 'ar';
+    const total = parseInt(listings[0].total_count) || listings.length;
+    const formattedListings = listings.map(listing =>
+      responseFormatter.formatListing(listing, language)
+    );
+
+    const formatted = TelegramFormatter.formatAlert(savedSearch, formattedListings, total, language);
+
+    try {
+      await telegramBot.sendMessage(savedSearch.chat_id, formatted.text, telegramBot.buildMessageOptions(formatted));
+    } catch (error) {
+      // 403: the user blocked the bot - stop alerting this chat
+      if (error.response?.error_code === 403) {
+        logger.info('Chat blocked the bot, deactivating its saved searches', { chatId: savedSearch.chat_id });
+        await savedSearchService.deactivateChat(savedSearch.chat_id);
+        return false;
+      }
+      // Other permanent errors ("chat not found") would fail on every run
+      if (this.isPermanentSendError(error)) {
+        logger.warn('Saved search alert rejected, deactivating the saved search', {
+          id: savedSearch.id,
+          chatId: savedSearch.chat_id,
+          error: error.message
+        });
+        await savedSearchService.unsubscribe(savedSearch.chat_id, savedSearch.id);
+        return false;
+      }
+      // Move it to the back of the queue so a failing search can't crowd out the batch
+      await savedSearchService.markRun(savedSearch.id, runAt, false);
+      throw error;
+    }
+
+    await savedSearchService.markRun(savedSearch.id, runAt, true);
+    return true;
+  }
+
+  /**
+   * Check favorites whose listing changed and notify their chats
+   * @param {Object} stats - Run statistics (updated in place)
+   */
+  async runFavorites(stats) {
+    const favorites = await favoriteService.getChanged('telegram');
+
+    for (const favorite of favorites) {
+      try {
+        const notified = await this.processFavorite(favorite);
+        if (notified) stats.favoritesNotified++;
+      } catch (error) {
+        stats.failed++;
+        logger.error('Favorite notification failed', {
+          id: favorite.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Notify a chat about a favorite's price drop or deactivation
+   * Price increases and reactivation only update the stored snapshot
+   * @param {Object} favorite - Favorite row with current price/status
+   * @returns {Promise<boolean>} True if a notification was sent
+   */
+  async processFavorite(favorite) {
+    const snapshot = {
+      price: favorite.current_price,
+      currency: favorite.current_currency,
+      status: favorite.current_status
+    };
+
+    const oldPrice = favorite.last_price !== null ? parseFloat(favorite.last_price) : null;
+    const newPrice = favorite.current_price !== null ? parseFloat(favorite.current_price) : null;
+
+    let update = null;
+
+    if (favorite.last_status === 'active' && favorite.current_status !== 'active') {
+      update = { type: 'unavailable' };
+    } else if (
+      favorite.current_status === 'active' &&
+      oldPrice !== null && newPrice !== null && newPrice < oldPrice &&
+      // A currency switch is not a price drop
+      (favorite.last_currency || 'SYP') === (favorite.current_currency || 'SYP')
+    ) {
+      update = { type: 'price_drop', oldPrice, newPrice, currency: favorite.current_currency || 'SYP' };
+    }
+
+    if (!update) {
+      await favoriteService.markChecked(favorite.id, snapshot, false);
+      return false;
+    }
+
+    const formatted = TelegramFormatter.formatFavoriteUpdate(favorite, update, favorite.language || 'ar');
+
+    try {
+      await telegramBot.sendMessage(favorite.chat_id, formatted.text, telegramBot.buildMessageOptions(formatted));
+    } catch (error) {
+      if (error.response?.error_code === 403) {
+        logger.info('Chat blocked the bot, deactivating its favorites', { chatId: favorite.chat_id });
+        await favoriteService.deactivateChat(favorite.chat_id);
+        return false;
+      }
+      // Other permanent errors ("chat not found") would fail on every run and, being first
+      // in line, keep other favorites from being checked - store the snapshot and move on
+      if (this.isPermanentSendError(error)) {
+        logger.warn('Favorite notification rejected, skipping this change', {
+          id: favorite.id,
+          chatId: favorite.chat_id,
+          error: error.message
+        });
+        await favoriteService.markChecked(favorite.id, snapshot, false);
+        return false;
+      }
+      throw error;
+    }
+
+    await favoriteService.markChecked(favorite.id, snapshot, true);
+    return true;
+  }
+
+  /**
+   * Check if Telegram rejected a message for good (4xx except rate limiting)
+   * Network errors, 429 and 5xx are worth retrying on the next run
+   * @param {Error} error - Send error
+   * @returns {boolean} True if retrying cannot succeed
+   */
+  isPermanentSendError(error) {
+    const code = error.response?.error_code;
+    return code >= 400 && code < 500 && code !== 429;
+  }
+}
+
+// Singleton instance
+module.exports = new AlertWorker();
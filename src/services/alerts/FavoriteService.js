@@ -0,0 +1,227 @@
+const database = require('../../config/database');
+const textSearch = require('../search/TextSearch');
+const logger = require('../../utils/logger');
+
+/**
+ * Favorite Service
+ * Stores listings saved by chat users and detects price drops / deactivation
+ */
+class FavoriteService {
+  constructor() {
+    this.db = database;
+    this.maxPerChat = parseInt(process.env.FAVORITES_MAX_PER_CHAT || '50');
+
+    // Same price lookup FilterBuilder.addPriceFilter filters on
+    this.priceSubquery = `
+      SELECT lav.value_number FROM listing_attribute_values lav
+      JOIN listing_attributes la ON lav.attribute_id = la.id
+      WHERE lav.listing_id = l.id
+        AND la.slug = 'price'
+      LIMIT 1
+    `;
+    this.currencySubquery = `
+      SELECT lav.unit_ar FROM listing_attribute_values lav
+      JOIN listing_attributes la ON lav.attribute_id = la.id
+      WHERE lav.listing_id = l.id
+        AND la.slug = 'price'
+      LIMIT 1
+    `;
+  }
+
+  /**
+   * Save a listing for a chat, remembering its current price and status
+   * @param {Object} params - Favorite parameters
+   * @param {string} params.chatId - Chat ID
+   * @param {string} params.userId - User ID
+   * @param {string} params.listingId - Listing ID
+   * @param {string} params.language - Language
+   * @param {string} params.channel - Channel (telegram)
+   * @returns {Promise<Object>} { success, data | error }
+   */
+  async add({ chatId, userId, listingId, language = 'ar', channel = 'telegram' }) {
+    try {
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) FROM favorites
+         WHERE channel = $1 AND chat_id = $2 AND is_active = true AND listing_id <> $3`,
+        [channel, String(chatId), listingId]
+      );
+
+      if (parseInt(countResult.rows[0].count) >= this.maxPerChat) {
+        return {
+          success: false,
+          error: language === 'ar'
+            ? `وصلت للحد الأقصى (${this.maxPerChat}) من المفضلة، احذف إعلان قديم أول`
+            : `You reached the maximum of ${this.maxPerChat} favorites`
+        };
+      }
+
+      const result = await this.db.query(`
+        INSERT INTO favorites (channel, chat_id, user_id, listing_id, language, last_price, last_currency, last_status)
+        SELECT $1, $2, $3, l.id, $5,
+          (${this.priceSubquery}),
+          (${this.currencySubquery}),
+          l.status
+        FROM listings l
+        WHERE l.id = $4
+        ON CONFLICT (channel, chat_id, listing_id) DO UPDATE SET
+          is_active = true,
+          language = EXCLUDED.language,
+          last_price = EXCLUDED.last_price,
+          last_currency = EXCLUDED.last_currency,
+          last_status = EXCLUDED.last_status,
+          updated_at = NOW()
+        RETURNING id, listing_id, created_at
+      `, [channel, String(chatId), userId ? String(userId) : null, listingId, language]);
+
+      if (result.rows.length === 0) {
+        return {
+          success: false,
+          error: language === 'ar' ? 'هالإعلان مو موجود أو انحذف' : 'Listing not found'
+        };
+      }
+
+      logger.info('Favorite saved', { chatId, listingId });
+
+      return { success: true, data: result.rows[0] };
+    } catch (error) {
+      logger.error('Favorite add error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a listing from a chat's favorites
+   * @param {string} chatId - Chat ID
+   * @param {string} listingId - Listing ID
+   * @param {string} channel - Channel
+   * @returns {Promise<boolean>} True if a favorite was removed
+   */
+  async remove(chatId, listingId, channel = 'telegram') {
+    const result = await this.db.query(`
+      UPDATE favorites
+      SET is_active = false, updated_at = NOW()
+      WHERE listing_id = $1 AND channel = $2 AND chat_id = $3 AND is_active = true
+    `, [listingId, channel, String(chatId)]);
+
+    logger.info('Favorite removed', { chatId, listingId, removed: result.rowCount });
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * List a chat's favorite listings (deleted listings are skipped)
+   * @param {string} chatId - Chat ID
+   * @param {string} channel - Channel
+   * @returns {Promise<Array>} Listings (enriched, with status)
+   */
+  async list(chatId, channel = 'telegram') {
+    const result = await this.db.query(`
+      SELECT
+        l.id,
+        l.title,
+        l.description,
+        l.category_id,
+        l.city_id,
+        l.neighborhood_id,
+        l.transaction_type_id,
+        l.status,
+        l.views,
+        l.created_at,
+        c.slug as category_slug,
+        c.name_ar as category_name_ar,
+        c.name_en as category_name_en,
+        ct.name_ar as city_name_ar,
+        ct.name_en as city_name_en,
+        n.name_ar as neighborhood_name_ar,
+        n.name_en as neighborhood_name_en,
+        tt.slug as transaction_type_slug,
+        tt.name_ar as transaction_type_name_ar,
+        tt.name_en as transaction_type_name_en,
+        (
+          SELECT url FROM listing_images
+          WHERE listing_id = l.id AND is_main = true
+          LIMIT 1
+        ) as main_image_url
+      FROM favorites f
+      JOIN listings l ON f.listing_id = l.id
+      JOIN categories c ON l.category_id = c.id
+      JOIN cities ct ON l.city_id = ct.id
+      LEFT JOIN neighborhoods n ON l.neighborhood_id = n.id
+      LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+      WHERE f.channel = $1 AND f.chat_id = $2 AND f.is_active = true
+      ORDER BY f.created_at DESC
+    `, [channel, String(chatId)]);
+
+    return await textSearch.enrichResults(result.rows);
+  }
+
+  /**
+   * Get active favorites whose listing price or status changed since the last check
+   * A deleted listing reports status "deleted"
+   * @param {string} channel - Channel
+   * @param {number} limit - Max favorites per batch
+   * @returns {Promise<Array>} Favorites with current_price, current_currency, current_status, title
+   */
+  async getChanged(channel = 'telegram', limit = 500) {
+    const result = await this.db.query(`
+      WITH current AS (
+        SELECT
+          f.id,
+          f.chat_id,
+          f.listing_id,
+          f.language,
+          f.last_price,
+          f.last_currency,
+          f.last_status,
+          l.title,
+          (${this.priceSubquery}) as current_price,
+          (${this.currencySubquery}) as current_currency,
+          COALESCE(l.status, 'deleted') as current_status
+        FROM favorites f
+        LEFT JOIN listings l ON f.listing_id = l.id
+        WHERE f.channel = $1 AND f.is_active = true
+      )
+      SELECT * FROM current
+      WHERE current_status IS DISTINCT FROM last_status
+         OR current_price IS DISTINCT FROM last_price
+      ORDER BY id ASC
+      LIMIT $2
+    `, [channel, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Store the price/status a favorite was last checked at
+   * @param {number} id - Favorite ID
+   * @param {Object} snapshot - { price, currency, status }
+   * @param {boolean} notified - Whether a notification was sent
+   */
+  async markChecked(id, { price, currency, status }, notified = false) {
+    await this.db.query(`
+      UPDATE favorites
+      SET last_price = $2,
+          last_currency = $3,
+          last_status = $4,
+          last_notified_at = CASE WHEN $5 THEN NOW() ELSE last_notified_at END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [id, price, currency, status, notified]);
+  }
+
+  /**
+   * Deactivate every favorite of a chat (e.g. user blocked the bot)
+   * @param {string} chatId - Chat ID
+   * @param {string} channel - Channel
+   */
+  async deactivateChat(chatId, channel = 'telegram') {
+    await this.db.query(`
+      UPDATE favorites
+      SET is_active = false, updated_at = NOW()
+      WHERE channel = $1 AND chat_id = $2
+    `, [channel, String(chatId)]);
+  }
+}
+
+// Singleton instance
+module.exports = new FavoriteService();
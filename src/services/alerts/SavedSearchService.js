@@ -0,0 +1,207 @@
+const database = require('../../config/database');
+const FilterBuilder = require('../search/FilterBuilder');
+const textSearch = require('../search/TextSearch');
+const logger = require('../../utils/logger');
+
+/**
+ * Saved Search Service
+ * Stores users' search filters and finds listings created since the last run
+ */
+class SavedSearchService {
+  constructor() {
+    this.db = database;
+    this.maxPerChat = parseInt(process.env.SAVED_SEARCHES_MAX_PER_CHAT || '10');
+  }
+
+  /**
+   * Save a search for a chat
+   * @param {Object} params - Subscription parameters
+   * @param {string} params.chatId - Chat ID
+   * @param {string} params.userId - User ID
+   * @param {string} params.query - Original query text
+   * @param {string} params.language - Language
+   * @param {Object} params.filters - Applied filters from SearchService
+   * @param {string} params.channel - Channel (telegram)
+   * @returns {Promise<Object>} { success, data | error }
+   */
+  async subscribe({ chatId, userId, query, language = 'ar', filters, channel = 'telegram' }) {
+    try {
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) FROM saved_searches
+         WHERE channel = $1 AND chat_id = $2 AND is_active = true`,
+        [channel, String(chatId)]
+      );
+
+      if (parseInt(countResult.rows[0].count) >= this.maxPerChat) {
+        return {
+          success: false,
+          error: language === 'ar'
+            ? `وصلت للحد الأقصى (${this.maxPerChat}) من الاشتراكات، ألغي اشتراك قديم أول`
+            : `You reached the maximum of ${this.maxPerChat} subscriptions`
+        };
+      }
+
+      const result = await this.db.query(`
+        INSERT INTO saved_searches (channel, chat_id, user_id, query_text, language, filters)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (channel, chat_id, query_text) DO UPDATE SET
+          filters = $6,
+          is_active = true,
+          last_run_at = NOW(),
+          updated_at = NOW()
+        RETURNING id, query_text, created_at
+      `, [channel, String(chatId), userId ? String(userId) : null, query, language, JSON.stringify(filters)]);
+
+      logger.info('Saved search created', {
+        chatId,
+        id: result.rows[0].id,
+        query: query.substring(0, 50)
+      });
+
+      return { success: true, data: result.rows[0] };
+    } catch (error) {
+      logger.error('Saved search subscribe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List active saved searches for a chat
+   * @param {string} chatId - Chat ID
+   * @param {string} channel - Channel
+   * @returns {Promise<Array>} Saved searches
+   */
+  async list(chatId, channel = 'telegram') {
+    const result = await this.db.query(`
+      SELECT id, query_text, language, filters, last_notified_at, created_at
+      FROM saved_searches
+      WHERE channel = $1 AND chat_id = $2 AND is_active = true
+      ORDER BY created_at ASC
+    `, [channel, String(chatId)]);
+
+    return result.rows;
+  }
+
+  /**
+   * Deactivate a saved search (scoped to the chat that owns it)
+   * @param {string} chatId - Chat ID
+   * @param {number} id - Saved search ID
+   * @param {string} channel - Channel
+   * @returns {Promise<boolean>} True if a subscription was removed
+   */
+  async unsubscribe(chatId, id, channel = 'telegram') {
+    const result = await this.db.query(`
+      UPDATE saved_searches
+      SET is_active = false, updated_at = NOW()
+      WHERE id = $1 AND channel = $2 AND chat_id = $3 AND is_active = true
+    `, [id, channel, String(chatId)]);
+
+    logger.info('Saved search removed', { chatId, id, removed: result.rowCount });
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get active saved searches that are due for a run
+   * @param {string} channel - Channel
+   * @param {number} limit - Max subscriptions per batch
+   * @returns {Promise<Array>} Saved searches
+   */
+  async getDueSearches(channel = 'telegram', limit = 200) {
+    const result = await this.db.query(`
+      SELECT id, chat_id, user_id, query_text, language, filters, last_run_at
+      FROM saved_searches
+      WHERE channel = $1 AND is_active = true
+      ORDER BY last_run_at ASC
+      LIMIT $2
+    `, [channel, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Find listings matching a saved search created after its last run
+   * @param {Object} savedSearch - Saved search row
+   * @param {Date} until - Upper bound for created_at (start of this run)
+   * @param {number} limit - Max listings to return
+   * @returns {Promise<Array>} New listings (enriched)
+   */
+  async findNewListings(savedSearch, until, limit = 5) {
+    const { whereClause, params } = FilterBuilder.build(savedSearch.filters || {});
+
+    const sql = `
+      SELECT
+        l.id,
+        l.title,
+        l.description,
+        l.category_id,
+        l.city_id,
+        l.neighborhood_id,
+        l.transaction_type_id,
+        l.views,
+        l.created_at,
+        c.slug as category_slug,
+        c.name_ar as category_name_ar,
+        c.name_en as category_name_en,
+        ct.name_ar as city_name_ar,
+        ct.name_en as city_name_en,
+        n.name_ar as neighborhood_name_ar,
+        n.name_en as neighborhood_name_en,
+        tt.slug as transaction_type_slug,
+        tt.name_ar as transaction_type_name_ar,
+        tt.name_en as transaction_type_name_en,
+        (
+          SELECT url FROM listing_images
+          WHERE listing_id = l.id AND is_main = true
+          LIMIT 1
+        ) as main_image_url,
+        COUNT(*) OVER() as total_count
+      FROM listings l
+      JOIN categories c ON l.category_id = c.id
+      JOIN cities ct ON l.city_id = ct.id
+      LEFT JOIN neighborhoods n ON l.neighborhood_id = n.id
+      LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+      WHERE ${whereClause}
+        AND l.created_at > $${params.length + 1}
+        AND l.created_at <= $${params.length + 2}
+      ORDER BY l.created_at DESC
+      LIMIT $${params.length + 3}
+    `;
+
+    const result = await this.db.query(sql, [...params, savedSearch.last_run_at, until, limit]);
+
+    return await textSearch.enrichResults(result.rows);
+  }
+
+  /**
+   * Mark a saved search as run
+   * @param {number} id - Saved search ID
+   * @param {Date} runAt - Run timestamp
+   * @param {boolean} notified - Whether a notification was sent
+   */
+  async markRun(id, runAt, notified = false) {
+    await this.db.query(`
+      UPDATE saved_searches
+      SET last_run_at = $2,
+          last_notified_at = CASE WHEN $3 THEN $2 ELSE last_notified_at END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [id, runAt, notified]);
+  }
+
+  /**
+   * Deactivate every saved search of a chat (e.g. user blocked the bot)
+   * @param {string} chatId - Chat ID
+   * @param {string} channel - Channel
+   */
+  async deactivateChat(chatId, channel = 'telegram') {
+    await this.db.query(`
+      UPDATE saved_searches
+      SET is_active = false, updated_at = NOW()
+      WHERE channel = $1 AND chat_id = $2
+    `, [channel, String(chatId)]);
+  }
+}
+
+// Singleton instance
+module.exports = new SavedSearchService();
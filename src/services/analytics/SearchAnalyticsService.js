@@ -0,0 +1,236 @@
+const database = require('../../config/database');
+const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const logger = require('../../utils/logger');
+
+/**
+ * Search Analytics Service
+ * Persists every search (query, parse tier, matches, results, latency, AI tokens)
+ * to search_analytics and reports on it for the admin API.
+ * Reports count first pages only, so paging through results is one search.
+ */
+class SearchAnalyticsService {
+  constructor() {
+    this.db = database;
+    this.enabled = process.env.SEARCH_ANALYTICS_ENABLED !== 'false';
+  }
+
+  /**
+   * Record a search - never throws and is not awaited by the search
+   * @param {Object} params - Search parameters (query, source, language, userId, page)
+   * @param {Object|null} parsed - Parsed query (null when the response came from the search cache)
+   * @param {Object} response - Search response (responseFormatter.searchResults)
+   * @returns {Promise<void>}
+   */
+  async record(params, parsed, response) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const { query: info, pagination } = response.data;
+      const meta = response.meta || {};
+      // The response drops weak category matches; record what was actually searched
+      const category = info.parsed?.category;
+      const location = info.parsed?.location;
+
+      // A cached parse (tier 0) or semantic-cache hit (tier 2) carries the tokens of the original parse
+      const aiTokens = parsed && !parsed.fromCache && parsed.tier !== 2 ? parsed.aiTokens || 0 : 0;
+
+      await this.db.query(`
+        INSERT INTO search_analytics (
+          query_text, normalized_text, source, language, user_id, page,
+          parse_tier, parse_method, confidence,
+          category_id, category_slug, location_id, location_type, location_name,
+          search_method, result_count, from_cache, response_time_ms, ai_tokens
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      `, [
+        params.query.substring(0, 500),
+        ArabicNormalizer.normalizeAndLower(ArabicNormalizer.cleanWhitespace(params.query)).substring(0, 500),
+        params.source || 'api',
+        params.language || 'ar',
+        params.userId ? String(params.userId) : null,
+        pagination.page,
+        parsed ? parsed.tier : null,
+        parsed ? parsed.method : null,
+        parsed?.confidence ?? null,
+        category?.id || null,
+        category?.slug || null,
+        location?.id || null,
+        location?.type || null,
+        location?.name_ar || null,
+        meta.searchMethod || null,
+        pagination.total,
+        Boolean(meta.cached),
+        meta.responseTime || null,
+        aiTokens
+      ]);
+    } catch (error) {
+      logger.error('Error recording search analytics:', error);
+    }
+  }
+
+  /**
+   * Most searched queries
+   * @param {Object} options - Report options
+   * @param {number} options.days - Look-back window in days
+   * @param {number} options.limit - Maximum queries
+   * @param {string} options.source - Only this source (optional)
+   * @returns {Promise<Array>} Queries with search count, average results and zero-result count
+   */
+  async getTopQueries({ days = 7, limit = 50, source = null } = {}) {
+    const result = await this.db.query(`
+      SELECT
+        normalized_text as query,
+        MODE() WITHIN GROUP (ORDER BY query_text) as example,
+        COUNT(*) as searches,
+        COUNT(DISTINCT user_id) as users,
+        ROUND(AVG(result_count)) as avg_results,
+        COUNT(*) FILTER (WHERE result_count = 0) as zero_result_searches,
+        MODE() WITHIN GROUP (ORDER BY category_slug) as category_slug,
+        MAX(created_at) as last_searched_at
+      FROM search_analytics
+      WHERE created_at >= NOW() - make_interval(days => $1)
+        AND page = 1
+        AND ($3::text IS NULL OR source = $3)
+      GROUP BY normalized_text
+      ORDER BY searches DESC
+      LIMIT $2
+    `, [days, limit, source]);
+
+    return result.rows.map(row => ({
+      query: row.query,
+      example: row.example,
+      searches: parseInt(row.searches, 10),
+      users: parseInt(row.users, 10),
+      avgResults: parseInt(row.avg_results, 10),
+      zeroResultSearches: parseInt(row.zero_result_searches, 10),
+      categorySlug: row.category_slug,
+      lastSearchedAt: row.last_searched_at
+    }));
+  }
+
+  /**
+   * Queries that found nothing - candidates for missing categories and keywords
+   * @param {Object} options - Report options
+   * @param {number} options.days - Look-back window in days
+   * @param {number} options.limit - Maximum queries
+   * @param {string} options.source - Only this source (optional)
+   * @returns {Promise<Array>} Queries with search count and whether a category was matched
+   */
+  async getZeroResultQueries({ days = 7, limit = 50, source = null } = {}) {
+    const result = await this.db.query(`
+      SELECT
+        normalized_text as query,
+        MODE() WITHIN GROUP (ORDER BY query_text) as example,
+        COUNT(*) as searches,
+        COUNT(DISTINCT user_id) as users,
+        COUNT(*) FILTER (WHERE category_id IS NULL) as without_category,
+        MODE() WITHIN GROUP (ORDER BY category_slug) as category_slug,
+        MODE() WITHIN GROUP (ORDER BY location_name) as location_name,
+        MAX(created_at) as last_searched_at
+      FROM search_analytics
+      WHERE created_at >= NOW() - make_interval(days => $1)
+        AND page = 1
+        AND result_count = 0
+        AND ($3::text IS NULL OR source = $3)
+      GROUP BY normalized_text
+      ORDER BY searches DESC
+      LIMIT $2
+    `, [days, limit, source]);
+
+    return result.rows.map(row => ({
+      query: row.query,
+      example: row.example,
+      searches: parseInt(row.searches, 10),
+      users: parseInt(row.users, 10),
+      withoutCategory: parseInt(row.without_category, 10),
+      categorySlug: row.category_slug,
+      locationName: row.location_name,
+      lastSearchedAt: row.last_searched_at
+    }));
+  }
+
+  /**
+   * Parse tier distribution over time
+   * Searches answered from the search cache are counted as "cache" (no parse happened)
+   * @param {Object} options - Report options
+   * @param {number} options.days - Look-back window in days
+   * @param {string} options.interval - Bucket size ('hour', 'day' or 'week')
+   * @returns {Promise<Array>} Buckets { period, total, aiTokens, tiers: { tier: count } }
+   */
+  async getTierDistribution({ days = 7, interval = 'day' } = {}) {
+    const result = await this.db.query(`
+      SELECT
+        date_trunc($2, created_at) as period,
+        COALESCE(parse_tier::text, 'cache') as tier,
+        COUNT(*) as searches,
+        SUM(ai_tokens) as ai_tokens
+      FROM search_analytics
+      WHERE created_at >= NOW() - make_interval(days => $1)
+        AND page = 1
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `, [days, interval]);
+
+    return this.toBuckets(result.rows, 'tier', 'tiers', { aiTokens: 'ai_tokens' });
+  }
+
+  /**
+   * Search volume per source over time
+   * @param {Object} options - Report options
+   * @param {number} options.days - Look-back window in days
+   * @param {string} options.interval - Bucket size ('hour', 'day' or 'week')
+   * @returns {Promise<Array>} Buckets { period, total, zeroResults, sources: { source: count } }
+   */
+  async getSourceVolume({ days = 7, interval = 'day' } = {}) {
+    const result = await this.db.query(`
+      SELECT
+        date_trunc($2, created_at) as period,
+        source,
+        COUNT(*) as searches,
+        COUNT(*) FILTER (WHERE result_count = 0) as zero_results
+      FROM search_analytics
+      WHERE created_at >= NOW() - make_interval(days => $1)
+        AND page = 1
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `, [days, interval]);
+
+    return this.toBuckets(result.rows, 'source', 'sources', { zeroResults: 'zero_results' });
+  }
+
+  /**
+   * Group (period, key, searches) rows into one bucket per period
+   * @param {Array} rows - Query rows, ordered by period
+   * @param {string} keyColumn - Column that splits a period (tier, source)
+   * @param {string} field - Bucket field holding the split counts
+   * @param {Object} totals - Bucket field → column summed over the period
+   * @returns {Array} Buckets { period, total, ...totals, [field]: { key: count } }
+   */
+  toBuckets(rows, keyColumn, field, totals = {}) {
+    const buckets = new Map();
+
+    rows.forEach(row => {
+      const time = row.period.getTime();
+      if (!buckets.has(time)) {
+        const bucket = { period: row.period, total: 0, [field]: {} };
+        Object.keys(totals).forEach(total => { bucket[total] = 0; });
+        buckets.set(time, bucket);
+      }
+
+      const bucket = buckets.get(time);
+      const searches = parseInt(row.searches, 10);
+      bucket.total += searches;
+      bucket[field][row[keyColumn]] = searches;
+      Object.entries(totals).forEach(([total, column]) => {
+        bucket[total] += parseInt(row[column] || 0, 10);
+      });
+    });
+
+    return [...buckets.values()];
+  }
+}
+
+// Singleton instance
+module.exports = new SearchAnalyticsService();
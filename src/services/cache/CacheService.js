@@ -212,7 +212,10 @@ class CacheService {
       transactionTypeId: params.transactionTypeId || null,
       page: params.page || 1,
       limit: params.limit || 10,
-      language: params.language || 'ar'
+      language: params.language || 'ar',
+      sort: params.sort || 'relevance',
+      facets: Boolean(params.facets),
+      debug: Boolean(params.debug)
     };
 
     // Add filters if present
@@ -220,6 +223,16 @@ class CacheService {
       normalized.filters = params.filters;
     }
 
+    // Radius searches around different points must not share results
+    if (params.near) {
+      normalized.near = params.near;
+    }
+
+    // Follow-ups resolve differently depending on the previous search
+    if (params.context) {
+      normalized.context = params.context;
+    }
+
     // Sort object keys for consistent hashing
     return Object.keys(normalized)
       .sort()
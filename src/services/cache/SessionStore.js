@@ -0,0 +1,111 @@
+const redisCache = require('../../config/redis');
+const logger = require('../../utils/logger');
+
+/**
+ * Session Store
+ * Chat state (conversation context, pager/browse state) kept in Redis.
+ * Unlike cached search results this state can't be recomputed, so when Redis is
+ * disabled or down it falls back to a small in-process LRU. The fallback is per
+ * process: with several instances behind a load balancer it only helps replies
+ * that reach the same instance.
+ */
+class SessionStore {
+  constructor() {
+    this.redis = redisCache;
+    this.maxLocalEntries = parseInt(process.env.SESSION_STORE_MAX_ENTRIES || '5000');
+    this.local = new Map(); // key → { value, expiresAt }, oldest first
+    this.warned = false;
+  }
+
+  /**
+   * Build a key (same format as the Redis cache)
+   * @param {...string} parts - Key parts
+   * @returns {string} Key
+   */
+  generateKey(...parts) {
+    return this.redis.generateKey(...parts);
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<any|null>} Stored value
+   */
+  async get(key) {
+    const value = await this.redis.get(key);
+    if (value !== null) {
+      return value;
+    }
+
+    return this.getLocal(key);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Key
+   * @param {any} value - Value (JSON serializable)
+   * @param {number} ttlSeconds - TTL in seconds
+   * @returns {Promise<boolean>} True if stored in Redis, false if only in process
+   */
+  async set(key, value, ttlSeconds) {
+    if (await this.redis.set(key, value, ttlSeconds)) {
+      this.local.delete(key);
+      return true;
+    }
+
+    if (!this.warned) {
+      logger.warn('Redis unavailable, keeping chat state in process memory', { maxEntries: this.maxLocalEntries });
+      this.warned = true;
+    }
+
+    this.setLocal(key, value, ttlSeconds);
+    return false;
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key
+   */
+  async del(key) {
+    this.local.delete(key);
+    await this.redis.del(key);
+  }
+
+  /**
+   * Get a value from the in-process fallback (refreshes its LRU position)
+   * @param {string} key - Key
+   * @returns {any|null} Stored value
+   */
+  getLocal(key) {
+    const entry = this.local.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    this.local.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    this.local.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value in the in-process fallback, evicting the least recently used
+   * @param {string} key - Key
+   * @param {any} value - Value
+   * @param {number} ttlSeconds - TTL in seconds
+   */
+  setLocal(key, value, ttlSeconds) {
+    this.local.delete(key);
+    this.local.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.local.size > this.maxLocalEntries) {
+      this.local.delete(this.local.keys().next().value);
+    }
+  }
+}
+
+// Singleton instance
+module.exports = new SessionStore();
@@ -0,0 +1,258 @@
+const sessionStore = require('../cache/SessionStore');
+const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const CurrencyConverter = require('../../utils/currencyConverter');
+const NumeralParser = require('../../utils/numeralParser');
+const logger = require('../../utils/logger');
+
+/**
+ * Conversation Service
+ * Keeps per-chat search context so follow-ups ("بس بحلب", "أرخص من 50 مليون")
+ * refine the previous search instead of starting from scratch
+ */
+class ConversationService {
+  constructor() {
+    this.store = sessionStore;
+    this.ttl = parseInt(process.env.CONVERSATION_TTL || '1800'); // 30 minutes
+
+    // Words that only make sense as a refinement of an earlier search
+    this.followUpMarkers = new Set([
+      'بس', 'طيب', 'كمان', 'بدل', 'بدلها', 'غير', 'هلق', 'اذا', 'يعني', 'و', 'او', 'لا', 'بلا',
+      'only', 'but', 'what', 'about', 'instead', 'and', 'in', 'also'
+    ]);
+
+    // Tokens explained by attribute extraction (numbers, units, price words)
+    this.attributeWords = new Set([
+      'من', 'الى', 'الي', 'بين', 'مليون', 'الف', 'مليار', 'ليره', 'ل.س', 'دولار', 'usd', 'syp',
+      'ارخص', 'اغلي', 'اقل', 'اكثر', 'اكتر', 'تحت', 'فوق', 'دون', 'حد', 'اقصي', 'بسعر', 'السعر', 'سعر',
+      'رخيص', 'رخيصه', 'غالي', 'غاليه', 'جديد', 'جديده', 'مستعمل', 'مستعمله', 'زيرو',
+      'الارخص', 'الاغلي', 'الاحدث', 'الاجدد', 'رتب', 'رتبهم', 'حسب', 'شي', 'اشي',
+      'موديل', 'سنه', 'متر', 'م2', 'م²', 'غرف', 'غرفه', 'غرفتين', 'كم', 'كيلو',
+      'للبيع', 'للايجار', 'ايجار', 'بيع', 'شهري', 'يومي', 'سنوي',
+      'cheaper', 'cheap', 'under', 'below', 'over', 'above', 'than', 'less', 'more', 'new', 'used',
+      'million', 'model', 'rent', 'sale',
+      // Location proximity: "بس قريب من المزة"
+      'قريب', 'قريبه', 'جنب', 'بجانب', 'ريف', 'محافظه', 'near', 'nearby'
+    ]);
+
+    this.resetPatterns = [
+      /^(من جديد|منبلش من جديد|بحث جديد|ابدا من جديد|خلينا نبلش من جديد|انسي|انسى|امسح|ريست)$/,
+      /^(start over|new search|reset|clear)$/i
+    ];
+  }
+
+  /**
+   * Build store key for a conversation
+   * @param {string} source - Channel (telegram, whatsapp)
+   * @param {string|number} chatId - Chat ID
+   * @returns {string} Key
+   */
+  getKey(source, chatId) {
+    return this.store.generateKey('conversation', source, chatId);
+  }
+
+  /**
+   * Get stored context for a chat
+   * @param {string} source - Channel
+   * @param {string|number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Previous parsed query
+   */
+  async get(source, chatId) {
+    return await this.store.get(this.getKey(source, chatId));
+  }
+
+  /**
+   * Store context for a chat
+   * @param {string} source - Channel
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} context - Parsed query to carry forward
+   */
+  async save(source, chatId, context) {
+    await this.store.set(this.getKey(source, chatId), context, this.ttl);
+  }
+
+  /**
+   * Forget the context of a chat ("start over")
+   * @param {string} source - Channel
+   * @param {string|number} chatId - Chat ID
+   */
+  async reset(source, chatId) {
+    await this.store.del(this.getKey(source, chatId));
+    logger.debug('Conversation context reset', { source, chatId });
+  }
+
+  /**
+   * Check if a message asks to start over (cheap check before intent detection)
+   * @param {string} text - Raw message
+   * @returns {boolean} True if reset requested
+   */
+  isResetRequest(text) {
+    const normalized = ArabicNormalizer.normalizeAndLower(text).replace(/[!.؟?،,]/g, '').trim();
+    return this.resetPatterns.some(pattern => pattern.test(normalized));
+  }
+
+  /**
+   * Decide whether a parse refines the previous search
+   * A follow-up has no confident category of its own and every remaining word
+   * is a location, an attribute or a follow-up marker
+   * @param {Object} parsed - Current parsed query
+   * @returns {boolean} True if follow-up
+   */
+  isFollowUp(parsed) {
+    if (parsed.category && parsed.category.confidence >= 0.85) {
+      return false;
+    }
+
+    const tokens = NumeralParser.prepare(parsed.normalized || parsed.original || '')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (tokens.length === 0) {
+      return false;
+    }
+
+    // Starts with "بس ..." / "طيب ..." and brings no category: clearly a refinement
+    if (this.followUpMarkers.has(tokens[0])) {
+      return true;
+    }
+
+    const locationName = parsed.location?.name
+      ? ArabicNormalizer.normalizeAndLower(parsed.location.name)
+      : null;
+
+    const unexplained = tokens.filter(token => {
+      if (this.followUpMarkers.has(token) || this.attributeWords.has(token)) return false;
+      // Digits and spelled-out numbers ("بخمسين", "مليون", "نص")
+      if (NumeralParser.tokenize(token).some(part => part.info)) return false;
+
+      // Location with attached preposition: بحلب، لحمص، عدمشق
+      const bare = token.replace(/^(ب|ل|ع|في)/, '');
+      if (locationName && (token === locationName || bare === locationName || locationName.includes(bare))) {
+        return false;
+      }
+
+      return true;
+    });
+
+    return unexplained.length === 0;
+  }
+
+  /**
+   * Merge a follow-up parse into the previous one
+   * Location overrides, price ranges tighten, other attributes are added/overridden
+   * @param {Object} previous - Previous parsed query (context)
+   * @param {Object} current - Current parsed query
+   * @returns {Object} Merged parsed query (or current if it is a new search)
+   */
+  merge(previous, current) {
+    if (!previous || !this.isFollowUp(current)) {
+      return current;
+    }
+
+    const merged = {
+      ...previous,
+      location: current.location || previous.location,
+      transactionType: current.transactionType && current.transactionType !== 'sale'
+        ? current.transactionType
+        : previous.transactionType,
+      attributes: this.mergeAttributes(previous.attributes || {}, current.attributes || {}),
+      keywords: [...new Set([...(previous.keywords || []), ...(current.keywords || [])])],
+      followUp: current.original,
+      // How this message was parsed, not the stored context (search analytics reads these)
+      tier: current.tier,
+      method: current.method,
+      fromCache: current.fromCache,
+      aiModel: current.aiModel,
+      aiTokens: current.aiTokens,
+      processingTime: current.processingTime
+    };
+
+    logger.info('Follow-up merged into previous search', {
+      previous: (previous.original || '').substring(0, 50),
+      followUp: (current.original || '').substring(0, 50),
+      location: merged.location?.name,
+      attributes: Object.keys(merged.attributes)
+    });
+
+    return merged;
+  }
+
+  /**
+   * Merge attribute filters
+   * @param {Object} previous - Previous attributes
+   * @param {Object} current - Current attributes
+   * @returns {Object} Merged attributes
+   */
+  mergeAttributes(previous, current) {
+    const merged = { ...previous };
+
+    Object.entries(current).forEach(([key, value]) => {
+      const prev = merged[key];
+
+      if (
+        prev && typeof prev === 'object' && typeof value === 'object' &&
+        value.value === undefined && (value.min !== undefined || value.max !== undefined) &&
+        // Ranges in different currencies can't be intersected, the new one replaces the old
+        CurrencyConverter.resolve(prev.currency) === CurrencyConverter.resolve(value.currency)
+      ) {
+        merged[key] = this.tightenRange(prev, value);
+      } else {
+        merged[key] = value;
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Intersect two numeric ranges ({min, max} or {value})
+   * @param {Object} previous - Previous range
+   * @param {Object} current - Current range
+   * @returns {Object} Tightened range
+   */
+  tightenRange(previous, current) {
+    const prevMin = previous.min !== undefined ? previous.min : previous.value;
+    const prevMax = previous.max !== undefined ? previous.max : previous.value;
+
+    const mins = [prevMin, current.min].filter(v => v !== undefined);
+    const maxes = [prevMax, current.max].filter(v => v !== undefined);
+
+    const min = mins.length > 0 ? Math.max(...mins) : undefined;
+    const max = maxes.length > 0 ? Math.min(...maxes) : undefined;
+
+    // Contradicting bounds: the newest statement wins
+    if (min !== undefined && max !== undefined && min > max) {
+      return current;
+    }
+
+    const range = { type: 'range' };
+    if (min !== undefined) range.min = min;
+    if (max !== undefined) range.max = max;
+    if (current.currency) range.currency = current.currency;
+    return range;
+  }
+
+  /**
+   * Build the context to store from a search response
+   * @param {Object} results - SearchService.search response
+   * @param {string} language - Language the search ran in (the response does not carry it)
+   * @returns {Object} Context
+   */
+  fromSearchResults(results, language) {
+    const { query } = results.data;
+
+    return {
+      original: query.searchText || query.original,
+      normalized: ArabicNormalizer.normalize(query.searchText || query.original),
+      language,
+      category: query.parsed.category,
+      location: query.parsed.location,
+      transactionType: query.parsed.transactionType,
+      attributes: query.parsed.attributes || {},
+      keywords: query.parsed.keywords || [],
+      confidence: results.meta.confidence
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new ConversationService();
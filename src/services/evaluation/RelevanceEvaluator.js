@@ -0,0 +1,328 @@
+const fs = require('fs');
+const smartQueryParser = require('../mcp/SmartQueryParser');
+const searchService = require('../search/SearchService');
+const RelevanceMetrics = require('./RelevanceMetrics');
+const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const logger = require('../../utils/logger');
+
+/**
+ * Relevance Evaluator
+ * Runs a golden query set through the parser and the search pipeline and
+ * scores parse accuracy and ranking quality (P@k, MRR, nDCG)
+ */
+class RelevanceEvaluator {
+  constructor() {
+    this.parser = smartQueryParser;
+    this.searchService = searchService;
+    this.defaultK = 10;
+    this.parseFields = ['category', 'location', 'transactionType', 'attributes'];
+  }
+
+  /**
+   * Load and validate a golden set file
+   * @param {string} filePath - Path to golden set JSON
+   * @returns {Object} Golden set { version, name, k, queries }
+   */
+  loadGoldenSet(filePath) {
+    const goldenSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!goldenSet.version || !Array.isArray(goldenSet.queries)) {
+      throw new Error(`Invalid golden set ${filePath}: "version" and "queries" are required`);
+    }
+
+    const ids = new Set();
+    goldenSet.queries.forEach(item => {
+      if (!item.id || !item.query) {
+        throw new Error(`Invalid golden set ${filePath}: every query needs "id" and "query"`);
+      }
+      if (ids.has(item.id)) {
+        throw new Error(`Invalid golden set ${filePath}: duplicate query id "${item.id}"`);
+      }
+      ids.add(item.id);
+    });
+
+    return goldenSet;
+  }
+
+  /**
+   * Evaluate the whole golden set
+   * @param {Object} goldenSet - Golden set
+   * @param {Object} options - Options
+   * @param {number} options.k - Cutoff for P@k and nDCG@k
+   * @returns {Promise<Object>} Report { goldenSet, k, generatedAt, summary, queries }
+   */
+  async run(goldenSet, { k } = {}) {
+    const cutoff = k || goldenSet.k || this.defaultK;
+    const queries = [];
+
+    for (const item of goldenSet.queries) {
+      queries.push(await this.evaluateQuery(item, cutoff));
+    }
+
+    const report = {
+      goldenSet: { name: goldenSet.name || null, version: goldenSet.version },
+      k: cutoff,
+      generatedAt: new Date().toISOString(),
+      summary: this.summarize(queries),
+      queries
+    };
+
+    logger.info('Relevance evaluation completed', {
+      queries: queries.length,
+      parseAccuracy: report.summary.parseAccuracy.overall,
+      ndcg: report.summary.ndcg
+    });
+
+    return report;
+  }
+
+  /**
+   * Evaluate one golden query
+   * @param {Object} item - Golden query { id, query, language, expected, relevant }
+   * @param {number} k - Cutoff
+   * @returns {Promise<Object>} Per-query result
+   */
+  async evaluateQuery(item, k) {
+    const language = item.language || 'ar';
+    const result = { id: item.id, query: item.query, parse: null, retrieval: null, error: null };
+
+    try {
+      const parsed = await this.parser.parse(item.query, language);
+      result.parse = this.scoreParse(parsed, item.expected || {});
+
+      const judgments = this.getJudgments(item.relevant);
+
+      if (Object.keys(judgments).length > 0) {
+        const response = await this.searchService.search({
+          query: item.query,
+          language,
+          source: 'evaluation',
+          page: 1,
+          limit: k
+        });
+
+        const resultIds = response.data.listings.map(listing => String(listing.id));
+
+        result.retrieval = {
+          returned: resultIds,
+          precisionAtK: RelevanceMetrics.precisionAtK(resultIds, judgments, k),
+          reciprocalRank: RelevanceMetrics.reciprocalRank(resultIds, judgments),
+          ndcgAtK: RelevanceMetrics.ndcgAtK(resultIds, judgments, k),
+          searchMethod: response.meta.searchMethod
+        };
+      }
+    } catch (error) {
+      logger.error('Relevance evaluation query failed', { id: item.id, error: error.message });
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare parsed fields with the expected ones
+   * Only fields present in "expected" are scored; null means "must not match anything"
+   * @param {Object} parsed - SmartQueryParser.parse result
+   * @param {Object} expected - Expected fields
+   * @returns {Object} { fields: { name: { expected, actual, correct } }, correct, total }
+   */
+  scoreParse(parsed, expected) {
+    const fields = {};
+
+    this.parseFields.forEach(field => {
+      if (!(field in expected)) return;
+
+      const actual = this.getParsedValue(parsed, field);
+      fields[field] = {
+        expected: expected[field],
+        actual,
+        correct: this.matches(field, expected[field], actual)
+      };
+    });
+
+    const scored = Object.values(fields);
+
+    return {
+      fields,
+      correct: scored.filter(field => field.correct).length,
+      total: scored.length
+    };
+  }
+
+  /**
+   * Extract a comparable value from a parse result
+   * @param {Object} parsed - Parse result
+   * @param {string} field - Field name
+   * @returns {*} Comparable value
+   */
+  getParsedValue(parsed, field) {
+    switch (field) {
+      case 'category':
+        return parsed.category?.slug || null;
+      case 'location':
+        return parsed.location?.name || null;
+      case 'transactionType': {
+        // buildResult falls back to 'sale' (not a real slug) when nothing matched
+        const slug = parsed.transactionType?.slug || parsed.transactionType || null;
+        return slug === 'sale' ? null : slug;
+      }
+      case 'attributes':
+        return parsed.attributes || {};
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check an expected value against the parsed one
+   * @param {string} field - Field name
+   * @param {*} expected - Expected value
+   * @param {*} actual - Parsed value
+   * @returns {boolean} True if correct
+   */
+  matches(field, expected, actual) {
+    if (expected === null) {
+      return actual === null;
+    }
+
+    if (field === 'location') {
+      return actual !== null &&
+        ArabicNormalizer.normalizeAndLower(expected) === ArabicNormalizer.normalizeAndLower(actual);
+    }
+
+    if (field === 'attributes') {
+      // Every expected attribute (and every expected key inside it) must match
+      return Object.entries(expected).every(([slug, value]) => {
+        const parsedValue = actual[slug];
+        if (typeof value !== 'object' || value === null) {
+          return parsedValue === value || parsedValue?.value === value;
+        }
+        return parsedValue && Object.entries(value).every(([key, v]) => parsedValue[key] === v);
+      });
+    }
+
+    return expected === actual;
+  }
+
+  /**
+   * Normalize relevance judgments
+   * Accepts ["id", ...] (grade 1) or [{ id, grade }, ...]
+   * @param {Array} relevant - Judgments from the golden set
+   * @returns {Object} Grades by listing ID
+   */
+  getJudgments(relevant = []) {
+    const judgments = {};
+
+    relevant.forEach(entry => {
+      if (typeof entry === 'object') {
+        judgments[String(entry.id)] = entry.grade !== undefined ? entry.grade : 1;
+      } else {
+        judgments[String(entry)] = 1;
+      }
+    });
+
+    return judgments;
+  }
+
+  /**
+   * Aggregate per-query results
+   * @param {Array} queries - Per-query results
+   * @returns {Object} Summary
+   */
+  summarize(queries) {
+    const parsed = queries.filter(q => q.parse);
+    const judged = queries.filter(q => q.retrieval);
+
+    const fieldAccuracy = {};
+    this.parseFields.forEach(field => {
+      const scored = parsed.filter(q => q.parse.fields[field]).map(q => q.parse.fields[field]);
+      fieldAccuracy[field] = scored.length > 0
+        ? scored.filter(f => f.correct).length / scored.length
+        : null;
+    });
+
+    const correct = parsed.reduce((sum, q) => sum + q.parse.correct, 0);
+    const total = parsed.reduce((sum, q) => sum + q.parse.total, 0);
+
+    return {
+      queries: queries.length,
+      judgedQueries: judged.length,
+      errors: queries.filter(q => q.error).length,
+      parseAccuracy: {
+        overall: total > 0 ? correct / total : null,
+        ...fieldAccuracy
+      },
+      precisionAtK: RelevanceMetrics.mean(judged.map(q => q.retrieval.precisionAtK)),
+      mrr: RelevanceMetrics.mean(judged.map(q => q.retrieval.reciprocalRank)),
+      ndcg: RelevanceMetrics.mean(judged.map(q => q.retrieval.ndcgAtK))
+    };
+  }
+
+  /**
+   * Diff a report against a stored baseline
+   * @param {Object} report - Current report
+   * @param {Object} baseline - Baseline report
+   * @param {number} tolerance - Allowed drop before a metric counts as a regression
+   * @returns {Object} { metrics, regressions, queries }
+   */
+  compareToBaseline(report, baseline, tolerance = 0.01) {
+    const metricValues = (summary) => ({
+      'parseAccuracy.overall': summary.parseAccuracy.overall,
+      ...Object.fromEntries(this.parseFields.map(field => [`parseAccuracy.${field}`, summary.parseAccuracy[field]])),
+      precisionAtK: summary.precisionAtK,
+      mrr: summary.mrr,
+      ndcg: summary.ndcg
+    });
+
+    const current = metricValues(report.summary);
+    const previous = metricValues(baseline.summary);
+
+    const metrics = Object.keys(current).map(name => {
+      const delta = current[name] !== null && previous[name] !== null && previous[name] !== undefined
+        ? current[name] - previous[name]
+        : null;
+      return { name, baseline: previous[name], current: current[name], delta };
+    });
+
+    // Per-query changes help to find what broke
+    const baselineQueries = new Map(baseline.queries.map(q => [q.id, q]));
+    const queries = [];
+
+    report.queries.forEach(q => {
+      const before = baselineQueries.get(q.id);
+      if (!before) {
+        queries.push({ id: q.id, change: 'added' });
+        return;
+      }
+
+      const changes = [];
+      if (q.parse && before.parse) {
+        Object.entries(q.parse.fields).forEach(([field, value]) => {
+          const old = before.parse.fields[field];
+          if (old && old.correct !== value.correct) {
+            changes.push(`${field}: ${old.correct ? 'correct' : 'wrong'} → ${value.correct ? 'correct' : 'wrong'}`);
+          }
+        });
+      }
+      if (q.retrieval && before.retrieval && q.retrieval.ndcgAtK !== before.retrieval.ndcgAtK) {
+        changes.push(`ndcg: ${before.retrieval.ndcgAtK.toFixed(3)} → ${q.retrieval.ndcgAtK.toFixed(3)}`);
+      }
+      if (Boolean(q.error) !== Boolean(before.error)) {
+        changes.push(q.error ? `error: ${q.error}` : 'error fixed');
+      }
+
+      if (changes.length > 0) {
+        queries.push({ id: q.id, change: 'changed', details: changes });
+      }
+    });
+
+    return {
+      metrics,
+      regressions: metrics.filter(metric => metric.delta !== null && metric.delta < -tolerance),
+      queries
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new RelevanceEvaluator();
@@ -0,0 +1,61 @@
+/**
+ * Relevance Metrics
+ * Ranking metrics over a list of returned listing IDs and graded relevance judgments
+ * Judgments: { [listingId]: grade } where grade > 0 means relevant (2 = perfect, 1 = partial)
+ */
+class RelevanceMetrics {
+  /**
+   * Precision@k - share of the top k results that are relevant
+   * @param {Array<string>} resultIds - Returned listing IDs, best first
+   * @param {Object} judgments - Grades by listing ID
+   * @param {number} k - Cutoff
+   * @returns {number} Precision in [0, 1]
+   */
+  static precisionAtK(resultIds, judgments, k) {
+    if (k <= 0) return 0;
+
+    const hits = resultIds.slice(0, k).filter(id => (judgments[id] || 0) > 0).length;
+    return hits / k;
+  }
+
+  /**
+   * Reciprocal rank of the first relevant result (0 if none)
+   * @param {Array<string>} resultIds - Returned listing IDs, best first
+   * @param {Object} judgments - Grades by listing ID
+   * @returns {number} Reciprocal rank in [0, 1]
+   */
+  static reciprocalRank(resultIds, judgments) {
+    const index = resultIds.findIndex(id => (judgments[id] || 0) > 0);
+    return index === -1 ? 0 : 1 / (index + 1);
+  }
+
+  /**
+   * Normalized discounted cumulative gain at k (graded, 2^grade - 1 gains)
+   * @param {Array<string>} resultIds - Returned listing IDs, best first
+   * @param {Object} judgments - Grades by listing ID
+   * @param {number} k - Cutoff
+   * @returns {number} nDCG in [0, 1]
+   */
+  static ndcgAtK(resultIds, judgments, k) {
+    const dcg = (grades) => grades
+      .slice(0, k)
+      .reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+
+    const ideal = dcg(Object.values(judgments).filter(grade => grade > 0).sort((a, b) => b - a));
+    if (ideal === 0) return 0;
+
+    return dcg(resultIds.map(id => judgments[id] || 0)) / ideal;
+  }
+
+  /**
+   * Arithmetic mean (0 for an empty list)
+   * @param {Array<number>} values - Values
+   * @returns {number} Mean
+   */
+  static mean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+}
+
+module.exports = RelevanceMetrics;
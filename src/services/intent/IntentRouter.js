@@ -0,0 +1,249 @@
+const searchService = require('../search/SearchService');
+const intentService = require('./IntentService');
+const openAIService = require('../ai/OpenAIService');
+const logger = require('../../utils/logger');
+
+/**
+ * Intent Router
+ * Detects what a message asks for and runs it, independent of the channel.
+ * Every channel (Telegram, WhatsApp, REST) only renders the neutral response:
+ *
+ *   { type: 'search', query, params, results }   results of searchService.search, params used
+ *   { type: 'listings', title, results }         IntentService listings response
+ *   { type: 'offices', results }                 IntentService.getOffices response
+ *   { type: 'office_details', results }          IntentService.getOfficeDetails response
+ *   { type: 'message', message, results }        greeting / help text
+ *   { type: 'start_over', results }              chats forget the conversation, REST greets
+ *   { type: 'error', status, reason, message }   missing details, not found, unknown intent
+ *
+ * Each response also carries `intent` (the detected intent) and `language`.
+ */
+class IntentRouter {
+  constructor() {
+    this.handlers = {
+      search: (intent, options) => this.handleSearch(intent, options),
+      most_viewed: (intent, options) => this.handleMostViewed(intent, options),
+      most_impressioned: (intent, options) => this.handleMostImpressioned(intent, options),
+      get_offices: (intent, options) => this.handleOffices(intent, options),
+      get_office_details: (intent, options) => this.handleOfficeDetails(intent, options),
+      get_office_listings: (intent, options) => this.handleOfficeListings(intent, options),
+      start_over: (intent, options) => this.handleStartOver(intent, options),
+      greeting: (intent, options) => this.handleGreeting(intent, options),
+      help: (intent, options) => this.handleHelp(intent, options)
+    };
+  }
+
+  /**
+   * Detect the intent of a message and run it
+   * @param {string} text - User message (typed or transcribed)
+   * @param {Object} options - Routing options
+   * @param {string} options.language - Language ('ar' or 'en')
+   * @param {string} options.source - Source (api, telegram, telegram-voice, whatsapp...)
+   * @param {string} options.userId - User identifier
+   * @param {number} options.page - Page of search results
+   * @param {number} options.limit - Results per page and listings to return for every intent (REST)
+   * @param {Object} options.search - Extra searchService.search params (context, cursor, sort, near, filters...);
+   *   chats put their page size here so lists of other intents keep their default sizes
+   * @returns {Promise<Object>} Neutral response model
+   */
+  async route(text, options = {}) {
+    const language = options.language || 'ar';
+    const intent = await openAIService.detectIntent(text, language);
+
+    logger.info('Intent detected', {
+      source: options.source,
+      original: text.substring(0, 50),
+      intent: intent.intent
+    });
+
+    const handler = this.handlers[intent.intent];
+
+    if (!handler) {
+      return this.error(intent, language, 400, 'unknown_intent');
+    }
+
+    return await handler(intent, { ...options, language });
+  }
+
+  /**
+   * Run a listing search with the query cleaned by intent detection
+   */
+  async handleSearch(intent, options) {
+    if (!intent.query) {
+      return this.error(intent, options.language, 400, 'missing_query');
+    }
+
+    const params = {
+      query: intent.query,
+      language: options.language,
+      source: options.source || 'api',
+      userId: options.userId,
+      page: options.page || 1,
+      limit: options.limit || 10,
+      ...options.search
+    };
+
+    const results = await searchService.search(params);
+
+    return this.respond(intent, options.language, 'search', { query: intent.query, params, results });
+  }
+
+  /**
+   * Most viewed listings
+   */
+  async handleMostViewed(intent, options) {
+    const results = await intentService.getMostViewedListings(intent.limit || options.limit || 10, options.language);
+
+    return this.respond(intent, options.language, 'listings', {
+      title: options.language === 'ar' ? '📊 الإعلانات الأكثر مشاهدة' : '📊 Most Viewed Listings',
+      results
+    });
+  }
+
+  /**
+   * Most impressioned listings
+   */
+  async handleMostImpressioned(intent, options) {
+    const results = await intentService.getMostImpressionedListings(intent.limit || options.limit || 10, options.language);
+
+    return this.respond(intent, options.language, 'listings', {
+      title: options.language === 'ar' ? '🔥 الإعلانات الأكثر تفاعلاً' : '🔥 Most Engaging Listings',
+      results
+    });
+  }
+
+  /**
+   * List offices
+   */
+  async handleOffices(intent, options) {
+    const results = await intentService.getOffices(intent.limit || options.limit || 20, options.language);
+
+    return this.respond(intent, options.language, 'offices', { results });
+  }
+
+  /**
+   * Details of one office
+   */
+  async handleOfficeDetails(intent, options) {
+    if (!intent.officeId) {
+      return this.error(intent, options.language, 400, 'missing_office');
+    }
+
+    const results = await intentService.getOfficeDetails(intent.officeId, options.language);
+    if (!results.success) {
+      return this.error(intent, options.language, 404, 'office_not_found', results.error);
+    }
+
+    return this.respond(intent, options.language, 'office_details', { results });
+  }
+
+  /**
+   * Listings of one office
+   */
+  async handleOfficeListings(intent, options) {
+    if (!intent.officeId) {
+      return this.error(intent, options.language, 400, 'missing_office');
+    }
+
+    const results = await intentService.getOfficeListings(
+      intent.officeId,
+      intent.limit || options.limit || 10,
+      options.language
+    );
+    if (!results.success) {
+      return this.error(intent, options.language, 404, 'office_not_found', results.error);
+    }
+
+    return this.respond(intent, options.language, 'listings', {
+      title: options.language === 'ar'
+        ? `🏢 إعلانات ${results.office.name}`
+        : `🏢 Listings of ${results.office.name}`,
+      results
+    });
+  }
+
+  /**
+   * Start over - stateless channels have nothing to reset and show the greeting
+   */
+  async handleStartOver(intent, options) {
+    return this.respond(intent, options.language, 'start_over', {
+      results: intentService.getGreetingMessage(options.language)
+    });
+  }
+
+  /**
+   * Greeting
+   */
+  async handleGreeting(intent, options) {
+    const results = intentService.getGreetingMessage(options.language);
+
+    return this.respond(intent, options.language, 'message', { message: results.message, results });
+  }
+
+  /**
+   * Help
+   */
+  async handleHelp(intent, options) {
+    const results = intentService.getHelpMessage(options.language);
+
+    return this.respond(intent, options.language, 'message', { message: results.message, results });
+  }
+
+  /**
+   * Build a response
+   * @param {Object} intent - Detected intent
+   * @param {string} language - Language
+   * @param {string} type - Response type
+   * @param {Object} fields - Type specific fields
+   * @returns {Object} Response model
+   */
+  respond(intent, language, type, fields) {
+    return { type, intent: intent.intent, language, ...fields };
+  }
+
+  /**
+   * Build an error response
+   * @param {Object} intent - Detected intent
+   * @param {string} language - Language
+   * @param {number} status - HTTP-like status (400 or 404)
+   * @param {string} reason - Machine readable reason
+   * @param {string} message - Message to show (defaults to the reason's message)
+   * @returns {Object} Error response model
+   */
+  error(intent, language, status, reason, message = null) {
+    return this.respond(intent, language, 'error', {
+      status,
+      reason,
+      message: message || this.getErrorMessage(reason, language)
+    });
+  }
+
+  /**
+   * User-facing message for an error reason
+   * @param {string} reason - Error reason
+   * @param {string} language - Language
+   * @returns {string} Message
+   */
+  getErrorMessage(reason, language) {
+    const messages = {
+      missing_query: {
+        ar: 'أهلاً! 👋\nشو بدك دور عليه؟\nاكتبلي شو عم تدور عليه وأنا بساعدك 🔍',
+        en: 'Hi! 👋\nWhat are you looking for?\nTell me and I will search for it 🔍'
+      },
+      missing_office: {
+        ar: 'يرجى تحديد رقم أو اسم المكتب 🏢\nمثال: "تفاصيل المكتب رقم 123"',
+        en: 'Please specify the office ID or name 🏢\nExample: "details of office 123"'
+      },
+      unknown_intent: {
+        ar: 'عذراً، ما فهمت طلبك 😔\nاكتبلي شو عم تدور عليه أو اطلب المساعدة',
+        en: 'Sorry, I did not understand your request 😔\nTell me what you are looking for or ask for help'
+      }
+    };
+
+    const message = messages[reason] || messages.unknown_intent;
+    return language === 'ar' ? message.ar : message.en;
+  }
+}
+
+// Singleton instance
+module.exports = new IntentRouter();
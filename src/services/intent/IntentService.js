@@ -518,6 +518,304 @@ class IntentService {
     }
   }
 
+  /**
+   * Get full listing details (all images, all attributes, office contact)
+   * @param {string} listingId - Listing ID
+   * @param {string} language - Language ('ar' or 'en')
+   * @returns {Promise<Object>} Formatted response
+   */
+  async getListingDetails(listingId, language = 'ar') {
+    try {
+      logger.info('Getting listing details', { listingId });
+
+      const listingQuery = `
+        SELECT
+          l.id,
+          l.title,
+          l.description,
+          l.category_id,
+          l.city_id,
+          l.neighborhood_id,
+          l.transaction_type_id,
+          l.office_id,
+          l.status,
+          l.views,
+          l.created_at,
+          c.slug as category_slug,
+          c.name_ar as category_name_ar,
+          c.name_en as category_name_en,
+          ct.name_ar as city_name_ar,
+          ct.name_en as city_name_en,
+          n.name_ar as neighborhood_name_ar,
+          n.name_en as neighborhood_name_en,
+          tt.slug as transaction_type_slug,
+          tt.name_ar as transaction_type_name_ar,
+          tt.name_en as transaction_type_name_en,
+          o.name as office_name,
+          o.phone as office_phone,
+          o.is_premium as office_is_premium
+        FROM listings l
+        JOIN categories c ON l.category_id = c.id
+        JOIN cities ct ON l.city_id = ct.id
+        LEFT JOIN neighborhoods n ON l.neighborhood_id = n.id
+        LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+        LEFT JOIN offices o ON l.office_id = o.id AND o.status = 'approved'
+        WHERE l.id = $1
+      `;
+
+      const imagesQuery = `
+        SELECT url
+        FROM listing_images
+        WHERE listing_id = $1
+        ORDER BY is_main DESC, order_index ASC
+      `;
+
+      // Every attribute of the listing, in the category's display order
+      const attributesQuery = `
+        SELECT
+          la.slug,
+          la.type,
+          la.name_ar,
+          la.name_en,
+          la.unit_ar,
+          la.unit_en,
+          lav.value_number,
+          lav.value_text,
+          lav.value_boolean,
+          lav.unit_ar as value_unit_ar
+        FROM listing_attribute_values lav
+        JOIN listing_attributes la ON lav.attribute_id = la.id
+        JOIN listings l ON lav.listing_id = l.id
+        LEFT JOIN category_attributes ca
+          ON ca.attribute_id = la.id AND ca.category_id = l.category_id
+        WHERE lav.listing_id = $1
+        ORDER BY ca.sort_order ASC NULLS LAST, la.slug ASC
+      `;
+
+      const [listingResult, imagesResult, attributesResult] = await Promise.all([
+        this.db.query(listingQuery, [listingId]),
+        this.db.query(imagesQuery, [listingId]),
+        this.db.query(attributesQuery, [listingId])
+      ]);
+
+      if (listingResult.rows.length === 0) {
+        return {
+          success: false,
+          error: language === 'ar'
+            ? 'هالإعلان مو موجود أو انحذف'
+            : 'Listing not found',
+          meta: { intent: 'get_listing_details' }
+        };
+      }
+
+      const listing = listingResult.rows[0];
+
+      // Key attributes keep the same shape as search results
+      const keyAttributes = {};
+      let price = null;
+      let currency = 'SYP';
+
+      const attributeList = attributesResult.rows
+        .map(attr => {
+          const value = attr.value_number !== null
+            ? parseFloat(attr.value_number)
+            : attr.value_boolean !== null ? attr.value_boolean : attr.value_text;
+
+          if (value === null || value === '') {
+            return null;
+          }
+
+          if (attr.slug === 'price') {
+            price = value;
+            currency = attr.value_unit_ar || 'SYP';
+          }
+          keyAttributes[attr.slug] = value;
+
+          return {
+            slug: attr.slug,
+            type: attr.type,
+            name: (language === 'ar' ? attr.name_ar : attr.name_en) || attr.slug,
+            value,
+            unit: language === 'ar' ? attr.unit_ar : attr.unit_en
+          };
+        })
+        .filter(Boolean);
+
+      const formatted = responseFormatter.formatListing({
+        ...listing,
+        price,
+        currency,
+        attributes: keyAttributes,
+        main_image_url: imagesResult.rows[0]?.url || null
+      }, language);
+
+      formatted.isActive = listing.status === 'active';
+      formatted.images = imagesResult.rows.map(row => row.url);
+      formatted.attributeList = attributeList;
+      formatted.office = listing.office_id && listing.office_name
+        ? {
+          id: listing.office_id,
+          name: listing.office_name,
+          phone: listing.office_phone,
+          isPremium: listing.office_is_premium,
+          url: `https://www.kasioon.com/office/${listing.office_id}`
+        }
+        : null;
+
+      logger.info('Listing details retrieved', {
+        listingId,
+        images: formatted.images.length,
+        attributes: attributeList.length
+      });
+
+      return {
+        success: true,
+        data: formatted,
+        meta: { intent: 'get_listing_details' }
+      };
+    } catch (error) {
+      logger.error('Get listing details error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active children of a category (root categories when no parent is given)
+   * Walks the same parent_id/level tree as DatabaseMatcher.findLeafCategory
+   * @param {string|null} parentId - Parent category UUID, null for roots
+   * @returns {Promise<Array>} Categories with has_children
+   */
+  async getCategoryChildren(parentId = null) {
+    try {
+      const result = await this.db.query(`
+        SELECT
+          c.id, c.slug, c.name_ar, c.name_en, c.level, c.parent_id,
+          EXISTS (
+            SELECT 1 FROM categories child
+            WHERE child.parent_id = c.id AND child.is_active = true
+          ) as has_children
+        FROM categories c
+        WHERE c.is_active = true
+          AND ${parentId ? 'c.parent_id = $1' : 'c.parent_id IS NULL'}
+        ORDER BY c.sort_order ASC, c.name_ar ASC
+      `, parentId ? [parentId] : []);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Get category children error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single active category
+   * @param {string} categoryId - Category UUID
+   * @returns {Promise<Object|null>} Category with has_children, or null
+   */
+  async getCategory(categoryId) {
+    try {
+      const result = await this.db.query(`
+        SELECT
+          c.id, c.slug, c.name_ar, c.name_en, c.level, c.parent_id,
+          EXISTS (
+            SELECT 1 FROM categories child
+            WHERE child.parent_id = c.id AND child.is_active = true
+          ) as has_children
+        FROM categories c
+        WHERE c.id = $1 AND c.is_active = true
+      `, [categoryId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Get category error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the cities with the most active listings in a category (and its subcategories)
+   * @param {string} categoryId - Category UUID
+   * @param {number} limit - Number of cities to return
+   * @returns {Promise<Array>} Cities with listing_count
+   */
+  async getCategoryCities(categoryId, limit = 12) {
+    try {
+      const result = await this.db.query(`
+        WITH RECURSIVE category_tree AS (
+          SELECT id FROM categories WHERE id = $1
+          UNION ALL
+          SELECT c.id FROM categories c
+          JOIN category_tree ct ON c.parent_id = ct.id
+        )
+        SELECT ct.id, ct.name_ar, ct.name_en, COUNT(l.id) as listing_count
+        FROM listings l
+        JOIN cities ct ON l.city_id = ct.id
+        WHERE l.status = 'active'
+          AND l.category_id IN (SELECT id FROM category_tree)
+        GROUP BY ct.id, ct.name_ar, ct.name_en
+        ORDER BY listing_count DESC
+        LIMIT $2
+      `, [categoryId, limit]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Get category cities error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single city
+   * @param {string} cityId - City UUID
+   * @returns {Promise<Object|null>} City, or null
+   */
+  async getCity(cityId) {
+    try {
+      const result = await this.db.query(`
+        SELECT id, name_ar, name_en, province_ar, province_en
+        FROM cities
+        WHERE id = $1
+      `, [cityId]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Get city error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the transaction types used by active listings of a category (and its subcategories)
+   * @param {string} categoryId - Category UUID
+   * @param {string|null} cityId - Only count listings of this city
+   * @returns {Promise<Array>} Transaction types with listing_count
+   */
+  async getCategoryTransactionTypes(categoryId, cityId = null) {
+    try {
+      const result = await this.db.query(`
+        WITH RECURSIVE category_tree AS (
+          SELECT id FROM categories WHERE id = $1
+          UNION ALL
+          SELECT c.id FROM categories c
+          JOIN category_tree ct ON c.parent_id = ct.id
+        )
+        SELECT tt.id, tt.slug, tt.name_ar, tt.name_en, COUNT(l.id) as listing_count
+        FROM listings l
+        JOIN transaction_types tt ON l.transaction_type_id = tt.id
+        WHERE l.status = 'active'
+          AND l.category_id IN (SELECT id FROM category_tree)
+          AND ($2::uuid IS NULL OR l.city_id = $2)
+        GROUP BY tt.id, tt.slug, tt.name_ar, tt.name_en
+        ORDER BY listing_count DESC
+      `, [categoryId, cityId]);
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Get category transaction types error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get help/capabilities message
    * @param {string} language - Language ('ar' or 'en')
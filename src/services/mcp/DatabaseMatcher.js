@@ -1,7 +1,25 @@
 const database = require('../../config/database');
 const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const CurrencyConverter = require('../../utils/currencyConverter');
+const NumeralParser = require('../../utils/numeralParser');
+const ArabicStemmer = require('../../utils/arabicStemmer');
+const NeighborhoodAdjacency = require('../../utils/neighborhoodAdjacency');
 const logger = require('../../utils/logger');
 
+// Comparatives shared by all numeric quantities ("تحت 200 مليون", "اكتر من 3 غرف")
+const LESS_WORDS = 'اقل|تحت|دون|ما بيتعدي|ما يتعدي|حد اقصي|under|below|less|max';
+const MORE_WORDS = 'اكثر|اكتر|فوق|over|above|more|min';
+
+// Attributes extractNumericAttributes already handles with dedicated rules
+const BUILT_IN_ATTRIBUTES = ['price', 'area', 'rooms', 'year', 'mileage', 'condition'];
+const NUMERIC_TYPES = ['number', 'integer', 'decimal', 'range'];
+const BOOLEAN_TYPES = ['boolean', 'checkbox'];
+const NEGATION_WORDS = 'غير|بدون|بلا|مو|مش|without|not|no';
+
+// Location words (normalized): "قريب من المزة", "محافظة حلب"
+const NEAR_WORDS = ['قريب', 'قريبه', 'قرب', 'بقرب', 'جنب', 'بجنب', 'جانب', 'بجانب', 'حوالين', 'near', 'nearby', 'close'];
+const PROVINCE_WORDS = ['محافظه', 'بمحافظه', 'province', 'governorate'];
+
 /**
  * DatabaseMatcher - All matching through database queries
  * NO static files, NO hardcoded lists
@@ -14,7 +32,10 @@ class DatabaseMatcher {
     this.hotCache = {
       topCategories: null,
       topCities: null,
+      neighborhoods: null,
       transactionTypes: null,
+      categoryAttributes: new Map(),
+      knownTerms: new Set(),
       lastRefresh: null
     };
     this.HOT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -48,6 +69,13 @@ class DatabaseMatcher {
         FROM cities
       `);
 
+      // Load all neighborhoods (names only, for neighborhood-level matching)
+      logger.debug('🏘️  Loading neighborhoods into cache...');
+      this.hotCache.neighborhoods = await this.db.query(`
+        SELECT id, name_ar, name_en, city_id
+        FROM neighborhoods
+      `);
+
       // Load transaction types (only ~5)
       logger.debug('💼 Loading transaction types into cache...');
       this.hotCache.transactionTypes = await this.db.query(`
@@ -55,10 +83,16 @@ class DatabaseMatcher {
         FROM transaction_types
       `);
 
+      // Category attributes are loaded lazily per category
+      this.hotCache.categoryAttributes.clear();
+
+      this.hotCache.knownTerms = this.buildKnownTerms();
+
       this.hotCache.lastRefresh = Date.now();
       logger.success('Hot cache initialized successfully', {
         categories: this.hotCache.topCategories.rows.length,
         cities: this.hotCache.topCities.rows.length,
+        neighborhoods: this.hotCache.neighborhoods.rows.length,
         transactionTypes: this.hotCache.transactionTypes.rows.length
       });
     } catch (error) {
@@ -67,6 +101,40 @@ class DatabaseMatcher {
     }
   }
 
+  /**
+   * Words of category names/keywords and place names, normalized
+   * The stemmer strips a single-letter prefix (و، ب، ل) only when the rest is one of them
+   * @returns {Set<string>} Known terms
+   */
+  buildKnownTerms() {
+    const terms = new Set();
+    const add = text => {
+      ArabicNormalizer.normalizeAndLower(text || '').split(/\s+/)
+        .filter(word => word.length >= 3)
+        .forEach(word => terms.add(word));
+    };
+
+    this.hotCache.topCategories.rows.forEach(category => {
+      [category.name_ar, category.name_en, ...(category.keywords_ar || []), ...(category.keywords_en || [])].forEach(add);
+    });
+    [...this.hotCache.topCities.rows, ...this.hotCache.neighborhoods.rows].forEach(place => {
+      add(place.name_ar);
+      add(place.name_en);
+    });
+
+    return terms;
+  }
+
+  /**
+   * Check if a normalized word is a known category or place term
+   * (ArabicStemmer's isKnown predicate)
+   * @param {string} word - Normalized word
+   * @returns {boolean} True if known
+   */
+  isKnownTerm(word) {
+    return this.hotCache.knownTerms.has(word);
+  }
+
   /**
    * Refresh hot cache if TTL expired
    */
@@ -94,9 +162,13 @@ class DatabaseMatcher {
       // Strategy 1: Hot cache keyword match (fastest)
       logger.debug('⚡ Trying hot cache keyword match...');
       if (this.hotCache.topCategories) {
-        // Filter stopwords
+        // Filter stopwords, then add stems/singulars ("سيارات" → "سياره", "شقق" → "شقه")
         const stopwords = ['للبيع', 'للايجار', 'للإيجار', 'في', 'من', 'على', 'الى', 'إلى', 'عن', 'مع'];
-        const meaningfulTokens = normalizedTokens.filter(t => !stopwords.includes(t) && t.length >= 3);
+        const meaningfulTokens = ArabicStemmer.expand(
+          normalizedTokens.filter(t => !stopwords.includes(t)),
+          word => this.isKnownTerm(word)
+        )
+          .filter(t => t.length >= 3);
 
         for (const token of meaningfulTokens) {
           const cached = this.hotCache.topCategories.rows.find(cat => {
@@ -146,7 +218,15 @@ class DatabaseMatcher {
 
       // Filter stopwords that cause false positives
       const stopwords = ['للبيع', 'للايجار', 'للإيجار', 'في', 'من', 'على', 'الى', 'إلى', 'عن', 'مع'];
-      const meaningfulTokens = normalizedTokens.filter(t => !stopwords.includes(t) && t.length >= 3);
+      const meaningfulWords = normalizedTokens.filter(t => !stopwords.includes(t) && t.length >= 3);
+
+      // Each word with its stems/singulars; tokenWords keeps the word index so
+      // several variants of one word still count as a single matched keyword
+      const variants = meaningfulWords.flatMap((word, index) =>
+        ArabicStemmer.variants(word, term => this.isKnownTerm(term)).filter(v => v.length >= 3).map(variant => ({ variant, index }))
+      );
+      const meaningfulTokens = variants.map(v => v.variant);
+      const tokenWords = variants.map(v => v.index);
 
       if (meaningfulTokens.length > 0) {
         // Try keywords_ar first (higher priority than meta_keywords)
@@ -155,9 +235,9 @@ class DatabaseMatcher {
           SELECT
             c.id, c.slug, c.name_ar, c.name_en, c.level, c.parent_id, c.path,
             (
-              SELECT COUNT(DISTINCT token)
+              SELECT COUNT(DISTINCT word)
               FROM unnest(ce.${keywordsColumn}) AS kw
-              CROSS JOIN unnest($1::text[]) AS token
+              CROSS JOIN unnest($1::text[], $2::int[]) AS t(token, word)
               WHERE lower(kw) = token
                 OR lower(replace(kw, 'ة', 'ه')) = token
                 OR lower(kw) LIKE '%' || token || '%'
@@ -165,9 +245,9 @@ class DatabaseMatcher {
             ) as matched_keywords_count,
             CASE
               WHEN (
-                SELECT COUNT(DISTINCT token)
+                SELECT COUNT(DISTINCT word)
                 FROM unnest(ce.${keywordsColumn}) AS kw
-                CROSS JOIN unnest($1::text[]) AS token
+                CROSS JOIN unnest($1::text[], $2::int[]) AS t(token, word)
                 WHERE lower(kw) = token
                   OR lower(replace(kw, 'ة', 'ه')) = token
                   OR lower(kw) LIKE '%' || token || '%'
@@ -188,7 +268,7 @@ class DatabaseMatcher {
             )
           ORDER BY matched_keywords_count DESC, c.level DESC, c.sort_order ASC
           LIMIT 1
-        `, [meaningfulTokens]);
+        `, [meaningfulTokens, tokenWords]);
 
         if (keywordResult.rows.length > 0) {
           const matchedCount = keywordResult.rows[0].matched_keywords_count;
@@ -196,7 +276,7 @@ class DatabaseMatcher {
             slug: keywordResult.rows[0].slug,
             confidence: keywordResult.rows[0].confidence,
             matchedKeywords: matchedCount,
-            totalTokens: meaningfulTokens.length
+            totalTokens: meaningfulWords.length
           });
           return { ...keywordResult.rows[0], method: 'db_keyword_match' };
         }
@@ -304,11 +384,15 @@ class DatabaseMatcher {
       'هذا', 'هذه', 'ذلك', 'تلك', 'الذي', 'التي', 'اللذان', 'اللتان'
     ]);
 
-    // Filter out stop words
-    const normalizedTokens = tokens
-      .map(t => ArabicNormalizer.normalizeAndLower(t))
+    // Filter out stop words ("ريف دمشق" may arrive as one AI hint)
+    const words = tokens
+      .flatMap(t => ArabicNormalizer.normalizeAndLower(t).split(/\s+/))
       .filter(t => !arabicStopWords.has(t) && t.length > 2); // Also exclude very short tokens
 
+    // "قريب من المزة" searches the surrounding area too
+    const near = words.some(t => NEAR_WORDS.includes(t));
+    const normalizedTokens = words.filter(t => !NEAR_WORDS.includes(t));
+
     if (normalizedTokens.length === 0) {
       logger.debug('⚠️  No valid location tokens after filtering stop words');
       return null;
@@ -319,29 +403,20 @@ class DatabaseMatcher {
     const provinceColumn = language === 'ar' ? 'province_ar' : 'province_en';
 
     try {
-      // Check hot cache first
-      logger.debug('⚡ Checking cities hot cache...');
+      // Check hot cache first: neighborhood → province → city
+      logger.debug('⚡ Checking locations hot cache...');
       if (this.hotCache.topCities) {
-        for (const token of normalizedTokens) {
-          const cached = this.hotCache.topCities.rows.find(city => {
-            const cityName = city[nameColumn]?.toLowerCase() || '';
-            const provinceName = city[provinceColumn]?.toLowerCase() || '';
-            return cityName.includes(token) ||
-                   token.includes(cityName) ||
-                   provinceName.includes(token);
+        const cached = this.matchLocationInCache(normalizedTokens);
+        if (cached) {
+          const location = near ? this.expandNearby(cached) : cached;
+          logger.matchFound('Location', `${location.type} found in cache: ${location[nameColumn]}`, {
+            province: location[provinceColumn],
+            cities: location.cityIds?.length,
+            neighborhoods: location.neighborhoodIds?.length,
+            near,
+            confidence: location.confidence
           });
-          if (cached) {
-            logger.matchFound('Location', `City found in cache: ${cached[nameColumn]}`, {
-              province: cached[provinceColumn],
-              confidence: 0.95
-            });
-            return {
-              ...cached,
-              type: 'city',
-              confidence: 0.95,
-              method: 'hot_cache'
-            };
-          }
+          return location;
         }
       }
       logger.debug('⚠️  No cache match, searching database...');
@@ -373,7 +448,8 @@ class DatabaseMatcher {
           similarity: cityResult.rows[0].sim,
           confidence: 0.9
         });
-        return { ...cityResult.rows[0], method: 'db_similarity' };
+        const location = { ...cityResult.rows[0], cityIds: [cityResult.rows[0].id], method: 'db_similarity' };
+        return near ? this.expandNearby(location) : location;
       }
       logger.debug('⚠️  No city match, trying neighborhoods...');
 
@@ -383,6 +459,7 @@ class DatabaseMatcher {
         SELECT
           n.id, n.name_ar, n.name_en, n.city_id,
           c.name_ar as city_name_ar, c.name_en as city_name_en,
+          c.province_ar, c.province_en,
           'neighborhood' as type,
           similarity(n.${nameColumn}, $1) as sim,
           0.85 as confidence
@@ -399,7 +476,14 @@ class DatabaseMatcher {
           similarity: neighborhoodResult.rows[0].sim,
           confidence: 0.85
         });
-        return { ...neighborhoodResult.rows[0], method: 'neighborhood_match' };
+        const row = neighborhoodResult.rows[0];
+        const location = {
+          ...row,
+          neighborhoodIds: [row.id],
+          cityIds: [row.city_id],
+          method: 'neighborhood_match'
+        };
+        return near ? this.expandNearby(location) : location;
       }
 
       logger.matchNotFound('Location', 'No city or neighborhood match found');
@@ -410,6 +494,191 @@ class DatabaseMatcher {
     }
   }
 
+  /**
+   * Match a neighborhood, province or city from the hot cache
+   * Neighborhoods are the most specific and win over a city of the same length;
+   * a neighborhood name found in several cities is narrowed by a city or province
+   * mentioned in the query, otherwise all of them are kept (ambiguous).
+   * "ريف دمشق" / "محافظة حلب" match the province and filter by all its cities.
+   * @param {Array<string>} tokens - Normalized tokens
+   * @returns {Object|null} Location { type, id, name_ar, name_en, cityIds, neighborhoodIds?, ... }
+   */
+  matchLocationInCache(tokens) {
+    const cities = this.hotCache.topCities.rows;
+    const neighborhoods = this.hotCache.neighborhoods?.rows || [];
+    const provinceForced = tokens.some(token => PROVINCE_WORDS.includes(token));
+
+    const best = (rows, names) => {
+      let match = { rows: [], span: null };
+      rows.forEach(row => {
+        names(row).forEach(name => {
+          const span = this.findPlaceName(tokens, name);
+          if (!span) return;
+          if (!match.span || span.length > match.span.length) {
+            match = { rows: [row], span };
+          } else if (span.length === match.span.length && span.start === match.span.start && !match.rows.includes(row)) {
+            match.rows.push(row);
+          }
+        });
+      });
+      return match;
+    };
+
+    const city = best(cities, row => [row.name_ar, row.name_en]);
+    const province = best(cities, row => [row.province_ar, row.province_en]);
+    const neighborhood = best(neighborhoods, row => [row.name_ar, row.name_en]);
+
+    const overlaps = (a, b) => a && b && a.start < b.start + b.length && b.start < a.start + a.length;
+    const citiesInProvince = (provinceAr) => cities.filter(row => row.province_ar === provinceAr);
+
+    // Neighborhood, unless a city/province name covers the same words and is longer
+    if (neighborhood.span &&
+        !(overlaps(neighborhood.span, city.span) && city.span.length > neighborhood.span.length) &&
+        !(overlaps(neighborhood.span, province.span) && province.span.length > neighborhood.span.length)) {
+      let candidates = neighborhood.rows;
+
+      if (city.span && !overlaps(city.span, neighborhood.span)) {
+        const cityIds = new Set(city.rows.map(row => row.id));
+        const inCity = candidates.filter(row => cityIds.has(row.city_id));
+        if (inCity.length > 0) candidates = inCity;
+      } else if (province.span && !overlaps(province.span, neighborhood.span)) {
+        const cityIds = new Set(citiesInProvince(province.rows[0].province_ar).map(row => row.id));
+        const inProvince = candidates.filter(row => cityIds.has(row.city_id));
+        if (inProvince.length > 0) candidates = inProvince;
+      }
+
+      const cityIds = [...new Set(candidates.map(row => row.city_id))];
+      const first = candidates[0];
+      const firstCity = cities.find(row => row.id === first.city_id) || {};
+
+      return {
+        id: first.id,
+        name_ar: first.name_ar,
+        name_en: first.name_en,
+        city_id: first.city_id,
+        city_name_ar: firstCity.name_ar,
+        city_name_en: firstCity.name_en,
+        province_ar: firstCity.province_ar,
+        province_en: firstCity.province_en,
+        type: 'neighborhood',
+        neighborhoodIds: candidates.map(row => row.id),
+        cityIds,
+        // Same name in several cities and nothing in the query to pick one
+        ambiguous: cityIds.length > 1,
+        confidence: cityIds.length > 1 ? 0.8 : 0.95,
+        method: 'hot_cache_neighborhood'
+      };
+    }
+
+    // Province when it is named explicitly or is longer than any city name ("ريف دمشق" vs "دمشق")
+    if (province.span && (provinceForced || !city.span || province.span.length > city.span.length)) {
+      const first = province.rows[0];
+      const provinceCities = citiesInProvince(first.province_ar);
+
+      return {
+        id: null,
+        name_ar: first.province_ar,
+        name_en: first.province_en,
+        province_ar: first.province_ar,
+        province_en: first.province_en,
+        type: 'province',
+        cityIds: provinceCities.map(row => row.id),
+        confidence: 0.9,
+        method: 'hot_cache_province'
+      };
+    }
+
+    if (city.span) {
+      const first = city.rows[0];
+      return {
+        ...first,
+        type: 'city',
+        cityIds: [first.id],
+        confidence: 0.95,
+        method: 'hot_cache'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a place name as consecutive tokens, allowing "ال" and an attached
+   * preposition ("بالمزة", "لحلب", "عالشعلان")
+   * @param {Array<string>} tokens - Normalized tokens
+   * @param {string} name - Place name
+   * @returns {Object|null} Span { start, length } in tokens
+   */
+  findPlaceName(tokens, name) {
+    if (!name) return null;
+
+    const words = ArabicNormalizer.normalizeAndLower(name)
+      .split(/\s+/)
+      .map(word => word.replace(/^ال/, ''))
+      .filter(Boolean);
+
+    // Very short names ("ال", "اب") would match inside unrelated words
+    if (words.length === 0 || words.join('').length < 3) return null;
+
+    const variants = (token) => {
+      const bare = token.replace(/^(بال|وال|عال|لل|ال|ب|ل|ع|و)/, '');
+      return [token, token.replace(/^ال/, ''), bare, bare.replace(/^ال/, '')];
+    };
+
+    for (let start = 0; start + words.length <= tokens.length; start++) {
+      const matches = words.every((word, i) => variants(tokens[start + i]).includes(word));
+      if (matches) {
+        return { start, length: words.length };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Widen a matched location to its surroundings ("قريب من ...")
+   * Neighborhoods add their adjacent neighborhoods from the local adjacency table,
+   * cities add the other cities of their province
+   * @param {Object} location - Location from matchLocation
+   * @returns {Object} Location with near: true and widened neighborhoodIds/cityIds
+   */
+  expandNearby(location) {
+    const cities = this.hotCache.topCities?.rows || [];
+    const neighborhoods = this.hotCache.neighborhoods?.rows || [];
+
+    if (location.type === 'neighborhood') {
+      const ids = new Set(location.neighborhoodIds || [location.id]);
+      const adjacentNames = new Set();
+
+      neighborhoods
+        .filter(row => ids.has(row.id))
+        .forEach(row => {
+          const city = cities.find(c => c.id === row.city_id);
+          if (!city) return;
+
+          const adjacent = NeighborhoodAdjacency.getAdjacent(city.name_ar, row.name_ar);
+          neighborhoods
+            .filter(other => other.city_id === row.city_id && adjacent.includes(NeighborhoodAdjacency.key(other.name_ar)))
+            .forEach(other => {
+              ids.add(other.id);
+              adjacentNames.add(other.name_ar);
+            });
+        });
+
+      return { ...location, neighborhoodIds: [...ids], adjacent: [...adjacentNames], near: true };
+    }
+
+    if (location.type === 'city' && location.province_ar) {
+      const cityIds = cities
+        .filter(row => row.province_ar === location.province_ar)
+        .map(row => row.id);
+
+      return { ...location, cityIds: cityIds.length > 0 ? cityIds : [location.id], near: true };
+    }
+
+    return { ...location, near: true };
+  }
+
   /**
    * Match transaction type (simple - only 5 types)
    * This is the ONLY static part - and it's tiny
@@ -457,161 +726,119 @@ class DatabaseMatcher {
   }
 
   /**
-   * Extract numeric attributes from text using regex
-   * This is generic - works for any numeric attribute
+   * Extract numeric attributes from text
+   * Numbers are read with NumeralParser, so "خمسين مليون", "٣٠٠ ألف",
+   * "حوالي مية الف" and "تحت 200 مليون" all work
    */
   extractNumericAttributes(text) {
     const attributes = {};
-    const normalized = ArabicNormalizer.normalize(text);
-
-    // Price range patterns (must check BEFORE single value patterns)
-    // Check million ranges FIRST
-    const priceRangePatterns = [
-      // Million ranges (highest priority)
-      { pattern: /من\s*(\d[\d,\.]*)\s*(?:إلى|الى|إلي|الي|-)\s*(\d[\d,\.]*)\s*(?:مليون|million)/i, multiplier: 1000000 },
-      { pattern: /بين\s*(\d[\d,\.]*)\s*(?:و|و)\s*(\d[\d,\.]*)\s*(?:مليون|million)/i, multiplier: 1000000 },
-      { pattern: /(\d[\d,\.]*)\s*-\s*(\d[\d,\.]*)\s*(?:مليون|million)/i, multiplier: 1000000 },
-      // Currency ranges
-      { pattern: /من\s*(\d[\d,\.]*)\s*(?:إلى|الى|إلي|الي|-)\s*(\d[\d,\.]*)\s*(ليرة|ل\.س|syp|دولار|\$|usd)/i, multiplier: 1 },
-      { pattern: /بين\s*(\d[\d,\.]*)\s*(?:و|و)\s*(\d[\d,\.]*)\s*(ليرة|ل\.س|syp|دولار|\$|usd)/i, multiplier: 1 },
-      { pattern: /(\d[\d,\.]*)\s*-\s*(\d[\d,\.]*)\s*(ليرة|ل\.س|syp|دولار|\$|usd)/i, multiplier: 1 },
-      // Generic ranges
-      { pattern: /بسعر\s*من\s*(\d[\d,\.]*)\s*(?:إلى|الى|إلي|الي|-)\s*(\d[\d,\.]*)/i, multiplier: 1 },
-      { pattern: /السعر\s*من\s*(\d[\d,\.]*)\s*(?:إلى|الى|الي|الي|-)\s*(\d[\d,\.]*)/i, multiplier: 1 }
-    ];
-
-    for (const { pattern, multiplier } of priceRangePatterns) {
-      const match = normalized.match(pattern);
-      if (match) {
-        let min = parseFloat(match[1].replace(/,/g, ''));
-        let max = parseFloat(match[2].replace(/,/g, ''));
-
-        // Apply multiplier
-        if (multiplier > 1) {
-          min *= multiplier;
-          max *= multiplier;
-        }
-
-        attributes.price = { min, max, type: 'range' };
-        logger.debug(`💰 Price range extracted: ${min} - ${max}`);
-        break;
+    const normalized = NumeralParser.normalizeDigits(ArabicNormalizer.normalize(text));
+
+    // Units and cue words per quantity (text is normalized: أ→ا, ى→ي, ة→ه)
+    const currencyUnits = CurrencyConverter.aliasPattern();
+    const areaUnits = 'متر مربع|مترمربع|متر|امتار|م²|sqm|m2|square meters?|square|دونم|هكتار';
+    const mileageUnits = 'كيلو متر|كيلومتر|كيلو|كم|km|kms|kilometers?';
+    const roomUnits = 'غرف|غرفه|اوض|اوضه|rooms?|bedrooms?';
+    const yearPrefixes = 'موديل|سنه|صنع|تصنيع|model|year';
+    const areaPrefixes = 'مساحه|مساحتها|مساحته|بمساحه|area|size';
+    const mileagePrefixes = 'مسافه|ماشيه|ماشي|عداد|العداد|مقطوعه|قاطعه|mileage';
+    const currentYear = new Date().getFullYear();
+
+    // Price: a currency, a price word or a scale word ("50 مليون") marks the number
+    const price = NumeralParser.extractQuantity(normalized, {
+      units: currencyUnits,
+      prefixes: 'بسعر|السعر|سعر|سعرها|سعره|بقيمه|price',
+      excludeUnits: `${areaUnits}|${mileageUnits}|${roomUnits}`,
+      excludePrefixes: `${yearPrefixes}|${areaPrefixes}|${mileagePrefixes}`,
+      bounds: [
+        // ارخص/اغلي are price-only words, any number follows
+        { words: 'ارخص|cheaper', bound: 'max', qualifies: true },
+        { words: 'اغلي|more expensive', bound: 'min', qualifies: true },
+        // Generic comparatives need a price unit, otherwise "اقل من 100 متر" would be a price
+        { words: LESS_WORDS, bound: 'max' },
+        { words: MORE_WORDS, bound: 'min' }
+      ],
+      accept: (number) => number.scale >= 1000
+    });
+
+    if (price) {
+      attributes.price = price;
+      logger.debug(`💰 Price extracted: ${JSON.stringify(price)}`);
+
+      // Keep the currency with the amount - "5000 دولار" must not be compared as 5000 SYP
+      const currency = CurrencyConverter.detect(normalized);
+      if (currency) {
+        attributes.price.currency = currency;
+        logger.debug(`💱 Price currency: ${currency}`);
       }
     }
 
-    // Single price patterns (only if range not found)
-    if (!attributes.price) {
-      const pricePatterns = [
-        { pattern: /(\d[\d,\.]*)\s*(ليرة|ل\.س|syp|دولار|\$|usd)/i, multiplier: 1 },
-        { pattern: /بسعر\s*(\d[\d,\.]*)/, multiplier: 1 },
-        { pattern: /السعر\s*[:.]?\s*(\d[\d,\.]*)/, multiplier: 1 },
-        { pattern: /(\d[\d,\.]*)\s*(مليون)/i, multiplier: 1000000 }
-      ];
-
-      for (const { pattern, multiplier } of pricePatterns) {
-        const match = normalized.match(pattern);
-        if (match) {
-          let value = parseFloat(match[1].replace(/,/g, ''));
-          if (multiplier > 1 || normalized.includes('مليون') || normalized.includes('million')) {
-            value *= multiplier > 1 ? multiplier : 1000000;
-          }
-          attributes.price = { value, type: 'number' };
-          logger.debug(`💰 Single price extracted: ${value}`);
-          break;
-        }
-      }
+    const area = NumeralParser.extractQuantity(normalized, {
+      units: areaUnits,
+      prefixes: areaPrefixes,
+      excludeUnits: `${currencyUnits}|${mileageUnits}`,
+      bounds: [
+        { words: `${LESS_WORDS}|اصغر|smaller`, bound: 'max' },
+        { words: `${MORE_WORDS}|اكبر|bigger|larger`, bound: 'min' }
+      ]
+    });
+
+    if (area) {
+      attributes.area = area;
+      logger.debug(`📐 Area extracted: ${JSON.stringify(area)}`);
     }
 
-    // Area range patterns
-    const areaRangePatterns = [
-      /من\s*(\d+)\s*(?:إلى|الى|الي|الي|-)\s*(\d+)\s*(متر|م²|م2|sqm)/i,
-      /بين\s*(\d+)\s*(?:و|و)\s*(\d+)\s*(متر|م²|م2|sqm)/i,
-      /(\d+)\s*-\s*(\d+)\s*(متر|م²|م2|sqm)/i,
-      /مساحة\s*من\s*(\d+)\s*(?:إلى|الى|الي|-)\s*(\d+)/i
-    ];
-
-    for (const pattern of areaRangePatterns) {
-      const match = normalized.match(pattern);
-      if (match) {
-        attributes.area = {
-          min: parseInt(match[1]),
-          max: parseInt(match[2]),
-          type: 'range'
-        };
-        logger.debug(`📐 Area range extracted: ${match[1]} - ${match[2]}`);
-        break;
-      }
+    const rooms = NumeralParser.extractQuantity(normalized, {
+      units: roomUnits,
+      bounds: [
+        { words: LESS_WORDS, bound: 'max' },
+        { words: MORE_WORDS, bound: 'min' }
+      ],
+      validate: (value) => Number.isInteger(value) && value > 0 && value < 20,
+      tolerance: 0
+    });
+
+    if (rooms) {
+      attributes.rooms = rooms;
+    } else if (/(غرفتين|غرفتان|اوضتين)/.test(normalized)) {
+      attributes.rooms = { value: 2, type: 'number' };
     }
 
-    // Single area patterns (only if range not found)
-    if (!attributes.area) {
-      const areaPatterns = [
-        /(\d+)\s*(متر|م²|م2|sqm|square)/i,
-        /مساحة\s*[:.]?\s*(\d+)/,
-        /(\d+)\s*(دونم|هكتار)/i
-      ];
-
-      for (const pattern of areaPatterns) {
-        const match = normalized.match(pattern);
-        if (match) {
-          attributes.area = { value: parseInt(match[1]), type: 'number' };
-          logger.debug(`📐 Single area extracted: ${match[1]}`);
-          break;
+    // Year: any plausible year, or "موديل 15" for 2015
+    const year = NumeralParser.extractQuantity(normalized, {
+      prefixes: yearPrefixes,
+      excludeUnits: `${currencyUnits}|${areaUnits}|${mileageUnits}|${roomUnits}`,
+      bounds: [
+        { words: 'بعد|احدث|اجدد|فوق|newer|after|above', bound: 'min' },
+        { words: 'قبل|اقدم|تحت|older|before|below', bound: 'max' }
+      ],
+      accept: (number) => number.value >= 1900 && number.value <= currentYear + 1,
+      validate: (value) => Number.isInteger(value) && value >= 1900 && value <= currentYear + 1,
+      transform: (value, { prefixed }) => {
+        if (prefixed && value < 100) {
+          return value <= currentYear % 100 + 1 ? 2000 + value : 1900 + value;
         }
-      }
-    }
-
-    // Rooms patterns
-    const roomsPatterns = [
-      /(\d+)\s*(غرف|غرفة|rooms?)/i,
-      /(غرفة|غرفتين|غرفتان|ثلاث غرف|أربع غرف|خمس غرف)/
-    ];
-    const roomsTextMap = {
-      'غرفة': 1,
-      'غرفتين': 2,
-      'غرفتان': 2,
-      'ثلاث غرف': 3,
-      'أربع غرف': 4,
-      'خمس غرف': 5
-    };
+        return value;
+      },
+      tolerance: 0
+    });
 
-    for (const pattern of roomsPatterns) {
-      const match = normalized.match(pattern);
-      if (match) {
-        const value = roomsTextMap[match[1]] || parseInt(match[1]);
-        if (value) {
-          attributes.rooms = { value, type: 'number' };
-          break;
-        }
-      }
+    if (year) {
+      attributes.year = year;
     }
 
-    // Year patterns
-    const yearPatterns = [
-      /موديل\s*(20\d{2}|19\d{2})/,
-      /(20\d{2}|19\d{2})\s*(model)?/i,
-      /سنة\s*(20\d{2}|19\d{2})/
-    ];
-
-    for (const pattern of yearPatterns) {
-      const match = normalized.match(pattern);
-      if (match) {
-        attributes.year = { value: parseInt(match[1]), type: 'number' };
-        break;
-      }
-    }
-
-    // Mileage patterns
-    const mileagePatterns = [
-      /(\d[\d,]*)\s*(كم|كيلو|km|kilometer)/i,
-      /مسافة\s*[:.]?\s*(\d[\d,]*)/
-    ];
-
-    for (const pattern of mileagePatterns) {
-      const match = normalized.match(pattern);
-      if (match) {
-        attributes.mileage = { value: parseInt(match[1].replace(/,/g, '')), type: 'number' };
-        break;
-      }
+    const mileage = NumeralParser.extractQuantity(normalized, {
+      units: mileageUnits,
+      prefixes: mileagePrefixes,
+      excludeUnits: currencyUnits,
+      bounds: [
+        { words: LESS_WORDS, bound: 'max' },
+        { words: MORE_WORDS, bound: 'min' }
+      ]
+    });
+
+    if (mileage) {
+      attributes.mileage = mileage;
     }
 
     // Condition patterns
@@ -630,6 +857,22 @@ class DatabaseMatcher {
       if (attributes.condition) break;
     }
 
+    // Sort phrases ("الأرخص", "الأحدث", "الأكثر مشاهدة")
+    const sortPatterns = [
+      { pattern: /(الارخص|ارخص شي|ارخص اشي|من الارخص|cheapest|lowest price)/i, sort: 'price_asc' },
+      { pattern: /(الاغلي|اغلي شي|من الاغلي|most expensive|highest price)/i, sort: 'price_desc' },
+      { pattern: /(الاحدث|الاجدد|احدث شي|اخر الاعلانات|اخر شي نزل|newest|latest)/i, sort: 'newest' },
+      { pattern: /(الاكثر مشاهده|اكتر مشاهده|اكثر مشاهده|most viewed)/i, sort: 'most_viewed' }
+    ];
+
+    for (const { pattern, sort } of sortPatterns) {
+      if (pattern.test(normalized)) {
+        attributes.sort = sort;
+        logger.debug(`↕️ Sort extracted: ${sort}`);
+        break;
+      }
+    }
+
     // Price indicator
     if (/رخيص|رخيصة|سعر منخفض|سعر مناسب|cheap|affordable/i.test(normalized)) {
       attributes.priceIndicator = 'cheap';
@@ -668,6 +911,234 @@ class DatabaseMatcher {
     }
   }
 
+  /**
+   * Get the filterable attributes of a category, cached in memory like the hot cache
+   * @param {string} categoryId - Category UUID
+   * @returns {Promise<Array>} Attribute definitions (see getCategoryAttributes)
+   */
+  async getFilterableAttributes(categoryId) {
+    const cached = this.hotCache.categoryAttributes.get(categoryId);
+    if (cached && Date.now() - cached.loadedAt < this.HOT_CACHE_TTL) {
+      return cached.attributes;
+    }
+
+    const attributes = (await this.getCategoryAttributes(categoryId))
+      .filter(attr => attr.is_filterable);
+    this.hotCache.categoryAttributes.set(categoryId, { attributes, loadedAt: Date.now() });
+
+    return attributes;
+  }
+
+  /**
+   * Extract category-specific attributes driven by category_attributes metadata
+   * Select options (color, fuel, transmission, brand...) match their labels in both
+   * languages, booleans (furnished) match the attribute name, numbers match their unit.
+   * A new attribute added in the admin becomes searchable without code changes.
+   * @param {string} text - Query text
+   * @param {Array} definitions - Attribute definitions from getFilterableAttributes
+   * @param {Object} extracted - Attributes already extracted (never overwritten)
+   * @returns {Object} Attributes keyed by slug - plain values for exact matches,
+   *   { min?, max?, type: 'range' } for numeric bounds
+   */
+  extractCategoryAttributes(text, definitions, extracted = {}) {
+    const attributes = {};
+    const normalized = NumeralParser.normalizeDigits(ArabicNormalizer.normalizeAndLower(text));
+
+    for (const attr of definitions || []) {
+      if (BUILT_IN_ATTRIBUTES.includes(attr.slug) || extracted[attr.slug] !== undefined) {
+        continue;
+      }
+
+      const options = this.parseAttributeOptions(attr.options);
+      let value = null;
+
+      if (options.length > 0) {
+        value = this.matchAttributeOption(normalized, options);
+      } else if (BOOLEAN_TYPES.includes(attr.type)) {
+        value = this.matchBooleanAttribute(normalized, attr);
+      } else if (NUMERIC_TYPES.includes(attr.type)) {
+        value = this.matchNumericAttribute(normalized, attr);
+      }
+
+      if (value !== null && value !== undefined) {
+        attributes[attr.slug] = value;
+        logger.debug(`🏷️ Attribute extracted: ${attr.slug} = ${JSON.stringify(value)}`);
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Read la.options into { value, labels } entries
+   * Accepts ["Red", ...], [{ value, label_ar, label_en }], [{ value, label: { ar, en } }]
+   * and { value: label } maps, as JSONB or a JSON string
+   * @param {*} options - Raw options column
+   * @returns {Array} Options { value, labels }
+   */
+  parseAttributeOptions(options) {
+    let parsed = options;
+
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        parsed = parsed.split(',');
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      return [];
+    }
+
+    const entries = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(([value, label]) => ({ value, label }));
+
+    return entries
+      .map(entry => {
+        if (entry === null || typeof entry !== 'object') {
+          return { value: String(entry).trim(), labels: [String(entry)] };
+        }
+
+        const label = entry.label && typeof entry.label === 'object'
+          ? [entry.label.ar, entry.label.en]
+          : [entry.label];
+        const labels = [
+          entry.value, entry.label_ar, entry.label_en, entry.name_ar, entry.name_en,
+          entry.ar, entry.en, ...label, ...(Array.isArray(entry.aliases) ? entry.aliases : [])
+        ].filter(candidate => typeof candidate === 'string' && candidate.trim());
+
+        return { value: String(entry.value ?? labels[0] ?? '').trim(), labels };
+      })
+      .filter(option => option.value && option.labels.length > 0);
+  }
+
+  /**
+   * Match the longest option label mentioned in the text
+   * @param {string} normalized - Normalized, lowercased text
+   * @param {Array} options - Options from parseAttributeOptions
+   * @returns {string|null} Option value
+   */
+  matchAttributeOption(normalized, options) {
+    let best = null;
+
+    for (const option of options) {
+      for (const label of option.labels) {
+        const phrase = ArabicNormalizer.normalizeAndLower(label).trim();
+        // Numeric labels ("4" doors) would match any number in the query
+        if (phrase.length < 2 || /^[\d.]+$/.test(phrase)) continue;
+
+        if ((!best || phrase.length > best.length) && this.containsPhrase(normalized, phrase)) {
+          best = { value: option.value, length: phrase.length };
+        }
+      }
+    }
+
+    return best ? best.value : null;
+  }
+
+  /**
+   * Match a boolean attribute by its name ("مفروشة" → true, "غير مفروشة" → false)
+   * @param {string} normalized - Normalized, lowercased text
+   * @param {Object} attr - Attribute definition
+   * @returns {boolean|null} Value, or null if not mentioned
+   */
+  matchBooleanAttribute(normalized, attr) {
+    for (const name of [attr.name_ar, attr.name_en]) {
+      const phrase = name ? ArabicNormalizer.normalizeAndLower(name).trim() : '';
+      if (phrase.length < 2 || !this.containsPhrase(normalized, phrase)) continue;
+
+      const negated = new RegExp(`(^|\\s)(${NEGATION_WORDS})\\s+(ال)?${this.escapeRegex(phrase)}`).test(normalized);
+      return !negated;
+    }
+
+    return null;
+  }
+
+  /**
+   * Match a numeric attribute by its unit ("4 ابواب", "اكتر من 200 حصان")
+   * @param {string} normalized - Normalized, lowercased text
+   * @param {Object} attr - Attribute definition
+   * @returns {number|Object|null} Exact value, range, or null
+   */
+  matchNumericAttribute(normalized, attr) {
+    const units = [attr.unit_ar, attr.unit_en]
+      .filter(Boolean)
+      .map(unit => this.escapeRegex(ArabicNormalizer.normalizeAndLower(unit).trim()))
+      .filter(unit => unit.length > 0);
+
+    if (units.length === 0) {
+      return null;
+    }
+
+    const min = attr.min_value !== null && attr.min_value !== undefined ? Number(attr.min_value) : -Infinity;
+    const max = attr.max_value !== null && attr.max_value !== undefined ? Number(attr.max_value) : Infinity;
+
+    const quantity = NumeralParser.extractQuantity(normalized, {
+      units: units.join('|'),
+      bounds: [
+        { words: LESS_WORDS, bound: 'max' },
+        { words: MORE_WORDS, bound: 'min' }
+      ],
+      validate: (value) => value >= min && value <= max
+    });
+
+    // An exact number filters on value_number like any other exact attribute
+    return quantity && quantity.type === 'number' ? quantity.value : quantity;
+  }
+
+  /**
+   * Check if a phrase appears as whole words, allowing an attached ال/ب/و prefix
+   * @param {string} text - Normalized text
+   * @param {string} phrase - Normalized phrase
+   * @returns {boolean} True if found
+   */
+  containsPhrase(text, phrase) {
+    const escaped = this.escapeRegex(phrase);
+    return new RegExp(`(^|[^a-z0-9\\u0600-\\u06FF])(ال|بال|وال|لل|ب|و)?${escaped}($|[^a-z0-9\\u0600-\\u06FF])`).test(text);
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Words that name a category (names, keywords, meta keywords) from the hot cache
+   * @param {string} categoryId - Category UUID
+   * @returns {Set<string>} Normalized, lowercased words
+   */
+  getCategoryTerms(categoryId) {
+    const terms = new Set();
+    const category = this.hotCache.topCategories?.rows.find(row => row.id === categoryId);
+    if (!category) {
+      return terms;
+    }
+
+    const sources = [
+      category.name_ar, category.name_en,
+      category.keywords_ar, category.keywords_en,
+      category.meta_keywords_ar, category.meta_keywords_en
+    ];
+
+    sources
+      .flatMap(source => Array.isArray(source) ? source : [source])
+      .filter(source => typeof source === 'string')
+      .forEach(source => {
+        ArabicNormalizer.normalizeAndLower(source)
+          .split(/[\s,،]+/)
+          .filter(Boolean)
+          .forEach(word => terms.add(word));
+      });
+
+    return terms;
+  }
+
   /**
    * Find leaf categories (most specific) under a parent
    */
@@ -1,4 +1,5 @@
 const smartParser = require('./SmartQueryParser');
+const suggestionEngine = require('./SuggestionEngine');
 const logger = require('../../utils/logger');
 
 /**
@@ -99,6 +100,7 @@ class MCPAgent {
       return {
         intent: 'search',
         originalQuery: query,
+        transliteratedQuery: parsed.transliterated,
         normalizedQuery: parsed.normalized,
         language: parsed.language,
         tier: parsed.tier,
@@ -126,6 +128,18 @@ class MCPAgent {
     return this.parser.toSearchParams(parsed);
   }
 
+  /**
+   * Generate "did you mean" and related-category suggestions for a search
+   * @param {Object} parsed - Parsed query
+   * @param {Object} options - Options
+   * @param {number} options.total - Total results of the search
+   * @param {string} options.language - Language ('ar' or 'en')
+   * @returns {Promise<Array<string>>} Suggested queries (empty unless results are few)
+   */
+  async generateSuggestions(parsed, options = {}) {
+    return await suggestionEngine.generate(parsed, options);
+  }
+
   /**
    * Get parser statistics
    * @returns {Object} Statistics
@@ -2,16 +2,21 @@ const databaseMatcher = require('./DatabaseMatcher');
 const cacheService = require('../cache/CacheService');
 const openAIService = require('../ai/OpenAIService');
 const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const ArabiziTransliterator = require('../../utils/arabiziTransliterator');
+const NumeralParser = require('../../utils/numeralParser');
 const logger = require('../../utils/logger');
 const crypto = require('crypto');
 
 /**
  * SmartQueryParser - Tiered query parsing system
+ * Arabizi queries ("sha2a lal ijar") are first converted to Arabic script
  * Tier 0: Exact cache (Redis)
  * Tier 1: Database matching (free)
  * Tier 2: Semantic cache (near-free)
  * Tier 3: Minimal AI (cheap)
  * Tier 4: Full AI (rare)
+ * After tiers 1/3/4: AI attribute extraction, only when a confident category
+ * leaves attribute-bearing words unexplained
  */
 class SmartQueryParser {
   constructor() {
@@ -22,9 +27,29 @@ class SmartQueryParser {
       tier2: 0,
       tier3: 0,
       tier4: 0,
+      aiAttributes: 0,
       total: 0
     };
     this.confidenceThreshold = 0.80;
+    this.categoryConfidenceThreshold = 0.85;
+
+    // Words that carry no attribute value: dialect filler, transaction, units,
+    // comparatives and price words handled by extractNumericAttributes
+    this.explainedWords = new Set([
+      'بدي', 'بدنا', 'بدو', 'بدها', 'عم', 'دور', 'ادور', 'ابحث', 'بحث', 'شي', 'اشي', 'حدا', 'عندو', 'عنده',
+      'في', 'فيه', 'فيها', 'مع', 'علي', 'عن', 'من', 'الى', 'الي', 'او', 'بين', 'يا', 'لو', 'اذا', 'انا', 'هيك',
+      'منيح', 'منيحه', 'حلو', 'حلوه', 'كتير', 'شو', 'وين', 'مين', 'بليز', 'سمحت', 'اريد', 'ابي', 'ممكن', 'حدود',
+      'للبيع', 'للايجار', 'ايجار', 'اجار', 'بيع', 'مطلوب', 'تبديل', 'للتبديل', 'شهري', 'يومي', 'سنوي',
+      'سعر', 'السعر', 'بسعر', 'سعرها', 'سعره', 'ليره', 'ليرات', 'دولار', 'يورو', 'ل.س', 'usd', 'syp', 'eur',
+      'متر', 'مربع', 'م²', 'كم', 'كيلو', 'كيلومتر', 'غرف', 'غرفه', 'غرفتين', 'موديل', 'سنه', 'صنع', 'مساحه', 'مساحتها',
+      'ارخص', 'اغلي', 'اقل', 'اكثر', 'اكتر', 'تحت', 'فوق', 'دون', 'حد', 'اقصي', 'حوالي', 'تقريبا', 'بحدود', 'اصغر', 'اكبر',
+      'رخيص', 'رخيصه', 'غالي', 'غاليه', 'جديد', 'جديده', 'مستعمل', 'مستعمله', 'زيرو', 'ماشيه', 'ماشي',
+      'الارخص', 'الاغلي', 'الاحدث', 'الاجدد', 'رتب', 'حسب', 'مشاهده',
+      'قريب', 'قريبه', 'قرب', 'جنب', 'بجانب', 'ريف', 'محافظه', 'منطقه', 'حي',
+      'i', 'want', 'need', 'looking', 'search', 'for', 'a', 'an', 'the', 'with', 'in', 'at', 'to', 'of', 'and', 'or',
+      'sale', 'rent', 'cheap', 'cheaper', 'cheapest', 'new', 'used', 'under', 'below', 'over', 'above', 'than',
+      'less', 'more', 'about', 'around', 'price', 'model', 'year', 'million', 'thousand', 'near', 'nearby'
+    ]);
   }
 
   /**
@@ -42,7 +67,14 @@ class SmartQueryParser {
     const startTime = Date.now();
     this.stats.total++;
 
-    const normalized = ArabicNormalizer.normalize(query);
+    // Arabic typed in Latin letters is parsed in Arabic script; both forms stay in the result
+    const transliterated = ArabiziTransliterator.isArabizi(query) ? ArabiziTransliterator.toArabic(query) : null;
+    if (transliterated) {
+      language = 'ar';
+      logger.debug('Arabizi query transliterated', { query: query.substring(0, 30), transliterated });
+    }
+
+    const normalized = ArabicNormalizer.normalize(transliterated || query);
     const queryHash = this.hashQuery(normalized);
 
     // TIER 0: Exact cache check
@@ -51,14 +83,15 @@ class SmartQueryParser {
     if (cached) {
       this.stats.tier0++;
       logger.debug('Tier 0: Cache hit', { query: query.substring(0, 30) });
-      return { ...cached, tier: 0, fromCache: true, processingTime: Date.now() - startTime };
+      return { ...cached, original: query, transliterated, tier: 0, fromCache: true, processingTime: Date.now() - startTime };
     }
 
     // TIER 1: Database pattern matching
     const tier1Result = await this.tier1DatabaseMatch(normalized, language);
     if (tier1Result.confidence >= this.confidenceThreshold) {
       this.stats.tier1++;
-      const result = this.buildResult(tier1Result, query, normalized, language, 1, startTime);
+      const result = this.buildResult(tier1Result, query, transliterated, normalized, language, 1, startTime);
+      await this.extractAttributesWithAI(result, normalized, language);
       await this.cacheResult(cacheKey, result);
       return result;
     }
@@ -67,7 +100,7 @@ class SmartQueryParser {
     const tier2Result = await this.tier2SemanticCache(normalized, language);
     if (tier2Result) {
       this.stats.tier2++;
-      const result = { ...tier2Result, tier: 2, processingTime: Date.now() - startTime };
+      const result = { ...tier2Result, original: query, transliterated, tier: 2, processingTime: Date.now() - startTime };
       await this.cacheResult(cacheKey, result);
       return result;
     }
@@ -76,7 +109,8 @@ class SmartQueryParser {
     const tier3Result = await this.tier3MinimalAI(normalized, language, tier1Result);
     if (tier3Result.confidence >= 0.7) {
       this.stats.tier3++;
-      const result = this.buildResult(tier3Result, query, normalized, language, 3, startTime);
+      const result = this.buildResult(tier3Result, query, transliterated, normalized, language, 3, startTime);
+      await this.extractAttributesWithAI(result, normalized, language);
       await this.cacheResult(cacheKey, result);
       await this.storeInSemanticCache(normalized, result);
       return result;
@@ -85,7 +119,8 @@ class SmartQueryParser {
     // TIER 4: Full AI (rare)
     this.stats.tier4++;
     const tier4Result = await this.tier4FullAI(normalized, language, tier1Result);
-    const result = this.buildResult(tier4Result, query, normalized, language, 4, startTime);
+    const result = this.buildResult(tier4Result, query, transliterated, normalized, language, 4, startTime);
+    await this.extractAttributesWithAI(result, normalized, language);
     await this.cacheResult(cacheKey, result);
     await this.storeInSemanticCache(normalized, result);
     return result;
@@ -120,6 +155,13 @@ class SmartQueryParser {
       }
     }
 
+    // Category-specific attributes (color, fuel, transmission...) from category_attributes.
+    // Same confidence bar as the category filter in toSearchParams
+    if (finalCategory && finalCategory.confidence >= this.categoryConfidenceThreshold) {
+      const definitions = await this.dbMatcher.getFilterableAttributes(finalCategory.id);
+      Object.assign(attributes, this.dbMatcher.extractCategoryAttributes(normalized, definitions, attributes));
+    }
+
     // Calculate overall confidence
     const confidence = this.calculateTier1Confidence({
       category: finalCategory,
@@ -283,6 +325,199 @@ Extract JSON: {"category":"specific item","location":"city name","transaction":"
     }
   }
 
+  /**
+   * AI attribute extraction - feeds the category schema to the model
+   * Runs only for a confident category when regex/metadata extraction left
+   * attribute-bearing words unexplained. Attributes are merged into result in place;
+   * regex and metadata matches always win over the model. Tokens are added to result.aiTokens.
+   * @param {Object} result - Parsed result from buildResult
+   * @param {string} normalized - Normalized query
+   * @param {string} language - Language
+   */
+  async extractAttributesWithAI(result, normalized, language) {
+    if (!result.category?.id || result.category.confidence < this.categoryConfidenceThreshold) {
+      return;
+    }
+
+    try {
+      const definitions = await this.dbMatcher.getFilterableAttributes(result.category.id);
+      if (definitions.length === 0 || !this.hasUnexplainedAttributeWords(normalized, result, definitions)) {
+        return;
+      }
+
+      this.stats.aiAttributes++;
+
+      const schema = definitions.map(attr => ({
+        ...attr,
+        optionValues: this.dbMatcher.parseAttributeOptions(attr.options).map(option => option.value)
+      }));
+      const { attributes: extracted, tokens } = await openAIService.extractAttributes(normalized, result.category.slug, schema, language);
+      result.aiTokens = (result.aiTokens || 0) + tokens;
+
+      const validated = this.validateAttributes(extracted, definitions);
+
+      Object.entries(validated).forEach(([slug, value]) => {
+        if (result.attributes[slug] === undefined) {
+          result.attributes[slug] = value;
+        }
+      });
+
+      logger.info('AI attributes extracted', {
+        category: result.category.slug,
+        attributes: validated,
+        tokens
+      });
+    } catch (error) {
+      logger.error('AI attribute extraction error:', error);
+    }
+  }
+
+  /**
+   * Check if the query has words the parse did not explain that may carry an attribute
+   * (a number no attribute consumed, or a word that is not filler, category, location
+   * or part of an extracted attribute)
+   * @param {string} normalized - Normalized query
+   * @param {Object} parsed - Parsed result
+   * @param {Array} definitions - Category attribute definitions
+   * @returns {boolean} True if the model should look at the query
+   */
+  hasUnexplainedAttributeWords(normalized, parsed, definitions) {
+    const prepared = NumeralParser.prepare(normalized);
+    const attributes = parsed.attributes || {};
+
+    // "4 ابواب" without a known unit leaves a number unconsumed
+    const numbers = NumeralParser.findNumbers(prepared).length;
+    const values = Object.values(attributes).reduce((count, value) => count + this.countValues(value), 0);
+    if (numbers > values) {
+      return true;
+    }
+
+    const explained = new Set([
+      ...this.explainedWords,
+      ...this.dbMatcher.getCategoryTerms(parsed.category.id),
+      ...this.words(parsed.category.name),
+      ...this.words(parsed.location?.name)
+    ]);
+
+    // Names, units and option labels of attributes already extracted ("احمر" for color)
+    definitions
+      .filter(attr => attributes[attr.slug] !== undefined)
+      .forEach(attr => {
+        const labels = this.dbMatcher.parseAttributeOptions(attr.options).flatMap(option => option.labels);
+        [attr.name_ar, attr.name_en, attr.unit_ar, attr.unit_en, ...labels]
+          .forEach(text => this.words(text).forEach(word => explained.add(word)));
+      });
+
+    return NumeralParser.tokenize(prepared).some(token => {
+      if (token.info) return false;
+
+      const word = token.word.replace(/[^\p{L}\p{N}².]/gu, '');
+      const bare = word.replace(/^(بال|وال|لل|ال|ب|و|ل)/, '');
+      return bare.length > 1 && !explained.has(word) && !explained.has(bare);
+    });
+  }
+
+  /**
+   * Count the numbers an extracted attribute accounts for
+   * @param {*} value - Attribute value
+   * @returns {number} Count ("من 50 الى 100" = 2, "حوالي 50" = 1)
+   */
+  countValues(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value !== 'object') return 1;
+    if (value.approximate) return 1;
+
+    return ['value', 'min', 'max'].filter(key => value[key] !== undefined).length;
+  }
+
+  /**
+   * Split a phrase into normalized words
+   * @param {string} text - Phrase
+   * @returns {Array<string>} Words
+   */
+  words(text) {
+    return text ? ArabicNormalizer.normalizeAndLower(String(text)).split(/\s+/).filter(Boolean) : [];
+  }
+
+  /**
+   * Validate model-extracted attributes against the category schema
+   * Unknown slugs, values outside options or min/max, and wrong types are dropped
+   * @param {Object} extracted - Model output { slug: value }
+   * @param {Array} definitions - Category attribute definitions
+   * @returns {Object} Valid attributes (same shapes as extractCategoryAttributes)
+   */
+  validateAttributes(extracted, definitions) {
+    const valid = {};
+
+    if (!extracted || typeof extracted !== 'object') {
+      return valid;
+    }
+
+    definitions.forEach(attr => {
+      // Prices need their currency, which only the regex extraction knows
+      if (attr.slug === 'price') return;
+
+      const raw = extracted[attr.slug];
+      if (raw === null || raw === undefined || raw === '') return;
+
+      const value = this.validateAttributeValue(raw, attr);
+      if (value === null) {
+        logger.debug(`AI attribute rejected: ${attr.slug}`, { value: raw });
+        return;
+      }
+
+      valid[attr.slug] = value;
+    });
+
+    return valid;
+  }
+
+  /**
+   * Validate one value against its attribute definition
+   * @param {*} raw - Model value
+   * @param {Object} attr - Attribute definition
+   * @returns {*} Normalized value, or null if invalid
+   */
+  validateAttributeValue(raw, attr) {
+    const options = this.dbMatcher.parseAttributeOptions(attr.options);
+
+    if (options.length > 0) {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return null;
+      return this.dbMatcher.matchAttributeOption(ArabicNormalizer.normalizeAndLower(String(raw)), options);
+    }
+
+    if (['boolean', 'checkbox'].includes(attr.type)) {
+      if (typeof raw === 'boolean') return raw;
+      const word = ArabicNormalizer.normalizeAndLower(String(raw)).trim();
+      if (['true', 'yes', 'نعم', 'اي'].includes(word)) return true;
+      if (['false', 'no', 'لا'].includes(word)) return false;
+      return null;
+    }
+
+    if (['number', 'integer', 'decimal', 'range'].includes(attr.type)) {
+      const min = attr.min_value !== null && attr.min_value !== undefined ? Number(attr.min_value) : -Infinity;
+      const max = attr.max_value !== null && attr.max_value !== undefined ? Number(attr.max_value) : Infinity;
+      const toNumber = (value) => typeof value === 'number' ? value : NumeralParser.parse(String(value));
+      const inRange = (value) => Number.isFinite(value) && value >= min && value <= max;
+
+      if (typeof raw === 'object') {
+        const range = {};
+        if (raw.min !== undefined && raw.min !== null && inRange(toNumber(raw.min))) range.min = toNumber(raw.min);
+        if (raw.max !== undefined && raw.max !== null && inRange(toNumber(raw.max))) range.max = toNumber(raw.max);
+        return range.min !== undefined || range.max !== undefined ? { ...range, type: 'range' } : null;
+      }
+
+      const value = toNumber(raw);
+      return inRange(value) ? value : null;
+    }
+
+    if (typeof raw === 'string' && raw.trim().length > 0 && raw.length <= 100) {
+      return raw.trim();
+    }
+
+    return null;
+  }
+
   /**
    * Calculate confidence for Tier 1 results
    */
@@ -330,9 +565,10 @@ Extract JSON: {"category":"specific item","location":"city name","transaction":"
   /**
    * Build final result object
    */
-  buildResult(tierResult, originalQuery, normalized, language, tier, startTime) {
+  buildResult(tierResult, originalQuery, transliterated, normalized, language, tier, startTime) {
     return {
       original: originalQuery,
+      transliterated,
       normalized,
       language,
       tier,
@@ -347,6 +583,15 @@ Extract JSON: {"category":"specific item","location":"city name","transaction":"
         id: tierResult.location.id,
         type: tierResult.location.type,
         name: language === 'ar' ? tierResult.location.name_ar : tierResult.location.name_en,
+        name_ar: tierResult.location.name_ar,
+        name_en: tierResult.location.name_en,
+        cityId: tierResult.location.city_id || (tierResult.location.type === 'city' ? tierResult.location.id : null),
+        cityIds: tierResult.location.cityIds || [],
+        neighborhoodIds: tierResult.location.neighborhoodIds || [],
+        province_ar: tierResult.location.province_ar || null,
+        province_en: tierResult.location.province_en || null,
+        near: Boolean(tierResult.location.near),
+        ambiguous: Boolean(tierResult.location.ambiguous),
         confidence: tierResult.location.confidence
       } : null,
       transactionType: tierResult.transactionType?.slug || 'sale',
@@ -413,18 +658,31 @@ Extract JSON: {"category":"specific item","location":"city name","transaction":"
     };
 
     // Only apply category filter if high confidence (>= 0.85)
-    if (parsed.category?.id && parsed.category?.confidence >= 0.85) {
+    if (parsed.category?.id && parsed.category?.confidence >= this.categoryConfidenceThreshold) {
       params.categoryId = parsed.category.id;
     }
 
     // Only apply location filter if high confidence (>= 0.8)
     // This prevents false location matches from stopwords like "في", "على", etc.
+    // Provinces, "قريب من ..." and neighborhood names shared by several cities filter by lists
     if (parsed.location && parsed.location?.confidence >= 0.8) {
+      const { cityIds = [], neighborhoodIds = [] } = parsed.location;
+
       if (parsed.location.type === 'city') {
-        params.cityId = parsed.location.id;
+        if (cityIds.length > 1) {
+          params.cityIds = cityIds;
+        } else {
+          params.cityId = parsed.location.id;
+        }
+      } else if (parsed.location.type === 'province') {
+        params.cityIds = cityIds;
       } else if (parsed.location.type === 'neighborhood') {
-        params.cityId = parsed.location.cityId;
-        params.neighborhoodId = parsed.location.id;
+        if (neighborhoodIds.length > 1) {
+          params.neighborhoodIds = neighborhoodIds;
+        } else {
+          params.cityId = parsed.location.cityId;
+          params.neighborhoodId = parsed.location.id;
+        }
       }
     }
 
@@ -435,8 +693,13 @@ Extract JSON: {"category":"specific item","location":"city name","transaction":"
     }
 
     // Apply attributes (no confidence threshold - these are numeric extractions)
+    // A detected sort ("الأرخص") is an ordering, not a filter
     if (parsed.attributes) {
-      params.attributes = parsed.attributes;
+      const { sort, ...attributes } = parsed.attributes;
+      params.attributes = attributes;
+      if (sort) {
+        params.sort = sort;
+      }
     }
 
     // Include keywords for text search fallback
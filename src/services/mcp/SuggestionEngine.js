@@ -0,0 +1,368 @@
+const database = require('../../config/database');
+const smartParser = require('./SmartQueryParser');
+const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const ArabicStemmer = require('../../utils/arabicStemmer');
+const logger = require('../../utils/logger');
+
+// Telegram callback_data is capped at 64 bytes, "search:" included
+const MAX_SUGGESTION_BYTES = 64 - Buffer.byteLength('search:');
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check if every letter of a word appears in a candidate, in order
+ * ("هونداي" in "هيونداي": the user dropped a letter)
+ * @param {string} word - Typed word
+ * @param {string} candidate - Vocabulary term
+ * @returns {boolean} True if the word is a subsequence of the candidate
+ */
+function isSubsequence(word, candidate) {
+  let index = 0;
+  for (const char of candidate) {
+    if (char === word[index]) index++;
+  }
+  return index === word.length;
+}
+
+/**
+ * Trigrams of a word as pg_trgm builds them: padded with two spaces in front and one behind
+ * @param {string} word - Normalized word
+ * @returns {Set<string>} Trigrams
+ */
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Suggestion Engine
+ * "Did you mean" corrections and related categories for searches with no or few results.
+ * Misspelled words are matched by trigram similarity (pg_trgm's measure) against a vocabulary
+ * of category keywords, brand/model values, place names and frequent listing-title words,
+ * loaded into memory with a trigram index and refreshed every hour.
+ */
+class SuggestionEngine {
+  constructor() {
+    this.db = database;
+    // Normalized term → { display, frequency, trigramCount }
+    this.vocabulary = null;
+    // Trigram → normalized terms containing it
+    this.trigramIndex = null;
+    this.lastRefresh = null;
+    this.VOCABULARY_TTL = 60 * 60 * 1000; // 1 hour
+    this.LOW_RESULT_COUNT = 3;
+    this.MIN_SIMILARITY = 0.4;
+    this.MIN_WORD_LENGTH = 3;
+    this.MAX_SUGGESTIONS = 3;
+    this.MAX_CANDIDATES = 5;
+  }
+
+  /**
+   * Generate suggestions for a search
+   * @param {Object} parsed - Parsed query (SmartQueryParser result, possibly merged)
+   * @param {Object} options - Options
+   * @param {number} options.total - Total results of the search
+   * @param {string} options.language - Language ('ar' or 'en')
+   * @returns {Promise<Array<string>>} Corrected queries first, then related categories
+   */
+  async generate(parsed, options = {}) {
+    const { total = 0, language = 'ar' } = options;
+
+    if (total >= this.LOW_RESULT_COUNT) {
+      return [];
+    }
+
+    try {
+      // A follow-up's text is only the refinement ("بس بحلب"), not the searched subject
+      const corrections = parsed.followUp ? [] : await this.getCorrections(parsed);
+      const related = await this.getRelatedCategories(parsed, language);
+
+      const suggestions = [...new Set([...corrections, ...related])]
+        .filter(suggestion => Buffer.byteLength(suggestion) <= MAX_SUGGESTION_BYTES)
+        .slice(0, this.MAX_SUGGESTIONS);
+
+      if (suggestions.length > 0) {
+        logger.info('Search suggestions generated', {
+          query: (parsed.original || '').substring(0, 50),
+          total,
+          suggestions
+        });
+      }
+
+      return suggestions;
+    } catch (error) {
+      logger.error('Error generating suggestions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Corrected query: unknown words replaced by their closest vocabulary term
+   * ("هونداي توسان" → "هيونداي توسان")
+   * @param {Object} parsed - Parsed query
+   * @returns {Promise<Array<string>>} Corrected query, or [] if every word is known
+   */
+  async getCorrections(parsed) {
+    const text = parsed.transliterated || parsed.original;
+    if (!text) {
+      return [];
+    }
+
+    await this.loadVocabularyIfNeeded();
+
+    const words = text.split(/\s+/).filter(Boolean);
+    const unknown = words
+      .map(word => ArabicNormalizer.normalizeAndLower(word))
+      .filter(word => this.isUnknown(word));
+
+    if (unknown.length === 0) {
+      return [];
+    }
+
+    // Each word as typed, and without any attached prefix in case the typo is past it
+    // ("بهونداي" → "هونداي"); the core only counts if it corrects to a vocabulary term
+    const corrections = this.findCorrections([
+      ...new Set(unknown.flatMap(word => [word, ArabicStemmer.stripPrefix(word, () => true)]))
+    ]);
+    if (corrections.size === 0) {
+      return [];
+    }
+
+    // Keep the user's wording and attached prefixes ("بهونداي" → "بهيونداي")
+    const corrected = words.map(word => {
+      const normalized = ArabicNormalizer.normalizeAndLower(word);
+      if (!unknown.includes(normalized)) {
+        return word;
+      }
+
+      if (corrections.has(normalized)) {
+        return corrections.get(normalized);
+      }
+
+      const core = ArabicStemmer.stripPrefix(normalized, () => true);
+      const correction = corrections.get(core);
+
+      return correction ? normalized.slice(0, normalized.length - core.length) + correction : word;
+    });
+
+    return [corrected.join(' ')];
+  }
+
+  /**
+   * Check if a word needs correcting: long enough, not a number, not a filler/unit
+   * word the parser already explains, and not in the vocabulary in any light form
+   * @param {string} word - Normalized word
+   * @returns {boolean} True if the word is unknown
+   */
+  isUnknown(word) {
+    if (word.length < this.MIN_WORD_LENGTH || /\d/.test(word) || smartParser.explainedWords.has(word)) {
+      return false;
+    }
+
+    const isKnown = term => this.vocabulary.has(term);
+    return !ArabicStemmer.variants(word, isKnown).some(isKnown);
+  }
+
+  /**
+   * Find the closest vocabulary term of each unknown word
+   * Trigram similarity shortlists candidates; the fewest edits win, then a candidate
+   * the word is missing a letter of (the most common typo), then the most frequent term
+   * @param {Array<string>} words - Unknown normalized words
+   * @returns {Map<string, string>} Word → display form of its correction
+   */
+  findCorrections(words) {
+    const corrections = new Map();
+
+    words.forEach(word => {
+      const best = this.getSimilarTerms(word)
+        .map(term => ({
+          term,
+          distance: editDistance(word, term),
+          dropped: isSubsequence(word, term),
+          frequency: this.vocabulary.get(term).frequency
+        }))
+        // One edit per 4 letters at most, so short words are not rewritten wholesale
+        .filter(option => option.distance <= Math.max(1, Math.floor(word.length / 4)))
+        .sort((a, b) => a.distance - b.distance || b.dropped - a.dropped || b.frequency - a.frequency)[0];
+
+      if (best) {
+        corrections.set(word, this.vocabulary.get(best.term).display);
+      }
+    });
+
+    return corrections;
+  }
+
+  /**
+   * Vocabulary terms most similar to a word, as pg_trgm's similarity() scores them
+   * (shared trigrams / all distinct trigrams); only terms sharing a trigram are scored
+   * @param {string} word - Normalized word
+   * @returns {Array<string>} Up to MAX_CANDIDATES terms with similarity >= MIN_SIMILARITY
+   */
+  getSimilarTerms(word) {
+    const wordTrigrams = trigrams(word);
+    const shared = new Map();
+
+    wordTrigrams.forEach(trigram => {
+      (this.trigramIndex.get(trigram) || []).forEach(term => {
+        shared.set(term, (shared.get(term) || 0) + 1);
+      });
+    });
+
+    return [...shared]
+      .map(([term, count]) => ({
+        term,
+        similarity: count / (wordTrigrams.size + this.vocabulary.get(term).trigramCount - count)
+      }))
+      .filter(candidate => candidate.similarity >= this.MIN_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.MAX_CANDIDATES)
+      .map(candidate => candidate.term);
+  }
+
+  /**
+   * Sibling categories that have listings (in the searched cities, if any)
+   * ("شقق بحلب" with no results → "بيوت بحلب")
+   * @param {Object} parsed - Parsed query
+   * @param {string} language - Language
+   * @returns {Promise<Array<string>>} Suggested queries
+   */
+  async getRelatedCategories(parsed, language) {
+    if (!parsed.category?.id) {
+      return [];
+    }
+
+    const location = parsed.location;
+    const cityIds = location
+      ? (location.cityIds?.length ? location.cityIds : [location.cityId].filter(Boolean))
+      : [];
+
+    const result = await this.db.query(`
+      SELECT c.id, c.name_ar, c.name_en, COUNT(l.id) as listing_count
+      FROM categories current
+      JOIN categories c ON c.parent_id = current.parent_id AND c.id <> current.id
+      JOIN listings l ON l.category_id = c.id AND l.status = 'active'
+      WHERE current.id = $1
+        AND c.is_active = true
+        AND (cardinality($2::uuid[]) = 0 OR l.city_id = ANY($2::uuid[]))
+      GROUP BY c.id, c.name_ar, c.name_en
+      ORDER BY listing_count DESC
+      LIMIT 2
+    `, [parsed.category.id, cityIds]);
+
+    const place = location ? (language === 'ar' ? location.name_ar : location.name_en) : null;
+
+    return result.rows.map(row => {
+      const name = language === 'ar' ? row.name_ar : row.name_en;
+      if (!place) return name;
+      return language === 'ar' ? `${name} ب${place}` : `${name} in ${place}`;
+    });
+  }
+
+  /**
+   * Reload the vocabulary if it is missing or older than the TTL
+   */
+  async loadVocabularyIfNeeded() {
+    if (!this.vocabulary || Date.now() - this.lastRefresh > this.VOCABULARY_TTL) {
+      await this.loadVocabulary();
+    }
+  }
+
+  /**
+   * Load the vocabulary: category names and keywords, brand/model values,
+   * city/neighborhood names and words used in at least 3 active listing titles
+   */
+  async loadVocabulary() {
+    const result = await this.db.query(`
+      SELECT word, MAX(frequency) as frequency
+      FROM (
+        SELECT regexp_split_to_table(name, '\\s+') as word, 1 as frequency
+        FROM (
+          SELECT name_ar as name FROM categories WHERE is_active = true
+          UNION ALL SELECT name_en FROM categories WHERE is_active = true
+          UNION ALL SELECT unnest(keywords_ar || keywords_en) FROM category_embeddings
+          UNION ALL SELECT name_ar FROM cities
+          UNION ALL SELECT name_en FROM cities
+          UNION ALL SELECT name_ar FROM neighborhoods
+          UNION ALL SELECT name_en FROM neighborhoods
+        ) names
+        WHERE name IS NOT NULL
+
+        UNION ALL
+
+        SELECT regexp_split_to_table(lav.value_text, '\\s+'), COUNT(*)
+        FROM listing_attribute_values lav
+        JOIN listing_attributes la ON lav.attribute_id = la.id
+        WHERE la.slug IN ('brand', 'model') AND lav.value_text IS NOT NULL
+        GROUP BY lav.value_text
+
+        UNION ALL
+
+        SELECT word, COUNT(*)
+        FROM listings l, regexp_split_to_table(l.title, '\\s+') as word
+        WHERE l.status = 'active'
+        GROUP BY word
+        HAVING COUNT(*) >= 3
+      ) terms
+      GROUP BY word
+    `);
+
+    const vocabulary = new Map();
+    result.rows.forEach(row => {
+      const display = row.word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+      const term = ArabicNormalizer.normalizeAndLower(display);
+      if (term.length < this.MIN_WORD_LENGTH || /\d/.test(term)) return;
+
+      const frequency = parseInt(row.frequency, 10);
+      const existing = vocabulary.get(term);
+      if (!existing || existing.frequency < frequency) {
+        vocabulary.set(term, { display, frequency, trigramCount: 0 });
+      }
+    });
+
+    const trigramIndex = new Map();
+    vocabulary.forEach((entry, term) => {
+      const termTrigrams = trigrams(term);
+      entry.trigramCount = termTrigrams.size;
+      termTrigrams.forEach(trigram => {
+        if (!trigramIndex.has(trigram)) trigramIndex.set(trigram, []);
+        trigramIndex.get(trigram).push(term);
+      });
+    });
+
+    this.vocabulary = vocabulary;
+    this.trigramIndex = trigramIndex;
+    this.lastRefresh = Date.now();
+
+    logger.info('Suggestion vocabulary loaded', { terms: vocabulary.size, trigrams: trigramIndex.size });
+  }
+}
+
+// Singleton instance
+module.exports = new SuggestionEngine();
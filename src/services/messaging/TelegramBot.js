@@ -3,7 +3,13 @@ const searchService = require('../search/SearchService');
 const intentService = require('../intent/IntentService');
 const TelegramFormatter = require('./TelegramFormatter');
 const whisperService = require('../ai/WhisperService');
-const openAIService = require('../ai/OpenAIService');
+const intentRouter = require('../intent/IntentRouter');
+const savedSearchService = require('../alerts/SavedSearchService');
+const favoriteService = require('../alerts/FavoriteService');
+const conversationService = require('../conversation/ConversationService');
+const sessionStore = require('../cache/SessionStore');
+const GeoDistance = require('../../utils/geoDistance');
+const responseFormatter = require('../../utils/responseFormatter');
 const logger = require('../../utils/logger');
 const axios = require('axios');
 const fs = require('fs').promises;
@@ -17,6 +23,11 @@ class TelegramBot {
   constructor() {
     this.bot = null;
     this.isInitialized = false;
+    this.pageSize = 5; // Matches the number of listings rendered per message
+    this.searchStateTTL = 60 * 60; // Pager buttons stay usable for 1 hour
+    this.lastSearchTTL = 7 * 24 * 60 * 60; // /subscribe works on searches from the last week
+    this.inlinePageSize = 10; // Results per inline answer (Telegram allows up to 50)
+    this.inlineCacheTime = 5 * 60; // Telegram caches inline answers per user for 5 minutes
   }
 
   /**
@@ -53,15 +64,32 @@ class TelegramBot {
     // Help command
     this.bot.help((ctx) => this.handleHelp(ctx));
 
+    // Saved search alerts
+    this.bot.command('subscribe', (ctx) => this.handleSubscribe(ctx));
+    this.bot.command('subscriptions', (ctx) => this.handleSubscriptions(ctx));
+    this.bot.command('unsubscribe', (ctx) => this.handleUnsubscribe(ctx));
+
+    // Favorites with price-drop notifications
+    this.bot.command('favorites', (ctx) => this.handleFavorites(ctx));
+
+    // Guided browsing through the category tree
+    this.bot.command('categories', (ctx) => this.handleCategories(ctx));
+
     // Text message handler (search queries)
     this.bot.on('text', (ctx) => this.handleTextMessage(ctx));
 
     // Voice message handler
     this.bot.on('voice', (ctx) => this.handleVoiceMessage(ctx));
 
+    // Shared location - listings near the user
+    this.bot.on('location', (ctx) => this.handleLocationMessage(ctx));
+
     // Callback query handler (button clicks)
     this.bot.on('callback_query', (ctx) => this.handleCallbackQuery(ctx));
 
+    // Inline mode (@bot query from any chat)
+    this.bot.on('inline_query', (ctx) => this.handleInlineQuery(ctx));
+
     // Error handler
     this.bot.catch((err, ctx) => {
       logger.error('Telegram bot error:', err);
@@ -92,6 +120,7 @@ class TelegramBot {
 
 يلا نبلش! 🚀`;
 
+    await conversationService.reset('telegram', ctx.chat.id);
     await ctx.reply(message);
   }
 
@@ -107,13 +136,30 @@ class TelegramBot {
 2️⃣ استنى شوي 🔍
    رح دور على آلاف الإعلانات وجيبلك أحسن النتائج
 
-3️⃣ اضغط على "عرض التفاصيل"
-   لتشوف كل التفاصيل والصور على الموقع
+3️⃣ اضغط على زر 📋 مع رقم الإعلان
+   لتشوف كل الصور والمواصفات ومعلومات التواصل هون بالبوت
 
 💡 نصايح مفيدة:
 • كلما كنت أدق بالبحث، كلما كانت النتائج أحسن
 • فيك تحكيلي الموقع، السعر، المواصفات...
-• استخدم /start إذا بدك تبدأ من جديد
+• بعد البحث فيك تعدّل عليه: "بس بحلب" أو "أرخص من 50 مليون"
+• اكتب "من جديد" أو استخدم /start إذا بدك تبدأ من جديد
+• 📍 ابعتلي موقعك لتشوف الإعلانات القريبة منك، أو بعد أي بحث لترتب نتايجه حسب الأقرب
+
+📂 ما بتعرف شو تكتب؟
+• /categories - تصفح الأقسام واختار المدينة ونوع العرض خطوة خطوة
+
+🔔 تنبيهات الإعلانات الجديدة:
+• /subscribe - اشترك بآخر بحث عملته
+• /subscriptions - شوف اشتراكاتك
+• /unsubscribe - ألغي اشتراك
+
+🔎 من أي محادثة:
+• اكتب اسم البوت وبعده شو بدك (مثلاً: @${ctx.botInfo.username} شقة بحلب) واختار إعلان لتبعته
+
+⭐ المفضلة:
+• اضغط ⭐ تحت أي إعلان لتحفظه، ورح خبرك إذا نزل سعره
+• /favorites - شوف الإعلانات المحفوظة
 
 محتاج مساعدة؟ تفضل:
 🌐 https://www.kasioon.com`;
@@ -121,6 +167,112 @@ class TelegramBot {
     await ctx.reply(message);
   }
 
+  /**
+   * Handle /subscribe command - save the last search for new-listing alerts
+   */
+  async handleSubscribe(ctx) {
+    const chatId = ctx.chat.id;
+    const lastSearch = await this.getLastSearch(chatId);
+
+    if (!lastSearch) {
+      await ctx.reply('ابحث عن شي أول 🔍\nوبعدين اكتب /subscribe لتوصلك الإعلانات الجديدة عنه 🔔');
+      return;
+    }
+
+    // Without a category the alert would fire for almost every new listing
+    if (!lastSearch.filters?.categoryId) {
+      await ctx.reply('آخر بحث عملته عام كتير 🤔\nجرب بحث أدق (متل "شقة للإيجار بدمشق") وبعدين اشترك');
+      return;
+    }
+
+    try {
+      const result = await savedSearchService.subscribe({
+        chatId,
+        userId: ctx.from.id,
+        query: lastSearch.query,
+        language: lastSearch.language,
+        filters: lastSearch.filters
+      });
+
+      if (!result.success) {
+        await ctx.reply(result.error);
+        return;
+      }
+
+      await ctx.reply(
+        `🔔 تمام! رح خبرك بكل إعلان جديد عن:\n"${lastSearch.query}"\n\nلتشوف اشتراكاتك اكتب /subscriptions`
+      );
+    } catch (error) {
+      logger.error('Telegram subscribe error:', error);
+      await ctx.reply('عذراً، ما قدرت احفظ الاشتراك 😔\nجرب مرة تانية');
+    }
+  }
+
+  /**
+   * Handle /subscriptions command
+   */
+  async handleSubscriptions(ctx) {
+    try {
+      const savedSearches = await savedSearchService.list(ctx.chat.id);
+      const formatted = TelegramFormatter.formatSubscriptions(savedSearches, 'ar');
+      await this.sendFormattedMessage(ctx, formatted);
+    } catch (error) {
+      logger.error('Telegram subscriptions error:', error);
+      await ctx.reply('عذراً، صار في مشكلة 😔\nجرب مرة تانية');
+    }
+  }
+
+  /**
+   * Handle /unsubscribe command
+   * "/unsubscribe 2" removes the 2nd subscription, plain "/unsubscribe" lists them
+   */
+  async handleUnsubscribe(ctx) {
+    const arg = ctx.message.text.split(/\s+/)[1];
+    const index = parseInt(arg, 10);
+
+    if (!index) {
+      await this.handleSubscriptions(ctx);
+      return;
+    }
+
+    try {
+      const savedSearches = await savedSearchService.list(ctx.chat.id);
+      const savedSearch = savedSearches[index - 1];
+
+      if (!savedSearch) {
+        await ctx.reply('ما لقيت هالاشتراك 🤔\nاكتب /subscriptions لتشوف اشتراكاتك');
+        return;
+      }
+
+      await savedSearchService.unsubscribe(ctx.chat.id, savedSearch.id);
+      await ctx.reply(`🔕 تم إلغاء الاشتراك: "${savedSearch.query_text}"`);
+    } catch (error) {
+      logger.error('Telegram unsubscribe error:', error);
+      await ctx.reply('عذراً، صار في مشكلة 😔\nجرب مرة تانية');
+    }
+  }
+
+  /**
+   * Handle /favorites command
+   */
+  async handleFavorites(ctx) {
+    const language = 'ar';
+
+    try {
+      const listings = await favoriteService.list(ctx.chat.id);
+      const formattedListings = listings.map(listing => ({
+        ...responseFormatter.formatListing(listing, language),
+        isActive: listing.status === 'active'
+      }));
+
+      const formatted = TelegramFormatter.formatFavorites(formattedListings, language);
+      await this.sendFormattedMessage(ctx, formatted);
+    } catch (error) {
+      logger.error('Telegram favorites error:', error);
+      await ctx.reply('عذراً، صار في مشكلة 😔\nجرب مرة تانية');
+    }
+  }
+
   /**
    * Handle text messages (search queries)
    */
@@ -139,113 +291,21 @@ class TelegramBot {
     await ctx.sendChatAction('typing');
 
     try {
-      // Detect user intent
-      const intent = await openAIService.detectIntent(rawText, language);
+      if (conversationService.isResetRequest(rawText)) {
+        await this.startOver(ctx);
+        return;
+      }
 
-      logger.info('Telegram intent detected', {
-        userId,
-        original: rawText.substring(0, 50),
-        intent: intent.intent
+      const response = await intentRouter.route(rawText, {
+        language,
+        source: 'telegram',
+        userId: userId.toString(),
+        // The page size only applies to searches; other intents keep their own list sizes.
+        // The previous search of this chat, so follow-ups ("بس بحلب") refine it
+        search: { limit: this.pageSize, context: await conversationService.get('telegram', ctx.chat.id) }
       });
 
-      // Route based on intent
-      let results;
-      let formatted;
-
-      switch (intent.intent) {
-        case 'search':
-          if (!intent.query) {
-            await ctx.reply('أهلاً! 👋\nشو بدك دور عليه؟\nاكتبلي شو عم تدور عليه وأنا بساعدك 🔍');
-            return;
-          }
-
-          // Perform search with cleaned query
-          results = await searchService.search({
-            query: intent.query,
-            language,
-            source: 'telegram',
-            userId: userId.toString(),
-            page: 1,
-            limit: 10
-          });
-
-          // Format results for Telegram
-          formatted = TelegramFormatter.formatSearchResults(results, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'most_viewed':
-          results = await intentService.getMostViewedListings(intent.limit || 10, language);
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            '📊 الإعلانات الأكثر مشاهدة'
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'most_impressioned':
-          results = await intentService.getMostImpressionedListings(intent.limit || 10, language);
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            '🔥 الإعلانات الأكثر تفاعلاً'
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_offices':
-          results = await intentService.getOffices(intent.limit || 20, language);
-          formatted = TelegramFormatter.formatOffices(results.data, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_office_details':
-          if (!intent.officeId) {
-            await ctx.reply('يرجى تحديد رقم أو اسم المكتب 🏢\nمثال: "تفاصيل المكتب رقم 123"');
-            return;
-          }
-          results = await intentService.getOfficeDetails(intent.officeId, language);
-          if (!results.success) {
-            await ctx.reply(results.error);
-            return;
-          }
-          formatted = TelegramFormatter.formatOfficeDetails(results.data, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_office_listings':
-          if (!intent.officeId) {
-            await ctx.reply('يرجى تحديد رقم أو اسم المكتب 🏢\nمثال: "إعلانات المكتب رقم 123"');
-            return;
-          }
-          results = await intentService.getOfficeListings(intent.officeId, intent.limit || 10, language);
-          if (!results.success) {
-            await ctx.reply(results.error);
-            return;
-          }
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            `🏢 إعلانات ${results.office.name}`
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'greeting':
-          results = intentService.getGreetingMessage(language);
-          await ctx.reply(results.message);
-          break;
-
-        case 'help':
-          results = intentService.getHelpMessage(language);
-          await ctx.reply(results.message);
-          break;
-
-        default:
-          await ctx.reply('عذراً، ما فهمت طلبك 😔\nاكتب /help لمعرفة شو بقدر ساعدك');
-          break;
-      }
+      await this.renderIntentResponse(ctx, response);
     } catch (error) {
       logger.error('Telegram message handler error:', error);
       const errorMessage = TelegramFormatter.formatError(
@@ -277,8 +337,8 @@ class TelegramBot {
     try {
       // Download voice file from Telegram
       const fileLink = await this.bot.telegram.getFileLink(voiceFileId);
-      const response = await axios.get(fileLink.href, { responseType: 'arraybuffer' });
-      const audioBuffer = Buffer.from(response.data);
+      const download = await axios.get(fileLink.href, { responseType: 'arraybuffer' });
+      const audioBuffer = Buffer.from(download.data);
 
       // Determine file extension (Telegram voice messages are usually OGG)
       const filename = `voice_${Date.now()}.ogg`;
@@ -298,123 +358,106 @@ class TelegramBot {
         text: transcribedText.substring(0, 100)
       });
 
-      // Detect user intent from transcribed text
-      const intent = await openAIService.detectIntent(transcribedText, language);
-
-      logger.info('Voice intent detected', {
-        userId,
-        original: transcribedText.substring(0, 50),
-        intent: intent.intent
-      });
-
       // Send transcription to user
       await ctx.reply(`📝 سمعتك: "${transcribedText}"`);
 
-      // Route based on intent
-      let results;
-      let formatted;
-
-      switch (intent.intent) {
-        case 'search':
-          if (!intent.query) {
-            await ctx.reply('بس ما فهمت شو بدك دور عليه 🤔\nممكن تحكيلي شو عم تدور عليه؟');
-            return;
-          }
-
-          await ctx.reply(`🔍 عم دور على: "${intent.query}"`);
-
-          // Process as search query
-          results = await searchService.search({
-            query: intent.query,
-            language,
-            source: 'telegram-voice',
-            userId: userId.toString(),
-            page: 1,
-            limit: 10
-          });
-
-          formatted = TelegramFormatter.formatSearchResults(results, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'most_viewed':
-          results = await intentService.getMostViewedListings(intent.limit || 10, language);
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            '📊 الإعلانات الأكثر مشاهدة'
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'most_impressioned':
-          results = await intentService.getMostImpressionedListings(intent.limit || 10, language);
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            '🔥 الإعلانات الأكثر تفاعلاً'
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_offices':
-          results = await intentService.getOffices(intent.limit || 20, language);
-          formatted = TelegramFormatter.formatOffices(results.data, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_office_details':
-          if (!intent.officeId) {
-            await ctx.reply('يرجى تحديد رقم أو اسم المكتب 🏢');
-            return;
-          }
-          results = await intentService.getOfficeDetails(intent.officeId, language);
-          if (!results.success) {
-            await ctx.reply(results.error);
-            return;
-          }
-          formatted = TelegramFormatter.formatOfficeDetails(results.data, language);
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'get_office_listings':
-          if (!intent.officeId) {
-            await ctx.reply('يرجى تحديد رقم أو اسم المكتب 🏢');
-            return;
-          }
-          results = await intentService.getOfficeListings(intent.officeId, intent.limit || 10, language);
-          if (!results.success) {
-            await ctx.reply(results.error);
-            return;
-          }
-          formatted = TelegramFormatter.formatListings(
-            results.data,
-            language,
-            `🏢 إعلانات ${results.office.name}`
-          );
-          await this.sendFormattedMessage(ctx, formatted);
-          break;
-
-        case 'greeting':
-          results = intentService.getGreetingMessage(language);
-          await ctx.reply(results.message);
-          break;
-
-        case 'help':
-          results = intentService.getHelpMessage(language);
-          await ctx.reply(results.message);
-          break;
-
-        default:
-          await ctx.reply('عذراً، ما فهمت طلبك 😔');
-          break;
+      const response = await intentRouter.route(transcribedText, {
+        language,
+        source: 'telegram-voice',
+        userId: userId.toString(),
+        search: { limit: this.pageSize, context: await conversationService.get('telegram', ctx.chat.id) }
+      });
+
+      if (response.type === 'search') {
+        await ctx.reply(`🔍 عم دور على: "${response.query}"`);
       }
+
+      await this.renderIntentResponse(ctx, response);
     } catch (error) {
       logger.error('Voice message processing error:', error);
       await ctx.reply('عذراً، ما قدرت افهم الرسالة الصوتية 😔\nجرب ترسل رسالة نصية أو صوتية تانية');
     }
   }
 
+  /**
+   * Handle shared locations
+   * Narrows the current search to the area around the user, nearest first,
+   * or lists everything nearby when there is no search yet
+   */
+  async handleLocationMessage(ctx) {
+    const userId = ctx.from.id;
+    const language = 'ar';
+    const { latitude, longitude } = ctx.message.location;
+    const near = { lat: latitude, lng: longitude, radiusKm: GeoDistance.DEFAULT_RADIUS_KM };
+
+    logger.info('Telegram location received', { userId });
+
+    await ctx.sendChatAction('typing');
+
+    try {
+      const context = await conversationService.get('telegram', ctx.chat.id);
+
+      if (context && context.original) {
+        await this.sendSearchResults(ctx, {
+          query: context.original,
+          language,
+          source: 'telegram',
+          userId: userId.toString(),
+          near,
+          sort: 'nearest'
+        });
+        return;
+      }
+
+      await this.sendNearbyResults(ctx, { near, language });
+    } catch (error) {
+      logger.error('Telegram location handler error:', error);
+      const errorMessage = TelegramFormatter.formatError(
+        'عذراً، ما قدرت دور حوالي موقعك 😔\nجرب مرة تانية أو اكتبلي شو بدك',
+        language
+      );
+      await this.sendFormattedMessage(ctx, errorMessage);
+    }
+  }
+
+  /**
+   * Handle inline queries - search from any chat and share the picked listing
+   * The offset Telegram sends back for "load more" is the next page number
+   */
+  async handleInlineQuery(ctx) {
+    const query = ctx.inlineQuery.query.trim();
+    const page = parseInt(ctx.inlineQuery.offset, 10) || 1;
+    const language = 'ar';
+
+    // Nothing worth searching yet - a short cache keeps typing responsive
+    if (query.length < 2) {
+      await ctx.answerInlineQuery([], { cache_time: 1, is_personal: true });
+      return;
+    }
+
+    try {
+      const results = await searchService.search({
+        query,
+        language,
+        source: 'telegram',
+        userId: ctx.from.id.toString(),
+        page,
+        limit: this.inlinePageSize
+      });
+
+      const { listings, pagination } = results.data;
+
+      await ctx.answerInlineQuery(TelegramFormatter.formatInlineResults(listings, language), {
+        cache_time: this.inlineCacheTime,
+        is_personal: true,
+        next_offset: pagination.hasNext ? String(page + 1) : ''
+      });
+    } catch (error) {
+      logger.error('Telegram inline query error:', error);
+      await ctx.answerInlineQuery([], { cache_time: 1, is_personal: true }).catch(() => {});
+    }
+  }
+
   /**
    * Handle callback queries (button clicks)
    */
@@ -426,10 +469,57 @@ class TelegramBot {
       data: callbackData
     });
 
+    if (callbackData.startsWith('page:')) {
+      await this.handlePageCallback(ctx, parseInt(callbackData.replace('page:', ''), 10));
+      return;
+    }
+
+    if (callbackData.startsWith('cat:')) {
+      await this.handleCategoryCallback(ctx, callbackData.replace('cat:', ''));
+      return;
+    }
+
+    if (callbackData.startsWith('catall:')) {
+      await this.handleCategoryCallback(ctx, callbackData.replace('catall:', ''), true);
+      return;
+    }
+
+    if (callbackData.startsWith('bcity:')) {
+      await this.handleBrowseCityCallback(ctx, callbackData.replace('bcity:', ''));
+      return;
+    }
+
+    if (callbackData.startsWith('btt:')) {
+      await this.handleBrowseTransactionTypeCallback(ctx, callbackData.replace('btt:', ''));
+      return;
+    }
+
+    if (callbackData.startsWith('details:')) {
+      await this.handleDetailsCallback(ctx, callbackData.replace('details:', ''));
+      return;
+    }
+
+    if (callbackData.startsWith('fav:')) {
+      await this.handleFavoriteCallback(ctx, callbackData.replace('fav:', ''));
+      return;
+    }
+
+    if (callbackData.startsWith('unfav:')) {
+      const removed = await favoriteService.remove(ctx.chat.id, callbackData.replace('unfav:', ''));
+      await ctx.answerCbQuery(removed ? '🗑️ انشال من المفضلة' : 'الإعلان مو بالمفضلة');
+      return;
+    }
+
+    if (callbackData.startsWith('unsub:')) {
+      const removed = await savedSearchService.unsubscribe(ctx.chat.id, parseInt(callbackData.replace('unsub:', ''), 10));
+      await ctx.answerCbQuery(removed ? '🔕 تم إلغاء الاشتراك' : 'الاشتراك ملغى من قبل');
+      return;
+    }
+
     await ctx.answerCbQuery();
 
     if (callbackData === 'new_search') {
-      await ctx.reply('تمام! احكيلي شو بدك دور عليه؟ 🔍');
+      await this.startOver(ctx);
     } else if (callbackData.startsWith('search:')) {
       const query = callbackData.replace('search:', '');
 
@@ -442,9 +532,490 @@ class TelegramBot {
   }
 
   /**
-   * Send formatted message to Telegram
+   * Handle pager button clicks - re-run the stored query at another page
+   * and edit the original message in place
    */
-  async sendFormattedMessage(ctx, formatted) {
+  async handlePageCallback(ctx, page) {
+    const message = ctx.callbackQuery.message;
+    const state = await this.getSearchState(message.chat.id, message.message_id);
+
+    if (!state || !page || page < 1) {
+      await ctx.answerCbQuery('انتهت صلاحية هالبحث، ابحث من جديد 🔍');
+      return;
+    }
+
+    try {
+      let results;
+      if (state.browse) {
+        results = await this.browseCategory(state, page);
+      } else if (state.nearby) {
+        results = await searchService.searchNearby({ ...state, page, limit: this.pageSize });
+      } else {
+        results = await searchService.search({ ...state, page, limit: this.pageSize });
+      }
+
+      if (results.data.listings.length === 0) {
+        await ctx.answerCbQuery('ما في نتائج إضافية');
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      const formatted = TelegramFormatter.formatSearchResults(results, state.language);
+      await this.editFormattedMessage(ctx, formatted);
+    } catch (error) {
+      // Double taps produce "message is not modified" - nothing to do
+      if (this.isNotModifiedError(error)) {
+        return;
+      }
+      logger.error('Telegram page callback error:', error);
+      await ctx.answerCbQuery('عذراً، صار في مشكلة 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Handle /categories command - show the root categories
+   */
+  async handleCategories(ctx) {
+    const language = 'ar';
+
+    try {
+      const categories = await intentService.getCategoryChildren(null);
+      await this.sendFormattedMessage(ctx, TelegramFormatter.formatCategoryMenu(null, categories, language));
+    } catch (error) {
+      logger.error('Telegram categories command error:', error);
+      await ctx.reply('عذراً، ما قدرت جيب الأقسام 😔\nجرب مرة تانية أو اكتبلي شو بدك');
+    }
+  }
+
+  /**
+   * Handle category button clicks - drill down in place, or move on to the
+   * city/transaction type pickers for a leaf (or "all of this category")
+   * @param {Object} ctx - Telegraf context
+   * @param {string} categoryId - Category UUID, or "root"
+   * @param {boolean} selectAll - Browse the whole category instead of drilling down
+   */
+  async handleCategoryCallback(ctx, categoryId, selectAll = false) {
+    const language = 'ar';
+
+    try {
+      if (categoryId === 'root') {
+        const categories = await intentService.getCategoryChildren(null);
+        await ctx.answerCbQuery();
+        await this.editFormattedMessage(ctx, TelegramFormatter.formatCategoryMenu(null, categories, language));
+        return;
+      }
+
+      const category = await intentService.getCategory(categoryId);
+
+      if (!category) {
+        await ctx.answerCbQuery('هالقسم ما عاد موجود، جرب /categories من جديد');
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      if (category.has_children && !selectAll) {
+        const children = await intentService.getCategoryChildren(category.id);
+        await this.editFormattedMessage(ctx, TelegramFormatter.formatCategoryMenu(category, children, language));
+        return;
+      }
+
+      const state = {
+        browse: true,
+        language,
+        categoryId: category.id,
+        category: { id: category.id, name_ar: category.name_ar, name_en: category.name_en },
+        cityId: null,
+        city: null,
+        transactionTypeSlug: null
+      };
+
+      // A single city is not worth a question
+      const cities = await intentService.getCategoryCities(category.id);
+      if (cities.length > 1) {
+        await this.saveBrowseState(ctx, state);
+        await this.editFormattedMessage(ctx, TelegramFormatter.formatCityPicker(state.category, cities, language));
+        return;
+      }
+
+      await this.showTransactionTypePicker(ctx, state);
+    } catch (error) {
+      if (this.isNotModifiedError(error)) {
+        return;
+      }
+      logger.error('Telegram category callback error:', error);
+      await ctx.answerCbQuery('عذراً، صار في مشكلة 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Handle city picker clicks while browsing a category
+   * @param {Object} ctx - Telegraf context
+   * @param {string} cityId - City UUID, or "all"
+   */
+  async handleBrowseCityCallback(ctx, cityId) {
+    const state = await this.getBrowseState(ctx);
+
+    if (!state) {
+      await ctx.answerCbQuery('انتهت صلاحية هالقائمة، جرب /categories من جديد');
+      return;
+    }
+
+    try {
+      await ctx.answerCbQuery();
+
+      if (cityId !== 'all') {
+        const city = await intentService.getCity(cityId);
+        state.cityId = city ? city.id : null;
+        state.city = city ? { id: city.id, name_ar: city.name_ar, name_en: city.name_en } : null;
+      }
+
+      await this.showTransactionTypePicker(ctx, state);
+    } catch (error) {
+      if (this.isNotModifiedError(error)) {
+        return;
+      }
+      logger.error('Telegram browse city callback error:', error);
+      await ctx.answerCbQuery('عذراً، صار في مشكلة 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Handle transaction type picker clicks - run the category browse
+   * @param {Object} ctx - Telegraf context
+   * @param {string} slug - Transaction type slug, or "all"
+   */
+  async handleBrowseTransactionTypeCallback(ctx, slug) {
+    const state = await this.getBrowseState(ctx);
+
+    if (!state) {
+      await ctx.answerCbQuery('انتهت صلاحية هالقائمة، جرب /categories من جديد');
+      return;
+    }
+
+    try {
+      await ctx.answerCbQuery();
+
+      state.transactionTypeSlug = slug === 'all' ? null : slug;
+      await this.sendBrowseResults(ctx, state);
+    } catch (error) {
+      if (this.isNotModifiedError(error)) {
+        return;
+      }
+      logger.error('Telegram browse transaction type callback error:', error);
+      await ctx.answerCbQuery('عذراً، صار في مشكلة 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Ask for the transaction type, or go straight to results when there is no choice
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} state - Browse state
+   */
+  async showTransactionTypePicker(ctx, state) {
+    const types = await intentService.getCategoryTransactionTypes(state.categoryId, state.cityId);
+
+    if (types.length <= 1) {
+      await this.sendBrowseResults(ctx, state);
+      return;
+    }
+
+    await this.saveBrowseState(ctx, state);
+    await this.editFormattedMessage(
+      ctx,
+      TelegramFormatter.formatTransactionTypePicker(state.category, types, state.language)
+    );
+  }
+
+  /**
+   * Replace the picker message with the first page of the category
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} state - Browse state
+   */
+  async sendBrowseResults(ctx, state) {
+    const results = await this.browseCategory(state, 1);
+
+    // Same key the pager reads, so page 2 browses the same category
+    await this.saveBrowseState(ctx, state);
+    await this.editFormattedMessage(ctx, TelegramFormatter.formatSearchResults(results, state.language));
+  }
+
+  /**
+   * Browse a category through searchService.searchByCategory, shaped like search results
+   * @param {Object} state - Browse state
+   * @param {number} page - Page number
+   * @returns {Promise<Object>} Search results response
+   */
+  async browseCategory(state, page) {
+    const filters = {
+      ...(state.cityId && { cityId: state.cityId }),
+      ...(state.transactionTypeSlug && { transactionTypeSlug: state.transactionTypeSlug })
+    };
+
+    const rows = await searchService.searchByCategory(state.categoryId, filters, page, this.pageSize);
+    const total = searchService.getTotalCount(rows, (page - 1) * this.pageSize);
+
+    return responseFormatter.searchResults(
+      rows.map(listing => responseFormatter.formatListing(listing, state.language)),
+      {
+        original: state.category.name_ar,
+        parsed: {
+          category: state.category,
+          location: state.city
+        },
+        filters: { categoryId: state.categoryId, ...filters }
+      },
+      searchService.buildPagination(page, this.pageSize, total),
+      [],
+      { searchMethod: 'browse', sort: 'relevance' }
+    );
+  }
+
+  /**
+   * Store browse state for a category menu message
+   */
+  async saveBrowseState(ctx, state) {
+    const message = ctx.callbackQuery.message;
+    await this.saveSearchState(message.chat.id, message.message_id, state);
+  }
+
+  /**
+   * Get browse state for a category menu message
+   */
+  async getBrowseState(ctx) {
+    const message = ctx.callbackQuery.message;
+    const state = await this.getSearchState(message.chat.id, message.message_id);
+    return state && state.browse ? state : null;
+  }
+
+  /**
+   * Handle "details" button clicks - send the listing photos as an album
+   * followed by the full attribute table and contact info
+   */
+  async handleDetailsCallback(ctx, listingId) {
+    const language = 'ar';
+
+    try {
+      const results = await intentService.getListingDetails(listingId, language);
+
+      if (!results.success) {
+        await ctx.answerCbQuery(results.error);
+        return;
+      }
+
+      await ctx.answerCbQuery();
+
+      const formatted = TelegramFormatter.formatListingDetails(results.data, language);
+
+      if (formatted.media.length > 0) {
+        await ctx.sendChatAction('upload_photo');
+        await this.sendMedia(ctx, formatted.media);
+      }
+
+      await this.sendFormattedMessage(ctx, formatted);
+    } catch (error) {
+      logger.error('Telegram details callback error:', error);
+      await ctx.answerCbQuery('عذراً، ما قدرت جيب تفاصيل الإعلان 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Handle "save" button clicks - add the listing to the chat's favorites
+   */
+  async handleFavoriteCallback(ctx, listingId) {
+    try {
+      const result = await favoriteService.add({
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        listingId
+      });
+
+      await ctx.answerCbQuery(
+        result.success ? '⭐ انحفظ! رح خبرك إذا نزل سعره 📉' : result.error,
+        { show_alert: !result.success }
+      );
+    } catch (error) {
+      logger.error('Telegram favorite callback error:', error);
+      await ctx.answerCbQuery('عذراً، ما قدرت احفظ الإعلان 😔').catch(() => {});
+    }
+  }
+
+  /**
+   * Send listing photos - a single photo or an album (media groups need 2-10 items)
+   * Broken image URLs must not stop the details text, so failures are only logged
+   */
+  async sendMedia(ctx, media) {
+    try {
+      if (media.length === 1) {
+        await ctx.replyWithPhoto(media[0].media, { caption: media[0].caption });
+      } else {
+        await ctx.replyWithMediaGroup(media);
+      }
+    } catch (error) {
+      logger.warn('Telegram media send failed', {
+        count: media.length,
+        error: error.description || error.message
+      });
+    }
+  }
+
+  /**
+   * Run a search, send the first page and remember the query for the pager
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} searchParams - Params for searchService.search (without page/limit)
+   */
+  async sendSearchResults(ctx, searchParams) {
+    // The previous search of this chat, so follow-ups ("بس بحلب") refine it.
+    // Stored with the pager state, page 2 resolves the follow-up the same way
+    searchParams.context = await conversationService.get('telegram', ctx.chat.id);
+
+    const results = await searchService.search({
+      ...searchParams,
+      page: 1,
+      limit: this.pageSize
+    });
+
+    await this.renderSearchResults(ctx, searchParams, results);
+
+    return results;
+  }
+
+  /**
+   * Send the first page of a search and remember the query for the pager,
+   * the conversation (follow-ups) and /subscribe
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} searchParams - Params the search ran with
+   * @param {Object} results - searchService.search response
+   */
+  async renderSearchResults(ctx, searchParams, results) {
+    await conversationService.save('telegram', ctx.chat.id, conversationService.fromSearchResults(results, searchParams.language));
+
+    const formatted = TelegramFormatter.formatSearchResults(results, searchParams.language);
+    const sent = await this.sendFormattedMessage(ctx, formatted);
+
+    if (sent && results.data.pagination.hasNext) {
+      await this.saveSearchState(sent.chat.id, sent.message_id, searchParams);
+    }
+
+    // Remember the applied filters so /subscribe can save this search
+    if (results.data.listings.length > 0 && results.data.query.filters) {
+      const { searchText } = results.data.query;
+
+      await this.saveLastSearch(ctx.chat.id, {
+        query: searchText ? `${searchText} - ${searchParams.query}` : searchParams.query,
+        language: searchParams.language,
+        filters: results.data.query.filters
+      });
+    }
+  }
+
+  /**
+   * Render an intent router response
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} response - IntentRouter response
+   */
+  async renderIntentResponse(ctx, response) {
+    const { language } = response;
+
+    switch (response.type) {
+      case 'search':
+        await this.renderSearchResults(ctx, response.params, response.results);
+        break;
+
+      case 'listings':
+        await this.sendFormattedMessage(
+          ctx,
+          TelegramFormatter.formatListings(response.results.data, language, response.title)
+        );
+        break;
+
+      case 'offices':
+        await this.sendFormattedMessage(ctx, TelegramFormatter.formatOffices(response.results.data, language));
+        break;
+
+      case 'office_details':
+        await this.sendFormattedMessage(ctx, TelegramFormatter.formatOfficeDetails(response.results.data, language));
+        break;
+
+      case 'start_over':
+        await this.startOver(ctx);
+        break;
+
+      default:
+        // Greeting/help messages and errors are plain text
+        await ctx.reply(response.message);
+        break;
+    }
+  }
+
+  /**
+   * List listings around a point, send the first page and remember it for the pager
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} params - Params for searchService.searchNearby (without page/limit)
+   */
+  async sendNearbyResults(ctx, params) {
+    const results = await searchService.searchNearby({
+      ...params,
+      page: 1,
+      limit: this.pageSize
+    });
+
+    const formatted = TelegramFormatter.formatSearchResults(results, params.language);
+    const sent = await this.sendFormattedMessage(ctx, formatted);
+
+    if (sent && results.data.pagination.hasNext) {
+      await this.saveSearchState(sent.chat.id, sent.message_id, { ...params, nearby: true });
+    }
+
+    return results;
+  }
+
+  /**
+   * Forget the conversation context so the next message starts a new search
+   */
+  async startOver(ctx) {
+    await conversationService.reset('telegram', ctx.chat.id);
+    await ctx.reply('تمام! احكيلي شو بدك دور عليه؟ 🔍');
+  }
+
+  /**
+   * Store the last successful search of a chat
+   */
+  async saveLastSearch(chatId, lastSearch) {
+    const key = sessionStore.generateKey('telegram', 'last_search', chatId);
+    await sessionStore.set(key, lastSearch, this.lastSearchTTL);
+  }
+
+  /**
+   * Get the last successful search of a chat
+   */
+  async getLastSearch(chatId) {
+    const key = sessionStore.generateKey('telegram', 'last_search', chatId);
+    return await sessionStore.get(key);
+  }
+
+  /**
+   * Store search state for a results message
+   * Kept server-side because callback_data is limited to 64 bytes
+   */
+  async saveSearchState(chatId, messageId, state) {
+    const key = sessionStore.generateKey('telegram', 'search', chatId, messageId);
+    await sessionStore.set(key, state, this.searchStateTTL);
+  }
+
+  /**
+   * Get search state for a results message
+   */
+  async getSearchState(chatId, messageId) {
+    const key = sessionStore.generateKey('telegram', 'search', chatId, messageId);
+    return await sessionStore.get(key);
+  }
+
+  /**
+   * Build Telegram send/edit options from formatter output
+   */
+  buildMessageOptions(formatted) {
     const options = {
       parse_mode: formatted.parseMode || 'HTML',
       disable_web_page_preview: formatted.disableWebPagePreview || false
@@ -457,7 +1028,28 @@ class TelegramBot {
       };
     }
 
-    await ctx.reply(formatted.text, options);
+    return options;
+  }
+
+  /**
+   * Send formatted message to Telegram
+   */
+  async sendFormattedMessage(ctx, formatted) {
+    return await ctx.reply(formatted.text, this.buildMessageOptions(formatted));
+  }
+
+  /**
+   * Replace the message a button belongs to with formatted content
+   */
+  async editFormattedMessage(ctx, formatted) {
+    return await ctx.editMessageText(formatted.text, this.buildMessageOptions(formatted));
+  }
+
+  /**
+   * Telegram rejects edits that leave a message unchanged (double taps)
+   */
+  isNotModifiedError(error) {
+    return Boolean(error.description && error.description.includes('message is not modified'));
   }
 
   /**
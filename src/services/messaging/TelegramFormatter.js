@@ -1,3 +1,5 @@
+const responseFormatter = require('../../utils/responseFormatter');
+
 /**
  * Telegram Message Formatter
  * Formats search results for Telegram Bot
@@ -14,17 +16,26 @@ class TelegramFormatter {
     const { query, listings, pagination } = data;
 
     if (listings.length === 0) {
-      return this.formatNoResults(query.original, language);
+      // "Near me" searches have no text to echo back
+      return query.original
+        ? this.formatNoResults(query.original, language, data.suggestions)
+        : this.formatNoNearbyResults(query.filters?.near, language);
     }
 
+    // Keep numbering continuous across pages
+    const startIndex = (pagination.page - 1) * pagination.limit + 1;
+
     let text = this.buildHeader(query, pagination, language);
-    text += this.buildListings(listings, language);
+    text += this.buildListings(listings, language, startIndex);
     text += this.buildFooter(pagination, meta, language);
 
     return {
       text,
       parseMode: 'HTML',
-      buttons: this.buildButtons(pagination, data.suggestions, language),
+      buttons: [
+        ...this.buildListingButtons(listings, startIndex),
+        ...this.buildButtons(pagination, data.suggestions, language)
+      ],
       disableWebPagePreview: false
     };
   }
@@ -57,6 +68,14 @@ class TelegramFormatter {
       }
     }
 
+    // Radius searches around a shared location
+    if (query.filters?.near) {
+      header += header.endsWith('\n') ? '' : '\n';
+      header += language === 'ar'
+        ? `📍 ضمن ${query.filters.near.radiusKm} كم من موقعك`
+        : `📍 Within ${query.filters.near.radiusKm} km of your location`;
+    }
+
     if (pagination.total > 0) {
       header += language === 'ar'
         ? `\n📊 <i>في عنا ${pagination.total} إعلان</i>\n\n`
@@ -70,15 +89,16 @@ class TelegramFormatter {
    * Build listings section
    * @param {Array} listings - Listings array
    * @param {string} language - Language
+   * @param {number} startIndex - Number of the first listing (for paged results)
    * @returns {string} Listings text
    */
-  static buildListings(listings, language) {
+  static buildListings(listings, language, startIndex = 1) {
     const maxListings = Math.min(listings.length, 5);
     let text = '';
 
     for (let i = 0; i < maxListings; i++) {
       const listing = listings[i];
-      const index = i + 1;
+      const index = startIndex + i;
 
       text += `${this.getNumberEmoji(index)} <b>${this.escapeHtml(listing.title)}</b>\n`;
 
@@ -92,6 +112,12 @@ class TelegramFormatter {
       }
       text += '\n';
 
+      if (listing.distanceKm !== undefined) {
+        text += language === 'ar'
+          ? `📏 ${listing.distanceKm} كم\n`
+          : `📏 ${listing.distanceKm} km\n`;
+      }
+
       // Add key attributes
       if (listing.attributes) {
         const attrs = this.formatKeyAttributes(listing.attributes, language);
@@ -118,11 +144,10 @@ class TelegramFormatter {
   static buildFooter(pagination, meta, language) {
     let footer = '';
 
-    if (pagination.total > 5) {
-      const remaining = pagination.total - 5;
+    if (pagination.totalPages > 1) {
       footer += language === 'ar'
-        ? `<i>📄 وفي كمان ${remaining} إعلان تاني</i>\n`
-        : `<i>📄 ${remaining} more listings available</i>\n`;
+        ? `<i>📄 صفحة ${pagination.page} من ${pagination.totalPages}</i>\n`
+        : `<i>📄 Page ${pagination.page} of ${pagination.totalPages}</i>\n`;
     }
 
     // footer += `\n⚡ ${meta.responseTime}ms`;
@@ -130,6 +155,31 @@ class TelegramFormatter {
     return footer;
   }
 
+  /**
+   * Build "details" and "save" buttons per rendered listing, numbered like the listings
+   * @param {Array} listings - Listings array
+   * @param {number} startIndex - Number of the first listing
+   * @returns {Array} Buttons array (two rows, or empty)
+   */
+  static buildListingButtons(listings, startIndex = 1) {
+    const rendered = listings.slice(0, 5).filter(listing => listing.id);
+
+    if (rendered.length === 0) {
+      return [];
+    }
+
+    return [
+      rendered.map((listing, i) => ({
+        text: `📋 ${startIndex + i}`,
+        callback_data: `details:${listing.id}`
+      })),
+      rendered.map((listing, i) => ({
+        text: `⭐ ${startIndex + i}`,
+        callback_data: `fav:${listing.id}`
+      }))
+    ];
+  }
+
   /**
    * Build inline keyboard buttons
    * @param {Object} pagination - Pagination info
@@ -140,6 +190,24 @@ class TelegramFormatter {
   static buildButtons(pagination, suggestions, language) {
     const buttons = [];
 
+    // Pager buttons (query state is kept server-side, so only the page travels)
+    const pager = [];
+    if (pagination.hasPrev) {
+      pager.push({
+        text: language === 'ar' ? '➡️ السابق' : '⬅️ Previous',
+        callback_data: `page:${pagination.page - 1}`
+      });
+    }
+    if (pagination.hasNext) {
+      pager.push({
+        text: language === 'ar' ? 'التالي ⬅️' : 'Next ➡️',
+        callback_data: `page:${pagination.page + 1}`
+      });
+    }
+    if (pager.length > 0) {
+      buttons.push(pager);
+    }
+
     // More results button
     if (pagination.total > 5) {
       buttons.push([
@@ -159,31 +227,68 @@ class TelegramFormatter {
     ]);
 
     // Suggestion buttons (max 2)
-    if (suggestions && suggestions.length > 0) {
-      const maxSuggestions = Math.min(2, suggestions.length);
-      for (let i = 0; i < maxSuggestions; i++) {
-        buttons.push([
-          {
-            text: `💡 ${suggestions[i]}`,
-            callback_data: `search:${suggestions[i]}`
-          }
-        ]);
-      }
-    }
+    buttons.push(...this.buildSuggestionButtons(suggestions));
 
     return buttons;
   }
 
+  /**
+   * Build suggestion buttons that re-run the search with the suggested query
+   * @param {Array<string>} suggestions - Search suggestions
+   * @param {number} max - Maximum buttons
+   * @returns {Array} Button rows
+   */
+  static buildSuggestionButtons(suggestions, max = 2) {
+    return (suggestions || []).slice(0, max).map(suggestion => [
+      {
+        text: `💡 ${suggestion}`,
+        callback_data: `search:${suggestion}`
+      }
+    ]);
+  }
+
   /**
    * Format no results message
    * @param {string} query - Original query
    * @param {string} language - Language
+   * @param {Array<string>} suggestions - "Did you mean" / related-category suggestions
    * @returns {Object} Telegram response
    */
-  static formatNoResults(query, language) {
+  static formatNoResults(query, language, suggestions = []) {
+    let text = language === 'ar'
+      ? `😔 <b>ما لقيت شي للأسف</b>\n\nما في إعلانات متل: "${this.escapeHtml(query)}"\n\n`
+      : `😔 <b>No Results Found</b>\n\nNo listings found matching: "${this.escapeHtml(query)}"\n\n`;
+
+    if (suggestions && suggestions.length > 0) {
+      text += language === 'ar' ? '🤔 <b>يمكن قصدك:</b>\n' : '🤔 <b>Did you mean:</b>\n';
+      text += suggestions.slice(0, 2).map(suggestion => `• ${this.escapeHtml(suggestion)}`).join('\n');
+    } else {
+      text += language === 'ar'
+        ? '💡 <i>جرب تبحث بكلمات تانية أو أقل تحديد</i>'
+        : '💡 <i>Try searching with different or fewer keywords</i>';
+    }
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons: [
+        ...this.buildSuggestionButtons(suggestions),
+        [{ text: language === 'ar' ? '🔍 بحث جديد' : '🔍 New Search', callback_data: 'new_search' }]
+      ]
+    };
+  }
+
+  /**
+   * Format "nothing near you" message
+   * @param {Object} near - Applied radius filter {lat, lng, radiusKm}
+   * @param {string} language - Language
+   * @returns {Object} Telegram response
+   */
+  static formatNoNearbyResults(near, language) {
+    const radiusKm = near?.radiusKm;
     const text = language === 'ar'
-      ? `😔 <b>ما لقيت شي للأسف</b>\n\nما في إعلانات متل: "${this.escapeHtml(query)}"\n\n💡 <i>جرب تبحث بكلمات تانية أو أقل تحديد</i>`
-      : `😔 <b>No Results Found</b>\n\nNo listings found matching: "${this.escapeHtml(query)}"\n\n💡 <i>Try searching with different or fewer keywords</i>`;
+      ? `😔 <b>ما لقيت إعلانات قريبة منك</b>\n\nما في شي ضمن ${radiusKm} كم من موقعك\n\n💡 <i>جرب تكتبلي شو بدك وأنا بدورلك بكل المناطق</i>`
+      : `😔 <b>No Listings Nearby</b>\n\nNothing within ${radiusKm} km of your location\n\n💡 <i>Try telling me what you are looking for and I will search everywhere</i>`;
 
     return {
       text,
@@ -231,12 +336,174 @@ class TelegramFormatter {
       text,
       parseMode: 'HTML',
       buttons: [
+        ...this.buildListingButtons(listings),
         [{ text: language === 'ar' ? '🔍 بحث جديد' : '🔍 New Search', callback_data: 'new_search' }]
       ],
       disableWebPagePreview: false
     };
   }
 
+  /**
+   * Format new-listing alert for a saved search
+   * @param {Object} savedSearch - Saved search row
+   * @param {Array} listings - Formatted listings
+   * @param {number} total - Total new listings
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatAlert(savedSearch, listings, total, language = 'ar') {
+    let text = language === 'ar'
+      ? `🔔 <b>إعلانات جديدة لبحثك:</b> "${this.escapeHtml(savedSearch.query_text)}"\n\n`
+      : `🔔 <b>New listings for:</b> "${this.escapeHtml(savedSearch.query_text)}"\n\n`;
+
+    text += this.buildListings(listings, language);
+
+    if (total > listings.length) {
+      text += language === 'ar'
+        ? `<i>📄 وفي كمان ${total - listings.length} إعلان جديد</i>\n`
+        : `<i>📄 ${total - listings.length} more new listings</i>\n`;
+    }
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons: [
+        ...this.buildListingButtons(listings),
+        [{
+          text: language === 'ar' ? '🔕 إلغاء الاشتراك' : '🔕 Unsubscribe',
+          callback_data: `unsub:${savedSearch.id}`
+        }]
+      ],
+      disableWebPagePreview: true
+    };
+  }
+
+  /**
+   * Format a chat's saved searches
+   * @param {Array} savedSearches - Saved search rows
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatSubscriptions(savedSearches, language = 'ar') {
+    if (savedSearches.length === 0) {
+      return {
+        text: language === 'ar'
+          ? '🔕 ما عندك اشتراكات حالياً\n\nابحث عن شي وبعدين اكتب /subscribe لتوصلك الإعلانات الجديدة 🔔'
+          : '🔕 You have no subscriptions\n\nSearch for something, then send /subscribe to get new listings 🔔',
+        parseMode: 'HTML',
+        buttons: []
+      };
+    }
+
+    let text = language === 'ar'
+      ? '🔔 <b>اشتراكاتك</b>\n\n'
+      : '🔔 <b>Your Subscriptions</b>\n\n';
+
+    savedSearches.forEach((savedSearch, i) => {
+      text += `${this.getNumberEmoji(i + 1)} ${this.escapeHtml(savedSearch.query_text)}\n`;
+    });
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons: savedSearches.map((savedSearch, i) => [{
+        text: `🔕 ${i + 1}. ${savedSearch.query_text.substring(0, 30)}`,
+        callback_data: `unsub:${savedSearch.id}`
+      }])
+    };
+  }
+
+  /**
+   * Format a chat's favorite listings
+   * @param {Array} listings - Formatted listings (with isActive)
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatFavorites(listings, language = 'ar') {
+    if (listings.length === 0) {
+      return {
+        text: language === 'ar'
+          ? '⭐ ما عندك إعلانات محفوظة\n\nاضغط على زر ⭐ تحت أي نتيجة بحث لتحفظ الإعلان، ورح خبرك إذا نزل سعره 📉'
+          : '⭐ You have no saved listings\n\nTap ⭐ under any search result to save it, and you will be notified when its price drops 📉',
+        parseMode: 'HTML',
+        buttons: []
+      };
+    }
+
+    let text = language === 'ar'
+      ? '⭐ <b>الإعلانات المحفوظة</b>\n\n'
+      : '⭐ <b>Your Favorites</b>\n\n';
+
+    listings.forEach((listing, i) => {
+      text += `${this.getNumberEmoji(i + 1)} <a href="${listing.url}">${this.escapeHtml(listing.title)}</a>\n`;
+
+      if (!listing.isActive) {
+        text += language === 'ar' ? '⚠️ <i>ما عاد متاح</i>\n' : '⚠️ <i>No longer available</i>\n';
+      } else if (listing.priceFormatted && listing.priceFormatted !== 'غير محدد') {
+        text += `💰 ${listing.priceFormatted}\n`;
+      }
+
+      text += '\n';
+    });
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons: listings.map((listing, i) => [
+        { text: `📋 ${i + 1}`, callback_data: `details:${listing.id}` },
+        { text: `🗑️ ${i + 1}`, callback_data: `unfav:${listing.id}` }
+      ]),
+      disableWebPagePreview: true
+    };
+  }
+
+  /**
+   * Format a favorite listing's price drop or deactivation notification
+   * @param {Object} favorite - Favorite row (title, listing_id)
+   * @param {Object} update - { type: 'price_drop' | 'unavailable', oldPrice, newPrice, currency }
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatFavoriteUpdate(favorite, update, language = 'ar') {
+    const isArabic = language === 'ar';
+    const title = favorite.title
+      ? `<b>${this.escapeHtml(favorite.title)}</b>`
+      : (isArabic ? 'إعلان محفوظ عندك' : 'A saved listing');
+    let text;
+    const buttons = [];
+
+    if (update.type === 'price_drop') {
+      const percent = Math.round((1 - update.newPrice / update.oldPrice) * 100);
+
+      text = isArabic
+        ? `📉 <b>نزل السعر!</b>\n\n${title}\n\n`
+        : `📉 <b>Price drop!</b>\n\n${title}\n\n`;
+      text += `💰 <s>${responseFormatter.formatPrice(update.oldPrice, update.currency)}</s> ${isArabic ? '←' : '→'} <b>${responseFormatter.formatPrice(update.newPrice, update.currency)}</b>`;
+      text += percent > 0 ? ` (-${percent}%)\n` : '\n';
+
+      buttons.push([{
+        text: isArabic ? '📋 التفاصيل' : '📋 Details',
+        callback_data: `details:${favorite.listing_id}`
+      }]);
+    } else {
+      text = isArabic
+        ? `⚠️ ${title}\n\nهالإعلان ما عاد متاح (انباع أو انحذف) 😔`
+        : `⚠️ ${title}\n\nThis listing is no longer available (sold or removed) 😔`;
+    }
+
+    buttons.push([{
+      text: isArabic ? '🗑️ شيله من المفضلة' : '🗑️ Remove from Favorites',
+      callback_data: `unfav:${favorite.listing_id}`
+    }]);
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons,
+      disableWebPagePreview: true
+    };
+  }
+
   /**
    * Format offices list
    * @param {Array} offices - Offices array
@@ -402,6 +669,331 @@ class TelegramFormatter {
     };
   }
 
+  /**
+   * Format full listing details
+   * Photos go out as a media group, the text carries the attribute table and contact info
+   * @param {Object} listing - Listing from IntentService.getListingDetails
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response (with media)
+   */
+  static formatListingDetails(listing, language = 'ar') {
+    const isArabic = language === 'ar';
+    let text = `🏷️ <b>${this.escapeHtml(listing.title)}</b>\n\n`;
+
+    if (!listing.isActive) {
+      text += isArabic
+        ? '⚠️ <i>هالإعلان ما عاد متاح</i>\n\n'
+        : '⚠️ <i>This listing is no longer available</i>\n\n';
+    }
+
+    if (listing.priceFormatted && listing.priceFormatted !== 'غير محدد') {
+      text += `💰 <b>${listing.priceFormatted}</b>\n`;
+    }
+
+    const labels = [listing.category?.name, listing.transactionType?.name].filter(Boolean);
+    if (labels.length > 0) {
+      text += `📂 ${labels.join(' • ')}\n`;
+    }
+
+    text += `📍 ${listing.location.city}`;
+    if (listing.location.neighborhood) {
+      text += ` - ${listing.location.neighborhood}`;
+    }
+    text += '\n';
+
+    // Price is already in the header
+    const attributes = (listing.attributeList || []).filter(attr => attr.slug !== 'price');
+    if (attributes.length > 0) {
+      text += isArabic ? '\n<b>📋 المواصفات:</b>\n' : '\n<b>📋 Specifications:</b>\n';
+      attributes.forEach(attr => {
+        text += `• ${this.escapeHtml(attr.name)}: <b>${this.escapeHtml(this.formatAttributeValue(attr, language))}</b>\n`;
+      });
+    }
+
+    if (listing.description) {
+      // Keeps the message well under Telegram's 4096 character limit
+      const maxLength = 1500;
+      const description = listing.description.length > maxLength
+        ? `${listing.description.substring(0, maxLength)}…`
+        : listing.description;
+
+      text += isArabic ? '\n<b>📝 الوصف:</b>\n' : '\n<b>📝 Description:</b>\n';
+      text += `${this.escapeHtml(description)}\n`;
+    }
+
+    const buttons = [];
+
+    if (listing.office) {
+      text += isArabic ? '\n<b>🏢 المعلن:</b> ' : '\n<b>🏢 Advertiser:</b> ';
+      text += `<a href="${listing.office.url}">${this.escapeHtml(listing.office.name)}</a>`;
+      if (listing.office.isPremium) {
+        text += ' ⭐';
+      }
+      text += '\n';
+
+      if (listing.office.phone) {
+        const cleanPhone = listing.office.phone.replace(/[^0-9+]/g, '');
+        text += `📞 <a href="tel:${cleanPhone}">${this.escapeHtml(listing.office.phone)}</a>\n`;
+
+        if (cleanPhone) {
+          buttons.push([{
+            text: isArabic ? '💬 تواصل عالواتساب' : '💬 Contact on WhatsApp',
+            url: `https://wa.me/${cleanPhone.replace('+', '')}`
+          }]);
+        }
+      }
+    }
+
+    buttons.push([{
+      text: isArabic ? '⭐ احفظ بالمفضلة' : '⭐ Save to Favorites',
+      callback_data: `fav:${listing.id}`
+    }]);
+    buttons.push([{
+      text: isArabic ? '🌐 شوف الإعلان على الموقع' : '🌐 View on Website',
+      url: listing.url
+    }]);
+    buttons.push([
+      { text: isArabic ? '🔍 بحث جديد' : '🔍 New Search', callback_data: 'new_search' }
+    ]);
+
+    // Telegram media groups take at most 10 items; the caption shows on the album
+    const media = (listing.images || []).slice(0, 10).map((url, i) => ({
+      type: 'photo',
+      media: url,
+      ...(i === 0 && { caption: listing.title.substring(0, 1024) })
+    }));
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons,
+      media,
+      disableWebPagePreview: true
+    };
+  }
+
+  /**
+   * Format a level of the category tree for /categories
+   * @param {Object|null} category - Current category (null for the root level)
+   * @param {Array} children - Child categories (with has_children)
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatCategoryMenu(category, children, language = 'ar') {
+    const isArabic = language === 'ar';
+    const name = (item) => (isArabic ? item.name_ar : item.name_en) || item.name_ar;
+
+    let text;
+    if (category) {
+      text = `📂 <b>${this.escapeHtml(name(category))}</b>\n\n`;
+      text += isArabic ? 'اختار قسم أو دور بالقسم كله 👇' : 'Pick a subcategory or browse all of it 👇';
+    } else {
+      text = isArabic
+        ? '📂 <b>الأقسام</b>\n\nشو عم تدور عليه؟ اختار قسم 👇'
+        : '📂 <b>Categories</b>\n\nWhat are you looking for? Pick a category 👇';
+    }
+
+    // Callback data carries only the id; "›" marks categories that open further
+    const buttons = this.chunk(children.map(child => ({
+      text: child.has_children ? `${name(child)} ›` : name(child),
+      callback_data: `cat:${child.id}`
+    })), 2);
+
+    if (category) {
+      buttons.push([{
+        text: isArabic ? `🔍 كل ${name(category)}` : `🔍 All of ${name(category)}`,
+        callback_data: `catall:${category.id}`
+      }]);
+      buttons.push([{
+        text: isArabic ? '➡️ رجوع' : '⬅️ Back',
+        callback_data: category.parent_id ? `cat:${category.parent_id}` : 'cat:root'
+      }]);
+    }
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons
+    };
+  }
+
+  /**
+   * Format the city picker shown after a category is chosen
+   * @param {Object} category - Chosen category
+   * @param {Array} cities - Cities with listings in the category
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatCityPicker(category, cities, language = 'ar') {
+    const isArabic = language === 'ar';
+    const categoryName = (isArabic ? category.name_ar : category.name_en) || category.name_ar;
+
+    const text = isArabic
+      ? `📂 <b>${this.escapeHtml(categoryName)}</b>\n\n📍 بأي مدينة؟`
+      : `📂 <b>${this.escapeHtml(categoryName)}</b>\n\n📍 Which city?`;
+
+    const buttons = this.chunk(cities.map(city => ({
+      text: (isArabic ? city.name_ar : city.name_en) || city.name_ar,
+      callback_data: `bcity:${city.id}`
+    })), 3);
+
+    buttons.push([{ text: isArabic ? '🌍 كل المدن' : '🌍 All cities', callback_data: 'bcity:all' }]);
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons
+    };
+  }
+
+  /**
+   * Format the transaction type picker (sale, rent...) shown after the city
+   * @param {Object} category - Chosen category
+   * @param {Array} transactionTypes - Transaction types used in the category
+   * @param {string} language - Language
+   * @returns {Object} Formatted Telegram response
+   */
+  static formatTransactionTypePicker(category, transactionTypes, language = 'ar') {
+    const isArabic = language === 'ar';
+    const categoryName = (isArabic ? category.name_ar : category.name_en) || category.name_ar;
+
+    const text = isArabic
+      ? `📂 <b>${this.escapeHtml(categoryName)}</b>\n\n💼 بيع ولا إيجار؟`
+      : `📂 <b>${this.escapeHtml(categoryName)}</b>\n\n💼 Sale or rent?`;
+
+    const buttons = this.chunk(transactionTypes.map(type => ({
+      text: (isArabic ? type.name_ar : type.name_en) || type.name_ar,
+      callback_data: `btt:${type.slug}`
+    })), 2);
+
+    buttons.push([{ text: isArabic ? '✅ الكل' : '✅ All', callback_data: 'btt:all' }]);
+
+    return {
+      text,
+      parseMode: 'HTML',
+      buttons
+    };
+  }
+
+  /**
+   * Split buttons into keyboard rows
+   * @param {Array} items - Buttons
+   * @param {number} size - Buttons per row
+   * @returns {Array<Array>} Rows
+   */
+  static chunk(items, size) {
+    const rows = [];
+    for (let i = 0; i < items.length; i += size) {
+      rows.push(items.slice(i, i + size));
+    }
+    return rows;
+  }
+
+  /**
+   * Format search results as inline query answers
+   * Listings with a photo become photo results, the rest articles with a link preview
+   * @param {Array} listings - Listings from responseFormatter.formatListing
+   * @param {string} language - Language
+   * @returns {Array} InlineQueryResult items
+   */
+  static formatInlineResults(listings, language = 'ar') {
+    return listings.filter(listing => listing.id).map(listing => {
+      const text = this.formatInlineListing(listing, language);
+      const description = [
+        listing.priceFormatted !== 'غير محدد' ? listing.priceFormatted : null,
+        [listing.location.city, listing.location.neighborhood].filter(Boolean).join(' - ')
+      ].filter(Boolean).join(' • ');
+
+      // Inline messages have no chat, so only URL buttons work under them
+      const replyMarkup = {
+        inline_keyboard: [[{
+          text: language === 'ar' ? '🌐 شوف الإعلان على الموقع' : '🌐 View on Website',
+          url: listing.url
+        }]]
+      };
+
+      if (listing.mainImage) {
+        return {
+          type: 'photo',
+          id: String(listing.id),
+          photo_url: listing.mainImage,
+          thumbnail_url: listing.mainImage,
+          title: listing.title,
+          description,
+          caption: text,
+          parse_mode: 'HTML',
+          reply_markup: replyMarkup
+        };
+      }
+
+      return {
+        type: 'article',
+        id: String(listing.id),
+        title: listing.title,
+        description,
+        url: listing.url,
+        input_message_content: {
+          message_text: text,
+          parse_mode: 'HTML'
+        },
+        reply_markup: replyMarkup
+      };
+    });
+  }
+
+  /**
+   * Build the message sent when a listing is picked from inline results
+   * @param {Object} listing - Listing from responseFormatter.formatListing
+   * @param {string} language - Language
+   * @returns {string} HTML text (short enough for a photo caption)
+   */
+  static formatInlineListing(listing, language) {
+    let text = `🏷️ <b>${this.escapeHtml(listing.title)}</b>\n`;
+
+    if (listing.priceFormatted && listing.priceFormatted !== 'غير محدد') {
+      text += `💰 ${listing.priceFormatted}\n`;
+    }
+
+    text += `📍 ${listing.location.city}`;
+    if (listing.location.neighborhood) {
+      text += ` - ${listing.location.neighborhood}`;
+    }
+    text += '\n';
+
+    if (listing.attributes) {
+      const attrs = this.formatKeyAttributes(listing.attributes, language);
+      if (attrs) {
+        text += `${attrs}\n`;
+      }
+    }
+
+    text += `🔗 <a href="${listing.url}">${language === 'ar' ? 'عرض التفاصيل' : 'View details'}</a>`;
+
+    return text;
+  }
+
+  /**
+   * Format a single attribute value with its unit
+   * @param {Object} attr - Attribute { type, value, unit }
+   * @param {string} language - Language
+   * @returns {string} Formatted value
+   */
+  static formatAttributeValue(attr, language) {
+    if (typeof attr.value === 'boolean') {
+      if (language === 'ar') {
+        return attr.value ? 'نعم' : 'لا';
+      }
+      return attr.value ? 'Yes' : 'No';
+    }
+
+    // Group large numbers only - years and room counts read better without separators
+    const value = typeof attr.value === 'number' && attr.value >= 10000
+      ? new Intl.NumberFormat('en-US').format(attr.value)
+      : String(attr.value);
+
+    return attr.unit ? `${value} ${attr.unit}` : value;
+  }
+
   /**
    * Format key attributes
    * @param {Object} attributes - Attributes object
@@ -0,0 +1,312 @@
+const intentRouter = require('../intent/IntentRouter');
+const WhatsAppFormatter = require('./WhatsAppFormatter');
+const whatsAppClient = require('./WhatsAppClient');
+const whisperService = require('../ai/WhisperService');
+const conversationService = require('../conversation/ConversationService');
+const redisCache = require('../../config/redis');
+const logger = require('../../utils/logger');
+
+/**
+ * WhatsApp Bot Service
+ * Handles incoming Meta Cloud API webhook payloads
+ */
+class WhatsAppBot {
+  constructor() {
+    this.client = whatsAppClient;
+    this.processedTTL = 24 * 60 * 60; // Meta retries deliveries for up to a day
+  }
+
+  /**
+   * Handle webhook payload from Meta
+   * @param {Object} payload - Webhook body ({ object, entry: [...] })
+   */
+  async handleWebhook(payload) {
+    if (payload?.object !== 'whatsapp_business_account') {
+      logger.warn('Ignoring non-WhatsApp webhook payload', { object: payload?.object });
+      return;
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+
+        // Status callbacks (sent, delivered, read, failed)
+        for (const status of value.statuses || []) {
+          this.handleStatus(status);
+        }
+
+        // Incoming messages
+        const contacts = value.contacts || [];
+        for (const message of value.messages || []) {
+          const contact = contacts.find(c => c.wa_id === message.from);
+
+          try {
+            await this.handleMessage(message, contact);
+          } catch (error) {
+            logger.error('WhatsApp message handler error:', error);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a single incoming message
+   * @param {Object} message - Message object from webhook
+   * @param {Object} contact - Contact object (profile name)
+   */
+  async handleMessage(message, contact = null) {
+    const from = message.from;
+
+    // Meta may deliver the same message more than once
+    if (await this.isDuplicate(message.id)) {
+      logger.debug('Skipping duplicate WhatsApp message', { id: message.id });
+      return;
+    }
+
+    logger.info('WhatsApp message received', {
+      from,
+      type: message.type,
+      name: contact?.profile?.name
+    });
+
+    await this.client.markAsRead(message.id);
+
+    switch (message.type) {
+      case 'text':
+        await this.handleTextMessage(from, message.text.body);
+        break;
+
+      case 'audio':
+        await this.handleVoiceMessage(from, message.audio.id);
+        break;
+
+      case 'interactive':
+        await this.handleInteractiveReply(from, message.interactive);
+        break;
+
+      case 'button':
+        // Quick reply buttons on template messages
+        await this.handleTextMessage(from, message.button.payload || message.button.text);
+        break;
+
+      default:
+        await this.client.sendText(
+          from,
+          'عذراً، بقدر افهم بس الرسائل النصية والصوتية 😔\nاكتبلي شو عم تدور عليه 🔍'
+        );
+        break;
+    }
+  }
+
+  /**
+   * Handle text messages (search queries)
+   * @param {string} from - Sender phone number
+   * @param {string} rawText - Message text
+   * @param {string} source - Search source
+   */
+  async handleTextMessage(from, rawText, source = 'whatsapp') {
+    const language = 'ar'; // Default to Arabic
+
+    logger.info('WhatsApp search request', {
+      from,
+      rawText: rawText.substring(0, 50)
+    });
+
+    try {
+      if (conversationService.isResetRequest(rawText)) {
+        await this.startOver(from);
+        return;
+      }
+
+      const response = await intentRouter.route(rawText, {
+        language,
+        source,
+        userId: from,
+        page: 1,
+        // Page size for searches only; other intents keep their own list sizes
+        search: { limit: 10, context: await conversationService.get('whatsapp', from) }
+      });
+
+      await this.renderIntentResponse(from, response);
+    } catch (error) {
+      logger.error('WhatsApp text handler error:', error);
+      const errorMessage = WhatsAppFormatter.formatError(
+        'عذراً، صار في مشكلة 😔\nجرب مرة تانية',
+        language
+      );
+      await this.sendFormattedMessage(from, errorMessage).catch(() => {});
+    }
+  }
+
+  /**
+   * Render an intent router response
+   * @param {string} from - Recipient phone number
+   * @param {Object} response - IntentRouter response
+   */
+  async renderIntentResponse(from, response) {
+    const { language } = response;
+
+    switch (response.type) {
+      case 'search':
+        // Keep the (possibly merged) search so the next message can refine it
+        await conversationService.save('whatsapp', from, conversationService.fromSearchResults(response.results, language));
+        await this.sendFormattedMessage(from, WhatsAppFormatter.formatSearchResults(response.results, language));
+        break;
+
+      case 'listings':
+        await this.sendFormattedMessage(
+          from,
+          WhatsAppFormatter.formatListings(response.results.data, language, `*${response.title}*`)
+        );
+        break;
+
+      case 'offices':
+        await this.sendFormattedMessage(from, WhatsAppFormatter.formatOffices(response.results.data, language));
+        break;
+
+      case 'office_details':
+        await this.sendFormattedMessage(from, WhatsAppFormatter.formatOfficeDetails(response.results.data, language));
+        break;
+
+      case 'start_over':
+        await this.startOver(from);
+        break;
+
+      default:
+        // Greeting/help messages and errors are plain text
+        await this.client.sendText(from, response.message);
+        break;
+    }
+  }
+
+  /**
+   * Handle voice notes / audio messages
+   * @param {string} from - Sender phone number
+   * @param {string} mediaId - Audio media ID
+   */
+  async handleVoiceMessage(from, mediaId) {
+    const language = 'ar'; // Default to Arabic
+
+    logger.info('WhatsApp voice message received', { from, mediaId });
+
+    try {
+      const { buffer, mimeType } = await this.client.downloadMedia(mediaId);
+
+      // WhatsApp voice notes are OGG/Opus; other audio keeps its own extension
+      const extension = mimeType && mimeType.includes('mpeg') ? 'mp3'
+        : mimeType && mimeType.includes('mp4') ? 'm4a'
+          : 'ogg';
+      const filename = `voice_${Date.now()}.${extension}`;
+
+      logger.info('WhatsApp voice file downloaded', {
+        size: buffer.length,
+        mimeType
+      });
+
+      const transcribedText = await whisperService.transcribeBuffer(buffer, filename, language);
+
+      logger.info('WhatsApp voice transcribed', {
+        from,
+        text: transcribedText.substring(0, 100)
+      });
+
+      const confirmation = WhatsAppFormatter.formatVoiceConfirmation(transcribedText, language);
+      await this.sendFormattedMessage(from, confirmation);
+
+      await this.handleTextMessage(from, transcribedText, 'whatsapp-voice');
+    } catch (error) {
+      logger.error('WhatsApp voice processing error:', error);
+      await this.client.sendText(
+        from,
+        'عذراً، ما قدرت افهم الرسالة الصوتية 😔\nجرب ترسل رسالة نصية أو صوتية تانية'
+      ).catch(() => {});
+    }
+  }
+
+  /**
+   * Handle interactive replies (reply buttons / list rows)
+   * @param {string} from - Sender phone number
+   * @param {Object} interactive - Interactive payload
+   */
+  async handleInteractiveReply(from, interactive) {
+    const reply = interactive.button_reply || interactive.list_reply;
+
+    if (!reply) {
+      logger.warn('Unsupported WhatsApp interactive reply', { type: interactive.type });
+      return;
+    }
+
+    logger.info('WhatsApp interactive reply', { from, id: reply.id });
+
+    if (reply.id === 'new_search') {
+      await this.startOver(from);
+    } else if (reply.id.startsWith('search:')) {
+      await this.handleTextMessage(from, reply.id.replace('search:', ''));
+    } else {
+      await this.handleTextMessage(from, reply.title);
+    }
+  }
+
+  /**
+   * Forget the previous search so the next message starts fresh
+   * @param {string} from - Sender phone number
+   */
+  async startOver(from) {
+    await conversationService.reset('whatsapp', from);
+    await this.client.sendText(from, 'تمام! احكيلي شو بدك دور عليه؟ 🔍');
+  }
+
+  /**
+   * Handle message status callbacks
+   * @param {Object} status - Status object
+   */
+  handleStatus(status) {
+    if (status.status === 'failed') {
+      logger.warn('WhatsApp message delivery failed', {
+        id: status.id,
+        recipient: status.recipient_id,
+        errors: status.errors
+      });
+      return;
+    }
+
+    logger.debug('WhatsApp message status', {
+      id: status.id,
+      status: status.status,
+      recipient: status.recipient_id
+    });
+  }
+
+  /**
+   * Send formatted message to WhatsApp
+   * @param {string} to - Recipient phone number
+   * @param {Object} formatted - Output of WhatsAppFormatter
+   */
+  async sendFormattedMessage(to, formatted) {
+    await this.client.sendText(to, formatted.text);
+
+    if (formatted.buttons && formatted.buttons.length > 0) {
+      await this.client.sendButtons(to, formatted.buttonsText || '💡', formatted.buttons);
+    }
+  }
+
+  /**
+   * Check (and remember) whether a message was already processed
+   * @param {string} messageId - WhatsApp message ID
+   * @returns {Promise<boolean>} True if duplicate
+   */
+  async isDuplicate(messageId) {
+    const key = redisCache.generateKey('whatsapp', 'processed', messageId);
+
+    if (await redisCache.exists(key)) {
+      return true;
+    }
+
+    await redisCache.set(key, true, this.processedTTL);
+    return false;
+  }
+}
+
+// Singleton instance
+module.exports = new WhatsAppBot();
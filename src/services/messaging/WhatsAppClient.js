@@ -0,0 +1,154 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * WhatsApp Cloud API Client
+ * Thin wrapper around the Meta Graph API used to send messages and download media
+ */
+class WhatsAppClient {
+  constructor() {
+    this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v18.0';
+    this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.maxTextLength = 4096;
+  }
+
+  /**
+   * Check if the client has the credentials it needs
+   * @returns {boolean} Configured or not
+   */
+  isConfigured() {
+    return !!(process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+  }
+
+  /**
+   * Get authorization headers
+   * @returns {Object} Headers
+   */
+  getHeaders() {
+    return {
+      Authorization: `Bearer ${process.env.WHATSAPP_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Send a raw message payload
+   * @param {Object} payload - Message payload (without messaging_product)
+   * @returns {Promise<Object>} Graph API response
+   */
+  async sendPayload(payload) {
+    if (!this.isConfigured()) {
+      throw new Error('WhatsApp API credentials are not configured');
+    }
+
+    const url = `${this.baseUrl}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
+    try {
+      logger.apiCall('WhatsApp send message', { to: payload.to, type: payload.type });
+
+      const response = await axios.post(
+        url,
+        { messaging_product: 'whatsapp', recipient_type: 'individual', ...payload },
+        { headers: this.getHeaders(), timeout: 15000 }
+      );
+
+      return response.data;
+    } catch (error) {
+      logger.apiError('WhatsApp send message failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send text message
+   * @param {string} to - Recipient phone number (wa_id)
+   * @param {string} text - Message text
+   * @param {boolean} previewUrl - Whether to render link previews
+   * @returns {Promise<Object>} Graph API response
+   */
+  async sendText(to, text, previewUrl = true) {
+    return await this.sendPayload({
+      to,
+      type: 'text',
+      text: {
+        body: text.substring(0, this.maxTextLength),
+        preview_url: previewUrl
+      }
+    });
+  }
+
+  /**
+   * Send interactive reply buttons (max 3)
+   * @param {string} to - Recipient phone number (wa_id)
+   * @param {string} bodyText - Message body
+   * @param {Array<{id: string, title: string}>} buttons - Reply buttons
+   * @returns {Promise<Object>} Graph API response
+   */
+  async sendButtons(to, bodyText, buttons) {
+    return await this.sendPayload({
+      to,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: bodyText.substring(0, 1024) },
+        action: {
+          buttons: buttons.slice(0, 3).map(button => ({
+            type: 'reply',
+            reply: {
+              id: button.id.substring(0, 256),
+              title: button.title.substring(0, 20)
+            }
+          }))
+        }
+      }
+    });
+  }
+
+  /**
+   * Mark an incoming message as read
+   * @param {string} messageId - Incoming message ID
+   */
+  async markAsRead(messageId) {
+    try {
+      await this.sendPayload({
+        status: 'read',
+        message_id: messageId
+      });
+    } catch (error) {
+      // Read receipts are best effort
+      logger.debug('Failed to mark WhatsApp message as read', { messageId });
+    }
+  }
+
+  /**
+   * Download media (voice notes, audio) by media ID
+   * @param {string} mediaId - Media ID from the webhook payload
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>} Media content
+   */
+  async downloadMedia(mediaId) {
+    if (!this.isConfigured()) {
+      throw new Error('WhatsApp API credentials are not configured');
+    }
+
+    // Step 1: Resolve media URL
+    const metaResponse = await axios.get(`${this.baseUrl}/${mediaId}`, {
+      headers: this.getHeaders(),
+      timeout: 15000
+    });
+
+    // Step 2: Download the binary (URL requires the same bearer token)
+    const mediaResponse = await axios.get(metaResponse.data.url, {
+      headers: this.getHeaders(),
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+
+    return {
+      buffer: Buffer.from(mediaResponse.data),
+      mimeType: metaResponse.data.mime_type
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new WhatsAppClient();
@@ -14,7 +14,7 @@ class WhatsAppFormatter {
     const { query, listings, pagination } = data;
 
     if (listings.length === 0) {
-      return this.formatNoResults(query.original, language);
+      return this.formatNoResults(query.original, language, data.suggestions);
     }
 
     let text = this.buildHeader(query, pagination, language);
@@ -23,7 +23,9 @@ class WhatsAppFormatter {
 
     return {
       text,
-      type: 'text'
+      type: 'text',
+      buttons: this.buildButtons(data.suggestions, language),
+      buttonsText: language === 'ar' ? '💡 بدك تجرب بحث تاني؟' : '💡 Try another search?'
     };
   }
 
@@ -133,20 +135,67 @@ class WhatsAppFormatter {
     return footer;
   }
 
+  /**
+   * Build interactive reply buttons (WhatsApp allows max 3)
+   * @param {Array} suggestions - Search suggestions
+   * @param {string} language - Language
+   * @returns {Array} Buttons array ({id, title})
+   */
+  static buildButtons(suggestions, language) {
+    const buttons = [];
+
+    // Suggestion buttons (max 2)
+    if (suggestions && suggestions.length > 0) {
+      const maxSuggestions = Math.min(2, suggestions.length);
+      for (let i = 0; i < maxSuggestions; i++) {
+        buttons.push({
+          id: `search:${suggestions[i]}`,
+          title: suggestions[i]
+        });
+      }
+    }
+
+    // Only worth an interactive message when there is something to suggest
+    if (buttons.length > 0) {
+      buttons.push({
+        id: 'new_search',
+        title: language === 'ar' ? '🔍 بحث جديد' : '🔍 New Search'
+      });
+    }
+
+    return buttons;
+  }
+
   /**
    * Format no results message
    * @param {string} query - Original query
    * @param {string} language - Language
+   * @param {Array<string>} suggestions - "Did you mean" / related-category suggestions
    * @returns {Object} WhatsApp response
    */
-  static formatNoResults(query, language) {
-    const text = language === 'ar'
-      ? `❌ *لم يتم العثور على نتائج*\n\nلم نجد أي إعلانات مطابقة لبحثك:\n"${query}"\n\n💡 _جرب البحث بكلمات مختلفة أو أقل تحديداً_`
-      : `❌ *No Results Found*\n\nNo listings found matching:\n"${query}"\n\n💡 _Try searching with different or fewer keywords_`;
+  static formatNoResults(query, language, suggestions = []) {
+    let text = language === 'ar'
+      ? `❌ *لم يتم العثور على نتائج*\n\nلم نجد أي إعلانات مطابقة لبحثك:\n"${query}"\n\n`
+      : `❌ *No Results Found*\n\nNo listings found matching:\n"${query}"\n\n`;
+
+    if (!suggestions || suggestions.length === 0) {
+      text += language === 'ar'
+        ? '💡 _جرب البحث بكلمات مختلفة أو أقل تحديداً_'
+        : '💡 _Try searching with different or fewer keywords_';
+
+      return {
+        text,
+        type: 'text'
+      };
+    }
+
+    text += this.buildFooter({ total: 0 }, suggestions, language);
 
     return {
       text,
-      type: 'text'
+      type: 'text',
+      buttons: this.buildButtons(suggestions, language),
+      buttonsText: language === 'ar' ? '💡 بدك تجرب بحث تاني؟' : '💡 Try another search?'
     };
   }
 
@@ -167,6 +216,136 @@ class WhatsAppFormatter {
     };
   }
 
+  /**
+   * Format listings with a custom title
+   * @param {Array} listings - Listings array
+   * @param {string} language - Language
+   * @param {string} title - Custom title
+   * @returns {Object} Formatted WhatsApp response
+   */
+  static formatListings(listings, language = 'ar', title = null) {
+    if (listings.length === 0) {
+      return this.formatNoResults('', language);
+    }
+
+    let text = title ? `${title}\n\n` : '';
+    text += this.buildListings(listings, language);
+
+    return {
+      text,
+      type: 'text'
+    };
+  }
+
+  /**
+   * Format offices list
+   * @param {Array} offices - Offices array
+   * @param {string} language - Language
+   * @returns {Object} Formatted WhatsApp response
+   */
+  static formatOffices(offices, language = 'ar') {
+    if (offices.length === 0) {
+      return {
+        text: language === 'ar' ? '😔 *لا توجد مكاتب*' : '😔 *No Offices Found*',
+        type: 'text'
+      };
+    }
+
+    let text = language === 'ar'
+      ? '🏢 *المكاتب العقارية*\n\n'
+      : '🏢 *Real Estate Offices*\n\n';
+
+    const maxOffices = Math.min(offices.length, 5); // WhatsApp: show fewer results
+    for (let i = 0; i < maxOffices; i++) {
+      const office = offices[i];
+
+      text += `*${i + 1}. ${office.name}*\n`;
+
+      if (office.city) {
+        text += `📍 ${office.city}`;
+        if (office.province) {
+          text += ` - ${office.province}`;
+        }
+        text += '\n';
+      }
+
+      if (office.rating) {
+        text += `⭐ ${Number(office.rating).toFixed(1)}/5\n`;
+      }
+
+      if (office.phone) {
+        text += `📞 ${office.phone}\n`;
+      }
+
+      text += `🔗 ${office.url || `https://www.kasioon.com/office/${office.id}`}\n`;
+      text += '\n━━━━━━━━━━━━━━━━\n\n';
+    }
+
+    return {
+      text,
+      type: 'text'
+    };
+  }
+
+  /**
+   * Format office details
+   * @param {Object} office - Office object
+   * @param {string} language - Language
+   * @returns {Object} Formatted WhatsApp response
+   */
+  static formatOfficeDetails(office, language = 'ar') {
+    let text = `🏢 *${office.name}*\n\n`;
+
+    if (office.description) {
+      text += `${office.description}\n\n`;
+    }
+
+    if (office.phone) {
+      text += `📞 ${office.phone}\n`;
+    }
+
+    if (office.email) {
+      text += `✉️ ${office.email}\n`;
+    }
+
+    if (office.website) {
+      text += `🌐 ${office.website}\n`;
+    }
+
+    if (office.city) {
+      text += `📍 ${office.city}`;
+      if (office.province) {
+        text += ` - ${office.province}`;
+      }
+      text += '\n';
+    }
+
+    if (office.address) {
+      text += `${office.address}\n`;
+    }
+
+    if (office.rating) {
+      text += `⭐ ${Number(office.rating).toFixed(1)}/5`;
+      if (office.ratingCount) {
+        text += ` (${office.ratingCount})`;
+      }
+      text += '\n';
+    }
+
+    if (office.activeListingsCount !== undefined) {
+      text += language === 'ar'
+        ? `📊 ${office.activeListingsCount} إعلان نشط\n`
+        : `📊 ${office.activeListingsCount} active listings\n`;
+    }
+
+    text += `\n🔗 ${office.url || `https://www.kasioon.com/office/${office.id}`}`;
+
+    return {
+      text,
+      type: 'text'
+    };
+  }
+
   /**
    * Format key attributes
    * @param {Object} attributes - Attributes object
@@ -0,0 +1,271 @@
+const database = require('../../config/database');
+const databaseMatcher = require('../mcp/DatabaseMatcher');
+const ArabicNormalizer = require('../../utils/arabicNormalizer');
+const logger = require('../../utils/logger');
+
+// Base rank of each entry type; a popular query can still outrank a category
+const TYPE_WEIGHTS = {
+  category: 3,
+  location: 2,
+  query: 1
+};
+
+/**
+ * Autocomplete Service
+ * Type-ahead suggestions for the website search box, served from an in-memory
+ * index rebuilt every 10 minutes from:
+ * - category names and keywords (DatabaseMatcher hot cache)
+ * - city and neighborhood names (DatabaseMatcher hot cache)
+ * - popular past queries (query_semantic_cache.hit_count)
+ * - frequent 2-3 word phrases of active listing titles
+ */
+class AutocompleteService {
+  constructor() {
+    this.db = database;
+    this.index = null;
+    this.lastRefresh = null;
+    this.loading = null;
+    this.INDEX_TTL = 10 * 60 * 1000; // 10 minutes
+    this.MAX_QUERIES = 2000;
+    this.MAX_PHRASES = 2000;
+    this.MIN_PHRASE_LISTINGS = 3;
+  }
+
+  /**
+   * Suggest completions for a prefix
+   * @param {string} prefix - What the user typed so far
+   * @param {Object} options - Options
+   * @param {string} options.language - Language ('ar' or 'en')
+   * @param {number} options.limit - Maximum suggestions
+   * @returns {Promise<Array<Object>>} Ranked suggestions ({ text, type, id?, ... })
+   */
+  async suggest(prefix, options = {}) {
+    const { language = 'ar', limit = 8 } = options;
+    const key = ArabicNormalizer.normalizeAndLower(ArabicNormalizer.cleanWhitespace(prefix));
+
+    if (!key) {
+      return [];
+    }
+
+    await this.loadIndexIfNeeded();
+
+    const best = new Map();
+
+    for (const entry of this.index) {
+      const score = this.score(entry, key);
+      if (score === 0) continue;
+
+      // One suggestion per category/location/text, keeping its best-scoring entry
+      const identity = entry.id ? `${entry.type}:${entry.id}` : `text:${entry.key}`;
+      const existing = best.get(identity);
+      if (!existing || existing.score < score) {
+        best.set(identity, { entry, score });
+      }
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score || a.entry.key.length - b.entry.key.length)
+      .slice(0, limit)
+      .map(({ entry, score }) => this.toSuggestion(entry, score, language));
+  }
+
+  /**
+   * Score an entry against the typed prefix
+   * Whole-text prefix matches rank above matches at a later word; popularity breaks ties
+   * @param {Object} entry - Index entry
+   * @param {string} key - Normalized prefix
+   * @returns {number} Score (0 = no match)
+   */
+  score(entry, key) {
+    let match = 0;
+    if (entry.key.startsWith(key)) {
+      match = 2;
+    } else if (entry.key.includes(` ${key}`)) {
+      match = 1;
+    }
+
+    if (match === 0) {
+      return 0;
+    }
+
+    return match * 10 + TYPE_WEIGHTS[entry.type] + Math.log10(1 + entry.popularity);
+  }
+
+  /**
+   * Public shape of a suggestion
+   * Categories and locations are named in the requested language, whichever name matched
+   * @param {Object} entry - Index entry
+   * @param {number} score - Score
+   * @param {string} language - Language
+   * @returns {Object} Suggestion
+   */
+  toSuggestion(entry, score, language) {
+    const text = entry.names ? (entry.names[language] || entry.names.ar) : entry.text;
+    const suggestion = { text, type: entry.type };
+
+    if (entry.id) suggestion.id = entry.id;
+    if (entry.slug) suggestion.slug = entry.slug;
+    if (entry.locationType) suggestion.locationType = entry.locationType;
+    if (entry.cities) suggestion.city = entry.cities[language] || entry.cities.ar;
+    if (entry.matched && entry.matched !== text) suggestion.matched = entry.matched;
+
+    suggestion.score = Math.round(score * 100) / 100;
+    return suggestion;
+  }
+
+  /**
+   * Rebuild the index if it is missing or older than the TTL
+   * Concurrent callers share one rebuild
+   */
+  async loadIndexIfNeeded() {
+    if (this.index && Date.now() - this.lastRefresh <= this.INDEX_TTL) {
+      return;
+    }
+
+    if (!this.loading) {
+      this.loading = this.loadIndex().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    // A stale index keeps serving while the new one is built
+    if (!this.index) {
+      await this.loading;
+    }
+  }
+
+  /**
+   * Build the index
+   */
+  async loadIndex() {
+    try {
+      await databaseMatcher.refreshHotCacheIfNeeded();
+
+      const [queries, phrases] = await Promise.all([
+        this.loadPopularQueries(),
+        this.loadTitlePhrases()
+      ]);
+
+      const index = [];
+      const add = (matchText, fields) => {
+        const key = ArabicNormalizer.normalizeAndLower(matchText || '');
+        if (key.length < 2) return;
+        index.push({ key, popularity: 0, ...fields });
+      };
+
+      const { topCategories, topCities, neighborhoods } = databaseMatcher.hotCache;
+
+      topCategories.rows.forEach(category => {
+        const fields = {
+          type: 'category',
+          id: category.id,
+          slug: category.slug,
+          names: { ar: category.name_ar, en: category.name_en }
+        };
+
+        // Keywords lead to the category; the category name is what is shown
+        [category.name_ar, category.name_en, ...(category.keywords_ar || []), ...(category.keywords_en || [])]
+          .forEach(term => add(term, { ...fields, matched: term }));
+      });
+
+      const citiesById = new Map(topCities.rows.map(city => [city.id, city]));
+
+      topCities.rows.forEach(city => {
+        const fields = {
+          type: 'location',
+          locationType: 'city',
+          id: city.id,
+          names: { ar: city.name_ar, en: city.name_en }
+        };
+
+        add(city.name_ar, fields);
+        add(city.name_en, fields);
+      });
+
+      neighborhoods.rows.forEach(neighborhood => {
+        const city = citiesById.get(neighborhood.city_id);
+        const fields = {
+          type: 'location',
+          locationType: 'neighborhood',
+          id: neighborhood.id,
+          names: { ar: neighborhood.name_ar, en: neighborhood.name_en },
+          cities: city ? { ar: city.name_ar, en: city.name_en } : null
+        };
+
+        add(neighborhood.name_ar, fields);
+        add(neighborhood.name_en, fields);
+      });
+
+      [...queries, ...phrases].forEach(({ text, popularity }) => {
+        add(text, { type: 'query', text, popularity });
+      });
+
+      this.index = index;
+      this.lastRefresh = Date.now();
+
+      logger.info('Autocomplete index built', { entries: index.length });
+    } catch (error) {
+      logger.error('Error building autocomplete index:', error);
+
+      // Keep serving the previous index; with none, serve nothing rather than fail every keystroke
+      if (!this.index) {
+        this.index = [];
+        this.lastRefresh = Date.now();
+      }
+    }
+  }
+
+  /**
+   * Most reused past queries
+   * @returns {Promise<Array<{text: string, popularity: number}>>} Queries
+   */
+  async loadPopularQueries() {
+    const result = await this.db.query(`
+      SELECT query_text, hit_count
+      FROM query_semantic_cache
+      WHERE hit_count > 1
+      ORDER BY hit_count DESC
+      LIMIT $1
+    `, [this.MAX_QUERIES]);
+
+    return result.rows.map(row => ({ text: row.query_text, popularity: row.hit_count }));
+  }
+
+  /**
+   * Frequent 2-3 word phrases of active listing titles
+   * @returns {Promise<Array<{text: string, popularity: number}>>} Phrases with their listing count
+   */
+  async loadTitlePhrases() {
+    const result = await this.db.query(`
+      WITH words AS (
+        SELECT l.id, w.word, w.position
+        FROM listings l,
+          regexp_split_to_table(LOWER(l.title), '\\s+') WITH ORDINALITY AS w(word, position)
+        WHERE l.status = 'active' AND w.word ~ '^[[:alpha:]]{2,}$'
+      ),
+      phrases AS (
+        SELECT a.id, a.word || ' ' || b.word as phrase
+        FROM words a
+        JOIN words b ON b.id = a.id AND b.position = a.position + 1
+
+        UNION ALL
+
+        SELECT a.id, a.word || ' ' || b.word || ' ' || c.word
+        FROM words a
+        JOIN words b ON b.id = a.id AND b.position = a.position + 1
+        JOIN words c ON c.id = a.id AND c.position = a.position + 2
+      )
+      SELECT phrase, COUNT(DISTINCT id) as listing_count
+      FROM phrases
+      GROUP BY phrase
+      HAVING COUNT(DISTINCT id) >= $1
+      ORDER BY listing_count DESC
+      LIMIT $2
+    `, [this.MIN_PHRASE_LISTINGS, this.MAX_PHRASES]);
+
+    return result.rows.map(row => ({ text: row.phrase, popularity: parseInt(row.listing_count, 10) }));
+  }
+}
+
+// Singleton instance
+module.exports = new AutocompleteService();
@@ -0,0 +1,191 @@
+const database = require('../../config/database');
+const FilterBuilder = require('./FilterBuilder');
+const textSearch = require('./TextSearch');
+const CurrencyConverter = require('../../utils/currencyConverter');
+const logger = require('../../utils/logger');
+
+/**
+ * Facet Service
+ * Aggregate counts for the filter sidebar, computed with the same filters and keyword match
+ * as the search
+ */
+class FacetService {
+  constructor() {
+    this.db = database;
+    this.maxTermBuckets = 20;
+    this.histogramBuckets = 5;
+    this.numericAttributes = ['price', 'year', 'area', 'mileage'];
+  }
+
+  /**
+   * Compute all facets for a set of search parameters
+   * @param {Object} searchParams - Search parameters (same as passed to FilterBuilder)
+   * @param {string} language - Language for labels
+   * @param {string} query - Search text; only listings matching its keywords are counted
+   * @returns {Promise<Object>} { categories, cities, transactionTypes, attributes }
+   */
+  async getFacets(searchParams, language = 'ar', query = null) {
+    const startTime = Date.now();
+    const filters = FilterBuilder.build(searchParams);
+    const match = query ? textSearch.buildMatchCondition(query, filters.params.length + 1) : null;
+
+    const whereClause = match ? `${filters.whereClause} AND ${match.condition}` : filters.whereClause;
+    const params = match ? [...filters.params, ...match.params] : filters.params;
+
+    try {
+      const [categories, cities, transactionTypes, ...histograms] = await Promise.all([
+        this.getTermCounts(whereClause, params, {
+          join: 'JOIN categories f ON l.category_id = f.id',
+          key: 'f.id',
+          labels: 'f.slug, f.name_ar, f.name_en'
+        }),
+        this.getTermCounts(whereClause, params, {
+          join: 'JOIN cities f ON l.city_id = f.id',
+          key: 'f.id',
+          labels: 'f.name_ar, f.name_en'
+        }),
+        this.getTermCounts(whereClause, params, {
+          join: '',
+          key: 'tt.id',
+          labels: 'tt.slug, tt.name_ar, tt.name_en'
+        }),
+        ...this.numericAttributes.map(slug => this.getHistogram(whereClause, params, slug))
+      ]);
+
+      const attributes = {};
+      this.numericAttributes.forEach((slug, index) => {
+        if (histograms[index].length > 0) {
+          attributes[slug] = histograms[index];
+        }
+      });
+
+      logger.debug('Facets computed', {
+        categories: categories.length,
+        cities: cities.length,
+        attributes: Object.keys(attributes),
+        duration: Date.now() - startTime
+      });
+
+      return {
+        categories: categories.map(row => this.formatTerm(row, language)),
+        cities: cities.map(row => this.formatTerm(row, language)),
+        transactionTypes: transactionTypes
+          .filter(row => row.id !== null)
+          .map(row => this.formatTerm(row, language)),
+        attributes
+      };
+    } catch (error) {
+      logger.dbError('Facet computation failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count listings per value of a joined dimension
+   * @param {string} whereClause - WHERE clause from FilterBuilder
+   * @param {Array} params - Query params from FilterBuilder
+   * @param {Object} dimension - { join, key, labels }
+   * @returns {Promise<Array>} Rows { id, ...labels, count }
+   */
+  async getTermCounts(whereClause, params, { join, key, labels }) {
+    const sql = `
+      SELECT ${key} as id, ${labels}, COUNT(*) as count
+      FROM listings l
+      LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+      ${join}
+      WHERE ${whereClause}
+      GROUP BY ${key}, ${labels}
+      ORDER BY count DESC
+      LIMIT $${params.length + 1}
+    `;
+
+    const result = await this.db.query(sql, [...params, this.maxTermBuckets]);
+    return result.rows;
+  }
+
+  /**
+   * Histogram of a numeric attribute in equal-width buckets
+   * @param {string} whereClause - WHERE clause from FilterBuilder
+   * @param {Array} params - Query params from FilterBuilder
+   * @param {string} slug - Attribute slug
+   * @returns {Promise<Array>} Buckets { from, to, count }
+   */
+  async getHistogram(whereClause, params, slug) {
+    const slugParam = params.length + 1;
+    const bucketsParam = params.length + 2;
+    // Prices are bucketed in the base currency, like the price filter compares them
+    const value = slug === 'price'
+      ? CurrencyConverter.toBaseSql('lav.value_number', 'lav.unit_ar')
+      : 'lav.value_number';
+
+    const sql = `
+      WITH vals AS (
+        SELECT ${value} as v
+        FROM listings l
+        LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+        JOIN listing_attribute_values lav ON lav.listing_id = l.id
+        JOIN listing_attributes la ON lav.attribute_id = la.id
+        WHERE ${whereClause}
+          AND la.slug = $${slugParam}
+          AND lav.value_number IS NOT NULL
+      ),
+      bounds AS (
+        SELECT MIN(v) as lo, MAX(v) as hi FROM vals
+      )
+      SELECT
+        CASE
+          WHEN bounds.hi = bounds.lo THEN 1
+          -- width_bucket puts the maximum in bucket n+1, fold it into the last one
+          ELSE LEAST(width_bucket(vals.v, bounds.lo, bounds.hi, $${bucketsParam}), $${bucketsParam})
+        END as bucket,
+        bounds.lo,
+        bounds.hi,
+        COUNT(*) as count
+      FROM vals, bounds
+      GROUP BY bucket, bounds.lo, bounds.hi
+      ORDER BY bucket
+    `;
+
+    const result = await this.db.query(sql, [...params, slug, this.histogramBuckets]);
+
+    if (result.rows.length === 0) {
+      return [];
+    }
+
+    const lo = parseFloat(result.rows[0].lo);
+    const hi = parseFloat(result.rows[0].hi);
+    const width = (hi - lo) / this.histogramBuckets;
+
+    return result.rows.map(row => {
+      const bucket = parseInt(row.bucket);
+      return {
+        from: width === 0 ? lo : lo + (bucket - 1) * width,
+        to: width === 0 ? hi : lo + bucket * width,
+        count: parseInt(row.count)
+      };
+    });
+  }
+
+  /**
+   * Format a term bucket for the response
+   * @param {Object} row - Aggregate row
+   * @param {string} language - Language
+   * @returns {Object} { id, slug?, name, count }
+   */
+  formatTerm(row, language) {
+    const term = {
+      id: row.id,
+      name: language === 'ar' ? row.name_ar : row.name_en,
+      count: parseInt(row.count)
+    };
+
+    if (row.slug) {
+      term.slug = row.slug;
+    }
+
+    return term;
+  }
+}
+
+// Singleton instance
+module.exports = new FacetService();
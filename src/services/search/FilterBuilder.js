@@ -1,3 +1,5 @@
+const CurrencyConverter = require('../../utils/currencyConverter');
+const GeoDistance = require('../../utils/geoDistance');
 const logger = require('../../utils/logger');
 
 /**
@@ -9,6 +11,7 @@ class FilterBuilder {
     this.conditions = [];
     this.params = [];
     this.paramCounter = 1;
+    this.distanceExpression = null;
   }
 
   /**
@@ -18,6 +21,7 @@ class FilterBuilder {
     this.conditions = [];
     this.params = [];
     this.paramCounter = 1;
+    this.distanceExpression = null;
   }
 
   /**
@@ -60,6 +64,20 @@ class FilterBuilder {
     return this;
   }
 
+  /**
+   * Add filter for any of several cities (province, "قريب من")
+   * @param {Array<string>} cityIds - City UUIDs
+   * @returns {FilterBuilder} this
+   */
+  addCities(cityIds) {
+    if (Array.isArray(cityIds) && cityIds.length > 0) {
+      this.conditions.push(`l.city_id = ANY($${this.paramCounter}::uuid[])`);
+      this.params.push(cityIds);
+      this.paramCounter++;
+    }
+    return this;
+  }
+
   /**
    * Add neighborhood filter
    * @param {string} neighborhoodId - Neighborhood UUID
@@ -74,6 +92,46 @@ class FilterBuilder {
     return this;
   }
 
+  /**
+   * Add filter for any of several neighborhoods (adjacent or same-named)
+   * @param {Array<string>} neighborhoodIds - Neighborhood UUIDs
+   * @returns {FilterBuilder} this
+   */
+  addNeighborhoods(neighborhoodIds) {
+    if (Array.isArray(neighborhoodIds) && neighborhoodIds.length > 0) {
+      this.conditions.push(`l.neighborhood_id = ANY($${this.paramCounter}::uuid[])`);
+      this.params.push(neighborhoodIds);
+      this.paramCounter++;
+    }
+    return this;
+  }
+
+  /**
+   * Add radius filter around a point
+   * Also keeps the distance expression so queries can select and sort by it
+   * @param {Object} near - { lat, lng, radiusKm }
+   * @returns {FilterBuilder} this
+   */
+  addNear(near) {
+    const point = GeoDistance.normalize(near);
+
+    if (point) {
+      // Bounding box first so the haversine only runs on nearby candidates
+      const box = GeoDistance.boundingBox(point);
+      const boxParams = [0, 1, 2, 3].map(i => `$${this.paramCounter + i}`);
+      this.conditions.push(GeoDistance.boundingBoxSql(boxParams));
+      this.params.push(box.minLat, box.maxLat, box.minLng, box.maxLng);
+      this.paramCounter += 4;
+
+      const distance = GeoDistance.distanceSql(`$${this.paramCounter}`, `$${this.paramCounter + 1}`);
+      this.conditions.push(`${distance} <= $${this.paramCounter + 2}`);
+      this.params.push(point.lat, point.lng, point.radiusKm);
+      this.paramCounter += 3;
+      this.distanceExpression = distance;
+    }
+    return this;
+  }
+
   /**
    * Add transaction type filter
    * @param {string} transactionTypeSlug - Transaction type slug
@@ -114,14 +172,19 @@ class FilterBuilder {
         return;
       }
 
+      // Ranking hints from the parser, not attribute filters
+      if (key === 'sort' || key === 'priceIndicator') {
+        return;
+      }
+
       // Handle price filter
       if (key === 'price') {
         this.addPriceFilter(value);
         return;
       }
 
-      // Handle area filter
-      if (key === 'area') {
+      // Handle area filter (ranges like "اكبر من 200 متر" fall through to addRangeFilter)
+      if (key === 'area' && !(typeof value === 'object' && (value.min !== undefined || value.max !== undefined))) {
         this.addAreaFilter(value);
         return;
       }
@@ -141,49 +204,43 @@ class FilterBuilder {
 
   /**
    * Add price filter
-   * @param {Object|number} price - Price filter
+   * Both sides are converted to the base currency, so "5000 دولار" is compared
+   * with USD and SYP listings alike
+   * @param {Object|number} price - Price filter ({ min, max, value, currency } or a number)
    */
   addPriceFilter(price) {
-    if (typeof price === 'number') {
-      // Exact price
+    const storedPrice = CurrencyConverter.toBaseSql('lav.value_number', 'lav.unit_ar');
+    const toBase = (amount) => CurrencyConverter.convert(amount, price.currency) ?? amount;
+
+    const addCondition = (comparison, amount) => {
       this.conditions.push(
         `EXISTS (
           SELECT 1 FROM listing_attribute_values lav
           JOIN listing_attributes la ON lav.attribute_id = la.id
           WHERE lav.listing_id = l.id
             AND la.slug = 'price'
-            AND lav.value_number = $${this.paramCounter}
+            AND ${storedPrice} ${comparison.replace(/\?/g, `$${this.paramCounter}`)}
         )`
       );
-      this.params.push(price);
+      this.params.push(amount);
       this.paramCounter++;
+    };
+
+    if (typeof price === 'number') {
+      // Exact price
+      addCondition('= ?', price);
     } else if (typeof price === 'object') {
       if (price.min !== undefined) {
-        this.conditions.push(
-          `EXISTS (
-            SELECT 1 FROM listing_attribute_values lav
-            JOIN listing_attributes la ON lav.attribute_id = la.id
-            WHERE lav.listing_id = l.id
-              AND la.slug = 'price'
-              AND lav.value_number >= $${this.paramCounter}
-          )`
-        );
-        this.params.push(price.min);
-        this.paramCounter++;
+        addCondition('>= ?', toBase(price.min));
       }
 
       if (price.max !== undefined) {
-        this.conditions.push(
-          `EXISTS (
-            SELECT 1 FROM listing_attribute_values lav
-            JOIN listing_attributes la ON lav.attribute_id = la.id
-            WHERE lav.listing_id = l.id
-              AND la.slug = 'price'
-              AND lav.value_number <= $${this.paramCounter}
-          )`
-        );
-        this.params.push(price.max);
-        this.paramCounter++;
+        addCondition('<= ?', toBase(price.max));
+      }
+
+      // A single amount ("سيارة ب 5000 دولار") means around that price
+      if (price.min === undefined && price.max === undefined && price.value !== undefined) {
+        addCondition('BETWEEN ? * 0.9 AND ? * 1.1', toBase(price.value));
       }
     }
   }
@@ -249,9 +306,14 @@ class FilterBuilder {
   /**
    * Add exact attribute filter
    * @param {string} attributeSlug - Attribute slug
-   * @param {*} value - Attribute value
+   * @param {*} value - Attribute value, or an extracted quantity ({ value, type: 'number' })
    */
   addExactAttributeFilter(attributeSlug, value) {
+    // Quantities from the parser ("50 ألف كم", "3 غرف", "موديل 2015") keep their number in value
+    if (value && typeof value === 'object' && typeof value.value === 'number') {
+      value = value.value;
+    }
+
     if (typeof value === 'number') {
       this.conditions.push(
         `EXISTS (
@@ -313,7 +375,8 @@ class FilterBuilder {
   /**
    * Build complete filter
    * @param {Object} searchParams - Search parameters
-   * @returns {Object} {whereClause, params}
+   * @returns {Object} {whereClause, params, distance} - distance is the SQL distance
+   *   in km when searchParams.near is set (null otherwise)
    */
   static build(searchParams) {
     const builder = new FilterBuilder();
@@ -330,14 +393,26 @@ class FilterBuilder {
       builder.addCity(searchParams.cityId);
     }
 
+    if (searchParams.cityIds) {
+      builder.addCities(searchParams.cityIds);
+    }
+
     if (searchParams.neighborhoodId) {
       builder.addNeighborhood(searchParams.neighborhoodId);
     }
 
+    if (searchParams.neighborhoodIds) {
+      builder.addNeighborhoods(searchParams.neighborhoodIds);
+    }
+
     if (searchParams.transactionTypeSlug) {
       builder.addTransactionType(searchParams.transactionTypeSlug);
     }
 
+    if (searchParams.near) {
+      builder.addNear(searchParams.near);
+    }
+
     if (searchParams.attributes) {
       builder.addAttributes(searchParams.attributes);
     }
@@ -351,7 +426,7 @@ class FilterBuilder {
       whereClause: whereClause.substring(0, 200)
     });
 
-    return { whereClause, params };
+    return { whereClause, params, distance: builder.distanceExpression };
   }
 }
 
@@ -0,0 +1,114 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Hybrid Ranker
+ * Fuses vector and text result lists with weighted Reciprocal Rank Fusion:
+ *   score = Σ weight_source / (k + rank_source)
+ * Ranks are comparable across sources, unlike cosine similarity vs ts_rank
+ */
+class HybridRanker {
+  constructor() {
+    this.k = parseInt(process.env.HYBRID_RRF_K || '60');
+    this.defaultWeights = {
+      vector: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1'),
+      text: parseFloat(process.env.HYBRID_TEXT_WEIGHT || '1')
+    };
+    this.boostFactor = parseFloat(process.env.HYBRID_BOOST_FACTOR || '0.2');
+    this.categoryWeights = this.parseCategoryWeights(process.env.HYBRID_CATEGORY_WEIGHTS);
+  }
+
+  /**
+   * Parse per-category weight overrides
+   * Format: {"cars": {"text": 1.5}, "<category-uuid>": {"vector": 0.5}}
+   * @param {string} raw - JSON string
+   * @returns {Object} Weights by category slug or ID
+   */
+  parseCategoryWeights(raw) {
+    if (!raw) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Invalid HYBRID_CATEGORY_WEIGHTS, using default weights', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Get source weights for a category
+   * @param {Object} category - { id, slug } (both optional)
+   * @returns {Object} { vector, text }
+   */
+  getWeights(category = {}) {
+    const override = this.categoryWeights[category.slug] || this.categoryWeights[category.id] || {};
+    return { ...this.defaultWeights, ...override };
+  }
+
+  /**
+   * Fuse vector and text results
+   * @param {Array} vectorResults - Vector search results (best first)
+   * @param {Array} textResults - Text search results (best first)
+   * @param {Object} options - Options
+   * @param {Object} options.category - Matched category { id, slug } for weight overrides
+   * @param {boolean} options.debug - Attach score_breakdown to each result
+   * @returns {Array} Fused results, best first (hybrid_score set on each)
+   */
+  fuse(vectorResults, textResults, { category = {}, debug = false } = {}) {
+    const weights = this.getWeights(category);
+    const fused = new Map();
+
+    const addSource = (results, source, scoreField) => {
+      results.forEach((result, index) => {
+        const rank = index + 1;
+        const contribution = weights[source] / (this.k + rank);
+
+        if (!fused.has(result.id)) {
+          fused.set(result.id, { result: { ...result }, rrf: 0, sources: {} });
+        }
+
+        const entry = fused.get(result.id);
+        entry.rrf += contribution;
+        entry.sources[source] = {
+          rank,
+          score: result[scoreField] !== undefined ? parseFloat(result[scoreField]) : null,
+          contribution
+        };
+      });
+    };
+
+    addSource(vectorResults, 'vector', 'similarity_score');
+    addSource(textResults, 'text', 'rank_score');
+
+    const ranked = [...fused.values()].map(entry => {
+      const { result } = entry;
+      const boost = 1 + (result.is_boosted ? this.boostFactor : 0) + (result.priority || 0) * 0.01;
+      const score = entry.rrf * boost;
+
+      result.hybrid_score = score;
+      result.rank_score = score;
+
+      if (debug) {
+        result.score_breakdown = {
+          method: 'rrf',
+          k: this.k,
+          weights,
+          vector: entry.sources.vector || null,
+          text: entry.sources.text || null,
+          boost,
+          score
+        };
+      }
+
+      return result;
+    });
+
+    ranked.sort((a, b) => b.hybrid_score - a.hybrid_score);
+
+    return ranked;
+  }
+}
+
+// Singleton instance
+module.exports = new HybridRanker();
@@ -1,8 +1,15 @@
 const mcpAgent = require('../mcp/MCPAgent');
 const vectorSearch = require('./VectorSearch');
 const textSearch = require('./TextSearch');
+const SortBuilder = require('./SortBuilder');
+const GeoDistance = require('../../utils/geoDistance');
+const facetService = require('./FacetService');
+const hybridRanker = require('./HybridRanker');
 const cacheService = require('../cache/CacheService');
+const conversationService = require('../conversation/ConversationService');
+const searchAnalytics = require('../analytics/SearchAnalyticsService');
 const responseFormatter = require('../../utils/responseFormatter');
+const { ValidationError } = require('../../utils/errorHandler');
 const logger = require('../../utils/logger');
 
 /**
@@ -15,6 +22,8 @@ class SearchService {
     this.vectorSearch = vectorSearch;
     this.textSearch = textSearch;
     this.cache = cacheService;
+    this.facetService = facetService;
+    this.hybridRanker = hybridRanker;
     this.vectorSearchAvailable = null;
   }
 
@@ -25,8 +34,14 @@ class SearchService {
    * @param {string} params.language - Language ('ar' or 'en')
    * @param {string} params.source - Source (telegram, whatsapp, website, app)
    * @param {number} params.page - Page number
+   * @param {string} params.cursor - Opaque cursor from a previous response (overrides page)
    * @param {number} params.limit - Results per page
    * @param {Object} params.filters - Additional filters
+   * @param {Object} params.context - Previous parsed query of the conversation (for follow-ups)
+   * @param {string} params.sort - Sort order (relevance, price_asc, price_desc, newest, most_viewed, nearest)
+   * @param {Object} params.near - Radius around a point {lat, lng, radiusKm}
+   * @param {boolean} params.facets - Include facet counts for the filter sidebar
+   * @param {boolean} params.debug - Include per-result score breakdown in meta
    * @returns {Promise<Object>} Search results
    */
   async search(params) {
@@ -37,12 +52,20 @@ class SearchService {
         query,
         language = 'ar',
         source = 'api',
-        page = 1,
+        cursor = null,
         limit = 10,
         filters = {},
-        userId = null
+        userId = null,
+        context = null,
+        sort = null,
+        near = null,
+        facets = false,
+        debug = false
       } = params;
 
+      const page = cursor ? this.decodeCursor(cursor, limit) : (params.page || 1);
+      const offset = (page - 1) * limit;
+
       logger.info('Search initiated', {
         query: query.substring(0, 50),
         language,
@@ -51,12 +74,13 @@ class SearchService {
       });
 
       // Check cache first
-      const cacheKey = this.generateCacheKey(params);
-      const cached = await this.cache.getSearchResults(cacheKey);
+      // CacheService hashes the params into the key; the decoded page replaces the cursor
+      const cacheParams = { ...params, page };
+      const cached = await this.cache.getSearchResults(cacheParams);
 
       if (cached) {
         logger.info('Search cache hit', { query: query.substring(0, 50) });
-        return {
+        const response = {
           ...cached,
           meta: {
             ...cached.meta,
@@ -64,29 +88,55 @@ class SearchService {
             responseTime: Date.now() - startTime
           }
         };
+
+        searchAnalytics.record(params, null, response);
+        return response;
       }
 
-      // Parse query using MCP Agent
-      const parsed = await this.mcp.processQuery(query, {
-        language,
-        source,
-        userId
-      });
+      // Parse query using MCP Agent, then fold follow-ups into the previous search
+      const parsed = conversationService.merge(
+        context,
+        await this.mcp.processQuery(query, {
+          language,
+          source,
+          userId
+        })
+      );
+
+      // A follow-up ("بس بحلب") keeps searching for the previous subject;
+      // an Arabizi query ("sha2a b 7alab") searches its Arabic-script form
+      const searchText = parsed.followUp ? parsed.original : (parsed.transliterated || query);
 
       // Build search parameters
+      // An explicit sort wins over one detected in the query ("الأرخص")
+      const parsedParams = this.mcp.toSearchParams(parsed);
+
+      // A point replaces the place named in the query ("شقة بالمزة" + a shared location);
+      // explicit filters still apply
+      if (near) {
+        ['cityId', 'cityIds', 'neighborhoodId', 'neighborhoodIds'].forEach(key => delete parsedParams[key]);
+      }
+
       const searchParams = {
-        ...this.mcp.toSearchParams(parsed),
+        ...parsedParams,
         ...filters,
         language,
         page,
-        limit
+        limit,
+        offset,
+        sort: sort || parsedParams.sort || 'relevance'
       };
 
+      if (near) {
+        searchParams.near = GeoDistance.normalize(near);
+      }
+
       logger.info('🔎 Search parameters built', {
         query: query.substring(0, 50),
         categoryId: searchParams.categoryId || 'none',
         cityId: searchParams.cityId || 'none',
         transactionTypeSlug: searchParams.transactionTypeSlug || 'none',
+        sort: searchParams.sort,
         parsed: {
           category: parsed.category?.name_ar || 'none',
           location: parsed.location?.name_ar || 'none',
@@ -103,7 +153,7 @@ class SearchService {
             confidence: parsed.confidence
           });
 
-          const isValid = await this.validateCategoryWithAI(query, parsed.category, language);
+          const isValid = await this.validateCategoryWithAI(searchText, parsed.category, language);
 
           if (!isValid) {
             logger.info('❌ AI validation rejected category match', {
@@ -127,54 +177,61 @@ class SearchService {
 
           // Skip category filter and search directly in titles
           const directResults = await this.textSearch.titleOnlySearch(
-            query,
+            searchText,
             { ...searchParams, categoryId: undefined },
-            limit * 2
+            limit,
+            offset
           );
 
           if (directResults.length > 0) {
+            const total = this.getTotalCount(directResults, offset);
+
             logger.info('✓ Found results via direct title search', {
-              count: directResults.length
+              count: directResults.length,
+              total
             });
 
-            // Continue with normal response formatting
-            const offset = (page - 1) * limit;
-            const total = directResults.length;
-            const paginatedResults = directResults.slice(offset, offset + limit);
-
-            const formattedListings = paginatedResults.map(listing =>
+            const formattedListings = directResults.map(listing =>
               responseFormatter.formatListing(listing, language)
             );
 
-            const suggestions = typeof this.mcp.generateSuggestions === 'function'
-              ? this.mcp.generateSuggestions(parsed)
-              : [];
+            const suggestions = await this.mcp.generateSuggestions(parsed, { total, language });
+
+            const facetCounts = facets
+              ? await this.getFacets({ ...searchParams, categoryId: undefined }, language, searchText)
+              : null;
 
             const response = responseFormatter.searchResults(
               formattedListings,
               {
                 original: query,
+                searchText: parsed.followUp || parsed.transliterated ? searchText : undefined,
                 parsed: {
                   category: null, // Don't show weak category match
                   location: parsed.location,
                   transactionType: parsed.transactionType,
                   attributes: parsed.attributes,
                   keywords: parsed.keywords
-                }
+                },
+                filters: this.getAppliedFilters({ ...searchParams, categoryId: undefined })
               },
-              responseFormatter.pagination(page, limit, total),
+              this.buildPagination(page, limit, total),
               suggestions,
               {
                 responseTime: Date.now() - startTime,
                 searchMethod: 'direct_title',
-                confidence: parsed.confidence
-              }
+                confidence: parsed.confidence,
+                sort: searchParams.sort,
+                ...(debug && { scoreBreakdown: this.getScoreBreakdown(directResults, 'direct_title', offset) })
+              },
+              facetCounts
             );
 
             if (total > 0) {
-              await this.cache.setSearchResults(cacheKey, response);
+              await this.cache.setSearchResults(cacheParams, response);
             }
 
+            searchAnalytics.record(params, parsed, response);
             return response;
           }
         }
@@ -187,12 +244,15 @@ class SearchService {
       let results = [];
 
       if (searchMethod === 'vector') {
-        results = await this.performVectorSearch(query, searchParams);
+        results = await this.performVectorSearch(searchText, searchParams);
       } else if (searchMethod === 'text') {
-        results = await this.performTextSearch(query, searchParams);
+        results = await this.performTextSearch(searchText, searchParams);
       } else {
         // Hybrid search
-        results = await this.performHybridSearch(query, searchParams);
+        results = await this.performHybridSearch(searchText, searchParams, {
+          category: parsed.category ? { id: parsed.category.id, slug: parsed.category.slug } : {},
+          debug
+        });
       }
 
       // Smart fallback if no results and category was matched
@@ -201,54 +261,62 @@ class SearchService {
           categoryId: searchParams.categoryId,
           categoryName: parsed.category?.name_ar
         });
-        results = await this.smartFallbackSearch(query, searchParams, parsed);
+        results = await this.smartFallbackSearch(searchText, searchParams, parsed);
       }
 
-      // Apply location-based sorting if location was specified
-      if (parsed.location && results.length > 0) {
+      // Apply location-based sorting if location was specified (relevance order only)
+      // Results are already one page, so this only reorders within the page: a
+      // same-neighborhood listing on page 2 is not pulled up to page 1
+      if (parsed.location && !near && results.length > 0 && !SortBuilder.isExplicit(searchParams.sort)) {
         results = await this.sortByLocationProximity(results, parsed.location);
       }
 
-      // Apply pagination
-      const offset = (page - 1) * limit;
-      const total = results.length;
-      const paginatedResults = results.slice(offset, offset + limit);
+      // Results are already paginated in SQL
+      const total = this.getTotalCount(results, offset);
 
       // Format results
-      const formattedListings = paginatedResults.map(listing =>
+      const formattedListings = results.map(listing =>
         responseFormatter.formatListing(listing, language)
       );
 
-      // Generate suggestions (if method exists)
-      const suggestions = typeof this.mcp.generateSuggestions === 'function'
-        ? this.mcp.generateSuggestions(parsed)
-        : [];
+      // "Did you mean" and related categories when results are few
+      const suggestions = await this.mcp.generateSuggestions(parsed, { total, language });
+
+      const facetCounts = facets ? await this.getFacets(searchParams, language, searchText) : null;
 
       // Build response
       const response = responseFormatter.searchResults(
         formattedListings,
         {
           original: query,
+          searchText: parsed.followUp || parsed.transliterated ? searchText : undefined,
           parsed: {
             category: parsed.category,
             location: parsed.location,
             transactionType: parsed.transactionType,
             attributes: parsed.attributes,
             keywords: parsed.keywords
-          }
+          },
+          filters: this.getAppliedFilters(searchParams)
         },
-        responseFormatter.pagination(page, limit, total),
+        this.buildPagination(page, limit, total),
         suggestions,
         {
           responseTime: Date.now() - startTime,
           searchMethod,
-          confidence: parsed.confidence
-        }
+          // Vector search has no match condition (its count is every embedded listing passing the
+          // filters) and hybrid totals are the larger of two counts; only text totals are exact
+          totalIsEstimate: searchMethod === 'hybrid' || searchMethod === 'vector',
+          confidence: parsed.confidence,
+          sort: searchParams.sort,
+          ...(debug && { scoreBreakdown: this.getScoreBreakdown(results, searchMethod, offset) })
+        },
+        facetCounts
       );
 
       // Cache results ONLY if there are actual results
       if (total > 0) {
-        await this.cache.setSearchResults(cacheKey, response);
+        await this.cache.setSearchResults(cacheParams, response);
         logger.debug(`✓ Cached search results with ${total} listings`);
       } else {
         logger.debug('⚠️  Skipping cache for empty results');
@@ -261,6 +329,9 @@ class SearchService {
         method: searchMethod
       });
 
+      // Not awaited: analytics never slows down or fails a search
+      searchAnalytics.record(params, parsed, response);
+
       return response;
     } catch (error) {
       logger.error('Search error:', error);
@@ -268,6 +339,58 @@ class SearchService {
     }
   }
 
+  /**
+   * List listings around a point, nearest first (no query text)
+   * Used for "listings near me" from a shared location
+   * @param {Object} params - Search parameters
+   * @param {Object} params.near - Point and radius {lat, lng, radiusKm}
+   * @param {string} params.language - Language ('ar' or 'en')
+   * @param {number} params.page - Page number
+   * @param {number} params.limit - Results per page
+   * @param {Object} params.filters - Additional filters
+   * @returns {Promise<Object>} Search results
+   */
+  async searchNearby(params) {
+    const startTime = Date.now();
+    const { near, language = 'ar', page = 1, limit = 10, filters = {} } = params;
+
+    if (!GeoDistance.normalize(near)) {
+      throw new ValidationError('Invalid location');
+    }
+
+    const offset = (page - 1) * limit;
+    const searchParams = {
+      ...filters,
+      near: GeoDistance.normalize(near),
+      language,
+      page,
+      limit,
+      offset,
+      sort: 'nearest'
+    };
+
+    const results = await this.textSearch.nearbySearch(searchParams, limit, offset);
+    const total = this.getTotalCount(results, offset);
+
+    logger.info('Nearby search completed', { results: total, radiusKm: searchParams.near.radiusKm });
+
+    return responseFormatter.searchResults(
+      results.map(listing => responseFormatter.formatListing(listing, language)),
+      {
+        original: '',
+        parsed: null,
+        filters: this.getAppliedFilters(searchParams)
+      },
+      this.buildPagination(page, limit, total),
+      [],
+      {
+        responseTime: Date.now() - startTime,
+        searchMethod: 'nearby',
+        sort: searchParams.sort
+      }
+    );
+  }
+
   /**
    * Determine best search method based on parsed query
    * @param {Object} parsed - Parsed query
@@ -285,6 +408,12 @@ class SearchService {
       return 'text';
     }
 
+    // Explicit sorts are applied in SQL; vector/hybrid re-rank by similarity
+    // and vector search has no match condition to sort within
+    if (SortBuilder.isExplicit(searchParams.sort)) {
+      return 'text';
+    }
+
     // Use vector search if:
     // 1. Query has high confidence category/location match
     // 2. Query is complex (multiple attributes)
@@ -321,7 +450,8 @@ class SearchService {
       const results = await this.vectorSearch.search(
         query,
         searchParams,
-        searchParams.limit * 2 // Get more for pagination
+        searchParams.limit,
+        searchParams.offset
       );
 
       logger.debug('Vector search results', { count: results.length });
@@ -343,7 +473,8 @@ class SearchService {
       let results = await this.textSearch.search(
         query,
         searchParams,
-        searchParams.limit * 2
+        searchParams.limit,
+        searchParams.offset
       );
 
       // If no results, try fallback search
@@ -352,7 +483,8 @@ class SearchService {
         results = await this.textSearch.fallbackSearch(
           query,
           searchParams,
-          searchParams.limit * 2
+          searchParams.limit,
+          searchParams.offset
         );
       }
 
@@ -366,16 +498,21 @@ class SearchService {
 
   /**
    * Perform hybrid search (vector + text combined)
+   * Both sources are ranked differently, so each one is read from the top
+   * up to the end of the requested page and the merged list is sliced
    * @param {string} query - Query string
    * @param {Object} searchParams - Search parameters
-   * @returns {Promise<Array>} Merged results
+   * @param {Object} options - Ranking options ({ category, debug }), see HybridRanker.fuse
+   * @returns {Promise<Array>} Merged results for the requested page
    */
-  async performHybridSearch(query, searchParams) {
+  async performHybridSearch(query, searchParams, options = {}) {
     try {
+      const depth = searchParams.offset + searchParams.limit;
+
       // Run both searches in parallel
       const [vectorResults, textResults] = await Promise.all([
-        this.vectorSearch.search(query, searchParams, searchParams.limit).catch(() => []),
-        this.textSearch.search(query, searchParams, searchParams.limit).catch(() => [])
+        this.vectorSearch.search(query, searchParams, depth).catch(() => []),
+        this.textSearch.search(query, searchParams, depth).catch(() => [])
       ]);
 
       logger.debug('Hybrid search results', {
@@ -384,9 +521,9 @@ class SearchService {
       });
 
       // Merge and deduplicate results
-      const merged = this.mergeResults(vectorResults, textResults);
+      const merged = this.mergeResults(vectorResults, textResults, options);
 
-      return merged;
+      return merged.slice(searchParams.offset, depth);
     } catch (error) {
       logger.error('Hybrid search failed:', error);
       return [];
@@ -464,7 +601,8 @@ class SearchService {
       const titleOnlyResults = await this.textSearch.titleOnlySearch(
         query,
         { ...searchParams, categoryId: undefined },
-        searchParams.limit * 2
+        searchParams.limit,
+        searchParams.offset
       );
 
       if (titleOnlyResults.length > 0) {
@@ -482,7 +620,8 @@ class SearchService {
       const globalResults = await this.textSearch.fallbackSearch(
         query,
         { ...searchParams, categoryId: undefined },
-        searchParams.limit * 2
+        searchParams.limit,
+        searchParams.offset
       );
 
       if (globalResults.length > 0) {
@@ -550,65 +689,59 @@ Answer only (yes/no):`;
    * Merge vector and text search results
    * @param {Array} vectorResults - Vector search results
    * @param {Array} textResults - Text search results
+   * @param {Object} options - Ranking options ({ category, debug })
    * @returns {Array} Merged results
    */
-  mergeResults(vectorResults, textResults) {
-    const merged = [];
-    const seenIds = new Set();
-
-    // Add vector results first (higher relevance)
-    vectorResults.forEach((result, index) => {
-      if (!seenIds.has(result.id)) {
-        merged.push({
-          ...result,
-          rank_score: result.similarity_score || (1 - index / vectorResults.length)
-        });
-        seenIds.add(result.id);
-      }
-    });
-
-    // Add unique text results
-    textResults.forEach((result, index) => {
-      if (!seenIds.has(result.id)) {
-        merged.push({
-          ...result,
-          rank_score: result.rank_score || (0.5 - index / textResults.length)
-        });
-        seenIds.add(result.id);
-      }
-    });
-
-    // Sort by combined score
-    merged.sort((a, b) => {
-      // Boost score calculation
-      const scoreA = (a.rank_score || 0) + (a.is_boosted ? 0.2 : 0) + (a.priority || 0) * 0.01;
-      const scoreB = (b.rank_score || 0) + (b.is_boosted ? 0.2 : 0) + (b.priority || 0) * 0.01;
-
-      return scoreB - scoreA;
-    });
+  mergeResults(vectorResults, textResults, options = {}) {
+    return this.hybridRanker.fuse(vectorResults, textResults, options);
+  }
 
-    return merged;
+  /**
+   * Per-result score breakdown for debugging relevance
+   * @param {Array} results - Page of results
+   * @param {string} searchMethod - Search method used
+   * @param {number} offset - Rows skipped before this page
+   * @returns {Array} Breakdown per listing, in result order
+   */
+  getScoreBreakdown(results, searchMethod, offset) {
+    return results.map((result, index) => ({
+      id: result.id,
+      position: offset + index + 1,
+      ...(result.score_breakdown || {
+        method: searchMethod,
+        score: result.similarity_score !== undefined
+          ? parseFloat(result.similarity_score)
+          : parseFloat(result.rank_score) || null
+      })
+    }));
   }
 
   /**
    * Sort results by location proximity
-   * Prioritizes listings from same city, then same province
-   * @param {Array} results - Search results
-   * @param {Object} searchLocation - Search location object with province info
+   * Prioritizes listings from the matched neighborhood(s), then city, then province
+   * Runs after paging, so it orders one page and never moves listings between pages
+   * @param {Array} results - Search results (one page)
+   * @param {Object} searchLocation - Parsed location (type, ids, cityIds, neighborhoodIds, province)
    * @returns {Promise<Array>} Sorted results
    */
   async sortByLocationProximity(results, searchLocation) {
     const db = require('../../config/database');
 
     try {
-      // Get the province of the search location
-      let searchProvince = null;
-      let searchCityName = null;
+      if (!searchLocation || typeof searchLocation !== 'object') {
+        return results;
+      }
 
-      if (typeof searchLocation === 'object' && searchLocation.name_ar) {
-        searchCityName = searchLocation.name_ar;
+      const neighborhoodIds = new Set(searchLocation.neighborhoodIds?.length
+        ? searchLocation.neighborhoodIds
+        : (searchLocation.type === 'neighborhood' ? [searchLocation.id] : []));
+      const cityIds = new Set(searchLocation.cityIds?.length
+        ? searchLocation.cityIds
+        : [searchLocation.cityId].filter(Boolean));
+      let searchProvince = searchLocation.province_ar || null;
 
-        // Get province from database
+      // Older parses (cached contexts) only carry the city name
+      if (!searchProvince && searchLocation.name_ar && searchLocation.type !== 'province') {
         const provinceQuery = await db.query(
           'SELECT province_ar, province_en FROM cities WHERE name_ar = $1 OR name_en = $2 LIMIT 1',
           [searchLocation.name_ar, searchLocation.name_en || searchLocation.name_ar]
@@ -616,46 +749,45 @@ Answer only (yes/no):`;
 
         if (provinceQuery.rows.length > 0) {
           searchProvince = provinceQuery.rows[0].province_ar;
-          logger.debug('Search province identified', {
-            city: searchCityName,
-            province: searchProvince
-          });
         }
       }
 
-      // If no province found, return results as-is
-      if (!searchProvince) {
+      // Nothing to compare with, return results as-is
+      if (!searchProvince && cityIds.size === 0 && neighborhoodIds.size === 0) {
         return results;
       }
 
+      // Neighborhood 3, city 2, province 1
+      const proximity = (listing) => {
+        if (neighborhoodIds.has(listing.neighborhood_id)) return 3;
+        if (cityIds.has(listing.city_id) || (!cityIds.size && listing.city_name_ar === searchLocation.name_ar)) return 2;
+        if (searchProvince && listing.province_ar === searchProvince) return 1;
+        return 0;
+      };
+
       // Sort results by location proximity
       const sortedResults = results.sort((a, b) => {
-        // Priority 1: Same city (exact match)
-        const aCityMatch = a.city_name_ar === searchCityName ? 3 : 0;
-        const bCityMatch = b.city_name_ar === searchCityName ? 3 : 0;
-
-        if (aCityMatch !== bCityMatch) {
-          return bCityMatch - aCityMatch;
+        const proximityDiff = proximity(b) - proximity(a);
+        if (proximityDiff !== 0) {
+          return proximityDiff;
         }
 
-        // Priority 2: Same province
-        const aProvinceMatch = a.province_ar === searchProvince ? 2 : 0;
-        const bProvinceMatch = b.province_ar === searchProvince ? 2 : 0;
-
-        if (aProvinceMatch !== bProvinceMatch) {
-          return bProvinceMatch - aProvinceMatch;
-        }
-
-        // Priority 3: Original relevance score
-        const scoreA = (a.rank_score || 0) + (a.similarity_score || 0) + (a.is_boosted ? 0.2 : 0);
-        const scoreB = (b.rank_score || 0) + (b.similarity_score || 0) + (b.is_boosted ? 0.2 : 0);
+        // Then original relevance score (fused score already includes boosts)
+        const scoreA = a.hybrid_score !== undefined
+          ? a.hybrid_score
+          : (a.rank_score || 0) + (a.similarity_score || 0) + (a.is_boosted ? 0.2 : 0);
+        const scoreB = b.hybrid_score !== undefined
+          ? b.hybrid_score
+          : (b.rank_score || 0) + (b.similarity_score || 0) + (b.is_boosted ? 0.2 : 0);
 
         return scoreB - scoreA;
       });
 
       logger.info('Results sorted by location proximity', {
         totalResults: results.length,
-        searchCity: searchCityName,
+        locationType: searchLocation.type,
+        neighborhoods: neighborhoodIds.size,
+        cities: cityIds.size,
         searchProvince
       });
 
@@ -668,12 +800,94 @@ Answer only (yes/no):`;
   }
 
   /**
-   * Generate cache key for search
-   * @param {Object} params - Search parameters
-   * @returns {string} Cache key
+   * Pick the structured filters that were applied to a search
+   * Lets callers replay the same search later (e.g. saved-search alerts)
+   * @param {Object} searchParams - Search parameters
+   * @returns {Object} Applied filters
+   */
+  getAppliedFilters(searchParams) {
+    return {
+      categoryId: searchParams.categoryId || null,
+      cityId: searchParams.cityId || null,
+      cityIds: searchParams.cityIds || null,
+      neighborhoodId: searchParams.neighborhoodId || null,
+      neighborhoodIds: searchParams.neighborhoodIds || null,
+      near: searchParams.near || null,
+      transactionTypeSlug: searchParams.transactionTypeSlug || null,
+      attributes: searchParams.attributes || {}
+    };
+  }
+
+  /**
+   * Compute facet counts without failing the search
+   * @param {Object} searchParams - Applied search parameters
+   * @param {string} language - Language
+   * @param {string} searchText - Searched text (facets count only listings matching it)
+   * @returns {Promise<Object|null>} Facets or null on error
+   */
+  async getFacets(searchParams, language, searchText) {
+    try {
+      return await this.facetService.getFacets(searchParams, language, searchText);
+    } catch (error) {
+      // Already logged by FacetService; results are more important than the sidebar
+      return null;
+    }
+  }
+
+  /**
+   * Total matches reported by the SQL window count
+   * Hybrid pages mix two sources; the larger count is used as an estimate
+   * @param {Array} results - Page of results (rows carry total_count)
+   * @param {number} offset - Rows skipped before this page
+   * @returns {number} Total count
+   */
+  getTotalCount(results, offset) {
+    const counted = Math.max(0, ...results.map(row => parseInt(row.total_count) || 0));
+    return Math.max(counted, offset + results.length);
+  }
+
+  /**
+   * Build pagination metadata with an opaque cursor for the next page
+   * @param {number} page - Current page
+   * @param {number} limit - Items per page
+   * @param {number} total - Total items
+   * @returns {Object} Pagination metadata
+   */
+  buildPagination(page, limit, total) {
+    const pagination = responseFormatter.pagination(page, limit, total);
+    pagination.nextCursor = pagination.hasNext ? this.encodeCursor(page * limit) : null;
+    return pagination;
+  }
+
+  /**
+   * Encode a result offset as an opaque cursor
+   * @param {number} offset - Offset of the first row of the next page
+   * @returns {string} Cursor
    */
-  generateCacheKey(params) {
-    return this.cache.generateSearchKey(params);
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor into a page number for the given page size
+   * @param {string} cursor - Cursor from a previous response
+   * @param {number} limit - Results per page
+   * @returns {number} Page number
+   */
+  decodeCursor(cursor, limit) {
+    let decoded;
+
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+      throw new ValidationError('Invalid cursor');
+    }
+
+    return Math.floor(decoded.o / limit) + 1;
   }
 
   /**
@@ -682,9 +896,10 @@ Answer only (yes/no):`;
    * @param {Object} filters - Filters
    * @param {number} page - Page number
    * @param {number} limit - Results per page
-   * @returns {Promise<Object>} Search results
+   * @param {string} sort - Sort order
+   * @returns {Promise<Array>} Listings with attributes (each row carries total_count)
    */
-  async searchByCategory(categoryId, filters = {}, page = 1, limit = 10) {
+  async searchByCategory(categoryId, filters = {}, page = 1, limit = 10, sort = 'relevance') {
     const searchParams = {
       categoryId,
       ...filters,
@@ -695,7 +910,7 @@ Answer only (yes/no):`;
     const offset = (page - 1) * limit;
 
     // Simple database query for category browsing
-    const { whereClause, params } = require('./FilterBuilder').build(searchParams);
+    const { whereClause, params, distance } = require('./FilterBuilder').build(searchParams);
 
     const query = `
       SELECT
@@ -704,12 +919,26 @@ Answer only (yes/no):`;
         c.name_ar as category_name_ar,
         c.name_en as category_name_en,
         ct.name_ar as city_name_ar,
-        ct.name_en as city_name_en
+        ct.name_en as city_name_en,
+        n.name_ar as neighborhood_name_ar,
+        n.name_en as neighborhood_name_en,
+        tt.slug as transaction_type_slug,
+        tt.name_ar as transaction_type_name_ar,
+        tt.name_en as transaction_type_name_en,
+        (
+          SELECT url FROM listing_images
+          WHERE listing_id = l.id AND is_main = true
+          LIMIT 1
+        ) as main_image_url,
+        ${distance || 'NULL'} as distance_km,
+        COUNT(*) OVER() as total_count
       FROM listings l
       JOIN categories c ON l.category_id = c.id
       JOIN cities ct ON l.city_id = ct.id
+      LEFT JOIN neighborhoods n ON l.neighborhood_id = n.id
+      LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
       WHERE ${whereClause}
-      ORDER BY l.is_boosted DESC, l.created_at DESC
+      ${SortBuilder.build(sort, ['l.is_boosted DESC', 'l.created_at DESC'], distance)}
       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
 
@@ -718,7 +947,8 @@ Answer only (yes/no):`;
       [...params, limit, offset]
     );
 
-    return result.rows;
+    // Price and key attributes, so browsing pages render like search results
+    return await this.textSearch.enrichResults(result.rows);
   }
 }
 
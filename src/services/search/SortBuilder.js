@@ -0,0 +1,83 @@
+const CurrencyConverter = require('../../utils/currencyConverter');
+
+/**
+ * SQL Sort Builder
+ * Builds ORDER BY clauses for search queries so sorting happens before LIMIT
+ */
+class SortBuilder {
+  /**
+   * Supported sort options
+   * @returns {Array<string>} Sort values
+   */
+  static get OPTIONS() {
+    return ['relevance', 'price_asc', 'price_desc', 'newest', 'most_viewed', 'nearest'];
+  }
+
+  /**
+   * Check if a sort value is supported
+   * @param {string} sort - Sort value
+   * @returns {boolean} True if supported
+   */
+  static isValid(sort) {
+    return SortBuilder.OPTIONS.includes(sort);
+  }
+
+  /**
+   * Check if a sort replaces relevance ordering
+   * @param {string} sort - Sort value
+   * @returns {boolean} True for explicit (non-relevance) sorts
+   */
+  static isExplicit(sort) {
+    return SortBuilder.isValid(sort) && sort !== 'relevance';
+  }
+
+  /**
+   * Build ORDER BY clause
+   * Explicit sorts come first; the query's own relevance order breaks ties
+   * @param {string} sort - Sort value
+   * @param {Array<string>} relevanceOrder - Default ORDER BY terms of the query
+   * @param {string} distance - SQL distance from FilterBuilder.build (for 'nearest')
+   * @returns {string} ORDER BY clause
+   */
+  static build(sort, relevanceOrder, distance = null) {
+    // 'nearest' without a point has nothing to sort by and keeps relevance order
+    const term = SortBuilder.isExplicit(sort) ? SortBuilder.getSortTerm(sort, distance) : null;
+    const terms = term ? [term, ...relevanceOrder] : relevanceOrder;
+
+    return `ORDER BY\n        ${terms.join(',\n        ')}`;
+  }
+
+  /**
+   * Get ORDER BY term for an explicit sort
+   * @param {string} sort - Sort value
+   * @param {string} distance - SQL distance (for 'nearest')
+   * @returns {string|null} ORDER BY term
+   */
+  static getSortTerm(sort, distance = null) {
+    // Compared in the base currency so USD and SYP listings interleave correctly
+    const priceExpression = `(
+          SELECT ${CurrencyConverter.toBaseSql('lav.value_number', 'lav.unit_ar')} FROM listing_attribute_values lav
+          JOIN listing_attributes la ON lav.attribute_id = la.id
+          WHERE lav.listing_id = l.id AND la.slug = 'price'
+          LIMIT 1
+        )`;
+
+    switch (sort) {
+      case 'price_asc':
+        // Listings without a price go last in both directions
+        return `${priceExpression} ASC NULLS LAST`;
+      case 'price_desc':
+        return `${priceExpression} DESC NULLS LAST`;
+      case 'newest':
+        return 'l.created_at DESC';
+      case 'most_viewed':
+        return 'l.views DESC NULLS LAST';
+      case 'nearest':
+        return distance ? `${distance} ASC NULLS LAST` : null;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = SortBuilder;
@@ -1,6 +1,9 @@
 const database = require('../../config/database');
 const FilterBuilder = require('./FilterBuilder');
+const SortBuilder = require('./SortBuilder');
 const arabicNormalizer = require('../../utils/arabicNormalizer');
+const ArabicStemmer = require('../../utils/arabicStemmer');
+const databaseMatcher = require('../mcp/DatabaseMatcher');
 const logger = require('../../utils/logger');
 
 /**
@@ -17,18 +20,19 @@ class TextSearch {
    * @param {string} query - Search query
    * @param {Object} searchParams - Search parameters
    * @param {number} limit - Result limit
-   * @returns {Promise<Array>} Search results
+   * @param {number} offset - Rows to skip (pagination)
+   * @returns {Promise<Array>} Search results (each row carries total_count)
    */
-  async search(query, searchParams = {}, limit = 20) {
+  async search(query, searchParams = {}, limit = 20, offset = 0) {
     try {
-      logger.debug('Text search started', { query: query.substring(0, 50), limit });
+      logger.debug('Text search started', { query: query.substring(0, 50), limit, offset });
 
       // Normalize query for search
       const normalizedQuery = arabicNormalizer.normalize(query);
       const keywords = arabicNormalizer.extractKeywords(normalizedQuery);
 
       // Build search query with tsvector
-      const searchQuery = this.buildSearchQuery(keywords, searchParams, limit);
+      const searchQuery = this.buildSearchQuery(keywords, searchParams, limit, offset);
 
       const result = await this.db.query(searchQuery.sql, searchQuery.params);
 
@@ -51,14 +55,22 @@ class TextSearch {
    * @param {Array} keywords - Search keywords
    * @param {Object} searchParams - Search parameters
    * @param {number} limit - Result limit
+   * @param {number} offset - Rows to skip
    * @returns {Object} {sql, params}
    */
-  buildSearchQuery(keywords, searchParams, limit) {
+  buildSearchQuery(keywords, searchParams, limit, offset = 0) {
     // Build filters
-    const { whereClause, params } = FilterBuilder.build(searchParams);
-
-    // Create tsquery from keywords
-    const tsquery = keywords.map(k => `${k}:*`).join(' | ');
+    const { whereClause, params, distance } = FilterBuilder.build(searchParams);
+
+    // Create tsquery from keywords and their stems ("سيارات" also finds "سيارة")
+    // (a single و/ب/ل is only stripped off known terms: "بسيارة" → "سياره", never "بنزين" → "نزين")
+    const tsquery = this.expandKeywords(keywords).map(k => `${k}:*`).join(' | ');
+    const orderBy = SortBuilder.build(searchParams.sort, [
+      'rank_score DESC',
+      'l.is_boosted DESC',
+      'l.priority DESC',
+      'l.created_at DESC'
+    ], distance);
 
     const sql = `
       SELECT
@@ -90,7 +102,9 @@ class TextSearch {
           WHERE listing_id = l.id AND is_main = true
           LIMIT 1
         ) as main_image_url,
-        ts_rank(l.search_vector, to_tsquery('arabic', $${params.length + 1})) as rank_score
+        ts_rank(l.search_vector, to_tsquery('arabic', $${params.length + 1})) as rank_score,
+        ${distance || 'NULL'} as distance_km,
+        COUNT(*) OVER() as total_count
       FROM listings l
       JOIN categories c ON l.category_id = c.id
       JOIN cities ct ON l.city_id = ct.id
@@ -98,17 +112,13 @@ class TextSearch {
       LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
       WHERE ${whereClause}
         AND l.search_vector @@ to_tsquery('arabic', $${params.length + 1})
-      ORDER BY
-        rank_score DESC,
-        l.is_boosted DESC,
-        l.priority DESC,
-        l.created_at DESC
-      LIMIT $${params.length + 2}
+      ${orderBy}
+      LIMIT $${params.length + 2} OFFSET $${params.length + 3}
     `;
 
     return {
       sql,
-      params: [...params, tsquery, limit]
+      params: [...params, tsquery, limit, offset]
     };
   }
 
@@ -117,36 +127,20 @@ class TextSearch {
    * @param {string} query - Search query
    * @param {Object} searchParams - Search parameters
    * @param {number} limit - Result limit
-   * @returns {Promise<Array>} Search results
+   * @param {number} offset - Rows to skip (pagination)
+   * @returns {Promise<Array>} Search results (each row carries total_count)
    */
-  async titleOnlySearch(query, searchParams = {}, limit = 20) {
+  async titleOnlySearch(query, searchParams = {}, limit = 20, offset = 0) {
     try {
       logger.debug('Title-only LIKE search started', { query: query.substring(0, 50) });
 
-      const { whereClause, params } = FilterBuilder.build(searchParams);
+      const { whereClause, params, distance } = FilterBuilder.build(searchParams);
 
       // Extract meaningful keywords from query (remove stopwords)
       const normalized = arabicNormalizer.normalize(query);
       const keywords = arabicNormalizer.extractKeywords(normalized);
 
-      // Use keywords OR full query for broader matching
-      let searchTerms = keywords.length > 0 ? keywords : [query];
-
-      // Add both normalized and original versions for Arabic normalization issues (ة vs ه)
-      const expandedTerms = [];
-      for (const term of searchTerms) {
-        expandedTerms.push(term); // normalized version
-        // Add original version with ة instead of ه if term contains ه
-        if (term.includes('ه')) {
-          expandedTerms.push(term.replace(/ه/g, 'ة'));
-        }
-        // Add original version with ة if term ends with ه
-        if (term.endsWith('ه')) {
-          expandedTerms.push(term.slice(0, -1) + 'ة');
-        }
-      }
-
-      searchTerms = expandedTerms;
+      const searchTerms = this.buildLikeTerms(keywords, query);
       const searchPattern = searchTerms.map(k => `%${k}%`);
 
       // Build ILIKE conditions for TITLE ONLY (not description)
@@ -185,7 +179,9 @@ class TextSearch {
             WHERE listing_id = l.id AND is_main = true
             LIMIT 1
           ) as main_image_url,
-          0.7 as rank_score
+          0.7 as rank_score,
+          ${distance || 'NULL'} as distance_km,
+          COUNT(*) OVER() as total_count
         FROM listings l
         JOIN categories c ON l.category_id = c.id
         JOIN cities ct ON l.city_id = ct.id
@@ -193,14 +189,11 @@ class TextSearch {
         LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
         WHERE ${whereClause}
           AND (${likeConditions})
-        ORDER BY
-          l.is_boosted DESC,
-          l.priority DESC,
-          l.created_at DESC
-        LIMIT $${params.length + searchPattern.length + 1}
+        ${SortBuilder.build(searchParams.sort, ['l.is_boosted DESC', 'l.priority DESC', 'l.created_at DESC'], distance)}
+        LIMIT $${params.length + searchPattern.length + 1} OFFSET $${params.length + searchPattern.length + 2}
       `;
 
-      const result = await this.db.query(sql, [...params, ...searchPattern, limit]);
+      const result = await this.db.query(sql, [...params, ...searchPattern, limit, offset]);
 
       logger.info('Title-only search completed', {
         query: query.substring(0, 50),
@@ -219,36 +212,20 @@ class TextSearch {
    * @param {string} query - Search query
    * @param {Object} searchParams - Search parameters
    * @param {number} limit - Result limit
-   * @returns {Promise<Array>} Search results
+   * @param {number} offset - Rows to skip (pagination)
+   * @returns {Promise<Array>} Search results (each row carries total_count)
    */
-  async fallbackSearch(query, searchParams = {}, limit = 20) {
+  async fallbackSearch(query, searchParams = {}, limit = 20, offset = 0) {
     try {
       logger.debug('Fallback LIKE search started', { query: query.substring(0, 50) });
 
-      const { whereClause, params } = FilterBuilder.build(searchParams);
+      const { whereClause, params, distance } = FilterBuilder.build(searchParams);
 
       // Extract meaningful keywords from query (remove stopwords)
       const normalized = arabicNormalizer.normalize(query);
       const keywords = arabicNormalizer.extractKeywords(normalized);
 
-      // Use keywords OR full query for broader matching
-      let searchTerms = keywords.length > 0 ? keywords : [query];
-
-      // Add both normalized and original versions for Arabic normalization issues (ة vs ه)
-      const expandedTerms = [];
-      for (const term of searchTerms) {
-        expandedTerms.push(term); // normalized version
-        // Add original version with ة instead of ه if term contains ه
-        if (term.includes('ه')) {
-          expandedTerms.push(term.replace(/ه/g, 'ة'));
-        }
-        // Add original version with ة if term ends with ه
-        if (term.endsWith('ه')) {
-          expandedTerms.push(term.slice(0, -1) + 'ة');
-        }
-      }
-
-      searchTerms = expandedTerms;
+      const searchTerms = this.buildLikeTerms(keywords, query);
       const searchPattern = searchTerms.map(k => `%${k}%`);
 
       // Build ILIKE conditions for each search term
@@ -287,7 +264,9 @@ class TextSearch {
             WHERE listing_id = l.id AND is_main = true
             LIMIT 1
           ) as main_image_url,
-          0.5 as rank_score
+          0.5 as rank_score,
+          ${distance || 'NULL'} as distance_km,
+          COUNT(*) OVER() as total_count
         FROM listings l
         JOIN categories c ON l.category_id = c.id
         JOIN cities ct ON l.city_id = ct.id
@@ -295,14 +274,11 @@ class TextSearch {
         LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
         WHERE ${whereClause}
           AND (${likeConditions})
-        ORDER BY
-          l.is_boosted DESC,
-          l.priority DESC,
-          l.created_at DESC
-        LIMIT $${params.length + searchPattern.length + 1}
+        ${SortBuilder.build(searchParams.sort, ['l.is_boosted DESC', 'l.priority DESC', 'l.created_at DESC'], distance)}
+        LIMIT $${params.length + searchPattern.length + 1} OFFSET $${params.length + searchPattern.length + 2}
       `;
 
-      const result = await this.db.query(sql, [...params, ...searchPattern, limit]);
+      const result = await this.db.query(sql, [...params, ...searchPattern, limit, offset]);
 
       logger.info('Fallback search completed', {
         query: query.substring(0, 50),
@@ -316,6 +292,138 @@ class TextSearch {
     }
   }
 
+  /**
+   * List listings within a radius of a point (no text condition)
+   * @param {Object} searchParams - Search parameters (must include near)
+   * @param {number} limit - Result limit
+   * @param {number} offset - Rows to skip (pagination)
+   * @returns {Promise<Array>} Results sorted by distance (each row carries total_count)
+   */
+  async nearbySearch(searchParams, limit = 20, offset = 0) {
+    try {
+      const { whereClause, params, distance } = FilterBuilder.build(searchParams);
+
+      if (!distance) {
+        return [];
+      }
+
+      const sql = `
+        SELECT
+          l.id,
+          l.title,
+          l.description,
+          l.category_id,
+          l.city_id,
+          l.neighborhood_id,
+          l.transaction_type_id,
+          l.views,
+          l.is_boosted,
+          l.priority,
+          l.created_at,
+          c.slug as category_slug,
+          c.name_ar as category_name_ar,
+          c.name_en as category_name_en,
+          ct.name_ar as city_name_ar,
+          ct.name_en as city_name_en,
+          ct.province_ar,
+          ct.province_en,
+          n.name_ar as neighborhood_name_ar,
+          n.name_en as neighborhood_name_en,
+          tt.slug as transaction_type_slug,
+          tt.name_ar as transaction_type_name_ar,
+          tt.name_en as transaction_type_name_en,
+          (
+            SELECT url FROM listing_images
+            WHERE listing_id = l.id AND is_main = true
+            LIMIT 1
+          ) as main_image_url,
+          0 as rank_score,
+          ${distance} as distance_km,
+          COUNT(*) OVER() as total_count
+        FROM listings l
+        JOIN categories c ON l.category_id = c.id
+        JOIN cities ct ON l.city_id = ct.id
+        LEFT JOIN neighborhoods n ON l.neighborhood_id = n.id
+        LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
+        WHERE ${whereClause}
+        ${SortBuilder.build(searchParams.sort || 'nearest', ['l.is_boosted DESC', 'l.priority DESC', 'l.created_at DESC'], distance)}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+      const result = await this.db.query(sql, [...params, limit, offset]);
+
+      logger.info('Nearby search completed', {
+        radiusKm: searchParams.near && searchParams.near.radiusKm,
+        results: result.rows.length
+      });
+
+      return await this.enrichResults(result.rows);
+    } catch (error) {
+      logger.error('Nearby search error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Condition matching a query's keywords, like the full-text search and its LIKE fallback
+   * Lets facet counts count the listings the search can return, not every filtered listing
+   * @param {string} query - Search text
+   * @param {number} firstParam - Index of the first placeholder
+   * @returns {Object|null} { condition, params }, or null when the query has no keywords
+   */
+  buildMatchCondition(query, firstParam) {
+    const keywords = arabicNormalizer.extractKeywords(arabicNormalizer.normalize(query));
+    if (keywords.length === 0) {
+      return null;
+    }
+
+    const tsquery = this.expandKeywords(keywords).map(k => `${k}:*`).join(' | ');
+    const patterns = this.buildLikeTerms(keywords, query).map(k => `%${k}%`);
+
+    return {
+      condition: `(
+        l.search_vector @@ to_tsquery('arabic', $${firstParam})
+        OR l.title ILIKE ANY($${firstParam + 1})
+        OR l.description ILIKE ANY($${firstParam + 1})
+      )`,
+      params: [tsquery, patterns]
+    };
+  }
+
+  /**
+   * Keywords with their stems/singulars
+   * @param {Array<string>} keywords - Normalized keywords
+   * @returns {Array<string>} Keywords and variants
+   */
+  expandKeywords(keywords) {
+    return ArabicStemmer.expand(keywords, word => databaseMatcher.isKnownTerm(word));
+  }
+
+  /**
+   * Build ILIKE terms from query keywords
+   * Adds stems/singulars, then the ة spelling of every ه (the normalizer folds ة into ه
+   * but titles are stored as typed)
+   * @param {Array<string>} keywords - Normalized keywords
+   * @param {string} query - Original query (used when there are no keywords)
+   * @returns {Array<string>} Terms
+   */
+  buildLikeTerms(keywords, query) {
+    const terms = keywords.length > 0 ? this.expandKeywords(keywords) : [query];
+    const expanded = [];
+
+    for (const term of terms) {
+      expanded.push(term);
+      if (term.includes('ه')) {
+        expanded.push(term.replace(/ه/g, 'ة'));
+      }
+      if (term.endsWith('ه')) {
+        expanded.push(term.slice(0, -1) + 'ة');
+      }
+    }
+
+    return [...new Set(expanded)];
+  }
+
   /**
    * Enrich results with attributes
    * @param {Array} results - Search results
@@ -1,6 +1,7 @@
 const database = require('../../config/database');
 const openAIService = require('../ai/OpenAIService');
 const FilterBuilder = require('./FilterBuilder');
+const SortBuilder = require('./SortBuilder');
 const logger = require('../../utils/logger');
 
 /**
@@ -18,18 +19,19 @@ class VectorSearch {
    * @param {string} query - Search query
    * @param {Object} searchParams - Search parameters
    * @param {number} limit - Result limit
-   * @returns {Promise<Array>} Search results
+   * @param {number} offset - Rows to skip (pagination)
+   * @returns {Promise<Array>} Search results (each row carries total_count)
    */
-  async search(query, searchParams = {}, limit = 20) {
+  async search(query, searchParams = {}, limit = 20, offset = 0) {
     try {
-      logger.debug('Vector search started', { query: query.substring(0, 50), limit });
+      logger.debug('Vector search started', { query: query.substring(0, 50), limit, offset });
 
       // Generate embedding for the query
       const embedding = await this.ai.createEmbedding(query);
       const embeddingStr = `[${embedding.join(',')}]`;
 
       // Build filters
-      const { whereClause, params } = FilterBuilder.build(searchParams);
+      const { whereClause, params, distance } = FilterBuilder.build(searchParams);
 
       // Determine embedding column based on language
       const embeddingColumn = searchParams.language === 'en' ? 'embedding_en' : 'embedding_ar';
@@ -69,7 +71,9 @@ class VectorSearch {
             JOIN listing_attributes la ON lav.attribute_id = la.id
             WHERE lav.listing_id = l.id AND lav.value_text IS NOT NULL
           ) as attributes,
-          1 - (le.${embeddingColumn} <=> $${params.length + 1}::vector) as similarity_score
+          1 - (le.${embeddingColumn} <=> $${params.length + 1}::vector) as similarity_score,
+          ${distance || 'NULL'} as distance_km,
+          COUNT(*) OVER() as total_count
         FROM listings l
         JOIN listing_embeddings le ON l.id = le.listing_id
         JOIN categories c ON l.category_id = c.id
@@ -78,15 +82,11 @@ class VectorSearch {
         LEFT JOIN transaction_types tt ON l.transaction_type_id = tt.id
         WHERE ${whereClause}
           AND le.${embeddingColumn} IS NOT NULL
-        ORDER BY
-          similarity_score DESC,
-          l.is_boosted DESC,
-          l.priority DESC,
-          l.created_at DESC
-        LIMIT $${params.length + 2}
+        ${SortBuilder.build(searchParams.sort, ['similarity_score DESC', 'l.is_boosted DESC', 'l.priority DESC', 'l.created_at DESC'], distance)}
+        LIMIT $${params.length + 2} OFFSET $${params.length + 3}
       `;
 
-      const result = await this.db.query(searchQuery, [...params, embeddingStr, limit]);
+      const result = await this.db.query(searchQuery, [...params, embeddingStr, limit, offset]);
 
       logger.info('Vector search completed', {
         query: query.substring(0, 50),
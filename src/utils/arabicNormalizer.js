@@ -1,3 +1,5 @@
+const ArabiziTransliterator = require('./arabiziTransliterator');
+
 /**
  * Arabic Text Normalizer
  * Handles Arabic text normalization for better search matching
@@ -84,10 +86,11 @@ class ArabicNormalizer {
   /**
    * Detect primary language of text
    * @param {string} text - Text to analyze
-   * @returns {string} 'ar' or 'en'
+   * @returns {string} 'ar' or 'en' (Arabizi such as "sha2a b 7alab" is Arabic)
    */
   static detectLanguage(text) {
     if (!text) return 'ar';
+    if (ArabiziTransliterator.isArabizi(text)) return 'ar';
 
     const arabicChars = (text.match(/[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/g) || []).length;
     const englishChars = (text.match(/[a-zA-Z]/g) || []).length;
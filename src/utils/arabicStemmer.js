@@ -0,0 +1,183 @@
+const ArabicNormalizer = require('./arabicNormalizer');
+
+// Attached prefixes, longest first ("وبالسيارة", "للبيع").
+// ك only before ال: on its own it mostly eats the first letter of a noun (كنبة)
+const PREFIXES = ['وبال', 'وال', 'بال', 'كال', 'ولل', 'لل', 'ال'];
+
+// Single-letter prefixes ("بسيارة") are just as often root letters (بنزين، ولاعة، لابتوب),
+// so they are only stripped when what is left is a known term
+const LETTER_PREFIXES = ['و', 'ب', 'ل'];
+
+// Plural, dual and possessive endings (ة is normalized to ه), longest first
+const SUFFIXES = ['ات', 'ين', 'ون', 'ها', 'ه'];
+
+// Stems shorter than this are too ambiguous to search with
+const MIN_STEM_LENGTH = 3;
+
+// Bare stems are matched as prefixes/substrings, so they need one more letter (بنزين → بنز)
+const MIN_SEARCH_STEM_LENGTH = 4;
+
+// Broken plurals of common marketplace nouns → singular (normalized forms)
+const BROKEN_PLURALS = {
+  'شقق': 'شقه',
+  'بيوت': 'بيت',
+  'منازل': 'منزل',
+  'فلل': 'فيلا',
+  'اراضي': 'ارض',
+  'مزارع': 'مزرعه',
+  'مكاتب': 'مكتب',
+  'محال': 'محل',
+  'دكاكين': 'دكان',
+  'مخازن': 'مخزن',
+  'مستودعات': 'مستودع',
+  'مباني': 'مبني',
+  'غرف': 'غرفه',
+  'ابنيه': 'بناء',
+  'اجهزه': 'جهاز',
+  'حواسيب': 'حاسوب',
+  'هواتف': 'هاتف',
+  'شاشات': 'شاشه',
+  'كراسي': 'كرسي',
+  'طاولات': 'طاوله',
+  'خزائن': 'خزانه',
+  'اسره': 'سرير',
+  'ادوات': 'اداه',
+  'الات': 'اله',
+  'معدات': 'معده',
+  'قطع': 'قطعه',
+  'دواليب': 'دولاب',
+  'اطارات': 'اطار',
+  'ملابس': 'ملبس',
+  'احذيه': 'حذاء',
+  'العاب': 'لعبه',
+  'كتب': 'كتاب',
+  'حيوانات': 'حيوان',
+  'طيور': 'طير',
+  'قطط': 'قطه',
+  'كلاب': 'كلب',
+  'خيول': 'حصان',
+  'وظائف': 'وظيفه',
+  'وظايف': 'وظيفه',
+  'دراجات': 'دراجه',
+  'شاحنات': 'شاحنه',
+  'باصات': 'باص'
+};
+
+/**
+ * Arabic Light Stemmer
+ * Offline stemming for search: strips attached prefixes (وبال، بال، لل، كال، ال) and
+ * plural/possessive suffixes (ات، ين، ون، ة، ها), and maps common broken plurals
+ * to their singular. Searches OR the variants together with the original word,
+ * so an over-stripped form never loses a match the word itself would find.
+ * A single و/ب/ل is only stripped when the caller's isKnown predicate accepts the
+ * rest of the word, since those letters also start many nouns, and 3-letter bare
+ * stems are not searched with.
+ */
+class ArabicStemmer {
+  /**
+   * Strip an attached prefix
+   * @param {string} word - Normalized word
+   * @param {Function} isKnown - Predicate for normalized terms (optional); without it
+   *   single-letter prefixes are kept
+   * @returns {string} Word without its prefix (unchanged if the rest would be too short)
+   */
+  static stripPrefix(word, isKnown = null) {
+    const prefix = PREFIXES.find(p => word.startsWith(p) && word.length - p.length >= MIN_STEM_LENGTH);
+    if (prefix) {
+      return word.slice(prefix.length);
+    }
+
+    const letter = LETTER_PREFIXES.find(p => word.startsWith(p) && word.length - p.length >= MIN_STEM_LENGTH);
+    if (letter && isKnown && ArabicStemmer.isKnownWord(word.slice(letter.length), isKnown)) {
+      return word.slice(letter.length);
+    }
+
+    return word;
+  }
+
+  /**
+   * Check if a word, its singular or its suffix-free form is a known term
+   * @param {string} word - Normalized word without prefix
+   * @param {Function} isKnown - Predicate for normalized terms
+   * @returns {boolean} True if any form is known
+   */
+  static isKnownWord(word, isKnown) {
+    return ArabicStemmer.variants(word).some(variant => isKnown(variant));
+  }
+
+  /**
+   * Strip a plural/dual/possessive suffix
+   * @param {string} word - Normalized word
+   * @returns {string} Word without its suffix (unchanged if the rest would be too short)
+   */
+  static stripSuffix(word) {
+    const suffix = SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= MIN_STEM_LENGTH);
+    return suffix ? word.slice(0, -suffix.length) : word;
+  }
+
+  /**
+   * Singular of a broken plural
+   * @param {string} word - Normalized word
+   * @returns {string|null} Singular, or null if the word is not a known broken plural
+   */
+  static singular(word) {
+    return BROKEN_PLURALS[word] || null;
+  }
+
+  /**
+   * Light stem of a word
+   * @param {string} word - Word (normalized or not)
+   * @param {Function} isKnown - Predicate for normalized terms (optional, see stripPrefix)
+   * @returns {string} Stem ("بالسيارات" → "سيار", "والشقق" → "شقه")
+   */
+  static stem(word, isKnown = null) {
+    const normalized = ArabicNormalizer.normalizeAndLower(word);
+    const bare = ArabicStemmer.stripPrefix(normalized, isKnown);
+
+    return ArabicStemmer.stripSuffix(ArabicStemmer.singular(bare) || bare);
+  }
+
+  /**
+   * Search variants of a word: the word, without prefix, the singular, the stem,
+   * and the ة form of a ت left by a suffix ("شقتين" → "شقت" → "شقه")
+   * @param {string} word - Word (normalized or not)
+   * @param {Function} isKnown - Predicate for normalized terms (optional, see stripPrefix)
+   * @returns {Array<string>} Unique variants, the word itself first
+   */
+  static variants(word, isKnown = null) {
+    const normalized = ArabicNormalizer.normalizeAndLower(word);
+    const bare = ArabicStemmer.stripPrefix(normalized, isKnown);
+    const singular = ArabicStemmer.singular(bare);
+    const base = singular || bare;
+    const stem = ArabicStemmer.stripSuffix(base);
+
+    const variants = [normalized, bare, base];
+
+    if (stem !== base) {
+      if (stem.length >= MIN_SEARCH_STEM_LENGTH) {
+        variants.push(stem);
+      }
+
+      // Sound feminine plurals and duals/possessives of ة-nouns: سيارات → سياره, سيارتها → سياره
+      if (base.endsWith('ات')) {
+        variants.push(`${stem}ه`);
+      } else if (stem.endsWith('ت') && stem.length >= MIN_STEM_LENGTH) {
+        variants.push(`${stem.slice(0, -1)}ه`);
+      }
+    }
+
+    return [...new Set(variants)].filter(v => v.length >= MIN_STEM_LENGTH || v === normalized);
+  }
+
+  /**
+   * Expand a list of keywords with their variants
+   * @param {Array<string>} words - Keywords
+   * @param {Function} isKnown - Predicate for normalized terms (optional, see stripPrefix)
+   * @returns {Array<string>} Unique keywords and variants, in keyword order
+   */
+  static expand(words, isKnown = null) {
+    return [...new Set(words.flatMap(word => ArabicStemmer.variants(word, isKnown)))];
+  }
+}
+
+module.exports = ArabicStemmer;
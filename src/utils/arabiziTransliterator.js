@@ -0,0 +1,272 @@
+// Arabizi spellings of common query words → Arabic (normalized forms: ة→ه, أ→ا, ى→ي).
+// These also count as evidence that a Latin query is Arabizi
+const ARABIZI_WORDS = {
+  // Dialect filler
+  'bade': 'بدي', 'badi': 'بدي', 'bdi': 'بدي', 'baddi': 'بدي', 'biddi': 'بدي', 'bidi': 'بدي', 'bedde': 'بدي',
+  'badna': 'بدنا', 'bidna': 'بدنا', 'bdna': 'بدنا',
+  '3am': 'عم', 'dawer': 'دور', 'dawwer': 'دور', 'dawir': 'دور',
+  'fi': 'في', 'fe': 'في', 'fee': 'في', 'ma3': 'مع', 'min': 'من', 'mn': 'من', 'men': 'من',
+  '3and': 'عند', '3ind': 'عند', '3ala': 'علي', 'shi': 'شي', 'shi2': 'شي',
+  'ktir': 'كتير', 'kteer': 'كتير', 'mni7': 'منيح', 'mnee7': 'منيح', 'mnih': 'منيح',
+
+  // Transaction type
+  'ijar': 'ايجار', '2ijar': 'ايجار', 'ejar': 'ايجار', 'eejar': 'ايجار', 'ajar': 'اجار', '2ajar': 'اجار',
+  'bee3': 'بيع', 'be3': 'بيع', 'bi3': 'بيع', 'bey3': 'بيع', 'bay3': 'بيع',
+  'matloob': 'مطلوب', 'matloub': 'مطلوب', 'tabdil': 'تبديل', 'tabdeel': 'تبديل',
+
+  // Price and condition
+  'rkhees': 'رخيص', 'rkhis': 'رخيص', 'rakhis': 'رخيص', 'r5ees': 'رخيص', 'r5is': 'رخيص',
+  'ar5as': 'ارخص', 'arkhas': 'ارخص', 'ghali': 'غالي', '8ali': 'غالي',
+  'jdeed': 'جديد', 'jdid': 'جديد', 'jadid': 'جديد', 'jdide': 'جديده', 'jdeede': 'جديده',
+  'mosta3mal': 'مستعمل', 'musta3mal': 'مستعمل', 'mista3mal': 'مستعمل', 'mesta3mal': 'مستعمل',
+  'ndeef': 'نظيف', 'ndif': 'نظيف', 'nadif': 'نظيف',
+  'ta7t': 'تحت', 'taht': 'تحت', 'fo2': 'فوق', 'foo2': 'فوق', 'fou2': 'فوق',
+  'a2al': 'اقل', 'a2all': 'اقل', 'aktar': 'اكتر', 'si3r': 'سعر', 'se3r': 'سعر',
+  'alf': 'الف', 'alef': 'الف', 'malyon': 'مليون', 'milyon': 'مليون', 'mlyon': 'مليون',
+  'lira': 'ليره', 'leera': 'ليره', 'lera': 'ليره',
+
+  // Real estate
+  'beit': 'بيت', 'bet': 'بيت', 'bayt': 'بيت', 'beet': 'بيت', 'bait': 'بيت',
+  'sha2a': 'شقه', 'shi2a': 'شقه', 'sha22a': 'شقه', 'shi22a': 'شقه',
+  'sha2a2': 'شقق', 'sho2a2': 'شقق', 'shu2a2': 'شقق',
+  'ard': 'ارض', '2ard': 'ارض', 'aradi': 'اراضي', '2aradi': 'اراضي',
+  'ma7al': 'محل', 'ma7all': 'محل', 'mahal': 'محل', 'maktab': 'مكتب',
+  'ghorfe': 'غرفه', 'ghurfe': 'غرفه', 'ghorfa': 'غرفه', 'ghurfa': 'غرفه', 'oda': 'اوضه', '2ouda': 'اوضه',
+  'ghoraf': 'غرف', 'ghuraf': 'غرف', 'mafroushe': 'مفروشه', 'mafroosha': 'مفروشه', 'mafroush': 'مفروش',
+  '7ammam': 'حمام', 'matba5': 'مطبخ', 'matbakh': 'مطبخ',
+
+  // Vehicles, electronics, furniture, jobs
+  'siyara': 'سياره', 'sayyara': 'سياره', 'sayara': 'سياره', 'syara': 'سياره', 'siara': 'سياره',
+  'seyara': 'سياره', 'sayyare': 'سياره', 'siyarat': 'سيارات', 'sayyarat': 'سيارات', 'sayarat': 'سيارات',
+  'darraje': 'دراجه', 'darraja': 'دراجه', 'talafon': 'تلفون', 'telfon': 'تلفون',
+  'shashe': 'شاشه', 'shasha': 'شاشه', 'brad': 'براد', 'barrad': 'براد', 'ghassale': 'غساله',
+  'kanabe': 'كنبه', 'kanaba': 'كنبه', 'tawle': 'طاوله', 'tawla': 'طاوله',
+  'shoghol': 'شغل', 'shughl': 'شغل', 'wazife': 'وظيفه', 'wazifa': 'وظيفه'
+};
+
+// Place names; already definite, so "bel sham" is بدمشق, not بالدمشق
+const PLACES = {
+  '7alab': 'حلب', 'halab': 'حلب', 'sham': 'دمشق', 'dimashq': 'دمشق',
+  '7oms': 'حمص', 'homs': 'حمص', '7ama': 'حماه', 'hama': 'حماه',
+  'lad2iye': 'اللاذقيه', 'lazkiye': 'اللاذقيه', 'latakia': 'اللاذقيه', 'lattakia': 'اللاذقيه',
+  'tartous': 'طرطوس', 'tartus': 'طرطوس', 'idlib': 'ادلب', 'edleb': 'ادلب',
+  'dar3a': 'درعا', 'daraa': 'درعا', 'swaida': 'السويداء', 'sweida': 'السويداء',
+  'mazze': 'المزه', 'mezze': 'المزه', 'mazzeh': 'المزه', 'jaramana': 'جرمانا'
+};
+
+// Loanwords and brands: converted inside an Arabizi query, but on their own
+// they are just as likely English and say nothing about the query's script
+const LOANWORDS = {
+  'mobile': 'موبايل', 'mobail': 'موبايل', 'mobayl': 'موبايل', 'laptop': 'لابتوب', 'labtop': 'لابتوب',
+  'iphone': 'ايفون', 'samsung': 'سامسونج', 'villa': 'فيلا', 'motor': 'موتور', 'model': 'موديل',
+  'dollar': 'دولار', 'dolar': 'دولار', 'kia': 'كيا', 'hyundai': 'هيونداي', 'toyota': 'تويوتا',
+  'mercedes': 'مرسيدس', 'nissan': 'نيسان', 'honda': 'هوندا', 'opel': 'اوبل'
+};
+
+// Prepositions and articles written as separate words ("b 7alab", "lal ijar"),
+// attached to the following word ("بحلب", "للايجار")
+const ATTACHED_WORDS = {
+  'b': 'ب', 'bi': 'ب', 'be': 'ب', 'l': 'ل', 'li': 'ل', 'le': 'ل',
+  'lal': 'لل', 'lel': 'لل', 'lil': 'لل', 'bel': 'بال', 'bil': 'بال', 'bl': 'بال',
+  'el': 'ال', 'al': 'ال', 'il': 'ال', 'w': 'و', 'wa': 'و', 'we': 'و'
+};
+
+// Letter by letter fallback for words with number-letters; two-character sequences first
+const DIGRAPHS = {
+  "3'": 'غ', "7'": 'خ', "9'": 'ض',
+  'sh': 'ش', 'ch': 'ش', 'kh': 'خ', 'gh': 'غ', 'th': 'ث', 'dh': 'ذ',
+  'aa': 'ا', 'ee': 'ي', 'ii': 'ي', 'oo': 'و', 'ou': 'و', 'ay': 'ي', 'ai': 'ي', 'ey': 'ي', 'ei': 'ي', 'aw': 'و'
+};
+
+const LETTERS = {
+  'b': 'ب', 't': 'ت', 'j': 'ج', 'd': 'د', 'r': 'ر', 'z': 'ز', 's': 'س', 'f': 'ف', 'q': 'ق',
+  'k': 'ك', 'l': 'ل', 'm': 'م', 'n': 'ن', 'h': 'ه', 'w': 'و', 'y': 'ي', 'g': 'غ', 'v': 'ف',
+  'p': 'ب', 'c': 'ك', 'x': 'كس', '3': 'ع', '5': 'خ', '7': 'ح', '9': 'ص'
+};
+
+const VOWELS = 'aeiou';
+
+// A 2/3/5/7/9 written as a letter: followed by a letter and next to a vowel, since it
+// stands for a consonant ("7alab", "sha2a", "ta7t"). Excludes trailing model numbers
+// ("note9", "x5") and spec tokens where it sits between consonants ("2br", "7plus", "b2b")
+const NUMBER_LETTER_PATTERN = /[23579]'?[aeiou]|[aeiou][23579]'?[a-z]/;
+const SPEC_PATTERN = /^\d+([a-z]|st|nd|rd|th)$/;
+
+/**
+ * Arabizi Transliterator
+ * Detects Arabic typed in Latin script with digits for missing letters
+ * ("bade siyara b 7alab", "sha2a lal ijar") and converts it to Arabic script
+ * ("بدي سياره بحلب", "شقه للايجار") so the Arabic parser can match it.
+ * Known words come from a dictionary; other words with number-letters are
+ * transliterated letter by letter, and remaining Latin words (brands,
+ * English) are kept as typed.
+ */
+class ArabiziTransliterator {
+  /**
+   * Check if text is Arabizi
+   * True when a word uses 2/3/5/7/9 as a letter, or when at least two words
+   * (and half of the words) are known Arabizi words
+   * @param {string} text - Text to check
+   * @returns {boolean} True for Arabizi
+   */
+  static isArabizi(text) {
+    if (!text || typeof text !== 'string' || /[\u0600-\u06FF]/.test(text)) {
+      return false;
+    }
+
+    const words = ArabiziTransliterator.tokenize(text);
+    if (words.length === 0) {
+      return false;
+    }
+
+    if (words.some(word => ArabiziTransliterator.hasNumberLetters(word))) {
+      return true;
+    }
+
+    const known = words.filter(word => ARABIZI_WORDS[word] || PLACES[word] || ATTACHED_WORDS[word]).length;
+    return known >= 2 && known >= words.length / 2;
+  }
+
+  /**
+   * Check if a word uses digits as letters
+   * Outside the dictionary the word must be mostly letters: "7alab" is, "2x3b" is not
+   * @param {string} word - Lowercase word
+   * @returns {boolean} True if the word contains a number-letter
+   */
+  static hasNumberLetters(word) {
+    if (ARABIZI_WORDS[word] || PLACES[word]) {
+      return /\d/.test(word);
+    }
+
+    const letters = (word.match(/[a-z]/g) || []).length;
+    const digits = (word.match(/\d/g) || []).length;
+
+    return NUMBER_LETTER_PATTERN.test(word) &&
+      !SPEC_PATTERN.test(word) &&
+      letters >= 2 &&
+      digits * 2 <= letters;
+  }
+
+  /**
+   * Convert Arabizi text to Arabic script
+   * @param {string} text - Arabizi text
+   * @returns {string} Text in Arabic script (normalized letter forms)
+   */
+  static toArabic(text) {
+    const words = ArabiziTransliterator.tokenize(text);
+    const converted = [];
+    let attached = '';
+
+    words.forEach((word, index) => {
+      if (ATTACHED_WORDS[word] && index < words.length - 1) {
+        attached = ArabiziTransliterator.attach(attached, ATTACHED_WORDS[word]);
+        return;
+      }
+
+      if (PLACES[word]) {
+        attached = attached.replace(/ال$/, '').replace(/لل$/, 'ل');
+      }
+
+      converted.push(ArabiziTransliterator.attach(attached, ArabiziTransliterator.convertWord(word)));
+      attached = '';
+    });
+
+    return converted.join(' ');
+  }
+
+  /**
+   * Attach prepositions/articles to a word, merging a doubled article
+   * ("b el mazze" → "بالمزه", "l el mazze" → "للمزه")
+   * @param {string} prefix - Attached letters
+   * @param {string} word - Converted word
+   * @returns {string} Word with prefix
+   */
+  static attach(prefix, word) {
+    if (!prefix || !word.startsWith('ال')) {
+      return prefix + word;
+    }
+
+    if (prefix.endsWith('ال') || prefix.endsWith('لل')) {
+      return prefix + word.slice(2);
+    }
+
+    return prefix.endsWith('ل') ? prefix + word.slice(1) : prefix + word;
+  }
+
+  /**
+   * Convert one word
+   * @param {string} word - Lowercase word
+   * @returns {string} Arabic word, or the word unchanged (numbers, brands, English)
+   */
+  static convertWord(word) {
+    if (ARABIZI_WORDS[word]) return ARABIZI_WORDS[word];
+    if (PLACES[word]) return PLACES[word];
+    if (LOANWORDS[word]) return LOANWORDS[word];
+    if (ATTACHED_WORDS[word]) return ATTACHED_WORDS[word];
+
+    return ArabiziTransliterator.hasNumberLetters(word)
+      ? ArabiziTransliterator.transliterateWord(word)
+      : word;
+  }
+
+  /**
+   * Transliterate a word letter by letter
+   * Short vowels inside the word are dropped ("7alab" → "حلب"), a final a/e is
+   * read as ة ("sha2a" → "شقه"), and 2 is a hamza seat at the start of a word
+   * and the Syrian glottal ق elsewhere
+   * @param {string} word - Lowercase word
+   * @returns {string} Arabic word
+   */
+  static transliterateWord(word) {
+    let arabic = '';
+    let i = 0;
+
+    while (i < word.length) {
+      const pair = word.slice(i, i + 2);
+      if (DIGRAPHS[pair]) {
+        arabic += DIGRAPHS[pair];
+        i += 2;
+        continue;
+      }
+
+      const char = word[i];
+      const isFirst = i === 0;
+      const isLast = i === word.length - 1;
+
+      if (VOWELS.includes(char)) {
+        if (isFirst) {
+          arabic += 'ا';
+        } else if (isLast) {
+          arabic += { a: 'ه', e: 'ه', i: 'ي', o: 'و', u: 'و' }[char];
+        } else if (char === 'i') {
+          arabic += 'ي';
+        } else if (char === 'u') {
+          arabic += 'و';
+        }
+      } else if (char === '2') {
+        arabic += isFirst ? 'ا' : 'ق';
+      } else {
+        arabic += LETTERS[char] || '';
+      }
+
+      i++;
+    }
+
+    // Doubled letters are one letter with shadda
+    return arabic.replace(/(.)\1+/g, '$1');
+  }
+
+  /**
+   * Split text into lowercase words, dropping punctuation
+   * @param {string} text - Text
+   * @returns {Array<string>} Words
+   */
+  static tokenize(text) {
+    return text
+      .toLowerCase()
+      .split(/[\s\-_,.!?؟،]+/)
+      .filter(Boolean);
+  }
+}
+
+module.exports = ArabiziTransliterator;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+let table = null;
+
+/**
+ * Currency Converter
+ * Resolves currency names to codes and converts amounts using a local
+ * exchange-rate table (src/config/exchangeRates.json or EXCHANGE_RATES_FILE).
+ * Rates are "how many base-currency units one unit is worth".
+ */
+class CurrencyConverter {
+  /**
+   * Load (once) and return the exchange-rate table
+   * @returns {Object} { base, updatedAt, currencies }
+   */
+  static getTable() {
+    if (!table) {
+      const file = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '../config/exchangeRates.json');
+      table = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      // Rates are inlined into SQL, so only accept plain positive numbers
+      Object.entries(table.currencies).forEach(([code, currency]) => {
+        if (typeof currency.rate !== 'number' || !isFinite(currency.rate) || currency.rate <= 0) {
+          throw new Error(`Invalid exchange rate for ${code} in ${file}`);
+        }
+      });
+
+      logger.info('Exchange rates loaded', { base: table.base, updatedAt: table.updatedAt });
+    }
+
+    return table;
+  }
+
+  /**
+   * Forget the loaded table so the next call re-reads the file
+   */
+  static reload() {
+    table = null;
+    return CurrencyConverter.getTable();
+  }
+
+  /**
+   * Base currency code (prices are compared in it)
+   * @returns {string} Currency code
+   */
+  static get BASE() {
+    return CurrencyConverter.getTable().base;
+  }
+
+  /**
+   * Resolve a currency code, symbol or name to a code
+   * Empty values are the base currency; unknown values return null
+   * @param {string} value - "USD", "$", "دولار", "ل.س"...
+   * @returns {string|null} Currency code
+   */
+  static resolve(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return CurrencyConverter.BASE;
+    }
+
+    const needle = String(value).trim().toLowerCase();
+    const { currencies } = CurrencyConverter.getTable();
+
+    const code = Object.keys(currencies).find(code =>
+      code.toLowerCase() === needle || currencies[code].aliases.includes(needle)
+    );
+
+    return code || null;
+  }
+
+  /**
+   * Find the currency mentioned in a text (normalized Arabic)
+   * @param {string} text - Query text
+   * @returns {string|null} Currency code, or null if none is mentioned
+   */
+  static detect(text) {
+    if (!text) return null;
+
+    const lower = text.toLowerCase();
+    const { currencies } = CurrencyConverter.getTable();
+
+    // Longest aliases first, so "ليره سوريه" wins over "ليره"
+    const aliases = Object.entries(currencies)
+      .flatMap(([code, currency]) => currency.aliases.map(alias => ({ code, alias })))
+      .sort((a, b) => b.alias.length - a.alias.length);
+
+    const found = aliases.find(({ alias }) => {
+      // Symbols can touch the number ("5000$"), words need boundaries
+      if (!/[a-z\u0600-\u06FF]/.test(alias)) {
+        return lower.includes(alias);
+      }
+      const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^a-z\\u0600-\\u06FF])${escaped}($|[^a-z\\u0600-\\u06FF])`).test(lower);
+    });
+
+    return found ? found.code : null;
+  }
+
+  /**
+   * Regex alternation matching every currency code and alias (longest first)
+   * @returns {string} Regex source, e.g. "دولار امريكي|دولار|\\$|usd|..."
+   */
+  static aliasPattern() {
+    const { currencies } = CurrencyConverter.getTable();
+
+    return Object.entries(currencies)
+      .flatMap(([code, currency]) => [code.toLowerCase(), ...currency.aliases])
+      .sort((a, b) => b.length - a.length)
+      .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+  }
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount
+   * @param {string} from - Source currency (code or alias)
+   * @param {string} to - Target currency (code or alias), defaults to base
+   * @returns {number|null} Converted amount, null for unknown currencies
+   */
+  static convert(amount, from, to = null) {
+    const { currencies } = CurrencyConverter.getTable();
+    const fromCode = CurrencyConverter.resolve(from);
+    const toCode = CurrencyConverter.resolve(to);
+
+    if (amount === null || amount === undefined || !fromCode || !toCode) {
+      return null;
+    }
+
+    return amount * currencies[fromCode].rate / currencies[toCode].rate;
+  }
+
+  /**
+   * Display symbol of a currency
+   * @param {string} currency - Currency code or alias
+   * @returns {string} Symbol (the input itself if unknown)
+   */
+  static getSymbol(currency) {
+    const code = CurrencyConverter.resolve(currency);
+    return code ? CurrencyConverter.getTable().currencies[code].symbol : currency;
+  }
+
+  /**
+   * SQL expression converting a stored amount to the base currency
+   * Unknown or empty units count as base currency
+   * @param {string} valueColumn - Amount column (e.g. lav.value_number)
+   * @param {string} unitColumn - Currency column (e.g. lav.unit_ar)
+   * @returns {string} SQL expression
+   */
+  static toBaseSql(valueColumn, unitColumn) {
+    const { currencies } = CurrencyConverter.getTable();
+    const quote = (value) => `'${value.replace(/'/g, "''")}'`;
+
+    const cases = Object.entries(currencies)
+      .filter(([, currency]) => currency.rate !== 1)
+      .map(([code, currency]) => {
+        const names = [...new Set([code.toLowerCase(), ...currency.aliases])].map(quote).join(', ');
+        return `WHEN LOWER(TRIM(${unitColumn})) IN (${names}) THEN ${currency.rate}`;
+      });
+
+    if (cases.length === 0) {
+      return valueColumn;
+    }
+
+    return `(${valueColumn} * CASE ${cases.join(' ')} ELSE 1 END)`;
+  }
+}
+
+module.exports = CurrencyConverter;
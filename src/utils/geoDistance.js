@@ -0,0 +1,123 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Geo Distance
+ * Radius search helpers. Listings are placed at their own coordinates, else at
+ * their neighborhood's, else at their city's (see migration 004_add_coordinates.sql),
+ * and distances are great-circle (haversine) kilometres computed in SQL.
+ */
+class GeoDistance {
+  /**
+   * Radius used when a search only gives a point (Telegram location)
+   * @returns {number} Kilometres
+   */
+  static get DEFAULT_RADIUS_KM() {
+    return parseFloat(process.env.GEO_DEFAULT_RADIUS_KM || '10');
+  }
+
+  /**
+   * Largest accepted radius
+   * @returns {number} Kilometres
+   */
+  static get MAX_RADIUS_KM() {
+    return parseFloat(process.env.GEO_MAX_RADIUS_KM || '200');
+  }
+
+  /**
+   * Validate a near parameter
+   * @param {Object} near - { lat, lng, radiusKm }
+   * @returns {Object|null} { lat, lng, radiusKm } with the radius clamped, or null if invalid
+   */
+  static normalize(near) {
+    if (!near || typeof near !== 'object') {
+      return null;
+    }
+
+    const lat = parseFloat(near.lat);
+    const lng = parseFloat(near.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    const radius = parseFloat(near.radiusKm);
+    const radiusKm = Number.isFinite(radius) && radius > 0
+      ? Math.min(radius, GeoDistance.MAX_RADIUS_KM)
+      : GeoDistance.DEFAULT_RADIUS_KM;
+
+    return { lat, lng, radiusKm };
+  }
+
+  /**
+   * SQL for a listing's position (listing → neighborhood → city)
+   * Correlated subqueries, so it works whatever the outer query joins
+   * @returns {Object} { lat, lng } SQL expressions over alias l
+   */
+  static listingPointSql() {
+    const column = (name) => `COALESCE(
+          l.${name},
+          (SELECT ${name} FROM neighborhoods WHERE id = l.neighborhood_id),
+          (SELECT ${name} FROM cities WHERE id = l.city_id)
+        )`;
+
+    return { lat: column('latitude'), lng: column('longitude') };
+  }
+
+  /**
+   * Latitude/longitude box around a point that contains the whole radius
+   * @param {Object} point - Normalized { lat, lng, radiusKm }
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  static boundingBox(point) {
+    const latDelta = (point.radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+    const minLat = Math.max(-90, point.lat - latDelta);
+    const maxLat = Math.min(90, point.lat + latDelta);
+
+    // Longitude degrees shrink towards the poles; near a pole or across the antimeridian take every longitude
+    const cosLat = Math.cos(point.lat * Math.PI / 180);
+    const lngDelta = cosLat > 0.01 ? latDelta / cosLat : 180;
+    if (point.lng - lngDelta < -180 || point.lng + lngDelta > 180) {
+      return { minLat, maxLat, minLng: -180, maxLng: 180 };
+    }
+
+    return { minLat, maxLat, minLng: point.lng - lngDelta, maxLng: point.lng + lngDelta };
+  }
+
+  /**
+   * SQL prefilter keeping listings whose position can fall inside a bounding box
+   * Own coordinates are matched by idx_listings_coordinates; listings without them
+   * by the neighborhoods and cities inside the box. Cheap enough to run before the
+   * haversine, which still decides the exact radius.
+   * @param {string[]} params - Placeholders of minLat, maxLat, minLng, maxLng
+   * @returns {string} SQL condition
+   */
+  static boundingBoxSql([minLat, maxLat, minLng, maxLng]) {
+    const inBox = (alias) =>
+      `${alias}latitude BETWEEN ${minLat} AND ${maxLat} AND ${alias}longitude BETWEEN ${minLng} AND ${maxLng}`;
+
+    return `(
+        (${inBox('l.')})
+        OR ((l.latitude IS NULL OR l.longitude IS NULL) AND (
+          l.neighborhood_id = ANY(ARRAY(SELECT id FROM neighborhoods WHERE ${inBox('')}))
+          OR l.city_id = ANY(ARRAY(SELECT id FROM cities WHERE ${inBox('')}))
+        ))
+      )`;
+  }
+
+  /**
+   * SQL distance in km between a listing and a point (NULL without coordinates)
+   * @param {string} latParam - Placeholder of the point latitude ("$3")
+   * @param {string} lngParam - Placeholder of the point longitude
+   * @returns {string} SQL expression
+   */
+  static distanceSql(latParam, lngParam) {
+    const point = GeoDistance.listingPointSql();
+
+    return `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(LEAST(1,
+        POWER(SIN(RADIANS(${point.lat} - ${latParam}::float8) / 2), 2) +
+        COS(RADIANS(${latParam}::float8)) * COS(RADIANS(${point.lat})) *
+        POWER(SIN(RADIANS(${point.lng} - ${lngParam}::float8) / 2), 2)
+      ))))`;
+  }
+}
+
+module.exports = GeoDistance;
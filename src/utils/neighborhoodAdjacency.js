@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const ArabicNormalizer = require('./arabicNormalizer');
+const logger = require('./logger');
+
+let table = null;
+
+/**
+ * Neighborhood Adjacency
+ * Which neighborhoods border each other, from a local table
+ * (src/config/neighborhoodAdjacency.json or NEIGHBORHOOD_ADJACENCY_FILE).
+ * Used to expand "قريب من المزة" to the surrounding neighborhoods.
+ * Names are matched normalized and the relation is symmetric.
+ */
+class NeighborhoodAdjacency {
+  /**
+   * Load (once) and return the adjacency table
+   * @returns {Map<string, Map<string, Set<string>>>} City → neighborhood → adjacent neighborhoods
+   */
+  static getTable() {
+    if (!table) {
+      const file = process.env.NEIGHBORHOOD_ADJACENCY_FILE || path.join(__dirname, '../config/neighborhoodAdjacency.json');
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      table = new Map();
+
+      Object.entries(raw.cities || {}).forEach(([city, neighborhoods]) => {
+        const cityKey = NeighborhoodAdjacency.key(city);
+        const adjacency = table.get(cityKey) || new Map();
+
+        const link = (a, b) => {
+          if (!adjacency.has(a)) adjacency.set(a, new Set());
+          adjacency.get(a).add(b);
+        };
+
+        Object.entries(neighborhoods).forEach(([name, neighbors]) => {
+          const nameKey = NeighborhoodAdjacency.key(name);
+          neighbors.forEach(neighbor => {
+            const neighborKey = NeighborhoodAdjacency.key(neighbor);
+            link(nameKey, neighborKey);
+            link(neighborKey, nameKey);
+          });
+        });
+
+        table.set(cityKey, adjacency);
+      });
+
+      logger.info('Neighborhood adjacency loaded', { cities: table.size, updatedAt: raw.updatedAt });
+    }
+
+    return table;
+  }
+
+  /**
+   * Forget the loaded table so the next call re-reads the file
+   */
+  static reload() {
+    table = null;
+    return NeighborhoodAdjacency.getTable();
+  }
+
+  /**
+   * Comparison key for a place name
+   * @param {string} name - Place name
+   * @returns {string} Normalized, lowercased name
+   */
+  static key(name) {
+    return ArabicNormalizer.normalizeAndLower(String(name || '')).trim();
+  }
+
+  /**
+   * Neighborhoods adjacent to one neighborhood of a city
+   * @param {string} cityName - City name (Arabic, as in the table)
+   * @param {string} neighborhoodName - Neighborhood name
+   * @returns {Array<string>} Normalized names of adjacent neighborhoods
+   */
+  static getAdjacent(cityName, neighborhoodName) {
+    const adjacency = NeighborhoodAdjacency.getTable().get(NeighborhoodAdjacency.key(cityName));
+    const neighbors = adjacency?.get(NeighborhoodAdjacency.key(neighborhoodName));
+
+    return neighbors ? [...neighbors] : [];
+  }
+}
+
+module.exports = NeighborhoodAdjacency;
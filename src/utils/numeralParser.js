@@ -0,0 +1,456 @@
+const ArabicNormalizer = require('./arabicNormalizer');
+
+const LETTERS = 'a-z\\u0600-\\u06FF';
+
+// Spelled-out numbers, in normalized form (أ→ا, ى→ي, ة→ه, ئ→ي), MSA and Syrian dialect
+const NUMBER_WORDS = {
+  'واحد': 1, 'وحده': 1, 'one': 1,
+  'اتنين': 2, 'اثنين': 2, 'تنين': 2, 'اثنان': 2, 'two': 2,
+  'تلات': 3, 'تلاته': 3, 'ثلاث': 3, 'ثلاثه': 3, 'three': 3,
+  'اربع': 4, 'اربعه': 4, 'four': 4,
+  'خمس': 5, 'خمسه': 5, 'five': 5,
+  'ست': 6, 'سته': 6, 'six': 6,
+  'سبع': 7, 'سبعه': 7, 'seven': 7,
+  'تمن': 8, 'تمان': 8, 'تماني': 8, 'تمانيه': 8, 'ثمان': 8, 'ثماني': 8, 'ثمانيه': 8, 'eight': 8,
+  'تسع': 9, 'تسعه': 9, 'nine': 9,
+  'عشر': 10, 'عشره': 10, 'ten': 10,
+  'حدعش': 11, 'احدعش': 11, 'حداعش': 11, 'احدعشر': 11,
+  'اتنعش': 12, 'اطنعش': 12, 'اتناعش': 12, 'طنعش': 12, 'اثنعشر': 12,
+  'تلطعش': 13, 'تلتطعش': 13, 'تلتعش': 13,
+  'اربعطعش': 14, 'ربعطعش': 14,
+  'خمسطعش': 15, 'خمستعش': 15,
+  'ستطعش': 16, 'ستعش': 16,
+  'سبعطعش': 17, 'سبعتعش': 17,
+  'تمنطعش': 18, 'تمانطعش': 18, 'تمنتعش': 18,
+  'تسعطعش': 19, 'تسعتعش': 19,
+  'عشرين': 20, 'عشرون': 20, 'twenty': 20,
+  'تلاتين': 30, 'ثلاثين': 30, 'ثلاثون': 30, 'thirty': 30,
+  'اربعين': 40, 'اربعون': 40, 'forty': 40,
+  'خمسين': 50, 'خمسون': 50, 'fifty': 50,
+  'ستين': 60, 'ستون': 60, 'sixty': 60,
+  'سبعين': 70, 'سبعون': 70, 'seventy': 70,
+  'تمانين': 80, 'ثمانين': 80, 'ثمانون': 80, 'eighty': 80,
+  'تسعين': 90, 'تسعون': 90, 'ninety': 90,
+  'ميه': 100, 'مايه': 100, 'ميت': 100, 'hundred': 100,
+  'ميتين': 200, 'مايتين': 200, 'ميتان': 200
+};
+
+// "تلتمية", "خمسمية", "تسعمائة"...
+const HUNDRED_PREFIXES = {
+  'تلت': 3, 'تلات': 3, 'ثلاث': 3, 'ثلث': 3, 'اربع': 4, 'خمس': 5, 'ست': 6,
+  'سبع': 7, 'تمن': 8, 'تمان': 8, 'ثمان': 8, 'ثماني': 8, 'تسع': 9
+};
+Object.entries(HUNDRED_PREFIXES).forEach(([prefix, value]) => {
+  ['ميه', 'مايه', 'ميت'].forEach(suffix => {
+    NUMBER_WORDS[prefix + suffix] = value * 100;
+  });
+});
+
+// Scale words; "count" covers duals ("الفين" = 2 × 1000)
+const MULTIPLIERS = {
+  'الف': { value: 1e3, count: 1 }, 'الاف': { value: 1e3, count: 1 }, 'الوف': { value: 1e3, count: 1 },
+  'thousand': { value: 1e3, count: 1 }, 'thousands': { value: 1e3, count: 1 },
+  'الفين': { value: 1e3, count: 2 }, 'الفان': { value: 1e3, count: 2 },
+  'مليون': { value: 1e6, count: 1 }, 'ملايين': { value: 1e6, count: 1 },
+  'million': { value: 1e6, count: 1 }, 'millions': { value: 1e6, count: 1 },
+  'مليونين': { value: 1e6, count: 2 }, 'مليونان': { value: 1e6, count: 2 },
+  'مليار': { value: 1e9, count: 1 }, 'مليارات': { value: 1e9, count: 1 },
+  'billion': { value: 1e9, count: 1 },
+  'مليارين': { value: 1e9, count: 2 }
+};
+
+const FRACTIONS = {
+  'نص': 0.5, 'نصف': 0.5, 'half': 0.5,
+  'ربع': 0.25, 'quarter': 0.25
+};
+
+// Words that turn a number into a fuzzy range ("حوالي 50 مليون", "50 مليون تقريبا")
+const APPROXIMATE_BEFORE = 'حوالي|تقريبا|بحدود|حدود|شي|قرابه|نحو|حول|around|about|approximately|approx|roughly|~';
+const APPROXIMATE_AFTER = 'تقريبا|او شي|وشي|approximately|or so';
+
+/**
+ * Numeral Parser
+ * Reads numbers the way Syrian users type them: Arabic-Indic digits, spelled-out
+ * numbers ("مية وخمسين"), scale words ("خمسين مليون", "نص مليون", "٣٠٠ ألف"),
+ * fuzzy amounts ("حوالي") and bounds ("تحت", "أقل من", "فوق")
+ */
+class NumeralParser {
+  /**
+   * Convert Arabic-Indic / Persian digits and separators to ASCII
+   * Keeps the text length, so match positions stay valid
+   * @param {string} text - Text
+   * @returns {string} Text with ASCII digits
+   */
+  static normalizeDigits(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+      .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+      .replace(/٫/g, '.')
+      .replace(/٬/g, ',');
+  }
+
+  /**
+   * Prepare text for number extraction (normalized, lowercase, ASCII digits)
+   * @param {string} text - Raw or normalized text
+   * @returns {string} Prepared text
+   */
+  static prepare(text) {
+    return NumeralParser.normalizeDigits(ArabicNormalizer.normalizeAndLower(text))
+      // "م2" is a unit, not the number 2 (same length, positions are kept)
+      .replace(/م2/g, 'م²');
+  }
+
+  /**
+   * Classify a single word
+   * @param {string} word - Token
+   * @returns {Object|null} { kind: 'number'|'multiplier'|'fraction'|'and', value, count, digits }
+   */
+  static classifyWord(word) {
+    if (/^\d/.test(word)) {
+      // "1,500,000" uses thousands separators, "2.5" a decimal point
+      const clean = /^\d{1,3}(,\d{3})+$/.test(word) ? word.replace(/,/g, '') : word.replace(/,/g, '.');
+      const value = parseFloat(clean);
+      return isNaN(value) ? null : { kind: 'number', value, digits: true };
+    }
+
+    if (word === 'و' || word === 'and') {
+      return { kind: 'and' };
+    }
+    if (NUMBER_WORDS[word] !== undefined) {
+      return { kind: 'number', value: NUMBER_WORDS[word] };
+    }
+    if (MULTIPLIERS[word]) {
+      return { kind: 'multiplier', ...MULTIPLIERS[word] };
+    }
+    if (FRACTIONS[word] !== undefined) {
+      return { kind: 'fraction', value: FRACTIONS[word] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tokenize prepared text into words and classify number words
+   * "وخمسين" is split into "و" + "خمسين"; "بخمسين" / "لخمسين" keep the
+   * prefix letter outside the token so range connectors stay visible
+   * @param {string} text - Prepared text
+   * @returns {Array} Tokens { word, start, end, info }
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const pattern = new RegExp(`\\d+(?:[.,]\\d+)*|[${LETTERS}]+`, 'g');
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const word = match[0];
+      const start = match.index;
+      const info = NumeralParser.classifyWord(word);
+
+      if (!info && word.length > 1 && /^[وبل]/.test(word)) {
+        const rest = NumeralParser.classifyWord(word.slice(1));
+        if (rest && rest.kind !== 'and') {
+          if (word[0] === 'و') {
+            tokens.push({ word: 'و', start, end: start + 1, info: { kind: 'and' } });
+          }
+          tokens.push({ word: word.slice(1), start: start + 1, end: start + word.length, info: rest });
+          continue;
+        }
+      }
+
+      tokens.push({ word, start, end: start + word.length, info });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Check if a number token can continue the current expression
+   * "مية وخمسين" (100 + 50), "خمسة وعشرين" (5 + 20) and "خمس مية" (5 × 100) compose,
+   * "بين 50 و 100" or "2015 50" do not
+   * @param {Object} previous - Last number component { value }
+   * @param {Object} current - New number token info
+   * @param {boolean} afterScale - The last token was a multiplier or fraction
+   * @param {boolean} joined - Joined with "و"
+   * @returns {boolean} True if it composes
+   */
+  static composes(previous, current, afterScale, joined) {
+    if (afterScale) return true;
+    if (!previous) return true;
+    // Digits only compose after a scale word ("2 مليون و500 الف") or after words with "و"
+    if ((current.digits || previous.digits) && !joined) return false;
+    if (current.digits && previous.digits) return false;
+
+    const prev = previous.value;
+    const next = current.value;
+
+    return next < prev ||
+      (prev < 10 && next === 10) || // "خمسة عشر"
+      (prev < 10 && next >= 20 && next < 100 && next % 10 === 0) || // "خمسة وعشرين"
+      (prev < 10 && next === 100 && !joined); // "خمس مية", the spaced "خمسمية"
+  }
+
+  /**
+   * Find all number expressions in a text
+   * @param {string} text - Text (prepared with NumeralParser.prepare)
+   * @returns {Array} Numbers { value, scale, start, end } - scale is the multiplier of
+   *   the last group (1000 for "300 الف", 1 for "الفين وخمسطعش")
+   */
+  static findNumbers(text) {
+    const tokens = NumeralParser.tokenize(text);
+    const expressions = [];
+    let current = null;
+    let pendingAnd = false;
+
+    const close = () => {
+      if (current && current.parts.some(part => part.info.kind !== 'and')) {
+        expressions.push(current);
+      }
+      current = null;
+      pendingAnd = false;
+    };
+
+    tokens.forEach(token => {
+      const { info } = token;
+
+      // Anything but whitespace between tokens ("-", "$", "،") ends an expression
+      if (current && text.slice(current.cursor, token.start).trim() !== '') {
+        close();
+      }
+
+      if (!info) {
+        close();
+        return;
+      }
+
+      if (info.kind === 'and') {
+        if (current) {
+          pendingAnd = true;
+          current.cursor = token.end;
+        }
+        return;
+      }
+
+      if (current && info.kind === 'number') {
+        const last = current.parts[current.parts.length - 1].info;
+        const afterScale = last.kind === 'multiplier' || last.kind === 'fraction';
+        if (!NumeralParser.composes(current.lastNumber, info, afterScale, pendingAnd)) {
+          close();
+        }
+      }
+
+      if (!current) {
+        current = { parts: [], start: token.start, end: token.end, cursor: token.end, lastNumber: null };
+      }
+
+      current.parts.push(token);
+      current.end = token.end;
+      current.cursor = token.end;
+      if (info.kind === 'number') {
+        current.lastNumber = info;
+      }
+      pendingAnd = false;
+    });
+    close();
+
+    return expressions.map(expression => ({
+      ...NumeralParser.evaluate(expression.parts.map(part => part.info)),
+      start: expression.start,
+      end: expression.end,
+      text: text.slice(expression.start, expression.end)
+    }));
+  }
+
+  /**
+   * Evaluate the tokens of one expression
+   * @param {Array} parts - Token infos
+   * @returns {Object} { value, scale }
+   */
+  static evaluate(parts) {
+    let total = 0;
+    let current = 0;
+    let scale = 1;
+
+    parts.forEach((part, index) => {
+      const previous = parts[index - 1];
+
+      if (part.kind === 'number' && part.value === 100 && previous?.kind === 'number' && previous.value < 10) {
+        current += previous.value * 100 - previous.value; // "خمس مية"
+      } else if (part.kind === 'number') {
+        current += part.value;
+      } else if (part.kind === 'multiplier') {
+        if (current === 0 && total > 0 && part.value > scale) {
+          // "الف مليون"
+          total *= part.value * part.count;
+        } else {
+          total += (current || 1) * part.count * part.value;
+        }
+        current = 0;
+        scale = part.value;
+      } else if (part.kind === 'fraction') {
+        const next = parts[index + 1];
+        if (next && next.kind === 'multiplier') {
+          current += part.value; // "نص مليون"
+        } else if (scale > 1) {
+          total += part.value * scale; // "مليون ونص"
+        } else {
+          current += part.value;
+        }
+      }
+    });
+
+    return {
+      value: total + current,
+      // A trailing plain number ("الفين وخمسطعش") means the amount isn't a round scale
+      scale: current >= 1 ? 1 : scale
+    };
+  }
+
+  /**
+   * Parse a phrase that is only a number ("خمسين مليون", "٣٠٠ ألف", "مية وخمسين")
+   * @param {string} text - Phrase
+   * @returns {number|null} Value, or null if the phrase has no number
+   */
+  static parse(text) {
+    const numbers = NumeralParser.findNumbers(NumeralParser.prepare(text));
+    return numbers.length > 0 ? numbers[0].value : null;
+  }
+
+  /**
+   * Extract a quantity (price, area, mileage, year...) from a text
+   * A number counts when it is followed by one of the units, preceded by a prefix
+   * word or qualifying bound word, or accepted by options.accept
+   * @param {string} text - Query text
+   * @param {Object} options - Quantity definition
+   * @param {string} options.units - Regex alternation of units after the number ("متر|م²")
+   * @param {string} options.prefixes - Regex alternation of words before the number ("مساحه")
+   * @param {string} options.excludeUnits - Units that mark another quantity
+   * @param {string} options.excludePrefixes - Prefixes that mark another quantity
+   * @param {Array} options.bounds - [{ words, bound: 'min'|'max', qualifies }] bound words before the number
+   * @param {Function} options.accept - (number) => boolean, accept numbers without unit/prefix
+   * @param {Function} options.validate - (value) => boolean, reject implausible values
+   * @param {Function} options.transform - (value, { prefixed }) => value
+   * @param {number} options.tolerance - Fuzzy range width for "حوالي" (0.1 = ±10%, 0 = exact value)
+   * @returns {Object|null} { value, type: 'number' } | { min?, max?, type: 'range', approximate? }
+   */
+  static extractQuantity(text, options = {}) {
+    const {
+      units = null,
+      prefixes = null,
+      excludeUnits = null,
+      excludePrefixes = null,
+      bounds = [],
+      accept = () => false,
+      validate = () => true,
+      transform = (value) => value,
+      tolerance = 0.1
+    } = options;
+
+    const prepared = NumeralParser.prepare(text);
+    const numbers = NumeralParser.findNumbers(prepared);
+
+    const after = (regexSource) => regexSource
+      ? new RegExp(`^\\s*(?:${regexSource})(?![${LETTERS}])`)
+      : null;
+    const before = (regexSource, tail = '') => regexSource
+      ? new RegExp(`(?:^|[^${LETTERS}])(?:${regexSource})\\s*${tail}$`)
+      : null;
+
+    const unitRe = after(units);
+    const excludeUnitRe = after(excludeUnits);
+    const prefixRe = before(prefixes, '(?:من|ب|:)?\\s*');
+    const excludePrefixRe = before(excludePrefixes, '(?:من|ب|:)?\\s*');
+    const boundRes = bounds.map(b => ({ ...b, re: before(b.words, '(?:من|than|of)?\\s*') }));
+    const approxBeforeRe = before(APPROXIMATE_BEFORE, '(?:ال)?\\s*');
+    const approxAfterRe = new RegExp(`^\\s*(?:(?:${units || '(?!)'})\\s*)?(?:${APPROXIMATE_AFTER})(?![${LETTERS}])`);
+
+    const context = (n) => {
+      const textBefore = prepared.slice(0, n.start);
+      const textAfter = prepared.slice(n.end);
+      const bound = boundRes.find(b => b.re.test(textBefore));
+
+      return {
+        textBefore,
+        textAfter,
+        bound,
+        hasUnit: unitRe ? unitRe.test(textAfter) : false,
+        prefixed: prefixRe ? prefixRe.test(textBefore) : false,
+        excluded: (excludeUnitRe && excludeUnitRe.test(textAfter)) ||
+          (excludePrefixRe && excludePrefixRe.test(textBefore))
+      };
+    };
+
+    const qualifies = (n, ctx) => !ctx.excluded &&
+      (ctx.hasUnit || ctx.prefixed || (ctx.bound && ctx.bound.qualifies) || accept(n));
+
+    for (let i = 0; i < numbers.length; i++) {
+      const n = numbers[i];
+      const next = numbers[i + 1];
+      const ctx = context(n);
+
+      // Ranges: "من X الى Y", "بين X و Y", "X - Y" (units may follow either side)
+      if (next) {
+        const between = prepared.slice(n.end, next.start);
+        const unitPart = units ? `(?:(?:${units})\\s*)?` : '';
+        const opener = ctx.textBefore.match(new RegExp(`(?:^|[^${LETTERS}])(من|بين|from|between)\\s*(?:[${LETTERS}]+\\s*)?$`));
+        const connectors = opener && /بين|between/.test(opener[1]) ? 'و|and|-|–' : 'الى|الي|ل|لل|حتي|لحد|-|–|to|until';
+        const isRange = new RegExp(`^\\s*${unitPart}(?:${connectors})\\s*$`).test(between) &&
+          (opener || /[-–]/.test(between));
+
+        if (isRange) {
+          const nextCtx = context(next);
+          let min = n.value;
+          const max = next.value;
+
+          // "من 50 الى 100 مليون": the scale word applies to both ends
+          if (n.scale === 1 && next.scale > 1 && min * next.scale <= max) {
+            min *= next.scale;
+          }
+
+          const rangeCtx = { prefixed: ctx.prefixed || nextCtx.prefixed };
+          const low = transform(min, rangeCtx);
+          const high = transform(max, rangeCtx);
+
+          i++;
+          if (
+            !ctx.excluded && !nextCtx.excluded &&
+            (qualifies(n, ctx) || qualifies(next, nextCtx)) &&
+            validate(low) && validate(high) && low <= high
+          ) {
+            return { min: low, max: high, type: 'range' };
+          }
+          continue;
+        }
+      }
+
+      if (!qualifies(n, ctx)) {
+        continue;
+      }
+
+      const value = transform(n.value, ctx);
+      if (!validate(value)) {
+        continue;
+      }
+
+      if (ctx.bound) {
+        return { [ctx.bound.bound]: value, type: 'range' };
+      }
+
+      if (tolerance > 0 && (approxBeforeRe.test(ctx.textBefore) || approxAfterRe.test(ctx.textAfter))) {
+        return {
+          min: Math.round(value * (1 - tolerance)),
+          max: Math.round(value * (1 + tolerance)),
+          type: 'range',
+          approximate: true
+        };
+      }
+
+      return { value, type: 'number' };
+    }
+
+    return null;
+  }
+}
+
+module.exports = NumeralParser;
@@ -1,3 +1,11 @@
+const CurrencyConverter = require('./currencyConverter');
+
+// IntentRouter's messages for these are chat prompts ("شو بدك دور عليه؟"); API clients get plain errors
+const INTENT_ERROR_MESSAGES = {
+  missing_query: 'No search query found in the request',
+  unknown_intent: 'Unknown intent type'
+};
+
 /**
  * API Response Formatter
  * Standardizes API responses across all endpoints
@@ -40,6 +48,15 @@ class ResponseFormatter {
     };
   }
 
+  /**
+   * Format an IntentRouter error response
+   * @param {Object} response - IntentRouter error response { status, reason, message }
+   * @returns {Object} Formatted error response
+   */
+  static intentError(response) {
+    return ResponseFormatter.error(INTENT_ERROR_MESSAGES[response.reason] || response.message, response.status);
+  }
+
   /**
    * Format validation error response
    * @param {Array} errors - Validation errors
@@ -64,15 +81,17 @@ class ResponseFormatter {
    * @param {Object} pagination - Pagination info
    * @param {Array} suggestions - Search suggestions
    * @param {Object} meta - Additional metadata
+   * @param {Object} facets - Facet counts (only when requested)
    * @returns {Object} Formatted search response
    */
-  static searchResults(listings, query, pagination, suggestions = [], meta = {}) {
+  static searchResults(listings, query, pagination, suggestions = [], meta = {}, facets = null) {
     return this.success(
       {
         query,
         listings,
         pagination,
-        suggestions
+        suggestions,
+        ...(facets && { facets })
       },
       meta
     );
@@ -141,6 +160,11 @@ class ResponseFormatter {
       formatted.location.neighborhoodId = listing.neighborhood_id;
     }
 
+    // Add distance from the searched point (radius searches only)
+    if (listing.distance_km !== null && listing.distance_km !== undefined) {
+      formatted.distanceKm = Math.round(parseFloat(listing.distance_km) * 10) / 10;
+    }
+
     // Add attributes if available
     if (listing.attributes && typeof listing.attributes === 'object') {
       formatted.attributes = listing.attributes;
@@ -150,23 +174,33 @@ class ResponseFormatter {
   }
 
   /**
-   * Format price with currency
+   * Format price with currency, followed by the approximate amount in the
+   * other display currency (SYP prices show USD, foreign prices show SYP)
    * @param {number} price - Price value
-   * @param {string} currency - Currency code
+   * @param {string} currency - Currency code or name as stored on the listing
    * @returns {string} Formatted price
    */
   static formatPrice(price, currency = 'SYP') {
     if (!price) return 'غير محدد';
 
-    const formatted = new Intl.NumberFormat('ar-SY').format(price);
+    const amount = parseFloat(price);
+    const formatted = new Intl.NumberFormat('ar-SY').format(amount);
+    const primary = `${formatted} ${CurrencyConverter.getSymbol(currency)}`;
 
-    const currencySymbols = {
-      SYP: 'ل.س',
-      USD: '$',
-      EUR: '€'
-    };
+    const code = CurrencyConverter.resolve(currency);
+    const { base, secondary } = CurrencyConverter.getTable();
+    const otherCode = code === base ? secondary : base;
+
+    if (!code || !otherCode || otherCode === code) {
+      return primary;
+    }
+
+    const converted = CurrencyConverter.convert(amount, code, otherCode);
+    const approx = new Intl.NumberFormat('ar-SY', {
+      maximumFractionDigits: converted >= 100 ? 0 : 2
+    }).format(converted);
 
-    return `${formatted} ${currencySymbols[currency] || currency}`;
+    return `${primary} (≈ ${approx} ${CurrencyConverter.getSymbol(otherCode)})`;
   }
 
   /**
@@ -0,0 +1,55 @@
+const ArabicStemmer = require('../../src/utils/arabicStemmer');
+
+const known = new Set(['سياره', 'شقه', 'لابتوب']);
+const isKnown = (term) => known.has(term);
+
+describe('ArabicStemmer.stem', () => {
+  test.each([
+    ['بالسيارات', 'سيار'],
+    ['والشقق', 'شقه'],
+    ['للبيع', 'بيع'],
+    ['المكاتب', 'مكتب'],
+    ['سيارتها', 'سيارت']
+  ])('%s → %s', (word, expected) => {
+    expect(ArabicStemmer.stem(word)).toBe(expected);
+  });
+});
+
+describe('ArabicStemmer.variants', () => {
+  test.each([
+    ['سيارات', 'سياره'],
+    ['شقتين', 'شقه'],
+    ['بالشقق', 'شقه'],
+    ['سيارتها', 'سياره']
+  ])('%s includes %s', (word, variant) => {
+    const variants = ArabicStemmer.variants(word);
+
+    expect(variants[0]).toBe(word);
+    expect(variants).toContain(variant);
+  });
+
+  test('3-letter bare stems are not searched with', () => {
+    expect(ArabicStemmer.variants('بنزين')).toEqual(['بنزين']);
+  });
+});
+
+describe('single-letter prefixes', () => {
+  test.each(['بنزين', 'ولاعه', 'لابتوب'])('%s keeps its first letter', (word) => {
+    expect(ArabicStemmer.stripPrefix(word, isKnown)).toBe(word);
+  });
+
+  test.each([
+    ['بسياره', 'سياره'],
+    ['وشقق', 'شقق'],
+    ['لسيارات', 'سيارات']
+  ])('%s → %s when the rest is a known term', (word, expected) => {
+    expect(ArabicStemmer.stripPrefix(word, isKnown)).toBe(expected);
+    expect(ArabicStemmer.stripPrefix(word)).toBe(word);
+  });
+});
+
+describe('ArabicStemmer.expand', () => {
+  test('keeps keyword order and drops duplicates', () => {
+    expect(ArabicStemmer.expand(['شقق', 'الشقق'])).toEqual(['شقق', 'شقه', 'الشقق']);
+  });
+});
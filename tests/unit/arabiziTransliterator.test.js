@@ -0,0 +1,29 @@
+const ArabiziTransliterator = require('../../src/utils/arabiziTransliterator');
+const ArabicNormalizer = require('../../src/utils/arabicNormalizer');
+
+describe('ArabiziTransliterator.isArabizi', () => {
+  test.each([
+    ['bade siyara b 7alab', 'بدي سياره بحلب'],
+    ['sha2a lal ijar', 'شقه للايجار'],
+    ['ma7al lal ijar b mazze', 'محل للايجار بالمزه'],
+    ['bade 7elwe', 'بدي حلوه'],
+    ['a3la si3r', 'اعله سعر']
+  ])('%s → %s', (text, expected) => {
+    expect(ArabiziTransliterator.isArabizi(text)).toBe(true);
+    expect(ArabiziTransliterator.toArabic(text)).toBe(expected);
+  });
+});
+
+describe('English and spec tokens are not Arabizi', () => {
+  test.each([
+    'apartment 2br',
+    'iphone 7plus',
+    'b2b services',
+    'galaxy note9',
+    '5g router',
+    '3rd floor apartment'
+  ])('%s', (text) => {
+    expect(ArabiziTransliterator.isArabizi(text)).toBe(false);
+    expect(ArabicNormalizer.detectLanguage(text)).toBe('en');
+  });
+});
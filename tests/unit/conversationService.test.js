@@ -0,0 +1,91 @@
+const conversationService = require('../../src/services/conversation/ConversationService');
+
+const parse = (original, extra = {}) => ({ original, category: null, location: null, attributes: {}, keywords: [], ...extra });
+
+const previous = parse('شقه بدمشق', {
+  category: { id: 'c1', slug: 'apartments', confidence: 0.95 },
+  location: { name: 'دمشق', cityId: 'damascus' },
+  transactionType: 'rent',
+  attributes: { price: { max: 100e6, type: 'range' }, rooms: { value: 3, type: 'number' } },
+  keywords: ['شقه'],
+  tier: 'ai',
+  aiTokens: 420
+});
+
+describe('ConversationService.isFollowUp', () => {
+  test.each([
+    ['بس بحلب', { location: { name: 'حلب' } }],
+    ['بحلب', { location: { name: 'حلب' } }],
+    ['ارخص من 50 مليون', {}],
+    ['بخمسين مليون', {}],
+    ['طيب شي جديد', {}]
+  ])('%s', (text, extra) => {
+    expect(conversationService.isFollowUp(parse(text, extra))).toBe(true);
+  });
+
+  test.each([
+    ['سياره بحلب', { location: { name: 'حلب' }, category: { confidence: 0.9 } }],
+    ['بدي لابتوب', {}]
+  ])('%s is a new search', (text, extra) => {
+    expect(conversationService.isFollowUp(parse(text, extra))).toBe(false);
+  });
+});
+
+describe('ConversationService.merge', () => {
+  test('a new search replaces the context', () => {
+    const current = parse('سياره بحلب', { category: { confidence: 0.9 }, location: { name: 'حلب' } });
+    expect(conversationService.merge(previous, current)).toBe(current);
+  });
+
+  test('without context the parse is used as is', () => {
+    const current = parse('بس بحلب', { location: { name: 'حلب' } });
+    expect(conversationService.merge(null, current)).toBe(current);
+  });
+
+  test('a follow-up keeps the subject and overrides the location', () => {
+    const merged = conversationService.merge(previous, parse('بس بحلب', { location: { name: 'حلب' }, transactionType: 'sale' }));
+
+    expect(merged.category).toBe(previous.category);
+    expect(merged.location).toEqual({ name: 'حلب' });
+    expect(merged.transactionType).toBe('rent');
+    expect(merged.attributes.rooms).toEqual({ value: 3, type: 'number' });
+    expect(merged.followUp).toBe('بس بحلب');
+  });
+
+  test('price ranges tighten', () => {
+    const merged = conversationService.merge(
+      previous,
+      parse('اغلى من 50 مليون', { attributes: { price: { min: 50e6, type: 'range' } } })
+    );
+
+    expect(merged.attributes.price).toEqual({ min: 50e6, max: 100e6, type: 'range' });
+  });
+
+  test('a range in another currency replaces the old one', () => {
+    const price = { max: 5000, type: 'range', currency: 'USD' };
+    const merged = conversationService.merge(previous, parse('ارخص من 5000 دولار', { attributes: { price } }));
+
+    expect(merged.attributes.price).toBe(price);
+  });
+
+  test('analytics fields describe the follow-up, not the context', () => {
+    const merged = conversationService.merge(
+      previous,
+      parse('بس بحلب', { location: { name: 'حلب' }, tier: 'rules', method: 'smart', fromCache: false })
+    );
+
+    expect(merged).toMatchObject({ tier: 'rules', method: 'smart', fromCache: false });
+    expect(merged.aiTokens).toBeUndefined();
+  });
+});
+
+describe('ConversationService.fromSearchResults', () => {
+  test('stores the language it is given', () => {
+    const context = conversationService.fromSearchResults({
+      data: { query: { original: 'شقة بدمشق', parsed: { category: null, location: null } } },
+      meta: { confidence: 0.5 }
+    }, 'ar');
+
+    expect(context).toMatchObject({ original: 'شقة بدمشق', language: 'ar', attributes: {}, keywords: [] });
+  });
+});
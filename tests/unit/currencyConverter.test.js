@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CurrencyConverter = require('../../src/utils/currencyConverter');
+
+// Fixed rates, so the expectations don't move when src/config/exchangeRates.json is updated
+const rates = {
+  base: 'SYP',
+  updatedAt: '2026-01-01',
+  currencies: {
+    SYP: { rate: 1, symbol: 'ل.س', aliases: ['syp', 'ل.س', 'ليره'] },
+    USD: { rate: 10000, symbol: '$', aliases: ['usd', '$', 'دولار', 'دولار امريكي'] },
+    EUR: { rate: 12000, symbol: '€', aliases: ['eur', '€', 'يورو', "o'euro"] }
+  }
+};
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+  process.env.EXCHANGE_RATES_FILE = path.join(dir, 'rates.json');
+  fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, JSON.stringify(rates));
+  CurrencyConverter.reload();
+});
+
+afterAll(() => {
+  delete process.env.EXCHANGE_RATES_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+  CurrencyConverter.reload();
+});
+
+describe('CurrencyConverter.convert', () => {
+  test.each([
+    [5000, 'دولار', null, 50e6],
+    [5000, 'USD', 'SYP', 50e6],
+    [50e6, 'ليره', '$', 5000],
+    [1200, 'يورو', 'usd', 1440],
+    [300, '', null, 300]
+  ])('%d %s → %s = %d', (amount, from, to, expected) => {
+    expect(CurrencyConverter.convert(amount, from, to)).toBeCloseTo(expected);
+  });
+
+  test('unknown currencies and missing amounts give null', () => {
+    expect(CurrencyConverter.convert(100, 'دينار')).toBeNull();
+    expect(CurrencyConverter.convert(100, 'USD', 'دينار')).toBeNull();
+    expect(CurrencyConverter.convert(undefined, 'USD')).toBeNull();
+  });
+});
+
+describe('CurrencyConverter.detect', () => {
+  test.each([
+    ['سياره ب 5000 دولار', 'USD'],
+    ['شقه ب 5000$', 'USD'],
+    ['شقه ب 50 مليون ليره', 'SYP'],
+    ['بيت ب 20 الف يورو', 'EUR'],
+    ['شقه ب 50 مليون', null],
+    ['دولارات', null]
+  ])('%s → %s', (text, expected) => {
+    expect(CurrencyConverter.detect(text)).toBe(expected);
+  });
+});
+
+describe('CurrencyConverter.toBaseSql', () => {
+  const sql = () => CurrencyConverter.toBaseSql('lav.value_number', 'lav.unit_ar');
+
+  test('multiplies every non-base currency by its rate', () => {
+    expect(sql()).toBe(
+      '(lav.value_number * CASE ' +
+      "WHEN LOWER(TRIM(lav.unit_ar)) IN ('usd', '$', 'دولار', 'دولار امريكي') THEN 10000 " +
+      "WHEN LOWER(TRIM(lav.unit_ar)) IN ('eur', '€', 'يورو', 'o''euro') THEN 12000 " +
+      'ELSE 1 END)'
+    );
+  });
+
+  test('a table with only the base currency leaves the column as is', () => {
+    fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, JSON.stringify({
+      ...rates,
+      currencies: { SYP: rates.currencies.SYP }
+    }));
+    CurrencyConverter.reload();
+
+    expect(sql()).toBe('lav.value_number');
+
+    fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, JSON.stringify(rates));
+    CurrencyConverter.reload();
+  });
+
+  test('rejects rates that are not positive numbers', () => {
+    fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, JSON.stringify({
+      ...rates,
+      currencies: { ...rates.currencies, USD: { ...rates.currencies.USD, rate: '1; DROP TABLE listings' } }
+    }));
+
+    expect(() => CurrencyConverter.reload()).toThrow('Invalid exchange rate for USD');
+
+    fs.writeFileSync(process.env.EXCHANGE_RATES_FILE, JSON.stringify(rates));
+    CurrencyConverter.reload();
+  });
+});
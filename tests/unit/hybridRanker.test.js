@@ -0,0 +1,78 @@
+const hybridRanker = require('../../src/services/search/HybridRanker');
+
+const ids = (results) => results.map(r => r.id);
+const rrf = (...ranks) => ranks.reduce((sum, rank) => sum + 1 / (hybridRanker.k + rank), 0);
+
+describe('HybridRanker.fuse', () => {
+  test('sums reciprocal ranks of both lists', () => {
+    const fused = hybridRanker.fuse(
+      [{ id: 'a' }, { id: 'b' }],
+      [{ id: 'b' }, { id: 'c' }]
+    );
+
+    expect(ids(fused)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].hybrid_score).toBeCloseTo(rrf(2, 1));
+    expect(fused[1].hybrid_score).toBeCloseTo(rrf(1));
+    expect(fused[0].rank_score).toBe(fused[0].hybrid_score);
+  });
+
+  test('does not modify the input rows', () => {
+    const vector = [{ id: 'a', similarity_score: 0.9 }];
+    hybridRanker.fuse(vector, []);
+
+    expect(vector[0]).toEqual({ id: 'a', similarity_score: 0.9 });
+  });
+
+  test('boosted and priority listings move up', () => {
+    const fused = hybridRanker.fuse(
+      [{ id: 'a' }, { id: 'b', is_boosted: true }, { id: 'c', priority: 1 }],
+      []
+    );
+
+    expect(ids(fused)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].hybrid_score).toBeCloseTo(rrf(2) * (1 + hybridRanker.boostFactor));
+  });
+
+  test('debug attaches the per-source breakdown', () => {
+    const [result] = hybridRanker.fuse(
+      [{ id: 'a', similarity_score: '0.8' }],
+      [{ id: 'a', rank_score: 0.3 }],
+      { debug: true }
+    );
+
+    expect(result.score_breakdown).toMatchObject({
+      method: 'rrf',
+      k: hybridRanker.k,
+      vector: { rank: 1, score: 0.8 },
+      text: { rank: 1, score: 0.3 }
+    });
+  });
+});
+
+describe('HybridRanker category weights', () => {
+  const defaults = hybridRanker.categoryWeights;
+
+  beforeAll(() => {
+    hybridRanker.categoryWeights = hybridRanker.parseCategoryWeights('{"cars": {"text": 3}}');
+  });
+
+  afterAll(() => {
+    hybridRanker.categoryWeights = defaults;
+  });
+
+  test('an override only changes its own source', () => {
+    expect(hybridRanker.getWeights({ slug: 'cars' })).toEqual({ ...hybridRanker.defaultWeights, text: 3 });
+    expect(hybridRanker.getWeights({ slug: 'real-estate' })).toEqual(hybridRanker.defaultWeights);
+  });
+
+  test('a heavier source wins the top spot', () => {
+    const vector = [{ id: 'v' }];
+    const text = [{ id: 't' }];
+
+    expect(ids(hybridRanker.fuse(vector, text, { category: { slug: 'cars' } }))[0]).toBe('t');
+  });
+
+  test('invalid JSON falls back to the default weights', () => {
+    expect(hybridRanker.parseCategoryWeights('{cars')).toEqual({});
+  });
+});
@@ -0,0 +1,48 @@
+const NumeralParser = require('../../src/utils/numeralParser');
+const databaseMatcher = require('../../src/services/mcp/DatabaseMatcher');
+
+const values = (text) => NumeralParser.findNumbers(NumeralParser.prepare(text)).map(n => n.value);
+
+describe('NumeralParser.parse', () => {
+  test.each([
+    ['خمسين مليون', 50e6],
+    ['٣٠٠ ألف', 300e3],
+    ['مية وخمسين', 150],
+    ['خمسة وعشرين', 25],
+    ['نص مليون', 500e3],
+    ['مليون ونص', 1.5e6],
+    ['الفين وخمسطعش', 2015],
+    ['خمسمية الف', 500e3]
+  ])('%s → %d', (text, expected) => {
+    expect(NumeralParser.parse(text)).toBe(expected);
+  });
+});
+
+describe('spaced hundreds ("خمس مية")', () => {
+  test.each([
+    ['خمس مية الف', 500e3],
+    ['ست مية الف', 600e3],
+    ['تلات مية', 300],
+    ['تسع مية وخمسين', 950],
+    ['الف وخمس مية', 1500]
+  ])('%s → %d', (text, expected) => {
+    expect(values(text)).toEqual([expected]);
+  });
+
+  test('digits and "و" do not multiply', () => {
+    expect(values('5 مية')).toEqual([5, 100]);
+    expect(values('خمسة ومية')).toEqual([5, 100]);
+  });
+});
+
+describe('DatabaseMatcher.extractNumericAttributes', () => {
+  test('keeps the bound and currency of a spaced-hundreds price', () => {
+    const { price } = databaseMatcher.extractNumericAttributes('شقة تحت خمس مية الف دولار');
+    expect(price).toEqual({ max: 500e3, type: 'range', currency: 'USD' });
+  });
+
+  test('reads a spelled-out range', () => {
+    const { price } = databaseMatcher.extractNumericAttributes('سيارة من ست مية الف الى مليون دولار');
+    expect(price).toEqual(expect.objectContaining({ min: 600e3, max: 1e6, type: 'range' }));
+  });
+});
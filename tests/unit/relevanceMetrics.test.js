@@ -0,0 +1,59 @@
+const RelevanceMetrics = require('../../src/services/evaluation/RelevanceMetrics');
+
+// a is a perfect match, b and c partial, x and y irrelevant
+const judgments = { a: 2, b: 1, c: 1, x: 0 };
+
+describe('RelevanceMetrics.precisionAtK', () => {
+  test.each([
+    [['a', 'x', 'b'], 3, 2 / 3],
+    [['a', 'b', 'c'], 2, 1],
+    [['x', 'y'], 2, 0],
+    // Missing results count as misses
+    [['a'], 4, 1 / 4],
+    [['a'], 0, 0]
+  ])('%j @%d → %f', (resultIds, k, expected) => {
+    expect(RelevanceMetrics.precisionAtK(resultIds, judgments, k)).toBeCloseTo(expected);
+  });
+});
+
+describe('RelevanceMetrics.reciprocalRank', () => {
+  test.each([
+    [['a', 'x'], 1],
+    [['x', 'y', 'c'], 1 / 3],
+    [['x', 'y'], 0],
+    [[], 0]
+  ])('%j → %f', (resultIds, expected) => {
+    expect(RelevanceMetrics.reciprocalRank(resultIds, judgments)).toBeCloseTo(expected);
+  });
+});
+
+describe('RelevanceMetrics.ndcgAtK', () => {
+  test('the ideal order scores 1', () => {
+    expect(RelevanceMetrics.ndcgAtK(['a', 'b', 'c'], judgments, 3)).toBeCloseTo(1);
+    expect(RelevanceMetrics.ndcgAtK(['a', 'c', 'b', 'x'], judgments, 10)).toBeCloseTo(1);
+  });
+
+  test('graded gains with log2 discounts', () => {
+    // DCG = 1/log2(2) + 3/log2(3); ideal = 3/log2(2) + 1/log2(3)
+    const expected = (1 + 3 / Math.log2(3)) / (3 + 1 / Math.log2(3));
+    expect(RelevanceMetrics.ndcgAtK(['b', 'a'], { a: 2, b: 1 }, 2)).toBeCloseTo(expected);
+  });
+
+  test('the ideal is cut at k too', () => {
+    expect(RelevanceMetrics.ndcgAtK(['a'], judgments, 1)).toBeCloseTo(1);
+    expect(RelevanceMetrics.ndcgAtK(['x', 'a'], judgments, 1)).toBe(0);
+  });
+
+  test('no relevant judgments scores 0', () => {
+    expect(RelevanceMetrics.ndcgAtK(['x'], { x: 0 }, 5)).toBe(0);
+  });
+});
+
+describe('RelevanceMetrics.mean', () => {
+  test.each([
+    [[1, 0, 0.5], 0.5],
+    [[], 0]
+  ])('%j → %f', (values, expected) => {
+    expect(RelevanceMetrics.mean(values)).toBeCloseTo(expected);
+  });
+});
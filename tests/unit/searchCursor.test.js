@@ -0,0 +1,39 @@
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const searchService = require('../../src/services/search/SearchService');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('search cursors', () => {
+  test.each([
+    [0, 10, 1],
+    [10, 10, 2],
+    [20, 5, 5],
+    // A cursor from another page size lands on the page holding that row
+    [25, 10, 3]
+  ])('offset %d with %d per page → page %d', (offset, limit, page) => {
+    expect(searchService.decodeCursor(searchService.encodeCursor(offset), limit)).toBe(page);
+  });
+
+  test('cursors are opaque and URL safe', () => {
+    expect(searchService.encodeCursor(1000)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test.each([
+    ['not json', 'abc'],
+    ['a negative offset', encode({ o: -10 })],
+    ['a fractional offset', encode({ o: 1.5 })],
+    ['no offset', encode({ page: 2 })],
+    ['null', encode(null)]
+  ])('rejects %s', (name, cursor) => {
+    expect(() => searchService.decodeCursor(cursor, 10)).toThrow(ValidationError);
+  });
+
+  test('the next cursor points after the current page', () => {
+    const pagination = searchService.buildPagination(2, 10, 45);
+
+    expect(searchService.decodeCursor(pagination.nextCursor, 10)).toBe(3);
+    expect(searchService.buildPagination(5, 10, 45).nextCursor).toBeNull();
+  });
+});